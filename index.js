@@ -2,4 +2,14 @@
 
 module.exports = require('./src/Brambl')
 module.exports.utils = require('./src/utils/address-utils');
+module.exports.Address = require('./src/utils/Address').Address;
+module.exports.AssetCode = require('./src/utils/AssetCode').AssetCode;
 module.exports.KeyManager = require('./src/modules/KeyManager');
+module.exports.TransactionBuilder = require('./src/modules/TransactionBuilder');
+module.exports.envelope = require('./src/lib/envelope');
+module.exports.ThresholdProposition = require('./src/modules/ThresholdProposition');
+module.exports.ThresholdSignature = require('./src/modules/ThresholdSignature');
+module.exports.HDWallet = require('./src/modules/HDWallet');
+module.exports.Keyring = require('./src/modules/Keyring');
+module.exports.transports = require('./src/lib/transports');
+module.exports.errors = require('./src/lib/errors');
@@ -13,13 +13,29 @@ const base58 = require("bs58");
 // Primary sub-modules
 const Requests = require("./modules/Requests");
 const KeyManager = require("./modules/KeyManager");
+const HDWallet = require("./modules/HDWallet");
+const Keyring = require("./modules/Keyring");
+const TransactionBuilder = require("./modules/TransactionBuilder");
+const ThresholdProposition = require("./modules/ThresholdProposition");
+const ThresholdSignature = require("./modules/ThresholdSignature");
 
 // Utilities
 const Hash = require("./utils/Hash");
 const Address = require("./utils/address-utils.js");
+const {Address: AddressCodec} = require("./utils/Address.js");
+const {AssetCode} = require("./utils/AssetCode.js");
+const Units = require("./utils/units.js");
+const Networks = require("./lib/networks");
 
 // Libraries
-const pollTx = require("./lib/polling");
+const TransactionTracker = require("./lib/tracker");
+const BlockStream = require("./lib/stream");
+const AddressWatcher = require("./lib/watcher");
+const {FeeEstimator, feeLevels} = require("./lib/fees");
+const {verifyRawTx} = require("./lib/verifier");
+const {AssetIssuance, SupplyLedger} = require("./lib/issuance");
+const envelope = require("./lib/envelope");
+const errors = require("./lib/errors");
 
 // Constants definitions
 const validTxMethods = [
@@ -28,6 +44,9 @@ const validTxMethods = [
   "createRawPolyTransfer"
 ];
 
+// largest number of drafts built to size a transaction, the boxes selected to pay the fee depending on the fee
+const maxFeeDrafts = 5;
+
 /**
  * Each sub-module may be initialized in one of three ways
  * 1. Providing a separetly initialized {@link Requests} and {@link KeyManager} instance. Each of these instances may be initialized using the
@@ -44,19 +63,26 @@ const validTxMethods = [
 class Brambl {
   // private variables
   #networkPrefix;
+  #handshake; // verify the network of the chain provider before building transactions
+  #autoNetwork; // {password, constants} used to move the KeyManager to the network of the chain provider, until connected
+  #connection; // pending or completed handshake
 
   /**
     * @constructor
     * @param {object|string} params Constructor parameters object
-    * @param {string} params.networkPrefix Network Prefix
+    * @param {string} [params.networkPrefix] Network Prefix, if omitted the network of the chain provider is adopted at the handshake
+    * @param {boolean} [params.handshake=false] Verify the network of the chain provider before building transactions (see connect)
     * @param {string} params.password The password used to encrpt the keyfile, same as [params.KeyManager.password]
     * @param {object} params.KeyManager KeyManager object (may be either an instance or config parameters)
     * @param {string} [params.KeyManager.password] The password used to encrpt the keyfile
     * @param {string} [params.KeyManager.keyPath] Path to a keyfile
     * @param {string} [params.KeyManager.constants] Parameters for encrypting the user's keyfile
+    * @param {object} [params.Keyring] Keyring instance used to sign with many keys, a KeyManager is then optional
     * @param {object} params.Requests Request object (may be either an instance or config parameters)
     * @param {string} [params.Requests.url] The chain provider to send requests to
     * @param {string} [params.Requests.apikey] Api key for authorizing access to the chain provider
+    * @param {object} [params.Requests.transport] Transport delivering the requests (HTTP by default)
+    * @param {object} [params.Requests.policy] Timeout and retry policy of the requests
    */
   constructor(params = {}) {
     // default values for the constructor arguement
@@ -76,7 +102,7 @@ class Brambl {
 
     // validate network prefix
     if (!Address.isValidNetwork(this.#networkPrefix)) {
-      throw new Error(`Invalid Network Prefix. Must be one of: ${Address.getValidNetworksList()}`);
+      throw new errors.ValidationError(`Invalid Network Prefix. Must be one of: ${Address.getValidNetworksList()}`, "networkPrefix");
     }
 
     if (requestsVar instanceof Requests) {
@@ -84,14 +110,23 @@ class Brambl {
       this.requests = requestsVar;
     } else {
       // create new instance and pass parameters
-      this.requests = new Requests(this.#networkPrefix, requestsVar.url, requestsVar.apiKey);
+      this.requests = new Requests(this.#networkPrefix, requestsVar.url, requestsVar.apiKey, requestsVar.transport, requestsVar.policy);
+    }
+
+    // Setup Keyring object
+    if (params.Keyring) {
+      if (!(params.Keyring instanceof Keyring)) throw new errors.ValidationError("Keyring must be a Keyring instance", "Keyring");
+      this.keyring = params.Keyring;
     }
 
     // Setup KeyManager object
     if (keyManagerVar instanceof KeyManager) {
       this.keyManager = keyManagerVar;
+    } else if (this.keyring && !keyManagerVar.password) {
+      // a keyring provides the keys, no default key is needed
+      this.keyManager = undefined;
     } else {
-      if (!keyManagerVar.password) throw new Error("An encryption password is required to open a keyfile");
+      if (!keyManagerVar.password) throw new errors.ValidationError("An encryption password is required to open a keyfile", "password");
       // create new KeyManager
       this.keyManager = new KeyManager({
         password: keyManagerVar.password,
@@ -102,13 +137,33 @@ class Brambl {
       });
     }
 
+    // the network of the chain provider is adopted at the handshake when neither chosen nor bound to given instances or keyfiles
+    this.#handshake = params.handshake === true;
+    const createdByBrambl = !(requestsVar instanceof Requests) && !(keyManagerVar instanceof KeyManager) &&
+      !keyManagerVar.keyPath && !keyManagerVar.keyFile && !this.keyring;
+    if (this.#handshake && !params.networkPrefix && createdByBrambl) {
+      this.#autoNetwork = {password: keyManagerVar.password, constants: keyManagerVar.constants};
+    }
+
     // If KeyManager and Requests instances were not created by Brambl class verify that both have a matching NetworkPrefix
-    if (this.#networkPrefix !== this.requests.networkPrefix || this.#networkPrefix !== this.keyManager.networkPrefix) {
-      throw new Error("Incompatible network prefixes set for Requests and KeyManager Instances.");
+    if (this.#networkPrefix !== this.requests.networkPrefix || (this.keyManager && this.#networkPrefix !== this.keyManager.networkPrefix)) {
+      throw new errors.ValidationError("Incompatible network prefixes set for Requests and KeyManager Instances.", "networkPrefix");
     }
+    if (this.keyring && this.#networkPrefix !== this.keyring.networkPrefix) {
+      throw new errors.ValidationError("Incompatible network prefixes set for Requests and Keyring Instances.", "networkPrefix");
+    }
+
+    // Shared poll loop of the transactions awaited through pollTx
+    this.tracker = new TransactionTracker(this.requests);
+
+    // Fee suggestions applied to transactions without a fee
+    this.fees = new FeeEstimator(this.requests);
 
-    // Expose Utilities
-    this.utils = {Hash, Address};
+    // Supply minted by the assets issued through this instance
+    this.supply = new SupplyLedger();
+
+    // Expose Utilities, `Address` being the address utilities and `AddressCodec` the Address class
+    this.utils = {Hash, Address, AddressCodec, AssetCode, Units, Networks};
   }
 
   /**
@@ -127,7 +182,82 @@ class Brambl {
    * @returns {void} Error is thrown to protect private variable
    */
   set networkPrefix(args) {
-    throw new Error("Invalid private variable access.");
+    throw new errors.ValidationError("Invalid private variable access.", "networkPrefix");
+  }
+
+  /**
+   * Handshake with the chain provider: its network (`topl_info`) is matched against the network registry and compared
+   * to the configured one. When the network prefix was omitted and the Requests and KeyManager instances were created by
+   * Brambl, they are moved to the network of the chain provider, otherwise a mismatch fails with a NetworkMismatchError.
+   * The handshake is enabled with `handshake: true` and runs once, before the first transaction is built, chain providers
+   * without `topl_info` are not verified. The password of the KeyManager is only kept until the handshake succeeded.
+   * @memberof Brambl
+   * @returns {Promise<object>} {networkPrefix, verified, info}
+   */
+  connect() {
+    if (!this.#handshake) return Promise.resolve({networkPrefix: this.#networkPrefix, verified: false});
+    if (!this.#connection) {
+      this.#connection = this.#detectNetwork().then((result) => {
+        this.#autoNetwork = undefined;
+        return result;
+      }, (err) => {
+        // a failed handshake is attempted again at the next use
+        this.#connection = undefined;
+        throw err;
+      });
+    }
+    return this.#connection;
+  }
+
+  /**
+   * Query the network of the chain provider and configure (or verify) the network of this instance
+   * @memberof Brambl
+   * @returns {Promise<object>} {networkPrefix, verified, info}
+   */
+  async #detectNetwork() {
+    let info;
+    try {
+      info = (await this.requests.getNodeInfo()).result || {};
+    } catch (err) {
+      if (err instanceof errors.JsonRpcError && err.code === -32601) return {networkPrefix: this.#networkPrefix, verified: false};
+      throw err;
+    }
+
+    const reported = info.network !== undefined ? info.network : info.networkPrefix;
+    const network = Networks.getNetwork(reported);
+    if (!network) {
+      throw new errors.NetworkMismatchError(`Chain provider reports the unknown network <${reported}>, register it with Brambl.registerNetwork`,
+          this.#networkPrefix, reported);
+    }
+    if (network.name !== this.#networkPrefix) {
+      if (!this.#autoNetwork) {
+        throw new errors.NetworkMismatchError(`Chain provider at ${this.requests.url} is on network <${network.name}> ` +
+          `but BramblJS is configured for <${this.#networkPrefix}>`, this.#networkPrefix, network.name);
+      }
+      this.#switchNetwork(network.name);
+    }
+    return {networkPrefix: network.name, verified: true, info};
+  }
+
+  /**
+   * Move the Requests and KeyManager instances created by Brambl to another network, the key stays the same.
+   * The Requests instance is replaced, sharing its transport, so that references to it held elsewhere keep their network.
+   * The tracker and fee estimator are rebuilt on the new Requests instance, transactions already tracked are still
+   * polled by the previous tracker.
+   * @memberof Brambl
+   * @param {string} networkPrefix network of the chain provider
+   * @returns {void}
+   */
+  #switchNetwork(networkPrefix) {
+    const keyStorage = this.keyManager.getKeyStorage();
+    const publicKey = Buffer.from(base58.decode(this.keyManager.pk));
+    const {address} = Address.generatePubKeyHashAddress(publicKey, networkPrefix, this.keyManager.propositionType);
+    this.keyManager = new KeyManager({keyFile: {...keyStorage, address}, ...this.#autoNetwork});
+    const {url, apiKey, transport, policy} = this.requests;
+    this.requests = new Requests(networkPrefix, url, apiKey, transport, policy);
+    this.tracker = new TransactionTracker(this.requests);
+    this.fees = new FeeEstimator(this.requests);
+    this.#networkPrefix = networkPrefix;
   }
 
   /**
@@ -137,11 +267,13 @@ class Brambl {
     * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
     * @param {string} [url="http://localhost:9085/"] Chain provider location
     * @param {string} [apiKey="topl_the_world!"] Access key for authorizing requests to the client API
+    * @param {object} [transport] Transport delivering the requests (HTTP by default)
+    * @param {object} [policy] Timeout and retry policy of the requests
     * @returns {object} new Requests instance
     * @memberof Brambl
     */
-  static Requests(networkPrefix, url, apiKey) {
-    return new Requests(networkPrefix, url, apiKey);
+  static Requests(networkPrefix, url, apiKey, transport, policy) {
+    return new Requests(networkPrefix, url, apiKey, transport, policy);
   }
 
   /**
@@ -161,6 +293,86 @@ class Brambl {
     return new KeyManager(params);
   }
 
+  /**
+    * Method for creating (or importing) a hierarchical deterministic wallet
+    * @static
+    *
+    * @param {object} [params] constructor object for the wallet
+    * @param {string} [params.mnemonic] existing mnemonic to import, a new one is generated otherwise
+    * @param {string} [params.passphrase] optional passphrase protecting the seed
+    * @returns {object} new HDWallet instance
+    * @memberof Brambl
+    */
+  static HDWallet(params) {
+    return new HDWallet(params);
+  }
+
+  /**
+    * Method for creating a keyring holding many KeyManager instances
+    * @static
+    *
+    * @param {object} [params] constructor object for the keyring
+    * @param {string} [params.networkPrefix] Network Prefix, defaults to "private"
+    * @param {object} [params.constants] encryption options used when importing keyfiles
+    * @returns {object} new Keyring instance
+    * @memberof Brambl
+    */
+  static Keyring(params) {
+    return new Keyring(params);
+  }
+
+  /**
+    * Method for creating a separate SupplyLedger instance
+    * @static
+    *
+    * @param {object} [records] records of a previous ledger, as returned by `brambl.supply.toJSON()`
+    * @returns {object} new SupplyLedger instance
+    * @memberof Brambl
+    */
+  static SupplyLedger(records) {
+    return new SupplyLedger(records);
+  }
+
+  /**
+    * Method for creating a separate TransactionBuilder instance
+    * @static
+    *
+    * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
+    * @returns {object} new TransactionBuilder instance
+    * @memberof Brambl
+    */
+  static TransactionBuilder(networkPrefix) {
+    return new TransactionBuilder(networkPrefix);
+  }
+
+  /**
+    * Method for creating a threshold (k-of-n) proposition from a list of public keys
+    * @static
+    *
+    * @param {object} params constructor object for the threshold proposition
+    * @param {number} params.threshold minimum number of signatures required
+    * @param {string[]} params.publicKeys base58 encoded public keys (or KeyManager instances)
+    * @param {string} [params.networkPrefix] Network Prefix, defaults to "private"
+    * @returns {object} new ThresholdProposition instance
+    * @memberof Brambl
+    */
+  static ThresholdProposition(params) {
+    return new ThresholdProposition(params);
+  }
+
+  /**
+    * Method for starting the collection of signatures for a threshold proposition
+    * @static
+    *
+    * @param {object} proposition ThresholdProposition instance (or its JSON representation)
+    * @param {object|string} prototypeTx An unsigned transaction JSON object or its messageToSign
+    * @returns {object} new ThresholdSignature instance
+    * @memberof Brambl
+    */
+  static ThresholdSignature(proposition, prototypeTx) {
+    return new ThresholdSignature(proposition, prototypeTx);
+  }
+
   /**
    * Method for accessing the hash utility as a static method
    * @static
@@ -173,16 +385,34 @@ class Brambl {
    */
   static Hash(type, msg, encoding = "base58") {
     const allowedTypes = ["string", "file", "any"];
-    if (!allowedTypes.includes(type)) throw new Error(`Invalid type specified. Must be one of ${allowedTypes}`);
+    if (!allowedTypes.includes(type)) throw new errors.ValidationError(`Invalid type specified. Must be one of ${allowedTypes}`, "type");
     return Hash[type](msg, encoding);
   }
+
+  /**
+   * Method for registering a custom network (i.e. a private testnet) before creating instances using it
+   * @static
+   *
+   * @param {object} network network definition
+   * @param {string} network.name name of the network, used as networkPrefix
+   * @param {number} network.prefix prefix byte of the addresses of the network, between 0 and 255
+   * @param {string} [network.url] url of the default chain provider of the network
+   * @returns {object} registered network {name, prefix, hex, url, builtin}
+   * @memberof Brambl
+   */
+  static registerNetwork(network) {
+    return Networks.registerNetwork(network);
+  }
 }
 
 /**
-  * Add a signature to a prototype transaction using an unlocked key manager object
+  * Add a signature to a prototype transaction using an unlocked key manager object.
+  * Transaction envelopes created by `exportUnsignedTx` are validated before signing, an envelope without checksum is refused.
+  * The checksum only detects corrupted envelopes, review the transaction of an envelope received from another party.
   *
-  * @param {object} prototypeTx An unsigned transaction JSON object
-  * @param {object|object[]} userKeys A keyManager object containing the user's key (may be an array)
+  * @param {object} prototypeTx An unsigned transaction JSON object or transaction envelope
+  * @param {object|object[]} userKeys A keyManager object containing the user's key or a completed ThresholdSignature (may be an array).
+  * If a Keyring is given, the keys owning the boxes opened by the transaction are selected automatically.
   * @returns {object} transaction with signatures to all given key files
  */
 Brambl.prototype.addSigToTx = async function(prototypeTx, userKeys) {
@@ -191,7 +421,13 @@ Brambl.prototype.addSigToTx = async function(prototypeTx, userKeys) {
     return Object.fromEntries(
         keys.map(
             (key) => {
-              const pubKeyHashByte = Buffer.from("01", "hex");
+              // threshold signatures are collected beforehand and already carry their proposition and proof
+              if (key instanceof ThresholdSignature) {
+                if (key.messageToSign !== txMsgToSign) throw new errors.ValidationError("Threshold signature was created for a different transaction", "userKeys");
+                return [key.proposition, key.proof];
+              }
+              // the proposition and proof are prefixed with the proposition type byte of the key
+              const pubKeyHashByte = Buffer.from([Address.propositionTypes[key.propositionType || "PublicKeyCurve25519"]]);
               const prop = Buffer.concat([pubKeyHashByte, base58.decode(key.pk)], 33);
               const sig = Buffer.concat([pubKeyHashByte, key.sign(txMsgToSign)], 65);
               return [base58.encode(prop), base58.encode(sig)];
@@ -200,8 +436,12 @@ Brambl.prototype.addSigToTx = async function(prototypeTx, userKeys) {
     );
   };
 
+  // refuse to sign an envelope that was corrupted after it was exported
+  if (envelope.isEnvelope(prototypeTx)) envelope.validateEnvelope(prototypeTx);
+
   // list of Key Managers
-  const keys = Array.isArray(userKeys) ? userKeys : [userKeys];
+  const keys = userKeys instanceof Keyring ? userKeys.getSigners(prototypeTx.rawTx) :
+    Array.isArray(userKeys) ? userKeys : [userKeys];
 
   return {
     ...prototypeTx.rawTx,
@@ -210,29 +450,162 @@ Brambl.prototype.addSigToTx = async function(prototypeTx, userKeys) {
 };
 
 /**
-  * Used to sign a prototype transaction and broadcast to a chain provider
+  * Used to sign a prototype transaction and broadcast to a chain provider.
+  * The transaction is signed by the Keyring if one was provided, otherwise by the KeyManager.
   *
   * @param {object} prototypeTx An unsigned transaction JSON object
   * @returns {promise} requests.broadcastTx promise
   */
 Brambl.prototype.signAndBroadcast = async function(prototypeTx) {
-  const formattedTx = await this.addSigToTx(prototypeTx, this.keyManager);
-  return this.requests.broadcastTx({tx: formattedTx}).catch((e) => {
-    console.error(e); throw e;
-  });
+  const formattedTx = await this.addSigToTx(prototypeTx, this.keyring || this.keyManager);
+  return this.requests.broadcastTx({tx: formattedTx});
+};
+
+/**
+  * Wrap a prototype transaction in a portable envelope so that it may be signed on another machine
+  *
+  * @param {object} prototypeTx An unsigned transaction JSON object
+  * @param {string} [filePath] Optional path to write the envelope to
+  * @returns {object} transaction envelope {version, networkPrefix, rawTx, messageToSign, signers, checksum}
+  */
+Brambl.prototype.exportUnsignedTx = function(prototypeTx, filePath) {
+  const txEnvelope = envelope.createEnvelope(prototypeTx, this.networkPrefix);
+  if (filePath) envelope.writeEnvelope(txEnvelope, filePath);
+  return txEnvelope;
+};
+
+/**
+  * Verify a transaction signed offline against its envelope and broadcast it to the chain provider
+  *
+  * @param {object|string} txEnvelope The transaction envelope (or a path to the envelope file)
+  * @param {object} signedTx The transaction returned by `addSigToTx`
+  * @returns {promise} requests.broadcastTx promise
+  */
+Brambl.prototype.broadcastSignedTx = async function(txEnvelope, signedTx) {
+  const unsignedTx = txEnvelope.constructor === String ? envelope.readEnvelope(txEnvelope) : txEnvelope;
+  if (unsignedTx.networkPrefix !== this.networkPrefix) {
+    throw new errors.ValidationError("Incompatible network prefixes set for transaction envelope and Requests instance.", "txEnvelope.networkPrefix");
+  }
+  return this.requests.broadcastTx({tx: envelope.importSignedTx(unsignedTx, signedTx)});
 };
 
 /**
-  * Create a new transaction, then sign and broadcast
+  * Fill in the addresses omitted from transaction parameters with the keys held by Brambl:
+  * the senders default to the addresses of the Keyring (or the KeyManager address), the change and consolidation
+  * addresses default to the KeyManager address (or the first sender).
+  *
+  * @param {object} brambl Brambl instance
+  * @param {string} method transaction method
+  * @param {object} params transaction parameters object
+  * @returns {object} transaction parameters with default addresses
+  */
+function withDefaultAddresses(brambl, method, params) {
+  if (!params) return params;
+  const owned = brambl.keyring ? brambl.keyring.addresses : brambl.keyManager ? [brambl.keyManager.address] : [];
+  const sender = params.sender || owned;
+  const changeAddress = params.changeAddress || (brambl.keyManager ? brambl.keyManager.address : sender[0]);
+  const filled = {...params, sender, changeAddress};
+  if (method !== "createRawPolyTransfer") filled.consolidationAddress = params.consolidationAddress || changeAddress;
+  return filled;
+}
+
+/**
+  * Remove the parameters only understood by Brambl before sending transaction parameters to the chain provider
+  *
+  * @param {object} params transaction parameters object
+  * @returns {object} transaction parameters of the chain provider
+  */
+function toProviderParams(params) {
+  if (!params) return params;
+  const providerParams = {...params};
+  ["feeLevel", "selectionStrategy", "dustThreshold"].forEach((key) => delete providerParams[key]);
+  // recipients are rewritten by Requests, the original ones are kept to verify the raw transaction
+  if (Array.isArray(params.recipients)) {
+    providerParams.recipients = params.recipients.map((recipient) => Array.isArray(recipient) ? [...recipient] : recipient);
+  }
+  return providerParams;
+}
+
+/**
+  * Create a new transaction, then sign and broadcast. The network of the chain provider is verified first (see connect).
+  * The `sender`, `changeAddress` and `consolidationAddress` parameters default to the keys held by Brambl.
+  * When the `fee` is omitted, the fee suggested by `brambl.fees` for the `feeLevel` (medium by default) is applied.
+  * When a `selectionStrategy` is given the transaction is built locally (see `buildTransaction`), the boxes to open being
+  * chosen by the strategy, otherwise the chain provider creates the transaction, which is verified against the parameters
+  * and the box data of the senders before signing, its `messageToSign` being recomputed locally (see lib/verifier.js).
   *
   * @param {string} method The chain resource method to create a transaction for. Valid transaction methods are the following: "createRawArbitTransfer", "createRawAssetTransfer", "createRawPolyTransfer".
   * @param {object} params Transaction parameters object
-  * @returns {promise} signAndBroadcast promise
+  * @param {string} [params.feeLevel="medium"] Fee suggestion applied when the fee is omitted: "low", "medium" or "high"
+  * @param {string} [params.selectionStrategy] Coin selection strategy: "largest-first", "smallest-first", "minimize-change" or "consolidate-dust"
+  * @param {number|string} [params.dustThreshold] Quantity below which boxes are consolidated by the "consolidate-dust" strategy
+  * @returns {promise} signAndBroadcast promise, rejected with a TransactionVerificationError if the raw transaction built by the chain provider does not match the parameters
  */
 Brambl.prototype.transaction = async function(method, params) {
-  if (!validTxMethods.includes(method)) throw new Error("Invalid transaction method");
-  return this.requests[method](params)
-      .then((res) => this.signAndBroadcast(res.result));
+  if (!validTxMethods.includes(method)) throw new errors.ValidationError("Invalid transaction method", "method");
+  await this.connect();
+  let txParams = withDefaultAddresses(this, method, params);
+  const level = txParams && (txParams.fee === undefined || txParams.fee === null) ? txParams.feeLevel || "medium" : undefined;
+  if (level && !feeLevels[level]) {
+    throw new errors.ValidationError(`Invalid fee level. Must be one of: ${Object.keys(feeLevels)}`, "params.feeLevel");
+  }
+  // the box data of the senders is used to verify the opened boxes and the change, with or without a fee
+  const balances = txParams && (await this.requests.lookupBalancesByAddresses({addresses: txParams.sender})).result;
+
+  if (level) {
+    const fees = await this.estimateFee(method, txParams, balances);
+    txParams = {...txParams, fee: fees[level]};
+  }
+
+  if (txParams && txParams.selectionStrategy) {
+    return this.signAndBroadcast(await this.buildTransaction(method, txParams, balances));
+  }
+  return this.requests[method](toProviderParams(txParams))
+      .then((res) => this.signAndBroadcast(verifyRawTx(method, txParams, res.result, balances)));
+};
+
+/**
+  * Suggest low, medium and high fees for a transaction, sized by building it locally (see lib/fees.js).
+  * The poly boxes opened to pay the fee depend on the fee: the transaction is first drafted with a fee of 1, then with the
+  * high fee suggested for the previous draft, until its size no longer changes.
+  *
+  * @param {string} method The transaction method to estimate. Valid transaction methods are the following: "createRawArbitTransfer", "createRawAssetTransfer", "createRawPolyTransfer".
+  * @param {object} params Transaction parameters object, the fee is ignored
+  * @param {object} [balances] Result of `lookupBalancesByAddresses` for the senders
+  * @returns {promise} resolves to {low, medium, high, size}, fees as decimal strings
+ */
+Brambl.prototype.estimateFee = async function(method, params, balances) {
+  let fee = "1";
+  let fees;
+  for (let draft = 0; draft < maxFeeDrafts; draft++) {
+    const {rawTx} = await this.buildTransaction(method, {...params, fee}, balances);
+    const previous = fees;
+    fees = await this.fees.estimate(rawTx);
+    if (previous && previous.size === fees.size) break;
+    fee = fees.high;
+  }
+  return fees;
+};
+
+/**
+  * Build an unsigned transaction locally instead of asking the chain provider to create it.
+  * The box data of the senders is fetched with `lookupBalancesByAddresses` unless provided,
+  * allowing transactions to be built entirely offline. The boxes to open are chosen by `params.selectionStrategy`
+  * (see lib/selection.js, largest boxes first by default) and the addresses default to the keys held by Brambl.
+  *
+  * @param {string} method The transaction method to build. Valid transaction methods are the following: "createRawArbitTransfer", "createRawAssetTransfer", "createRawPolyTransfer".
+  * @param {object} params Transaction parameters object
+  * @param {object} [balances] Result of `lookupBalancesByAddresses` for the senders
+  * @returns {promise} resolves to the prototype transaction {rawTx, messageToSign}
+ */
+Brambl.prototype.buildTransaction = async function(method, params, balances) {
+  if (!validTxMethods.includes(method)) throw new errors.ValidationError("Invalid transaction method", "method");
+  // offline builds (balances given) do not reach the chain provider
+  if (!balances) await this.connect();
+  const txParams = withDefaultAddresses(this, method, params);
+  const builder = new TransactionBuilder(this.networkPrefix);
+  const boxData = balances || (await this.requests.lookupBalancesByAddresses({addresses: txParams.sender})).result;
+  return builder[method](txParams, boxData);
 };
 
 /**
@@ -241,17 +614,57 @@ Brambl.prototype.transaction = async function(method, params) {
   * If the transaction is not confirmed, the mempool is checked using 'getTransactionFromMemPool' to
   * ensure that the transaction is pending. The parameter 'numFailedQueries' specifies the number of consecutive
   * failures (when resorting to querying the mempool) before ending the polling operation prematurely.
+  * Every transaction is polled by the shared `brambl.tracker` (see lib/tracker.js), listen to its events to follow many transactions.
   *
   * @param {string} txId The unique transaction ID to look for
   * @param {object} [options] Optional parameters to control the polling behavior
   * @param {number} [options.timeout] The timeout (in seconds) before the polling operation is stopped
   * @param {number} [options.interval] The interval (in seconds) between attempts
   * @param {number} [options.maxFailedQueries] The maximum number of consecutive failures (to find the unconfirmed transaction) before ending the poll execution
-  * @returns {promise} pollTx - polling promise
+  * @param {number} [options.confirmations] The number of blocks (including its own) on top of the transaction before it is confirmed.
+  * The block of the transaction is verified to still be on the best chain at every attempt, a transaction orphaned by a reorganization
+  * is polled again from the mempool (see the `orphaned` event of `brambl.tracker`)
+  * @param {boolean} [options.rejectOrphaned] Reject as soon as the block of the transaction leaves the best chain
+  * @returns {promise} pollTx - polling promise resolved with the confirmed transaction
  */
 Brambl.prototype.pollTx = async function(txId, options) {
-  const opts = options || {timeout: 90, interval: 3, maxFailedQueries: 10};
-  return pollTx(this.requests, txId, opts);
+  const {tx} = await this.tracker.track(txId, options);
+  return tx;
+};
+
+/**
+ * Stream the blocks and transactions of the chain provider, from a start height to the tip and then following new blocks.
+ * The stream is an async iterator and an event emitter (see lib/stream.js), it rolls back blocks replaced by a chain reorganization
+ * and may resume from the `checkpoint` of a previous stream.
+ *
+ * @param {object} [options] stream options
+ * @param {number|string} [options.from=1] height of the first block, or "latest" to only follow new blocks
+ * @param {object} [options.checkpoint] `checkpoint` of a previous stream, the stream resumes after its last block
+ * @param {number} [options.interval=3] seconds between two reads of the best block once the stream reached the tip
+ * @param {number} [options.maxReorgDepth=100] number of streamed blocks remembered to handle reorganizations
+ * @param {boolean} [options.transactions=true] stream the transactions of every block
+ * @returns {object} BlockStream instance
+ */
+Brambl.prototype.streamBlocks = function(options) {
+  return new BlockStream(this.requests, options);
+};
+
+/**
+ * Watch addresses and report the payments they send and receive, from new blocks and from the mempool (see lib/watcher.js).
+ * The watcher emits `incoming` and `outgoing` events holding the address, the id of the causing transaction, the token and the amount.
+ *
+ * @param {string[]} [addresses] addresses to watch, defaults to the address of the KeyManager
+ * @param {object} [options] watcher options
+ * @param {number} [options.interval=3] seconds between two checks
+ * @param {boolean} [options.mempool=true] report the payments of the transactions in the mempool
+ * @param {number} [options.maxBlocks=10] new blocks read at every check to attribute box changes to their transactions
+ * @returns {Promise<object>} AddressWatcher instance, started once the boxes of the addresses were recorded
+ */
+Brambl.prototype.watchAddresses = async function(addresses, options) {
+  const watched = addresses || (this.keyManager ? [this.keyManager.address] : []);
+  const watcher = new AddressWatcher(this.requests, {...options, addresses: watched});
+  await watcher.start();
+  return watcher;
 };
 
 /**
@@ -262,7 +675,39 @@ Brambl.prototype.pollTx = async function(txId, options) {
  * @returns {string} asset code is returned if successful
  */
 Brambl.prototype.createAssetCode = function(shortName) {
+  if (!this.keyManager) throw new errors.ValidationError("A KeyManager is required to create an asset code", "keyManager");
   return this.utils.Address.createAssetCode(this.networkPrefix, this.keyManager.address, shortName);
 };
 
+/**
+ * Define an asset issued by the key of the KeyManager, to mint its supply in one or several batches (see lib/issuance.js).
+ * Every minting transaction is recorded in `brambl.supply`, which tracks the supply issued per asset code.
+ *
+ * @param {object} definition asset definition
+ * @param {string} definition.shortName name of the asset, up to 8 bytes long in latin-1 encoding
+ * @param {string} [definition.securityRoot] security root of the minted boxes, base58 encoded 32 bytes
+ * @param {string} [definition.metadata] metadata of the minted boxes, up to 128 bytes in latin-1 encoding
+ * @param {bigint|string|number} [definition.maxSupply] largest total supply, mints above it are refused
+ * @returns {object} AssetIssuance instance
+ */
+Brambl.prototype.defineAsset = function(definition) {
+  return new AssetIssuance(this, definition);
+};
+
+/**
+ * Issue an asset: define it, then mint its initial supply. The network of the chain provider is verified first (see connect).
+ *
+ * @param {object} definition asset definition (see defineAsset)
+ * @param {array|object} distribution recipients of the initial supply: [address, quantity, securityRoot, metadata] tuples,
+ * {address, quantity, securityRoot, metadata} objects or an {address: quantity} object
+ * @param {object} [options] minting options: batchSize, fee, feeLevel, changeAddress, sender, data and poll (see AssetIssuance.mint)
+ * @returns {Promise<object>} AssetIssuance instance, its `batches` holding the minting transactions
+ */
+Brambl.prototype.issueAsset = async function(definition, distribution, options) {
+  await this.connect();
+  const asset = this.defineAsset(definition);
+  await asset.mint(distribution, options);
+  return asset;
+};
+
 module.exports = Brambl;
@@ -0,0 +1,145 @@
+/**
+ * Token quantities and fees.
+ *
+ * Notes:
+ * - Bifrost serializes quantities and fees as Int128, JS numbers can not represent them above Number.MAX_SAFE_INTEGER,
+ * - amounts are accepted as BigInt, decimal strings or safe integer numbers, larger numbers are refused since they may
+ *   already have lost precision,
+ * - `Amount` instances of utils/units.js are amounts of polys, they are only accepted for fees and poly quantities,
+ * - amounts are sent to the chain provider and read from balances as decimal strings.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports amounts toAmount, parseFee, parseQuantity, normalizeBalances
+ */
+
+"use strict";
+
+// Utilities
+const {int128Max, int128Min} = require("../utils/transaction-utils.js");
+const {Amount} = require("../utils/units.js");
+const {ValidationError} = require("./errors.js");
+
+/**
+ * Convert an amount to a BigInt
+ * @param {bigint|string|number|Amount} value BigInt, decimal string, safe integer number or amount in a denomination
+ * @param {boolean} [polys=false] the value is an amount of polys, which may be given as an `Amount`
+ * @returns {bigint} amount
+ * @throws {TypeError|RangeError} if the value is not an integer or is out of the Int128 range
+ */
+function toAmount(value, polys = false) {
+  let amount;
+  if (typeof value === "bigint") {
+    amount = value;
+  } else if (value instanceof Amount) {
+    if (!polys) throw new TypeError("an Amount of polys is only accepted for fees and poly quantities");
+    amount = value.baseUnits;
+  } else if (typeof value === "string" && /^-?[0-9]+$/.test(value)) {
+    amount = BigInt(value);
+  } else if (typeof value === "number" && Number.isSafeInteger(value)) {
+    amount = BigInt(value);
+  } else if (typeof value === "number" && Number.isInteger(value)) {
+    throw new RangeError(`numbers above ${Number.MAX_SAFE_INTEGER} lose precision, use a BigInt or a decimal string`);
+  } else {
+    throw new TypeError("must be an integer given as a BigInt, a decimal string, a number or an Amount");
+  }
+  if (amount > int128Max || amount < int128Min) {
+    throw new RangeError("out of the Int128 range");
+  }
+  return amount;
+}
+
+/**
+ * Validate the fee of transaction parameters
+ * @param {object} params transaction parameters
+ * @param {bigint|string|number|Amount} params.fee fee, 0 is accepted
+ * @returns {bigint} fee
+ * @throws {ValidationError} if the fee is missing, invalid or negative
+ */
+function parseFee(params) {
+  // 0 fee value is accepted
+  if (params.fee === undefined || params.fee === null || params.fee === "") {
+    throw new ValidationError("A fee must be specified", "params.fee");
+  }
+  let fee;
+  try {
+    fee = toAmount(params.fee, true);
+  } catch (err) {
+    throw new ValidationError(`Invalid fee, ${err.message}`, "params.fee");
+  }
+  // fee must be >= 0
+  if (fee < BigInt(0)) {
+    throw new ValidationError("Invalid fee, a fee must be greater or equal to zero", "params.fee");
+  }
+  return fee;
+}
+
+/**
+ * Validate the quantity of a recipient tuple
+ * @param {array} recipient recipient tuple, quantity at index 1
+ * @param {string} field path of the quantity used for error reporting
+ * @param {boolean} [polys=false] the quantity is an amount of polys, which may be given as an `Amount`
+ * @returns {bigint} quantity, at least 1
+ * @throws {ValidationError} if the quantity is missing, invalid or lower than 1
+ */
+function parseQuantity(recipient, field, polys = false) {
+  const [, quantity] = recipient;
+  // ensure quantity is part of the tuple ["address", 10]
+  if (quantity === undefined || quantity === null || quantity === "") {
+    throw new ValidationError("Recipient quantity must be specified", field);
+  }
+  let value;
+  try {
+    value = toAmount(quantity, polys);
+  } catch (err) {
+    throw new ValidationError(`Invalid quantity in Recipient: ${recipient}, ${err.message}`, field);
+  }
+  if (value < BigInt(1)) {
+    throw new ValidationError(`Invalid quantity in Recipient: ${recipient}, must be at least 1`, field);
+  }
+  return value;
+}
+
+/**
+ * Represent a quantity read from the chain provider as a decimal string
+ * @param {string|number} quantity quantity
+ * @returns {string} decimal string
+ */
+function toDecimalString(quantity) {
+  return typeof quantity === "number" && Number.isInteger(quantity) ? BigInt(quantity).toString() : String(quantity);
+}
+
+/**
+ * Represent every quantity of a `topl_balances` result as a decimal string, the `Polys` and `Arbits` totals and the
+ * `value.quantity` of every box
+ * @param {object} result result of `topl_balances`, balances indexed by address
+ * @returns {object} copy of the result
+ */
+function normalizeBalances(result) {
+  if (!result || typeof result !== "object") return result;
+  const normalized = {};
+  Object.keys(result).forEach((address) => {
+    const entry = result[address];
+    if (!entry || typeof entry !== "object") {
+      normalized[address] = entry;
+      return;
+    }
+    const balances = {...entry.Balances};
+    Object.keys(balances).forEach((token) => {
+      if (balances[token] !== undefined && balances[token] !== null) balances[token] = toDecimalString(balances[token]);
+    });
+    const boxes = {...entry.Boxes};
+    Object.keys(boxes).forEach((boxType) => {
+      if (!Array.isArray(boxes[boxType])) return;
+      boxes[boxType] = boxes[boxType].map((box) => box && box.value && box.value.quantity !== undefined ?
+        {...box, value: {...box.value, quantity: toDecimalString(box.value.quantity)}} : box);
+    });
+    normalized[address] = {...entry};
+    if (entry.Balances) normalized[address].Balances = balances;
+    if (entry.Boxes) normalized[address].Boxes = boxes;
+  });
+  return normalized;
+}
+
+module.exports = {toAmount, parseFee, parseQuantity, normalizeBalances};
@@ -0,0 +1,203 @@
+/**
+ * Portable envelope for signing transactions on a separate (e.g. air-gapped) machine.
+ *
+ * Workflow:
+ * - the online machine builds a prototype transaction and wraps it with `createEnvelope`,
+ * - the envelope is written to a file and carried to the machine holding the keyfiles,
+ * - the envelope is signed with `Brambl.addSigToTx` (which validates the envelope first),
+ * - the signed transaction is carried back and checked with `importSignedTx` before `broadcastTx`.
+ *
+ * The checksum of an envelope is an unkeyed hash of its fields: it only detects an envelope corrupted on its way, not one
+ * altered on purpose, whose checksum is as easily recomputed. An envelope is not authenticated, the transaction of an
+ * envelope must be reviewed before signing it. As for the transactions built by the chain provider (see lib/verifier.js),
+ * the `messageToSign` of an envelope is recomputed from its `rawTx`, so that the reviewed transaction is the one signed.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports envelope createEnvelope, isEnvelope, validateEnvelope, writeEnvelope, readEnvelope, importSignedTx
+ */
+
+"use strict";
+
+// Dependencies
+const fs = require("fs");
+const Base58 = require("bs58");
+
+// Modules & utils
+const KeyManager = require("../modules/KeyManager");
+const ThresholdProposition = require("../modules/ThresholdProposition");
+const ThresholdSignature = require("../modules/ThresholdSignature");
+const Hash = require("../utils/Hash");
+const utils = require("../utils/address-utils.js");
+const txUtils = require("../utils/transaction-utils.js");
+const {ValidationError, FileError, invalidAddressesError} = require("./errors.js");
+
+const envelopeVersion = 1;
+
+/**
+ * Calculate the checksum over every field of the envelope, an unkeyed digest detecting corruption only
+ * @param {object} envelope unsigned transaction envelope
+ * @returns {string} base58 encoded Blake2b-256 digest
+ */
+function calculateChecksum(envelope) {
+  const {version, networkPrefix, rawTx, messageToSign, signers} = envelope;
+  return Hash.any({version, networkPrefix, rawTx, messageToSign, signers}, "base58");
+}
+
+/**
+ * Wrap a prototype transaction in a portable envelope
+ * @param {object} prototypeTx unsigned transaction {rawTx, messageToSign}
+ * @param {string} networkPrefix network the transaction is built for
+ * @returns {object} envelope {version, networkPrefix, rawTx, messageToSign, signers, checksum}
+ */
+function createEnvelope(prototypeTx, networkPrefix) {
+  if (!prototypeTx || !prototypeTx.rawTx || !prototypeTx.messageToSign) {
+    throw new ValidationError("A prototype transaction with rawTx and messageToSign must be specified", "prototypeTx");
+  }
+  if (!utils.isValidNetwork(networkPrefix)) {
+    throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "networkPrefix");
+  }
+
+  // every owner of a box being opened is expected to sign
+  const signers = [...new Set(prototypeTx.rawTx.from.map(([address]) => address))];
+
+  const envelope = {
+    version: envelopeVersion,
+    networkPrefix,
+    rawTx: prototypeTx.rawTx,
+    messageToSign: prototypeTx.messageToSign,
+    signers
+  };
+  envelope.checksum = calculateChecksum(envelope);
+
+  validateEnvelope(envelope);
+  return envelope;
+}
+
+/**
+ * Check whether an object is a transaction envelope rather than a prototype transaction
+ * @param {object} tx envelope or prototype transaction
+ * @returns {boolean} true if the object holds any field of an envelope
+ */
+function isEnvelope(tx) {
+  return Boolean(tx) && ["version", "signers", "checksum"].some((field) => tx[field] !== undefined);
+}
+
+/**
+ * Verify that an envelope is well-formed, was not corrupted since it was created and that its message to sign is the
+ * one of its raw transaction. The envelope is not authenticated: an envelope altered on purpose with a recomputed
+ * checksum is valid.
+ * @param {object} envelope unsigned transaction envelope
+ * @returns {object} the envelope if valid, otherwise an error is thrown
+ */
+function validateEnvelope(envelope) {
+  if (!envelope || envelope.version !== envelopeVersion) {
+    throw new ValidationError("Unsupported transaction envelope version", "envelope.version");
+  }
+  if (!envelope.checksum) {
+    throw new ValidationError("Transaction envelope has no checksum", "envelope.checksum");
+  }
+  if (envelope.checksum !== calculateChecksum(envelope)) {
+    throw new ValidationError("Transaction envelope checksum mismatch", "envelope.checksum");
+  }
+
+  // the message to sign must be derived from the raw transaction, as verified for node-built transactions
+  if (Base58.encode(txUtils.generateMessageToSign(envelope.rawTx)) !== envelope.messageToSign) {
+    throw new ValidationError("Transaction envelope messageToSign does not match rawTx", "envelope.messageToSign");
+  }
+
+  const validationResult = utils.validateAddressesByNetwork(envelope.networkPrefix, envelope.signers);
+  if (!validationResult.success) {
+    throw invalidAddressesError(envelope.networkPrefix, validationResult, {sender: envelope.signers});
+  }
+  return envelope;
+}
+
+/**
+ * Write an envelope to disk as JSON
+ * @param {object} envelope unsigned transaction envelope
+ * @param {string} filePath destination file
+ * @returns {string} the path written to
+ */
+function writeEnvelope(envelope, filePath) {
+  validateEnvelope(envelope);
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(envelope, null, 2));
+  } catch (error) {
+    throw new FileError("Error exporting the transaction envelope to file", filePath, error);
+  }
+  return filePath;
+}
+
+/**
+ * Read and validate an envelope from disk
+ * @param {string} filePath path to the envelope JSON
+ * @returns {object} the validated envelope
+ */
+function readEnvelope(filePath) {
+  let envelope;
+  try {
+    envelope = JSON.parse(fs.readFileSync(filePath));
+  } catch (error) {
+    throw new FileError("Error reading the transaction envelope from file", filePath, error);
+  }
+  return validateEnvelope(envelope);
+}
+
+/**
+ * Check a signed transaction against the envelope it was created from.
+ * The transaction body must be unchanged, every signature must be valid for the
+ * message to sign and every expected signer must have signed.
+ *
+ * @param {object} envelope unsigned transaction envelope
+ * @param {object} signedTx transaction returned by `addSigToTx`
+ * @returns {object} the signed transaction, ready for `broadcastTx`
+ */
+function importSignedTx(envelope, signedTx) {
+  validateEnvelope(envelope);
+  if (!signedTx || !signedTx.signatures || Object.keys(signedTx.signatures).length < 1) {
+    throw new ValidationError("Tx must include signatures", "signedTx.signatures");
+  }
+
+  // the signed transaction must be identical to the envelope apart from the signatures
+  const {signatures, ...body} = signedTx;
+  if (Hash.any({...body, signatures: {}}, "base58") !== Hash.any({...envelope.rawTx, signatures: {}}, "base58")) {
+    throw new ValidationError("Signed transaction does not match the transaction envelope", "signedTx");
+  }
+
+  const signed = Object.entries(signatures).map(([proposition, signature]) => {
+    const propositionBytes = Buffer.from(Base58.decode(proposition));
+
+    // threshold propositions carry a proof made of several signatures
+    if (propositionBytes[0] === utils.propositionTypes.ThresholdCurve25519) {
+      if (!ThresholdSignature.verify(proposition, envelope.messageToSign, signature)) {
+        throw new ValidationError(`Invalid signature for proposition: ${proposition}`, `signedTx.signatures.${proposition}`);
+      }
+      return ThresholdProposition.decode(proposition, envelope.networkPrefix).address;
+    }
+
+    const propositionType = Object.keys(utils.propositionTypes).find((type) => utils.propositionTypes[type] === propositionBytes[0]);
+    const pk = propositionBytes.slice(1);
+    const sig = Buffer.from(Base58.decode(signature)).slice(1);
+    if (!propositionType || !KeyManager.verify(pk, envelope.messageToSign, sig, propositionType.replace("PublicKey", ""))) {
+      throw new ValidationError(`Invalid signature for proposition: ${proposition}`, `signedTx.signatures.${proposition}`);
+    }
+    return utils.generatePubKeyHashAddress(pk, envelope.networkPrefix, propositionType).address;
+  });
+
+  const missing = envelope.signers.filter((address) => !signed.includes(address));
+  if (missing.length > 0) {
+    throw new ValidationError(`Missing signatures for: ${missing}`, "signedTx.signatures");
+  }
+  return signedTx;
+}
+
+module.exports = {
+  createEnvelope,
+  isEnvelope,
+  validateEnvelope,
+  writeEnvelope,
+  readEnvelope,
+  importSignedTx
+};
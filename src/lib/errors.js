@@ -0,0 +1,274 @@
+/**
+ * Error classes thrown by BramblJS.
+ *
+ * Every error extends `BramblError`, so that callers may distinguish failures by type:
+ * - `ValidationError`: invalid arguments, `field` holds the path of the offending parameter
+ * - `NetworkError`: the chain provider could not be reached or did not answer in time
+ * - `JsonRpcError`: the chain provider answered with a json-rpc error
+ * - `TransactionRejectedError`: the node refused a broadcasted transaction
+ * - `TransactionTrackingError`: a tracked transaction was dropped or not confirmed in time
+ * - `ChainReorganizationError`: a chain reorganization reached beyond the blocks known to a block stream
+ * - `TransactionVerificationError`: a raw transaction built by the chain provider does not match the requested transfer
+ * - `NetworkMismatchError`: the chain provider is not on the network BramblJS is configured for
+ * - `KeyLockedError`: a locked or uninitialized key was used
+ * - `FileError`: a file (keyfile, transaction envelope) could not be read or written
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports errors BramblError, ValidationError, NetworkError, JsonRpcError, TransactionRejectedError, TransactionTrackingError, ChainReorganizationError, TransactionVerificationError, NetworkMismatchError, KeyLockedError, FileError, toJsonRpcError, invalidAddressesError
+ */
+
+"use strict";
+
+/**
+ * @class BramblError
+ * @classdesc Base class of every error thrown by BramblJS
+ */
+class BramblError extends Error {
+  /**
+   * @constructor
+   * @param {string} message error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @class ValidationError
+ * @classdesc An argument failed validation
+ */
+class ValidationError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {string} [field] path of the invalid parameter, i.e. "params.recipients[0][1]"
+   */
+  constructor(message, field) {
+    super(message);
+    this.field = field;
+  }
+}
+
+/**
+ * @class NetworkError
+ * @classdesc The chain provider could not be reached, the connection dropped or the request timed out
+ */
+class NetworkError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {object} [details] error details
+   * @param {string} [details.code] system error code, i.e. "ECONNREFUSED" or "ETIMEDOUT"
+   * @param {Error} [details.cause] underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.code = details.code;
+    this.cause = details.cause;
+  }
+
+  /**
+   * Wrap an error raised by a transport
+   * @static
+   * @param {Error} err error raised while sending a request
+   * @returns {NetworkError} the error itself if it already is a BramblError, a new NetworkError otherwise
+   */
+  static from(err) {
+    if (err instanceof BramblError) return err;
+    const message = err && err.message ? err.message : String(err);
+    return new NetworkError(`Unable to reach the chain provider - ${message}`, {code: err && err.code, cause: err});
+  }
+}
+
+/**
+ * @class JsonRpcError
+ * @classdesc The chain provider answered a request with a json-rpc error
+ */
+class JsonRpcError extends BramblError {
+  /**
+   * @constructor
+   * @param {object} response json-rpc response holding an error object {code, message, data}
+   */
+  constructor(response) {
+    const error = response.error || {};
+    super(error.message || "Unknown json-rpc error");
+    this.code = error.code;
+    this.data = error.data;
+    this.id = response.id;
+    this.response = response;
+  }
+}
+
+/**
+ * @class TransactionRejectedError
+ * @classdesc The node refused to accept a broadcasted transaction
+ */
+class TransactionRejectedError extends JsonRpcError {
+  /**
+   * @constructor
+   * @param {object} response json-rpc response holding an error object {code, message, data}
+   * @param {string} [txId] id of the rejected transaction
+   */
+  constructor(response, txId) {
+    super(response);
+    this.txId = txId;
+  }
+}
+
+/**
+ * @class TransactionTrackingError
+ * @classdesc A tracked transaction did not reach the requested number of confirmations
+ */
+class TransactionTrackingError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {string} txId id of the tracked transaction
+   * @param {string} status last status of the transaction, i.e. "dropped" or "timedOut"
+   */
+  constructor(message, txId, status) {
+    super(message);
+    this.txId = txId;
+    this.status = status;
+  }
+}
+
+/**
+ * @class ChainReorganizationError
+ * @classdesc A chain reorganization replaced more blocks than a block stream remembers
+ */
+class ChainReorganizationError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {number} height height of the oldest block rolled back
+   */
+  constructor(message, height) {
+    super(message);
+    this.height = height;
+  }
+}
+
+/**
+ * @class TransactionVerificationError
+ * @classdesc A raw transaction built by the chain provider does not match the requested transfer, it must not be signed
+ */
+class TransactionVerificationError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {string[]} mismatches description of every difference found
+   */
+  constructor(message, mismatches) {
+    super(message);
+    this.mismatches = mismatches;
+  }
+}
+
+/**
+ * @class NetworkMismatchError
+ * @classdesc The network reported by the chain provider is not the configured one, or is unknown to the network registry
+ */
+class NetworkMismatchError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {string} expected network configured
+   * @param {string|number} detected network reported by the chain provider
+   */
+  constructor(message, expected, detected) {
+    super(message);
+    this.expected = expected;
+    this.detected = detected;
+  }
+}
+
+/**
+ * @class KeyLockedError
+ * @classdesc A locked or uninitialized key was used for an operation that requires an unlocked key
+ */
+class KeyLockedError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} [message] error message
+   */
+  constructor(message = "Key manager is currently locked. Please unlock and try again.") {
+    super(message);
+  }
+}
+
+/**
+ * @class FileError
+ * @classdesc A file could not be read or written
+ */
+class FileError extends BramblError {
+  /**
+   * @constructor
+   * @param {string} message error message
+   * @param {string} [path] path of the file
+   * @param {Error} [cause] underlying error
+   */
+  constructor(message, path, cause) {
+    super(cause && cause.message ? `${message} - ${cause.message}` : message);
+    this.path = path;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Build the error of a json-rpc error response
+ * @param {object} response json-rpc response holding an error object
+ * @param {object} [request] json-rpc request body the response answers
+ * @returns {JsonRpcError} TransactionRejectedError for broadcasts, JsonRpcError otherwise
+ */
+function toJsonRpcError(response, request) {
+  if (request && request.method === "topl_broadcastTx") {
+    const params = Array.isArray(request.params) ? request.params[0] : request.params;
+    return new TransactionRejectedError(response, params && params.tx && params.tx.txId);
+  }
+  return new JsonRpcError(response);
+}
+
+/**
+ * Build the error thrown when the addresses of a request or transaction fail validation
+ *
+ * @param {string} networkPrefix network the addresses were validated against
+ * @param {object} validationResult result of `validateAddressesByNetwork`
+ * @param {object} params method specific parameter object
+ * @returns {ValidationError} error pointing at the first parameter holding an invalid address
+ */
+function invalidAddressesError(networkPrefix, validationResult, params) {
+  const invalid = [...validationResult.invalidAddresses, ...validationResult.invalidChecksums];
+  const candidates = [
+    ...(params.addresses || []).map((address, i) => [`params.addresses[${i}]`, address]),
+    ...(params.sender || []).map((address, i) => [`params.sender[${i}]`, address]),
+    ...(params.recipients || []).map((recipient, i) => [`params.recipients[${i}][0]`, recipient[0]]),
+    ["params.changeAddress", params.changeAddress],
+    ["params.consolidationAddress", params.consolidationAddress]
+  ];
+  const match = candidates.find(([, address]) => invalid.includes(address));
+
+  return new ValidationError("Invalid Addresses::" +
+    " Network Type: <" + networkPrefix + ">" +
+    " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
+    " Invalid Checksums: <" + validationResult.invalidChecksums + ">", match ? match[0] : "params");
+}
+
+module.exports = {
+  BramblError,
+  ValidationError,
+  NetworkError,
+  JsonRpcError,
+  TransactionRejectedError,
+  TransactionTrackingError,
+  ChainReorganizationError,
+  TransactionVerificationError,
+  NetworkMismatchError,
+  KeyLockedError,
+  FileError,
+  toJsonRpcError,
+  invalidAddressesError
+};
@@ -0,0 +1,169 @@
+/**
+ * Estimate the fee of a transaction from the fees paid by recent transactions.
+ *
+ * Notes:
+ * - the size of a transaction is the length of its message to sign plus 98 bytes (proposition and signature) per signature,
+ * - the fee rate (fee per byte) of every transaction in the last `blocks` blocks (read with `getLatestBlock`/`getBlockByHeight`)
+ *   and in the mempool (`getMempool`) is sampled,
+ * - the low, medium and high suggestions apply the 25th, 50th and 75th percentile of the sampled fee rates to the size of the
+ *   transaction, and are never below `minFee`,
+ * - sampled fee rates are cached for `cacheTtl` seconds.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports fees FeeEstimator, feeLevels, getTxSize
+ */
+
+"use strict";
+
+// Utilities
+const txUtils = require("../utils/transaction-utils.js");
+const {getHeadHeight, getBlockTransactions} = require("../utils/block-utils.js");
+const {ValidationError} = require("./errors.js");
+const {toAmount} = require("./amounts.js");
+
+// Percentile of the sampled fee rates applied by every suggestion
+const feeLevels = {
+  low: 25,
+  medium: 50,
+  high: 75
+};
+
+// Default estimator options
+const defaultOptions = {
+  blocks: 10, // recent blocks sampled
+  mempool: true, // sample the transactions of the mempool
+  minFee: "0", // lowest suggested fee
+  cacheTtl: 30 // seconds during which the sampled fee rates are reused
+};
+
+// bytes added to a transaction by every signature: proposition (33 bytes) and signature (65 bytes)
+const signatureSize = 98;
+
+// fee rates are kept in thousandths of a fee unit per byte to stay in integer arithmetic
+const rateScale = BigInt(1000);
+
+/**
+ * Compute the size of a transaction
+ * @param {object} tx transaction json, signed or not
+ * @param {number} [signatures] number of signatures, defaults to the signatures of the transaction (or one per sender)
+ * @returns {number} size in bytes
+ */
+function getTxSize(tx, signatures) {
+  const count = signatures !== undefined ? signatures :
+    Object.keys(tx.signatures || {}).length || new Set((tx.from || []).map(([address]) => address)).size || 1;
+  return txUtils.generateMessageToSign(tx).length + count * signatureSize;
+}
+
+/**
+ * Pick a percentile of sorted values
+ * @param {bigint[]} sorted ascending values
+ * @param {number} percentile percentile between 0 and 100
+ * @returns {bigint} value
+ */
+function percentile(sorted, percentile) {
+  const index = Math.min(sorted.length - 1, Math.floor(sorted.length * percentile / 100));
+  return sorted[index];
+}
+
+/**
+ * @class FeeEstimator
+ * @classdesc Suggest low, medium and high fees from the fees paid by recent transactions
+ */
+class FeeEstimator {
+  #requests;
+  #options;
+  #cache; // {rates, expires}
+
+  /**
+   * @constructor
+   * @param {object} requests Requests instance used to query the chain provider
+   * @param {object} [options] estimator options
+   * @param {number} [options.blocks=10] recent blocks sampled
+   * @param {boolean} [options.mempool=true] sample the transactions of the mempool
+   * @param {bigint|string|number} [options.minFee="0"] lowest suggested fee
+   * @param {number} [options.cacheTtl=30] seconds during which the sampled fee rates are reused
+   */
+  constructor(requests, options = {}) {
+    this.#requests = requests;
+    this.#options = {...defaultOptions, ...options};
+    if (!Number.isInteger(this.#options.blocks) || this.#options.blocks < 0) {
+      throw new ValidationError("Invalid fee options, blocks must be a non-negative Integer", "options.blocks");
+    }
+    if (typeof this.#options.cacheTtl !== "number" || isNaN(this.#options.cacheTtl) || this.#options.cacheTtl < 0) {
+      throw new ValidationError("Invalid fee options, cacheTtl must be a non-negative number", "options.cacheTtl");
+    }
+    try {
+      this.#options.minFee = toAmount(this.#options.minFee, true);
+    } catch (err) {
+      throw new ValidationError("Invalid fee options, minFee must be an Integer", "options.minFee");
+    }
+  }
+
+  /**
+   * Sample the fee rates of recent transactions
+   * @returns {Promise<object>} {low, medium, high} fee rates in thousandths of a fee unit per byte, undefined without samples
+   */
+  async getFeeRates() {
+    if (this.#cache && this.#cache.expires > Date.now()) return this.#cache.rates;
+
+    const txs = [];
+    if (this.#options.blocks) {
+      const height = getHeadHeight((await this.#requests.getLatestBlock()).result) || 0;
+      const heights = [];
+      for (let h = Math.max(1, height - this.#options.blocks + 1); h <= height; h++) heights.push(h);
+      const blocks = await Promise.all(heights.map((h) => this.#requests.getBlockByHeight({height: h})));
+      blocks.forEach((response) => txs.push(...getBlockTransactions(response.result || {})));
+    }
+    if (this.#options.mempool) {
+      txs.push(...((await this.#requests.getMempool()).result || []));
+    }
+
+    const samples = [];
+    txs.forEach((tx) => {
+      try {
+        samples.push(BigInt(tx.fee) * rateScale / BigInt(getTxSize(tx)));
+      } catch (err) {
+        // transactions that can not be serialized (i.e. unsupported types) are not sampled
+      }
+    });
+    samples.sort((a, b) => a > b ? 1 : a < b ? -1 : 0);
+
+    const rates = {};
+    Object.keys(feeLevels).forEach((level) => {
+      rates[level] = samples.length ? percentile(samples, feeLevels[level]) : undefined;
+    });
+    this.#cache = {rates, expires: Date.now() + this.#options.cacheTtl * 1000};
+    return rates;
+  }
+
+  /**
+   * Suggest fees for a transaction
+   * @param {object|number} tx unsigned transaction json (i.e. the `rawTx` built by TransactionBuilder) or its size in bytes
+   * @param {number} [signatures] number of signatures the transaction will carry, defaults to one per sender
+   * @returns {Promise<object>} {low, medium, high, size}, fees as decimal strings
+   */
+  async estimate(tx, signatures) {
+    const size = typeof tx === "number" ? tx : getTxSize(tx, signatures);
+    const rates = await this.getFeeRates();
+
+    const fees = {size};
+    Object.keys(feeLevels).forEach((level) => {
+      // round up so that the fee rate is at least the sampled one
+      const fee = rates[level] === undefined ? BigInt(0) : (rates[level] * BigInt(size) + rateScale - BigInt(1)) / rateScale;
+      fees[level] = (fee > this.#options.minFee ? fee : this.#options.minFee).toString();
+    });
+    return fees;
+  }
+
+  /**
+   * Forget the sampled fee rates
+   * @returns {void}
+   */
+  clearCache() {
+    this.#cache = undefined;
+  }
+}
+
+module.exports = {FeeEstimator, feeLevels, getTxSize};
@@ -0,0 +1,299 @@
+/**
+ * Issuance of assets: definition of an asset, minting of its supply in batches and records of the issued supply.
+ *
+ * Notes:
+ * - an asset is defined by its short name and issued by the key of the KeyManager, its asset code is derived from both,
+ * - a distribution lists the recipients of a mint, as [address, quantity, securityRoot, metadata] tuples,
+ *   {address, quantity, securityRoot, metadata} objects or an {address: quantity} object, the security root and metadata
+ *   of the asset apply to the recipients without their own,
+ * - a distribution larger than `batchSize` recipients is minted by several transactions, sent one after the other. Each
+ *   transaction is confirmed (see `pollTx`) before the next one is built, the last one before the next mint, so that the
+ *   chain provider does not select the poly boxes spent by the previous one, still in the mempool,
+ * - every minting transaction is recorded in the SupplyLedger once broadcast, the transactions of a failed mint sent before
+ *   the failure stay recorded (use `pollTx` to wait for their confirmation),
+ * - the records of a ledger are serialized with `toJSON` and restored by passing them to a new SupplyLedger.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports issuance AssetIssuance, SupplyLedger
+ */
+
+"use strict";
+
+// Utilities
+const {AssetCode} = require("../utils/AssetCode.js");
+const {ValidationError} = require("./errors.js");
+const {parseQuantity, toAmount} = require("./amounts.js");
+
+// largest number of recipients minted by a single transaction
+const defaultBatchSize = 100;
+
+/**
+ * @class SupplyLedger
+ * @classdesc Records of the minting transactions and of the supply issued per asset code
+ */
+class SupplyLedger {
+  #records; // batches indexed by asset code
+
+  /**
+   * @constructor
+   * @param {object} [records] records of a previous ledger, as returned by `toJSON`
+   */
+  constructor(records = {}) {
+    this.#records = new Map();
+    Object.keys(records).forEach((assetCode) => records[assetCode].forEach((batch) => this.record(assetCode, batch)));
+  }
+
+  /**
+   * Record a minting transaction
+   * @param {string} assetCode asset code of the minted asset
+   * @param {object} batch minting transaction {txId, quantity, recipients, timestamp}
+   * @returns {object} recorded batch, the quantity as a decimal string
+   */
+  record(assetCode, batch) {
+    if (!AssetCode.isValid(assetCode)) throw new ValidationError("Invalid asset code", "assetCode");
+    let quantity;
+    try {
+      quantity = toAmount(batch.quantity);
+    } catch (err) {
+      throw new ValidationError(`Invalid minted quantity, ${err.message}`, "batch.quantity");
+    }
+    const recorded = {
+      txId: batch.txId,
+      quantity: quantity.toString(),
+      recipients: (batch.recipients || []).map((recipient) => [...recipient]),
+      timestamp: batch.timestamp || Date.now()
+    };
+    if (!this.#records.has(assetCode)) this.#records.set(assetCode, []);
+    this.#records.get(assetCode).push(recorded);
+    return {...recorded};
+  }
+
+  /**
+   * Total supply issued of an asset
+   * @param {string} assetCode asset code
+   * @returns {string} decimal string, "0" for assets never minted
+   */
+  getIssued(assetCode) {
+    return (this.#records.get(assetCode) || []).reduce((total, batch) => total + BigInt(batch.quantity), BigInt(0)).toString();
+  }
+
+  /**
+   * Minting transactions of an asset
+   * @param {string} assetCode asset code
+   * @returns {object[]} batches {txId, quantity, recipients, timestamp} in minting order
+   */
+  getBatches(assetCode) {
+    return (this.#records.get(assetCode) || []).map((batch) => ({...batch, recipients: batch.recipients.map((r) => [...r])}));
+  }
+
+  /**
+   * List the minted assets
+   * @returns {object[]} {assetCode, issued, batches} per asset code, batches being the number of minting transactions
+   */
+  list() {
+    return [...this.#records.keys()].map((assetCode) => ({
+      assetCode,
+      issued: this.getIssued(assetCode),
+      batches: this.#records.get(assetCode).length
+    }));
+  }
+
+  /**
+   * Records of the ledger
+   * @returns {object} batches indexed by asset code
+   */
+  toJSON() {
+    const records = {};
+    this.#records.forEach((batches, assetCode) => {
+      records[assetCode] = this.getBatches(assetCode);
+    });
+    return records;
+  }
+}
+
+/**
+ * Read the recipients of a distribution
+ * @param {array|object} distribution recipients as tuples, objects or an {address: quantity} object
+ * @param {object} defaults {securityRoot, metadata} of the asset
+ * @returns {array[]} recipients [address, quantity, securityRoot, metadata], quantities as bigint
+ */
+function toRecipients(distribution, defaults) {
+  if (!distribution || typeof distribution !== "object") {
+    throw new ValidationError("A distribution of the minted supply must be specified", "distribution");
+  }
+  const entries = Array.isArray(distribution) ? distribution :
+    Object.keys(distribution).map((address) => [address, distribution[address]]);
+  if (entries.length < 1) {
+    throw new ValidationError("At least one recipient must be specified", "distribution");
+  }
+
+  return entries.map((entry, i) => {
+    const recipient = Array.isArray(entry) ? entry : [entry.address, entry.quantity, entry.securityRoot, entry.metadata];
+    if (!recipient[0]) throw new ValidationError("Recipient address must be specified", `distribution[${i}].address`);
+    return [
+      recipient[0],
+      parseQuantity(recipient, `distribution[${i}].quantity`),
+      recipient[2] !== undefined ? recipient[2] : defaults.securityRoot,
+      recipient[3] !== undefined ? recipient[3] : defaults.metadata
+    ];
+  });
+}
+
+/**
+ * Recipient tuple as sent in the transaction parameters, without the undefined trailing options
+ * @param {array} recipient [address, quantity, securityRoot, metadata]
+ * @returns {array} recipient tuple, the quantity as a decimal string
+ */
+function toTuple([address, quantity, securityRoot, metadata]) {
+  const tuple = [address, quantity.toString()];
+  if (securityRoot !== undefined || metadata !== undefined) tuple.push(securityRoot);
+  if (metadata !== undefined) tuple.push(metadata);
+  return tuple;
+}
+
+/**
+ * @class AssetIssuance
+ * @classdesc Asset issued by the key of a Brambl instance, minted in batches recorded in the supply ledger of the instance
+ */
+class AssetIssuance {
+  #brambl;
+  #assetCode;
+  #securityRoot;
+  #metadata;
+  #maxSupply;
+  #unconfirmed; // id of the last minting transaction, confirmed before the next one is built
+
+  /**
+   * @constructor
+   * @param {object} brambl Brambl instance holding the issuer key
+   * @param {object} definition asset definition
+   * @param {string} definition.shortName name of the asset, up to 8 bytes long in latin-1 encoding
+   * @param {string} [definition.securityRoot] security root of the minted boxes, base58 encoded 32 bytes
+   * @param {string} [definition.metadata] metadata of the minted boxes, up to 128 bytes in latin-1 encoding
+   * @param {bigint|string|number} [definition.maxSupply] largest total supply, mints above it are refused
+   */
+  constructor(brambl, definition) {
+    if (!definition) throw new ValidationError("An asset definition must be specified", "definition");
+    this.#brambl = brambl;
+    this.#assetCode = AssetCode.parse(brambl.createAssetCode(definition.shortName));
+    this.#securityRoot = definition.securityRoot;
+    this.#metadata = definition.metadata;
+    if (definition.maxSupply !== undefined) {
+      try {
+        this.#maxSupply = toAmount(definition.maxSupply);
+      } catch (err) {
+        throw new ValidationError(`Invalid maxSupply, ${err.message}`, "definition.maxSupply");
+      }
+    }
+  }
+
+  /**
+   * Asset code of the asset
+   * @returns {string} base58 encoded asset code
+   */
+  get assetCode() {
+    return this.#assetCode.encode();
+  }
+
+  /**
+   * Name of the asset
+   * @returns {string} short name
+   */
+  get shortName() {
+    return this.#assetCode.shortName;
+  }
+
+  /**
+   * Total supply issued, as recorded by the supply ledger of the Brambl instance
+   * @returns {string} decimal string
+   */
+  get issued() {
+    return this.#brambl.supply.getIssued(this.assetCode);
+  }
+
+  /**
+   * Supply left to mint
+   * @returns {string|undefined} decimal string, undefined without maxSupply
+   */
+  get remaining() {
+    if (this.#maxSupply === undefined) return undefined;
+    return (this.#maxSupply - BigInt(this.issued)).toString();
+  }
+
+  /**
+   * Minting transactions of the asset
+   * @returns {object[]} batches {txId, quantity, recipients, timestamp} in minting order
+   */
+  get batches() {
+    return this.#brambl.supply.getBatches(this.assetCode);
+  }
+
+  /**
+   * Mint supply of the asset
+   * @param {array|object} distribution recipients of the minted supply
+   * @param {object} [options] minting options
+   * @param {number} [options.batchSize=100] largest number of recipients per transaction
+   * @param {bigint|string|number} [options.fee] fee of every transaction, suggested by `brambl.fees` when omitted
+   * @param {string} [options.feeLevel="medium"] fee suggestion applied when the fee is omitted
+   * @param {string} [options.changeAddress] address receiving the change in polys, defaults to the issuer
+   * @param {string[]} [options.sender] addresses paying the fee, defaults to the issuer
+   * @param {string} [options.data] data of every transaction
+   * @param {object} [options.poll] `pollTx` options of the wait for the confirmation of the previous batch
+   * @returns {Promise<object[]>} recorded batches {txId, quantity, recipients, timestamp, result}, `result` being the
+   * response of the chain provider to the broadcast
+   */
+  async mint(distribution, options = {}) {
+    const batchSize = options.batchSize === undefined ? defaultBatchSize : options.batchSize;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new ValidationError("Invalid batchSize, must be a positive Integer", "options.batchSize");
+    }
+    const recipients = toRecipients(distribution, {securityRoot: this.#securityRoot, metadata: this.#metadata});
+    const quantity = recipients.reduce((total, recipient) => total + recipient[1], BigInt(0));
+    if (this.#maxSupply !== undefined && BigInt(this.issued) + quantity > this.#maxSupply) {
+      throw new ValidationError(`Minting ${quantity} exceeds the maximum supply, ${this.remaining} left`, "distribution");
+    }
+
+    // the handshake may move the issuer key to another network, changing the asset code
+    await this.#brambl.connect();
+    const issuer = this.#brambl.keyManager.address;
+    if (!this.#assetCode.isIssuedBy(issuer)) {
+      throw new ValidationError(`The asset ${this.#assetCode.label} is not issued by ${issuer}`, "keyManager");
+    }
+
+    const minted = [];
+    for (let start = 0; start < recipients.length; start += batchSize) {
+      // a batch may only spend the change of the previous one once it is confirmed
+      if (this.#unconfirmed) {
+        await this.#brambl.pollTx(this.#unconfirmed, options.poll);
+        this.#unconfirmed = undefined;
+      }
+      const batch = recipients.slice(start, start + batchSize).map(toTuple);
+      const params = {
+        propositionType: this.#brambl.keyManager.propositionType,
+        recipients: batch,
+        assetCode: this.assetCode,
+        sender: options.sender || [issuer],
+        changeAddress: options.changeAddress || issuer,
+        minting: true,
+        fee: options.fee,
+        feeLevel: options.feeLevel,
+        data: options.data
+      };
+      Object.keys(params).forEach((key) => params[key] === undefined && delete params[key]);
+
+      const res = await this.#brambl.transaction("createRawAssetTransfer", params);
+      const recorded = this.#brambl.supply.record(this.assetCode, {
+        txId: res && res.result && res.result.txId,
+        quantity: batch.reduce((total, recipient) => total + BigInt(recipient[1]), BigInt(0)),
+        recipients: batch
+      });
+      minted.push({...recorded, result: res && res.result});
+      this.#unconfirmed = recorded.txId;
+    }
+    return minted;
+  }
+}
+
+module.exports = {AssetIssuance, SupplyLedger};
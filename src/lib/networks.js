@@ -0,0 +1,140 @@
+/**
+ * Registry of the networks known to BramblJS.
+ *
+ * Notes:
+ * - a network is identified by its name (i.e. "private") and by its prefix byte, the first byte of its addresses,
+ * - the Topl networks (local, private, toplnet, valhalla, hel) are registered by default and can not be removed,
+ * - custom networks (i.e. private testnets) are registered at runtime, before creating the Brambl, Requests or
+ *   KeyManager instances using them,
+ * - every network may define the url of its default chain provider, used by Requests when no url is given.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports networks registerNetwork, unregisterNetwork, getNetwork, hasNetwork, listNetworks, getNetworkNames
+ */
+
+"use strict";
+
+// Errors
+const {ValidationError} = require("./errors.js");
+
+// url of the chain provider of the networks without a default url
+const fallbackUrl = "http://localhost:9085/";
+
+// Networks registered by default
+const builtinNetworks = [
+  {name: "local", prefix: 0x30, url: "http://localhost:9085/"},
+  {name: "private", prefix: 0x40, url: "http://localhost:9085/"},
+  {name: "toplnet", prefix: 0x01},
+  {name: "valhalla", prefix: 0x10},
+  {name: "hel", prefix: 0x20}
+];
+
+// registered networks indexed by name
+const networks = new Map();
+
+/**
+ * Describe a network in the shape returned by the registry
+ * @param {object} network registered network
+ * @returns {object} {name, prefix, hex, url, builtin}
+ */
+function describe(network) {
+  return {
+    name: network.name,
+    prefix: network.prefix,
+    hex: `0x${network.prefix.toString(16).padStart(2, "0")}`,
+    url: network.url || fallbackUrl,
+    builtin: network.builtin
+  };
+}
+
+/**
+ * Register a network
+ * @param {object} network network definition
+ * @param {string} network.name name of the network, used as networkPrefix by every module
+ * @param {number} network.prefix prefix byte of the addresses of the network, between 0 and 255
+ * @param {string} [network.url] url of the default chain provider of the network
+ * @returns {object} registered network {name, prefix, hex, url, builtin}
+ * @throws {ValidationError} if the definition is invalid or conflicts with a registered network
+ */
+function registerNetwork(network) {
+  if (!network || typeof network.name !== "string" || !/^[A-Za-z0-9_-]+$/.test(network.name)) {
+    throw new ValidationError("A network name made of letters, digits, '-' or '_' must be specified", "network.name");
+  }
+  if (!Number.isInteger(network.prefix) || network.prefix < 0 || network.prefix > 255) {
+    throw new ValidationError("The network prefix must be a byte between 0 and 255", "network.prefix");
+  }
+  if (network.url !== undefined && typeof network.url !== "string") {
+    throw new ValidationError("The network url must be a string", "network.url");
+  }
+  if (networks.has(network.name)) {
+    throw new ValidationError(`Network <${network.name}> is already registered`, "network.name");
+  }
+  const conflict = [...networks.values()].find((registered) => registered.prefix === network.prefix);
+  if (conflict) {
+    throw new ValidationError(`Prefix <${network.prefix}> is already used by network <${conflict.name}>`, "network.prefix");
+  }
+
+  const registered = {name: network.name, prefix: network.prefix, url: network.url, builtin: false};
+  networks.set(registered.name, registered);
+  return describe(registered);
+}
+
+/**
+ * Remove a custom network from the registry
+ * @param {string} name name of the network
+ * @returns {boolean} true if the network was removed
+ * @throws {ValidationError} if the network is a Topl network
+ */
+function unregisterNetwork(name) {
+  const network = networks.get(name);
+  if (network && network.builtin) {
+    throw new ValidationError(`Network <${name}> is a Topl network and can not be removed`, "name");
+  }
+  return networks.delete(name);
+}
+
+/**
+ * Look up a network by name or by prefix byte
+ * @param {string|number} nameOrPrefix name of the network or prefix byte of its addresses
+ * @returns {object|undefined} network {name, prefix, hex, url, builtin}, undefined if unknown
+ */
+function getNetwork(nameOrPrefix) {
+  const network = typeof nameOrPrefix === "number" ?
+    [...networks.values()].find((registered) => registered.prefix === nameOrPrefix) :
+    networks.get(nameOrPrefix);
+  return network ? describe(network) : undefined;
+}
+
+/**
+ * Check whether a network is registered
+ * @param {string} name name of the network
+ * @returns {boolean} true if registered
+ */
+function hasNetwork(name) {
+  return networks.has(name);
+}
+
+/**
+ * List the registered networks
+ * @returns {object[]} networks {name, prefix, hex, url, builtin} in registration order
+ */
+function listNetworks() {
+  return [...networks.values()].map(describe);
+}
+
+/**
+ * List the names of the registered networks
+ * @returns {string[]} names in registration order
+ */
+function getNetworkNames() {
+  return [...networks.keys()];
+}
+
+builtinNetworks.forEach((network) => {
+  registerNetwork(network);
+  networks.get(network.name).builtin = true;
+});
+
+module.exports = {registerNetwork, unregisterNetwork, getNetwork, hasNetwork, listNetworks, getNetworkNames};
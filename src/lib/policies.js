@@ -0,0 +1,165 @@
+/**
+ * Timeout, retry and backoff policies applied to the requests sent to a chain provider.
+ *
+ * Notes:
+ * - every attempt is aborted after `timeout` milliseconds, its AbortSignal is passed to the transport,
+ * - failed attempts are retried up to `retries` times, waiting an exponentially growing delay (with jitter) in between,
+ * - network errors, timeouts and json-rpc errors listed in `retryableCodes` are retried for idempotent requests (reads),
+ *   any other error (i.e. an invalid response or a BramblError raised by the transport) is thrown at once,
+ * - requests that are not idempotent (broadcastTx) are only retried when the request provably never reached the node.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports policies defaultPolicy, resolvePolicy, getBackoffDelay, isConnectionError, isRetryable, sendWithPolicy
+ */
+
+"use strict";
+
+// Dependencies
+const {AbortController} = require("abort-controller");
+
+// Errors
+const {BramblError, NetworkError, JsonRpcError, ValidationError, toJsonRpcError} = require("./errors.js");
+
+// Default policy of every Requests instance
+const defaultPolicy = {
+  timeout: 30000, // milliseconds before an attempt is aborted, 0 disables the timeout
+  retries: 3, // number of retries after the first attempt
+  initialDelay: 250, // milliseconds before the first retry
+  maxDelay: 5000, // upper bound of the delay between two attempts
+  factor: 2, // growth of the delay after every retry
+  jitter: true, // randomize delays so that many clients do not retry in lockstep
+  retryableCodes: [] // json-rpc error codes worth retrying, i.e. [-32603]
+};
+
+// errors raised before a connection is established, the request could not have reached the node
+const connectionErrorCodes = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"];
+
+// errors raised once a connection is established, the node may have received the request
+const interruptionErrorCodes = ["ETIMEDOUT", "ECONNRESET", "ECONNABORTED", "EPIPE"];
+
+/**
+ * Check whether an error was raised before a connection to the node was established
+ * @param {object} err error thrown while sending a request
+ * @returns {boolean} true if the request could not have reached the node
+ */
+function isConnectionError(err) {
+  return !!err && connectionErrorCodes.includes(err.code);
+}
+
+/**
+ * Merge policy overrides into a base policy and validate the result
+ * @param {object} [base=defaultPolicy] policy to extend
+ * @param {object} [overrides] fields to override
+ * @returns {object} resolved policy
+ */
+function resolvePolicy(base = defaultPolicy, overrides = {}) {
+  const policy = {...base, ...overrides};
+
+  ["timeout", "retries", "initialDelay", "maxDelay", "factor"].forEach((field) => {
+    if (typeof policy[field] !== "number" || isNaN(policy[field]) || policy[field] < 0) {
+      throw new ValidationError(`Invalid policy, ${field} must be a non-negative number`, `policy.${field}`);
+    }
+  });
+  if (!Number.isInteger(policy.retries)) {
+    throw new ValidationError("Invalid policy, retries must be an Integer", "policy.retries");
+  }
+  if (!Array.isArray(policy.retryableCodes)) {
+    throw new ValidationError("Invalid policy, retryableCodes must be a list of json-rpc error codes", "policy.retryableCodes");
+  }
+  return policy;
+}
+
+/**
+ * Compute the delay before a retry
+ * @param {object} policy resolved policy
+ * @param {number} attempt number of the failed attempt, starting at 0
+ * @returns {number} delay in milliseconds
+ */
+function getBackoffDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.factor, attempt));
+  // "equal jitter": keep half of the delay and randomize the other half
+  return policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+}
+
+/**
+ * Decide whether a failed attempt may be retried
+ * @param {object} policy resolved policy
+ * @param {object} err error thrown by the attempt
+ * @param {boolean} idempotent false if sending the request twice may have side effects
+ * @returns {boolean} true if the request may be sent again
+ */
+function isRetryable(policy, err, idempotent) {
+  // json-rpc error response, the node received and answered the request
+  if (err instanceof JsonRpcError) {
+    return idempotent && policy.retryableCodes.includes(err.code);
+  }
+  // other errors of BramblJS (i.e. a validation error of the transport) would fail again
+  if (err instanceof BramblError && !(err instanceof NetworkError)) return false;
+  // the request was never sent, retrying is always safe
+  if (isConnectionError(err)) return true;
+  // timeouts and dropped connections are ambiguous: the node may have processed the request
+  const interrupted = err instanceof NetworkError || (!!err && interruptionErrorCodes.includes(err.code));
+  return idempotent && interrupted;
+}
+
+/**
+ * Wait for the given duration
+ * @param {number} ms duration in milliseconds
+ * @returns {Promise<void>} resolved after the duration
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a request through a transport, aborting it after the timeout of the policy
+ * @param {object} transport transport implementing `send(body, options)`, options are {signal, idempotent}
+ * @param {object|object[]} body json-rpc request body or batch
+ * @param {number} timeout milliseconds before the attempt is aborted, 0 disables the timeout
+ * @param {boolean} idempotent false if sending the request twice may have side effects
+ * @returns {Promise<object|object[]>} json-rpc response
+ */
+function sendWithTimeout(transport, body, timeout, idempotent) {
+  if (!timeout) return transport.send(body, {idempotent});
+
+  const controller = new AbortController();
+  let timeoutID;
+  const timer = new Promise((resolve, reject) => {
+    timeoutID = setTimeout(() => {
+      controller.abort();
+      reject(new NetworkError(`Request timed out after ${timeout}ms`, {code: "ETIMEDOUT"}));
+    }, timeout);
+  });
+
+  const response = transport.send(body, {signal: controller.signal, idempotent});
+  return Promise.race([response, timer]).finally(() => clearTimeout(timeoutID));
+}
+
+/**
+ * Send a request applying the timeout and retry policy
+ * @param {object} transport transport implementing `send(body, options)`
+ * @param {object|object[]} body json-rpc request body or batch
+ * @param {object} policy resolved policy
+ * @param {boolean} [idempotent=true] false if sending the request twice may have side effects
+ * @returns {Promise<object|object[]>} json-rpc response
+ * @throws {JsonRpcError} if the chain provider answered with an error (per item errors of a batch are returned)
+ * @throws {NetworkError} if the chain provider could not be reached
+ */
+async function sendWithPolicy(transport, body, policy, idempotent = true) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await sendWithTimeout(transport, body, policy.timeout, idempotent);
+      if (response && response.error) throw toJsonRpcError(response, body);
+      return response;
+    } catch (err) {
+      if (attempt >= policy.retries || !isRetryable(policy, err, idempotent)) {
+        throw err instanceof BramblError ? err : NetworkError.from(err);
+      }
+      await sleep(getBackoffDelay(policy, attempt));
+    }
+  }
+}
+
+module.exports = {defaultPolicy, resolvePolicy, getBackoffDelay, isConnectionError, isRetryable, sendWithPolicy};
@@ -0,0 +1,156 @@
+/**
+ * Coin selection strategies choosing the boxes opened by a transfer.
+ *
+ * Strategies:
+ * - `largest-first`: open the largest boxes first, the fewest inputs (default)
+ * - `smallest-first`: open the smallest boxes first, spending small boxes before they become dust
+ * - `minimize-change`: open the boxes leaving the smallest change, an exact match creates no change at all
+ * - `consolidate-dust`: open the largest boxes first, then every box below `dustThreshold` to merge them into the change
+ *
+ * Every strategy receives the available boxes as a list of {address, box} and returns the selected ones.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports selection strategies, defaultStrategy, defaultDustThreshold, validateSelection, selectBoxes
+ */
+
+"use strict";
+
+// Errors
+const {ValidationError} = require("./errors.js");
+
+const defaultStrategy = "largest-first";
+const defaultDustThreshold = "100";
+
+/**
+ * Read the quantity of a box
+ * @param {object} item {address, box}
+ * @returns {bigint} quantity
+ */
+function quantityOf(item) {
+  return BigInt(item.box.value.quantity);
+}
+
+/**
+ * Sort boxes by quantity
+ * @param {object[]} available list of {address, box}
+ * @param {boolean} descending largest first if true
+ * @returns {object[]} sorted copy
+ */
+function sortByQuantity(available, descending) {
+  return [...available].sort((a, b) => {
+    const diff = descending ? quantityOf(b) - quantityOf(a) : quantityOf(a) - quantityOf(b);
+    return diff > 0 ? 1 : diff < 0 ? -1 : 0;
+  });
+}
+
+/**
+ * Take boxes in order until the amount is covered
+ * @param {object[]} sorted list of {address, box}
+ * @param {bigint} amount amount required
+ * @returns {object[]} selected boxes
+ */
+function takeUntilCovered(sorted, amount) {
+  const selected = [];
+  let total = BigInt(0);
+  for (const item of sorted) {
+    if (total >= amount) break;
+    selected.push(item);
+    total += quantityOf(item);
+  }
+  return selected;
+}
+
+/**
+ * Sum the quantities of boxes
+ * @param {object[]} items list of {address, box}
+ * @returns {bigint} total
+ */
+function sum(items) {
+  return items.reduce((total, item) => total + quantityOf(item), BigInt(0));
+}
+
+const strategies = {
+  "largest-first": (available, amount) => takeUntilCovered(sortByQuantity(available, true), amount),
+
+  "smallest-first": (available, amount) => takeUntilCovered(sortByQuantity(available, false), amount),
+
+  "minimize-change": (available, amount) => {
+    const ascending = sortByQuantity(available, false);
+    const selected = [];
+    let total = BigInt(0);
+    let best;
+    // open the largest boxes one by one, at each step try closing the selection with the smallest box covering the remainder
+    for (const item of sortByQuantity(available, true)) {
+      const remaining = amount - total;
+      if (remaining <= 0) break;
+      const closing = ascending.find((candidate) => !selected.includes(candidate) && quantityOf(candidate) >= remaining);
+      if (closing) {
+        const change = quantityOf(closing) - remaining;
+        if (!best || change < best.change) best = {selected: [...selected, closing], change};
+        if (change === BigInt(0)) break;
+      }
+      selected.push(item);
+      total += quantityOf(item);
+    }
+    if (total >= amount && (!best || total - amount < best.change)) return selected;
+    return best ? best.selected : selected;
+  },
+
+  "consolidate-dust": (available, amount, options) => {
+    const selected = takeUntilCovered(sortByQuantity(available, true), amount);
+    const threshold = BigInt(options.dustThreshold);
+    const dust = available.filter((item) => !selected.includes(item) && quantityOf(item) < threshold);
+    return [...selected, ...dust];
+  }
+};
+
+/**
+ * Validate the coin selection parameters of a transfer
+ * @param {object} params transfer parameters
+ * @param {string} [params.selectionStrategy] name of the strategy
+ * @param {number|string} [params.dustThreshold] quantity below which boxes are consolidated by `consolidate-dust`
+ * @returns {void} throws if the parameters are invalid
+ */
+function validateSelection(params) {
+  if (params.selectionStrategy !== undefined && !strategies[params.selectionStrategy]) {
+    throw new ValidationError(`Invalid selection strategy. Must be one of: ${Object.keys(strategies)}`, "params.selectionStrategy");
+  }
+  if (params.dustThreshold !== undefined) {
+    let threshold;
+    try {
+      threshold = BigInt(params.dustThreshold);
+    } catch (err) {
+      threshold = undefined;
+    }
+    if (threshold === undefined || threshold < BigInt(0)) {
+      throw new ValidationError("Invalid dust threshold, must be a non-negative integer", "params.dustThreshold");
+    }
+  }
+}
+
+/**
+ * Select the boxes covering an amount
+ * @param {object[]} available list of {address, box} to choose from
+ * @param {bigint} amount amount required
+ * @param {string} token token name used for error reporting
+ * @param {object} [options] selection options
+ * @param {string} [options.selectionStrategy="largest-first"] name of the strategy
+ * @param {number|string} [options.dustThreshold=100] quantity below which boxes are consolidated by `consolidate-dust`
+ * @returns {object} {selected, total} where total is the sum of the selected boxes
+ * @throws {ValidationError} if the boxes do not cover the amount
+ */
+function selectBoxes(available, amount, token, options = {}) {
+  const strategy = strategies[options.selectionStrategy || defaultStrategy];
+  const dustThreshold = options.dustThreshold === undefined ? defaultDustThreshold : options.dustThreshold;
+  const selected = strategy(available, amount, {dustThreshold});
+  const total = sum(selected);
+
+  if (total < amount) {
+    throw new ValidationError(`Insufficient funds: ${token} required <${amount}> available <${total}>`, "params.recipients");
+  }
+  return {selected, total};
+}
+
+module.exports = {strategies, defaultStrategy, defaultDustThreshold, validateSelection, selectBoxes};
@@ -0,0 +1,292 @@
+/**
+ * Stream the blocks and transactions of the chain, from a start height to the tip and then following new blocks.
+ *
+ * Notes:
+ * - blocks are read one by one with `getBlockByHeight`, the best block height is read with `getLatestBlock`,
+ * - the parent of every block is compared with the last streamed block, and the last streamed block is verified to still be on
+ *   the best chain while waiting at the tip. A block that left the best chain is rolled back before streaming its replacement,
+ * - the stream remembers the last `maxReorgDepth` blocks, a reorganization reaching further back fails with a ChainReorganizationError,
+ * - a block announced by the best block height but not served yet is read again after the interval, a best block without
+ *   height fails the stream,
+ * - `checkpoint` may be persisted after handling an event and given back to a new stream to resume after the last handled block.
+ *
+ * Events (yielded by the async iterator, or emitted by `start()` under their type):
+ * - `block`: a block of the best chain ({type, height, id, block})
+ * - `transaction`: a transaction of the last block ({type, tx, block}), `block` is the {id, parentId, height, timestamp} of the block
+ * - `rollback`: a streamed block left the best chain ({type, height, id}), blocks are rolled back from the most recent one
+ * - `synced`: every block up to the best block was streamed ({type, height})
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports BlockStream
+ */
+
+"use strict";
+
+// Dependencies
+const EventEmitter = require("events");
+
+// Utilities
+const {getHeadHeight, getBlockId, getBlockSummary, getBlockTransactions} = require("../utils/block-utils.js");
+const {BramblError, JsonRpcError, ValidationError, ChainReorganizationError} = require("./errors.js");
+
+// Default stream options
+const defaultOptions = {
+  from: 1, // height of the first block, or "latest" to only follow new blocks
+  interval: 3, // seconds between two reads of the best block once the stream reached the tip
+  maxReorgDepth: 100, // number of streamed blocks remembered to handle reorganizations
+  transactions: true // stream the transactions of every block
+};
+
+/**
+ * Validate stream options
+ * @param {object} options stream options
+ * @returns {object} options
+ */
+function validateOptions(options) {
+  if (options.from !== "latest" && (!Number.isInteger(options.from) || options.from < 1)) {
+    throw new ValidationError("Invalid stream options, from must be an Integer greater than 0 or \"latest\"", "options.from");
+  }
+  if (typeof options.interval !== "number" || isNaN(options.interval) || options.interval < 0) {
+    throw new ValidationError("Invalid stream options, interval must be a non-negative number", "options.interval");
+  }
+  if (!Number.isInteger(options.maxReorgDepth) || options.maxReorgDepth < 1) {
+    throw new ValidationError("Invalid stream options, maxReorgDepth must be an Integer greater than 0", "options.maxReorgDepth");
+  }
+  const checkpoint = options.checkpoint;
+  if (checkpoint !== undefined && (!checkpoint || !Number.isInteger(checkpoint.height) || checkpoint.height < 0 ||
+      (checkpoint.history !== undefined && !Array.isArray(checkpoint.history)))) {
+    throw new ValidationError("Invalid stream options, checkpoint must be the checkpoint of a block stream", "options.checkpoint");
+  }
+  return options;
+}
+
+/**
+ * @class BlockStream
+ * @classdesc Stream the blocks and transactions of the best chain, handling chain reorganizations
+ */
+class BlockStream extends EventEmitter {
+  #requests;
+  #options;
+  #height; // height of the last streamed block, undefined until resolved from the "latest" block
+  #history = []; // {height, id, parentId} of the last streamed blocks, most recent last
+  #running = false;
+  #stopped = false;
+  #synced = false;
+  #wake;
+  #timeoutID;
+
+  /**
+   * @constructor
+   * @param {object} requests Requests instance used to query the chain provider
+   * @param {object} [options] stream options
+   * @param {number|string} [options.from=1] height of the first block, or "latest" to only follow new blocks
+   * @param {object} [options.checkpoint] `checkpoint` of a previous stream, the stream resumes after its last block
+   * @param {number} [options.interval=3] seconds between two reads of the best block once the stream reached the tip
+   * @param {number} [options.maxReorgDepth=100] number of streamed blocks remembered to handle reorganizations
+   * @param {boolean} [options.transactions=true] stream the transactions of every block
+   */
+  constructor(requests, options = {}) {
+    super();
+    this.#requests = requests;
+    this.#options = validateOptions({...defaultOptions, ...options});
+
+    const checkpoint = this.#options.checkpoint;
+    if (checkpoint) {
+      this.#height = checkpoint.height;
+      this.#history = (checkpoint.history || (checkpoint.id ? [{height: checkpoint.height, id: checkpoint.id}] : []))
+          .slice(-this.#options.maxReorgDepth);
+    } else if (this.#options.from !== "latest") {
+      this.#height = this.#options.from - 1;
+    }
+  }
+
+  /**
+   * Height of the last streamed block
+   * @returns {number|undefined} block height
+   */
+  get height() {
+    return this.#height;
+  }
+
+  /**
+   * Position of the stream, to be persisted and given back as `options.checkpoint` to resume streaming
+   * @returns {object} {height, id, history}
+   */
+  get checkpoint() {
+    const last = this.#history[this.#history.length - 1];
+    return {height: this.#height, id: last ? last.id : undefined, history: this.#history.map((entry) => ({...entry}))};
+  }
+
+  /**
+   * Check whether the stream is being consumed
+   * @returns {boolean} true while running
+   */
+  get isRunning() {
+    return this.#running;
+  }
+
+  /**
+   * Stream the events of the chain
+   * @returns {AsyncGenerator<object>} events of the stream
+   * @throws {ValidationError} if the stream is already being consumed
+   */
+  [Symbol.asyncIterator]() {
+    if (this.#running) throw new ValidationError("The block stream is already running", "stream");
+    this.#running = true;
+    this.#stopped = false;
+    return this.#generate();
+  }
+
+  /**
+   * Emit the events of the chain until the stream is stopped
+   * @returns {Promise<void>} resolved once stopped, rejected on failure unless an "error" listener is registered
+   */
+  async start() {
+    try {
+      for await (const event of this) {
+        this.emit(event.type, event);
+      }
+    } catch (err) {
+      if (!this.listenerCount("error")) throw err;
+      this.emit("error", err);
+    }
+  }
+
+  /**
+   * Stop streaming, the async iterator completes after the event being handled
+   * @returns {void}
+   */
+  stop() {
+    this.#stopped = true;
+    if (this.#wake) this.#wake();
+  }
+
+  /**
+   * Generate the events of the chain
+   * @returns {AsyncGenerator<object>} events of the stream
+   */
+  async* #generate() {
+    try {
+      while (!this.#stopped) {
+        const tip = getHeadHeight((await this.#requests.getLatestBlock()).result);
+        if (tip === undefined) throw new BramblError("Unable to read the height of the best block of the chain provider");
+        if (this.#height === undefined) this.#height = tip;
+        const last = this.#history[this.#history.length - 1];
+
+        if (tip <= this.#height) {
+          // the last streamed block may be replaced by a block of the same height
+          if (last && last.height === this.#height && !(await this.#isOnBestChain(last, tip))) {
+            yield* this.#rollback();
+            continue;
+          }
+          if (!this.#synced) {
+            this.#synced = true;
+            yield {type: "synced", height: this.#height};
+          }
+          await this.#sleep();
+          continue;
+        }
+
+        const height = this.#height + 1;
+        const block = await this.#fetch(height);
+        if (!block) {
+          // the chain provider may announce a best block it does not serve yet
+          await this.#sleep();
+          continue;
+        }
+        // a block which does not state its height is the one requested
+        const summary = getBlockSummary(block);
+        if (summary.height === undefined) summary.height = height;
+        if (last && last.height === this.#height && summary.parentId !== undefined && summary.parentId !== last.id) {
+          yield* this.#rollback();
+          continue;
+        }
+
+        this.#synced = false;
+        yield {type: "block", height: summary.height, id: summary.id, block};
+        if (this.#options.transactions) {
+          for (const tx of getBlockTransactions(block)) {
+            yield {type: "transaction", tx, block: summary};
+          }
+        }
+        // the block only becomes part of the checkpoint once every event it produced was handled
+        this.#history.push({height: summary.height, id: summary.id, parentId: summary.parentId});
+        if (this.#history.length > this.#options.maxReorgDepth) this.#history.shift();
+        this.#height = summary.height;
+      }
+    } finally {
+      this.#running = false;
+      clearTimeout(this.#timeoutID);
+    }
+  }
+
+  /**
+   * Roll back the last streamed block
+   * @returns {AsyncGenerator<object>} rollback event
+   * @throws {ChainReorganizationError} if the reorganization reaches beyond the blocks known to the stream
+   */
+  async* #rollback() {
+    const orphan = this.#history[this.#history.length - 1];
+    yield {type: "rollback", height: orphan.height, id: orphan.id};
+    this.#history.pop();
+    this.#height = orphan.height - 1;
+    this.#synced = false;
+
+    // out of known blocks, the parent of the orphan must still be on the best chain to carry on
+    if (!this.#history.length && orphan.parentId !== undefined && this.#height > 0) {
+      const parent = await this.#fetch(this.#height);
+      if (!parent || getBlockId(parent) !== orphan.parentId) {
+        throw new ChainReorganizationError(
+            `Chain reorganization deeper than the ${this.#options.maxReorgDepth} blocks known to the stream`, orphan.height);
+      }
+      const summary = getBlockSummary(parent);
+      this.#history.push({height: summary.height, id: summary.id, parentId: summary.parentId});
+    }
+  }
+
+  /**
+   * Check whether a streamed block is still on the best chain
+   * @param {object} entry {height, id} of the streamed block
+   * @param {number} [tip] best block height
+   * @returns {Promise<boolean>} false if the block was replaced
+   */
+  async #isOnBestChain(entry, tip) {
+    if (tip !== undefined && tip < entry.height) return false;
+    const block = await this.#fetch(entry.height);
+    return !block || getBlockId(block) === entry.id;
+  }
+
+  /**
+   * Read the block of the best chain at a given height
+   * @param {number} height block height
+   * @returns {Promise<object|undefined>} block json, undefined if the chain provider does not know the height
+   */
+  async #fetch(height) {
+    try {
+      return (await this.#requests.getBlockByHeight({height})).result;
+    } catch (err) {
+      if (err instanceof JsonRpcError) return undefined;
+      throw err;
+    }
+  }
+
+  /**
+   * Wait for the next read of the best block
+   * @returns {Promise<void>} resolved after the interval, on a new block or when the stream is stopped
+   */
+  #sleep() {
+    if (this.#stopped) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.#wake = () => {
+        clearTimeout(this.#timeoutID);
+        this.#wake = undefined;
+        resolve();
+      };
+      this.#timeoutID = setTimeout(this.#wake, this.#options.interval * 1000);
+    });
+  }
+}
+
+module.exports = BlockStream;
@@ -0,0 +1,354 @@
+/**
+ * Event driven tracking of broadcasted transactions.
+ *
+ * Notes:
+ * - a single poll loop serves every tracked transaction, each transaction is checked at its own interval,
+ * - a transaction is looked up in the chain first and in the mempool when it is not included in a block yet,
+ * - confirmations are counted from the height of the best block, a transaction included in the best block has 1 confirmation,
+ * - the block of an included transaction is verified to still be on the best chain at every check, a transaction whose block
+ *   was replaced by a chain reorganization is orphaned and tracked again from the mempool,
+ * - a transaction missing from both the chain and the mempool for `maxFailedQueries` consecutive checks is dropped.
+ *
+ * Events (each listener receives a single object holding the `txId`):
+ * - `pending`: the transaction was found in the mempool ({txId, tx})
+ * - `confirmation`: the transaction gained a confirmation but is not deep enough yet ({txId, tx, confirmations})
+ * - `confirmed`: the transaction reached the requested number of confirmations ({txId, tx, confirmations, block})
+ * - `orphaned`: the block of the transaction left the best chain ({txId, tx, block, status}), `block` is the {id, height} of the
+ *   orphaned block and `status` tells where the transaction is now: "included" (in another block), "pending" or "missing"
+ * - `dropped`: the transaction could no longer be found ({txId})
+ * - `timedOut`: the transaction was not confirmed before the timeout ({txId})
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports TransactionTracker
+ */
+
+"use strict";
+
+// Dependencies
+const EventEmitter = require("events");
+
+// Utilities
+const {getHeadHeight, getBlockId, getBlockHeight} = require("../utils/block-utils.js");
+const {JsonRpcError, ValidationError, TransactionTrackingError} = require("./errors.js");
+
+// Default tracking options, durations are in seconds to match Brambl.pollTx
+const defaultOptions = {
+  timeout: 90, // seconds before a transaction that is not confirmed is given up
+  interval: 3, // seconds between two checks of a transaction
+  maxFailedQueries: 10, // consecutive checks not finding the transaction before it is considered dropped
+  confirmations: 1, // confirmations required before a transaction is confirmed
+  rejectOrphaned: false // give up a transaction as soon as its block leaves the best chain
+};
+
+/**
+ * Validate tracking options
+ * @param {object} options tracking options
+ * @returns {object} options
+ */
+function validateOptions(options) {
+  ["timeout", "interval"].forEach((field) => {
+    if (typeof options[field] !== "number" || isNaN(options[field]) || options[field] < 0) {
+      throw new ValidationError(`Invalid tracking options, ${field} must be a non-negative number`, `options.${field}`);
+    }
+  });
+  ["maxFailedQueries", "confirmations"].forEach((field) => {
+    if (!Number.isInteger(options[field]) || options[field] < 1) {
+      throw new ValidationError(`Invalid tracking options, ${field} must be an Integer greater than 0`, `options.${field}`);
+    }
+  });
+  return options;
+}
+
+/**
+ * Find the block of an included transaction on the best chain
+ * @param {object} requests Requests instance
+ * @param {object} tx transaction json, holding the `blockId` and `blockNumber` of its block
+ * @returns {Promise<object|undefined>} {id, height} of the block if it is on the best chain, undefined otherwise
+ */
+async function findBestChainBlock(requests, tx) {
+  let height = tx.blockNumber === undefined ? undefined : Number(tx.blockNumber);
+  try {
+    if (height === undefined) {
+      height = getBlockHeight((await requests.getBlockById({blockId: tx.blockId})).result);
+    }
+    const block = (await requests.getBlockByHeight({height})).result;
+    return getBlockId(block) === tx.blockId ? {id: tx.blockId, height} : undefined;
+  } catch (err) {
+    // an unknown block or a height above the best block is not on the best chain
+    if (err instanceof JsonRpcError) return undefined;
+    throw err;
+  }
+}
+
+/**
+ * Look a transaction up in the chain, then in the mempool
+ * @param {object} requests Requests instance
+ * @param {string} txId transaction id
+ * @returns {Promise<object>} {status: "included"|"pending"|"missing"|"unknown", tx, block}, "unknown" when the chain provider
+ * could not answer, `block` is the {id, height} of the block including the transaction when known
+ */
+async function lookupTx(requests, txId) {
+  try {
+    const tx = (await requests.getTransactionById({transactionId: txId})).result;
+    // nodes without block details in their transactions cannot be verified against the best chain
+    if (!tx || !tx.blockId) {
+      const height = tx && tx.blockNumber !== undefined ? Number(tx.blockNumber) : undefined;
+      return {status: "included", tx, block: height === undefined ? undefined : {height}};
+    }
+    const block = await findBestChainBlock(requests, tx);
+    if (block) return {status: "included", tx, block};
+  } catch (err) {
+    if (!(err instanceof JsonRpcError)) return {status: "unknown"};
+  }
+  try {
+    const response = await requests.getTransactionFromMempool({transactionId: txId});
+    return {status: "pending", tx: response.result};
+  } catch (err) {
+    return {status: err instanceof JsonRpcError ? "missing" : "unknown"};
+  }
+}
+
+/**
+ * @class TransactionTracker
+ * @classdesc Watch many transactions with a single poll loop and emit their status changes
+ */
+class TransactionTracker extends EventEmitter {
+  #requests;
+  #options;
+  #entries = new Map();
+  #timeoutID;
+  #checking = false;
+
+  /**
+   * @constructor
+   * @param {object} requests Requests instance used to query the chain provider
+   * @param {object} [options] default tracking options of every transaction
+   * @param {number} [options.timeout=90] seconds before a transaction that is not confirmed is given up
+   * @param {number} [options.interval=3] seconds between two checks of a transaction
+   * @param {number} [options.maxFailedQueries=10] consecutive checks not finding the transaction before it is dropped
+   * @param {number} [options.confirmations=1] confirmations required before a transaction is confirmed
+   * @param {boolean} [options.rejectOrphaned=false] give up a transaction as soon as its block leaves the best chain
+   */
+  constructor(requests, options = {}) {
+    super();
+    this.#requests = requests;
+    this.#options = validateOptions({...defaultOptions, ...options});
+  }
+
+  /**
+   * Number of transactions being tracked
+   * @returns {number} number of tracked transactions
+   */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * Check whether a transaction is being tracked
+   * @param {string} txId transaction id
+   * @returns {boolean} true if the transaction is tracked
+   */
+  isTracking(txId) {
+    return this.#entries.has(txId);
+  }
+
+  /**
+   * Start tracking a transaction. Tracking the same transaction twice returns the promise of the first call.
+   * @param {string} txId transaction id
+   * @param {object} [options] tracking options overriding the defaults of the tracker (see constructor)
+   * @returns {Promise<object>} resolved with {txId, tx, confirmations, block} once confirmed
+   * @throws {TransactionTrackingError} if the transaction is dropped, times out, is orphaned (with `rejectOrphaned`) or stops being tracked
+   */
+  track(txId, options = {}) {
+    if (!txId || typeof txId !== "string") throw new ValidationError("A transaction id must be provided", "txId");
+    if (this.#entries.has(txId)) return this.#entries.get(txId).promise;
+
+    const opts = validateOptions({...this.#options, ...options});
+    const now = Date.now();
+    const entry = {
+      txId,
+      confirmations: opts.confirmations,
+      maxFailedQueries: opts.maxFailedQueries,
+      rejectOrphaned: opts.rejectOrphaned,
+      interval: opts.interval * 1000,
+      deadline: now + opts.timeout * 1000,
+      nextCheck: now + opts.interval * 1000,
+      failedQueries: 0,
+      pending: false,
+      depth: 0,
+      block: undefined, // {id, height} of the block including the transaction
+      orphaned: false
+    };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    // listeners may rely on events alone, an ignored promise must not raise an unhandled rejection
+    entry.promise.catch(() => {});
+
+    this.#entries.set(txId, entry);
+    this.#schedule();
+    return entry.promise;
+  }
+
+  /**
+   * Stop tracking a transaction, its promise is rejected
+   * @param {string} txId transaction id
+   * @returns {boolean} true if the transaction was tracked
+   */
+  untrack(txId) {
+    const entry = this.#entries.get(txId);
+    if (!entry) return false;
+    this.#settle(entry, new TransactionTrackingError("Transaction is no longer tracked", txId, "untracked"));
+    return true;
+  }
+
+  /**
+   * Stop tracking every transaction
+   * @returns {void}
+   */
+  stop() {
+    [...this.#entries.keys()].forEach((txId) => this.untrack(txId));
+  }
+
+  /**
+   * Check every tracked transaction now, regardless of its interval
+   * @returns {Promise<void>} resolved once the check completed
+   */
+  async poll() {
+    return this.#check(true);
+  }
+
+  /**
+   * Schedule the next check of the poll loop, at the earliest check or deadline of the tracked transactions
+   * @returns {void}
+   */
+  #schedule() {
+    clearTimeout(this.#timeoutID);
+    this.#timeoutID = undefined;
+    if (!this.#entries.size || this.#checking) return;
+
+    let next = Infinity;
+    this.#entries.forEach((entry) => {
+      next = Math.min(next, entry.nextCheck, entry.deadline);
+    });
+    this.#timeoutID = setTimeout(() => this.#check(false), Math.max(0, next - Date.now()));
+  }
+
+  /**
+   * Check the transactions that are due and emit their status changes
+   * @param {boolean} all check every transaction instead of the due ones only
+   * @returns {Promise<void>} resolved once the check completed
+   */
+  async #check(all) {
+    if (this.#checking) return;
+    this.#checking = true;
+    clearTimeout(this.#timeoutID);
+
+    try {
+      const now = Date.now();
+      this.#entries.forEach((entry) => {
+        if (entry.deadline <= now) {
+          this.emit("timedOut", {txId: entry.txId});
+          this.#settle(entry, new TransactionTrackingError(
+              "Request timed out, transaction was not included in a block before expiration", entry.txId, "timedOut"));
+        }
+      });
+
+      // transactions due within half of their interval are checked early so that they share this round of requests
+      const due = [...this.#entries.values()].filter((entry) => all || entry.nextCheck - entry.interval / 2 <= now);
+      const lookups = await Promise.all(due.map((entry) => lookupTx(this.#requests, entry.txId)));
+
+      // the height of the chain is only needed to count confirmations
+      let height;
+      if (lookups.some((lookup) => lookup.status === "included")) {
+        height = await this.#requests.getLatestBlock().then((response) => getHeadHeight(response.result), () => undefined);
+      }
+
+      due.forEach((entry, i) => {
+        entry.nextCheck = Date.now() + entry.interval;
+        // the transaction may have been untracked while the lookups were running
+        if (this.#entries.get(entry.txId) === entry) this.#update(entry, lookups[i], height);
+      });
+    } finally {
+      this.#checking = false;
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Apply the result of a lookup to a tracked transaction
+   * @param {object} entry tracked transaction
+   * @param {object} lookup result of lookupTx
+   * @param {number} [height] height of the best block
+   * @returns {void}
+   */
+  #update(entry, lookup, height) {
+    const {txId} = entry;
+    const {status, tx, block} = lookup;
+    if (status === "unknown") return;
+
+    // the block including the transaction left the best chain
+    if (entry.block && (status !== "included" || !block || block.id !== entry.block.id)) {
+      const orphanedBlock = entry.block;
+      entry.block = undefined;
+      entry.depth = 0;
+      entry.orphaned = true;
+      this.emit("orphaned", {txId, tx, block: orphanedBlock, status});
+      if (entry.rejectOrphaned) {
+        this.#settle(entry, new TransactionTrackingError("Transaction was orphaned by a chain reorganization", txId, "orphaned"));
+        return;
+      }
+    }
+
+    if (status === "included") {
+      entry.failedQueries = 0;
+      entry.pending = false;
+      entry.block = block;
+      const depth = height !== undefined && block && block.height !== undefined ? height - block.height + 1 : undefined;
+      // without block heights a transaction included in a block has at least one confirmation
+      const confirmations = depth === undefined ? 1 : depth;
+      if (confirmations >= entry.confirmations) {
+        this.emit("confirmed", {txId, tx, confirmations, block});
+        this.#settle(entry, undefined, {txId, tx, confirmations, block});
+      } else if (confirmations > entry.depth) {
+        entry.depth = confirmations;
+        this.emit("confirmation", {txId, tx, confirmations});
+      }
+    } else if (status === "pending") {
+      entry.failedQueries = 0;
+      if (!entry.pending) {
+        entry.pending = true;
+        this.emit("pending", {txId, tx});
+      }
+    } else if (status === "missing") {
+      entry.pending = false;
+      if (++entry.failedQueries >= entry.maxFailedQueries) {
+        this.emit("dropped", {txId});
+        const message = entry.orphaned ?
+          "Transaction was orphaned by a chain reorganization and is no longer in the mempool" :
+          "Unable to find the transaction in the mempool";
+        this.#settle(entry, new TransactionTrackingError(message, txId, "dropped"));
+      }
+    }
+  }
+
+  /**
+   * Stop tracking a transaction and settle its promise
+   * @param {object} entry tracked transaction
+   * @param {Error} [err] rejection reason
+   * @param {object} [result] resolved value
+   * @returns {void}
+   */
+  #settle(entry, err, result) {
+    this.#entries.delete(entry.txId);
+    if (err) entry.reject(err);
+    else entry.resolve(result);
+
+    if (!this.#entries.size) this.#schedule();
+  }
+}
+
+module.exports = TransactionTracker;
@@ -0,0 +1,610 @@
+/**
+ * Transports used by the Requests module to deliver json-rpc messages to a chain provider.
+ *
+ * Every transport implements the same interface:
+ * - `send(body)` resolves with the parsed json-rpc response of the request body (an array of responses for a batch)
+ * - `close()` releases any underlying connection
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports transports HttpTransport, WebSocketTransport, InProcessTransport, FailoverTransport
+ */
+
+"use strict";
+
+// Dependencies
+const fetch = require("node-fetch");
+const {AbortController} = require("abort-controller");
+const {isConnectionError} = require("./policies.js");
+const {NetworkError, JsonRpcError, ValidationError} = require("./errors.js");
+const {getHeadHeight} = require("../utils/block-utils.js");
+
+/**
+ * Build a json-rpc error response
+ * @param {string} id identifier of the request
+ * @param {number} code json-rpc error code
+ * @param {string} message error message
+ * @param {any} [data] additional error information
+ * @returns {object} json-rpc error response
+ */
+function errorResponse(id, code, message, data) {
+  const error = {code, message};
+  if (data !== undefined) error.data = data;
+  return {jsonrpc: "2.0", id, error};
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              HTTP Transport                                */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @class HttpTransport
+ * @classdesc Send every request (or batch of requests) as an HTTP POST
+ */
+class HttpTransport {
+  /**
+   * @constructor
+   * @param {object} params constructor object
+   * @param {string} params.url chain provider location
+   * @param {object} [params.headers] headers sent with every request
+   */
+  constructor(params = {}) {
+    if (!params.url) throw new ValidationError("A url must be specified", "params.url");
+    this.url = params.url;
+    this.headers = params.headers || {"Content-Type": "application/json"};
+  }
+
+  /**
+   * Change the location requests are sent to
+   * @param {string} url chain provider location
+   * @returns {void}
+   */
+  setUrl(url) {
+    this.url = url;
+  }
+
+  /**
+   * Set a header sent with every request
+   * @param {string} name header name
+   * @param {string} value header value
+   * @returns {void}
+   */
+  setHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  /**
+   * Send a json-rpc request
+   * @param {object|object[]} body json-rpc request body or batch
+   * @param {object} [options] request options
+   * @param {object} [options.signal] AbortSignal used to abort the request
+   * @returns {Promise<object|object[]>} json-rpc response or batch responses
+   */
+  async send(body, options = {}) {
+    const payload = {
+      url: this.url,
+      method: "POST",
+      headers: this.headers,
+      body: JSON.stringify(body),
+      signal: options.signal
+    };
+    return (await fetch(this.url, payload)).json();
+  }
+
+  /**
+   * HTTP requests hold no connection, nothing to release
+   * @returns {void}
+   */
+  close() {}
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            WebSocket Transport                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @class WebSocketTransport
+ * @classdesc Send requests over a single persistent WebSocket connection.
+ * Request ids are rewritten internally so that concurrent requests sharing an id are not mixed up.
+ */
+class WebSocketTransport {
+  // Private variables
+  #socket;
+  #connecting;
+  #pending;
+  #nextId;
+
+  /**
+   * @constructor
+   * @param {object} params constructor object
+   * @param {string} params.url chain provider location, i.e. ws://localhost:9085/ws
+   * @param {object} [params.headers] headers sent when opening the connection (ignored by browsers)
+   * @param {function} [params.WebSocket] WebSocket implementation, defaults to the global WebSocket (use the `ws` package in node)
+   */
+  constructor(params = {}) {
+    if (!params.url) throw new ValidationError("A url must be specified", "params.url");
+    this.url = params.url;
+    this.headers = params.headers || {};
+    this.WebSocket = params.WebSocket || global.WebSocket;
+    if (typeof this.WebSocket !== "function") {
+      throw new ValidationError("A WebSocket implementation must be provided", "params.WebSocket");
+    }
+    this.#pending = new Map();
+    this.#nextId = 0;
+  }
+
+  /**
+   * Getter for the connection state
+   * @returns {boolean} true if the connection is open
+   */
+  get isConnected() {
+    return !!this.#socket && this.#socket.readyState === 1;
+  }
+
+  /**
+   * Change the location requests are sent to, the current connection is closed
+   * @param {string} url chain provider location
+   * @returns {void}
+   */
+  setUrl(url) {
+    this.url = url;
+    this.close();
+  }
+
+  /**
+   * Set a header sent when opening the connection, the current connection is closed
+   * @param {string} name header name
+   * @param {string} value header value
+   * @returns {void}
+   */
+  setHeader(name, value) {
+    this.headers[name] = value;
+    this.close();
+  }
+
+  /**
+   * Open the connection if it is not open already
+   * @returns {Promise<object>} the open socket
+   */
+  connect() {
+    if (this.isConnected) return Promise.resolve(this.#socket);
+    if (this.#connecting) return this.#connecting;
+
+    this.#connecting = new Promise((resolve, reject) => {
+      const socket = new this.WebSocket(this.url, [], {headers: this.headers});
+
+      socket.onopen = () => {
+        this.#socket = socket;
+        this.#connecting = undefined;
+        resolve(socket);
+      };
+      socket.onerror = (event) => {
+        if (this.#connecting) {
+          this.#connecting = undefined;
+          reject(new NetworkError(`Unable to connect to ${this.url}: ${event && event.message || "connection error"}`, {code: "ECONNREFUSED"}));
+        }
+      };
+      socket.onclose = () => {
+        if (this.#socket === socket) this.#socket = undefined;
+        this.#rejectPending(new NetworkError("WebSocket connection closed", {code: "ECONNRESET"}));
+      };
+      socket.onmessage = (event) => this.#onMessage(event.data);
+    });
+    return this.#connecting;
+  }
+
+  /**
+   * Number of requests awaiting a response
+   * @returns {number} pending requests
+   */
+  get pendingRequests() {
+    return this.#pending.size;
+  }
+
+  /**
+   * Send a json-rpc request
+   * @param {object|object[]} body json-rpc request body or batch
+   * @param {object} [options] request options
+   * @param {object} [options.signal] AbortSignal used to abort the request, its pending responses are then rejected
+   * @returns {Promise<object|object[]>} json-rpc response or batch responses
+   */
+  async send(body, options = {}) {
+    const {signal} = options;
+    const aborted = () => new NetworkError("Request aborted", {code: "ABORT_ERR"});
+    if (signal && signal.aborted) throw aborted();
+
+    const socket = await this.connect();
+    if (signal && signal.aborted) throw aborted();
+    const requests = Array.isArray(body) ? body : [body];
+    const ids = requests.map(() => String(++this.#nextId));
+
+    const responses = Promise.all(requests.map((request, i) => new Promise((resolve, reject) => {
+      this.#pending.set(ids[i], {id: request.id, resolve, reject});
+    })));
+    if (signal) {
+      // responses that will never be read are no longer awaited
+      const onAbort = () => ids.forEach((id) => {
+        const request = this.#pending.get(id);
+        if (!request) return;
+        this.#pending.delete(id);
+        request.reject(aborted());
+      });
+      const release = () => signal.removeEventListener("abort", onAbort);
+      signal.addEventListener("abort", onAbort);
+      responses.then(release, release);
+    }
+    try {
+      const message = requests.map((request, i) => ({...request, id: ids[i]}));
+      socket.send(JSON.stringify(Array.isArray(body) ? message : message[0]));
+    } catch (err) {
+      ids.forEach((id) => this.#pending.delete(id));
+      throw err;
+    }
+    return Array.isArray(body) ? responses : (await responses)[0];
+  }
+
+  /**
+   * Close the connection, pending requests are rejected
+   * @returns {void}
+   */
+  close() {
+    const socket = this.#socket;
+    this.#socket = undefined;
+    if (socket) socket.close();
+    this.#rejectPending(new NetworkError("WebSocket connection closed", {code: "ECONNRESET"}));
+  }
+
+  /**
+   * Resolve the pending request matching a received message
+   * @param {string} data received message
+   * @returns {void}
+   */
+  #onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return; // not a json-rpc response
+    }
+
+    (Array.isArray(message) ? message : [message]).forEach((response) => {
+      const request = response && this.#pending.get(String(response.id));
+      if (!request) return;
+      this.#pending.delete(String(response.id));
+      request.resolve({...response, id: request.id});
+    });
+  }
+
+  /**
+   * Reject every pending request
+   * @param {Error} err reason
+   * @returns {void}
+   */
+  #rejectPending(err) {
+    this.#pending.forEach((request) => request.reject(err));
+    this.#pending.clear();
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                           In-process Transport                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * @class InProcessTransport
+ * @classdesc Answer requests locally, i.e. with a mock node in tests
+ */
+class InProcessTransport {
+  /**
+   * @constructor
+   * @param {object|function} handlers either a map of json-rpc method to handler function(params, body),
+   * or a single function(body) returning the full json-rpc response. Handlers may be async.
+   */
+  constructor(handlers) {
+    if (!handlers || (typeof handlers !== "function" && typeof handlers !== "object")) {
+      throw new ValidationError("A handler function or a map of method handlers must be specified", "handlers");
+    }
+    this.handlers = handlers;
+    this.requests = [];
+  }
+
+  /**
+   * Register the handler of a json-rpc method
+   * @param {string} method json-rpc method
+   * @param {function} handler function(params, body) returning the result of the method
+   * @returns {void}
+   */
+  on(method, handler) {
+    if (typeof this.handlers === "function") {
+      throw new ValidationError("Method handlers can not be added to a transport using a single handler function", "handlers");
+    }
+    this.handlers[method] = handler;
+  }
+
+  /**
+   * Answer a json-rpc request
+   * @param {object|object[]} body json-rpc request body or batch
+   * @returns {Promise<object|object[]>} json-rpc response or batch responses
+   */
+  async send(body) {
+    this.requests.push(body);
+
+    if (typeof this.handlers === "function") {
+      return this.handlers(body);
+    }
+    if (Array.isArray(body)) {
+      return Promise.all(body.map((request) => this.#answer(request)));
+    }
+    return this.#answer(body);
+  }
+
+  /**
+   * Answer a single json-rpc request using the method handlers
+   * @param {object} body json-rpc request body
+   * @returns {Promise<object>} json-rpc response
+   */
+  async #answer(body) {
+    const handler = this.handlers[body.method];
+    if (typeof handler !== "function") {
+      return errorResponse(body.id, -32601, `Method not found: ${body.method}`);
+    }
+    try {
+      const params = Array.isArray(body.params) ? body.params[0] : body.params;
+      return {jsonrpc: "2.0", id: body.id, result: await handler(params, body)};
+    } catch (err) {
+      return errorResponse(body.id, err.code || -32603, err.message, err.data);
+    }
+  }
+
+  /**
+   * Nothing to release
+   * @returns {void}
+   */
+  close() {}
+}
+
+/* -------------------------------------------------------------------------- */
+/*                            Failover Transport                              */
+/* -------------------------------------------------------------------------- */
+
+// Supported strategies for selecting the endpoint of a read
+const validStrategies = ["failover", "round-robin", "lowest-latency"];
+
+/**
+ * Send a request to an endpoint, aborting it when it is not answered in time or when the caller aborts it
+ * @param {object} transport transport of the endpoint
+ * @param {object|object[]} body json-rpc request body or batch
+ * @param {object} options request options {signal, idempotent}
+ * @param {number} ms milliseconds to wait, 0 waits forever
+ * @returns {Promise<object|object[]>} json-rpc response or a rejection after the timeout
+ */
+function sendWithTimeout(transport, body, options, ms) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (options.signal) options.signal.addEventListener("abort", abort);
+
+  let timeoutID;
+  const timer = new Promise((resolve, reject) => {
+    if (!ms) return;
+    timeoutID = setTimeout(() => {
+      // the request left behind is aborted before the next endpoint is tried
+      controller.abort();
+      reject(new NetworkError(`Request timed out after ${ms}ms`, {code: "ETIMEDOUT"}));
+    }, ms);
+  });
+
+  const response = transport.send(body, {...options, signal: controller.signal});
+  return Promise.race([response, timer]).finally(() => {
+    clearTimeout(timeoutID);
+    if (options.signal) options.signal.removeEventListener("abort", abort);
+  });
+}
+
+/**
+ * @class FailoverTransport
+ * @classdesc Spread requests over several chain providers.
+ * Endpoints failing a request are skipped for a cooldown period and endpoints whose best block height is more than
+ * `maxLag` blocks behind the other endpoints (as seen by the health checks) are avoided.
+ */
+class FailoverTransport {
+  // Private variables
+  #endpoints;
+  #counter;
+  #healthCheckID;
+
+  /**
+   * @constructor
+   * @param {object} params constructor object
+   * @param {Array<string|object>} params.endpoints urls (sent over HTTP) or transports, in order of priority
+   * @param {object} [params.headers] headers sent to the url endpoints
+   * @param {string} [params.strategy="failover"] selection of the endpoint of reads: "failover" (by priority), "round-robin" or "lowest-latency"
+   * @param {number} [params.timeout=10000] milliseconds before an endpoint is considered failed and the next one is tried, 0 disables
+   * @param {number} [params.cooldown=30000] milliseconds a failed endpoint is skipped
+   * @param {number} [params.maxLag=5] number of blocks an endpoint may be behind the best known height
+   * @param {number} [params.healthCheckInterval=0] milliseconds between health checks, 0 disables periodic checks
+   */
+  constructor(params = {}) {
+    if (!Array.isArray(params.endpoints) || params.endpoints.length < 1) {
+      throw new ValidationError("A list of endpoints must be specified", "params.endpoints");
+    }
+    this.strategy = params.strategy || "failover";
+    if (!validStrategies.includes(this.strategy)) {
+      throw new ValidationError(`Invalid strategy. Must be one of: ${validStrategies}`, "params.strategy");
+    }
+    this.headers = params.headers || {"Content-Type": "application/json"};
+    this.timeout = params.timeout !== undefined ? params.timeout : 10000;
+    this.cooldown = params.cooldown !== undefined ? params.cooldown : 30000;
+    this.maxLag = params.maxLag !== undefined ? params.maxLag : 5;
+
+    this.#counter = 0;
+    this.#endpoints = params.endpoints.map((endpoint, i) => {
+      const transport = endpoint.constructor === String ? new HttpTransport({url: endpoint, headers: this.headers}) : endpoint;
+      if (!transport || typeof transport.send !== "function") {
+        throw new ValidationError("Endpoints must be urls or transports implementing send(body)", `params.endpoints[${i}]`);
+      }
+      return {
+        name: endpoint.constructor === String ? endpoint : (transport.url || `endpoint ${i}`),
+        transport,
+        failures: 0,
+        unavailableUntil: 0,
+        height: undefined,
+        latency: undefined,
+        lagging: false
+      };
+    });
+
+    if (params.healthCheckInterval) {
+      this.#healthCheckID = setInterval(() => this.checkHealth().catch(() => {}), params.healthCheckInterval);
+      // health checks alone should not keep the process alive
+      if (this.#healthCheckID.unref) this.#healthCheckID.unref();
+    }
+  }
+
+  /**
+   * Getter for the status of every endpoint
+   * @returns {object[]} list of {name, available, failures, height, latency, lagging}
+   */
+  get endpoints() {
+    const now = Date.now();
+    return this.#endpoints.map((endpoint) => ({
+      name: endpoint.name,
+      available: endpoint.unavailableUntil <= now,
+      failures: endpoint.failures,
+      height: endpoint.height,
+      latency: endpoint.latency,
+      lagging: endpoint.lagging
+    }));
+  }
+
+  /**
+   * Set a header sent with every request of every endpoint
+   * @param {string} name header name
+   * @param {string} value header value
+   * @returns {void}
+   */
+  setHeader(name, value) {
+    this.headers[name] = value;
+    this.#endpoints.forEach(({transport}) => {
+      if (typeof transport.setHeader === "function") transport.setHeader(name, value);
+    });
+  }
+
+  /**
+   * Send a json-rpc request, trying the next endpoint when one fails
+   * @param {object|object[]} body json-rpc request body or batch
+   * @param {object} [options] request options
+   * @param {object} [options.signal] AbortSignal used to abort the request
+   * @param {boolean} [options.idempotent=true] false if sending the request twice may have side effects
+   * @returns {Promise<object|object[]>} json-rpc response or batch responses
+   */
+  async send(body, options = {}) {
+    const idempotent = options.idempotent !== false;
+    let lastError;
+
+    for (const endpoint of this.#order(idempotent)) {
+      if (options.signal && options.signal.aborted) break;
+      try {
+        const started = Date.now();
+        const response = await sendWithTimeout(endpoint.transport, body, options, this.timeout);
+        this.#recordSuccess(endpoint, Date.now() - started);
+        return response;
+      } catch (err) {
+        lastError = err;
+        this.#recordFailure(endpoint);
+        // a request with side effects may only be sent elsewhere if it never reached this endpoint
+        if (!idempotent && !isConnectionError(err)) throw err;
+      }
+    }
+    throw lastError || new NetworkError("Request aborted", {code: "ABORT_ERR"});
+  }
+
+  /**
+   * Query the best block height of every endpoint and flag the endpoints that failed or fell behind
+   * @returns {Promise<object[]>} status of every endpoint (see `endpoints`)
+   */
+  async checkHealth() {
+    const body = {jsonrpc: "2.0", id: "health", method: "topl_head", params: [{}]};
+
+    await Promise.all(this.#endpoints.map(async (endpoint) => {
+      try {
+        const started = Date.now();
+        const response = await sendWithTimeout(endpoint.transport, body, {}, this.timeout);
+        if (!response) throw new NetworkError("Invalid health check response");
+        if (response.error) throw new JsonRpcError(response);
+        endpoint.height = getHeadHeight(response.result);
+        this.#recordSuccess(endpoint, Date.now() - started);
+      } catch (err) {
+        this.#recordFailure(endpoint);
+      }
+    }));
+
+    const heights = this.#endpoints.map((endpoint) => endpoint.height).filter((height) => height !== undefined);
+    const bestHeight = Math.max(...heights);
+    this.#endpoints.forEach((endpoint) => {
+      endpoint.lagging = endpoint.height !== undefined && bestHeight - endpoint.height > this.maxLag;
+    });
+    return this.endpoints;
+  }
+
+  /**
+   * Stop the health checks and close every endpoint
+   * @returns {void}
+   */
+  close() {
+    if (this.#healthCheckID) clearInterval(this.#healthCheckID);
+    this.#healthCheckID = undefined;
+    this.#endpoints.forEach(({transport}) => {
+      if (typeof transport.close === "function") transport.close();
+    });
+  }
+
+  /**
+   * Order the endpoints in which a request is attempted.
+   * Available endpoints come first, ordered by the strategy for reads or by priority otherwise,
+   * followed by lagging and failed endpoints as a last resort.
+   * @param {boolean} idempotent false if sending the request twice may have side effects
+   * @returns {object[]} endpoints
+   */
+  #order(idempotent) {
+    const now = Date.now();
+    const preferred = this.#endpoints.filter((endpoint) => endpoint.unavailableUntil <= now && !endpoint.lagging);
+    const fallback = this.#endpoints.filter((endpoint) => !preferred.includes(endpoint));
+
+    if (idempotent && this.strategy === "round-robin" && preferred.length > 0) {
+      const start = this.#counter++ % preferred.length;
+      preferred.push(...preferred.splice(0, start));
+    } else if (idempotent && this.strategy === "lowest-latency") {
+      // endpoints without measurements are tried first so that every endpoint gets measured
+      preferred.sort((a, b) => (a.latency === undefined ? -1 : a.latency) - (b.latency === undefined ? -1 : b.latency));
+    }
+    // failed endpoints are retried starting with the one that became unavailable first
+    fallback.sort((a, b) => a.lagging - b.lagging || a.unavailableUntil - b.unavailableUntil);
+    return [...preferred, ...fallback];
+  }
+
+  /**
+   * Mark an endpoint as available and update its latency
+   * @param {object} endpoint endpoint state
+   * @param {number} latency milliseconds taken by the request
+   * @returns {void}
+   */
+  #recordSuccess(endpoint, latency) {
+    endpoint.failures = 0;
+    endpoint.unavailableUntil = 0;
+    // exponentially weighted moving average
+    endpoint.latency = endpoint.latency === undefined ? latency : Math.round(0.7 * endpoint.latency + 0.3 * latency);
+  }
+
+  /**
+   * Mark an endpoint as unavailable for the cooldown period
+   * @param {object} endpoint endpoint state
+   * @returns {void}
+   */
+  #recordFailure(endpoint) {
+    endpoint.failures++;
+    endpoint.unavailableUntil = Date.now() + this.cooldown;
+  }
+}
+
+module.exports = {HttpTransport, WebSocketTransport, InProcessTransport, FailoverTransport};
@@ -0,0 +1,252 @@
+/**
+ * Verify a raw transaction built by the chain provider before signing it.
+ *
+ * Notes:
+ * - the `rawTx` returned by the `topl_raw*Transfer` methods is checked against the parameters of the request:
+ *   transaction type, fee, data, minting flag, senders, change outputs and every recipient (address, quantity, asset code,
+ *   security root and metadata), outputs to any other address are refused,
+ * - the first output pays the change in polys, as required by Bifrost, the other outputs are matched by address and value
+ *   whatever their order,
+ * - the new boxes must hold the evidence, type and value of the outputs,
+ * - the `messageToSign` is always recomputed from the raw transaction and refused when it differs, so that the signed
+ *   bytes are the ones verified. The box nonces are not compared, they do not change what the transaction transfers,
+ * - when the box data of the senders is given, the opened boxes must belong to it and the transaction must preserve value
+ *   (inputs = outputs + fee),
+ * - any difference throws a `TransactionVerificationError` listing every mismatch.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports verifier verifyRawTx
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+
+// Utilities
+const txUtils = require("../utils/transaction-utils.js");
+const {parseFee, parseQuantity} = require("./amounts.js");
+const {TransactionVerificationError} = require("./errors.js");
+
+// Transaction type of every transfer method
+const transferTypes = {
+  createRawPolyTransfer: {txType: "PolyTransfer"},
+  createRawArbitTransfer: {txType: "ArbitTransfer"},
+  createRawAssetTransfer: {txType: "AssetTransfer"}
+};
+
+/**
+ * Compare two quantities
+ * @param {string|number|bigint} a quantity
+ * @param {string|number|bigint} b quantity
+ * @returns {boolean} true if both are the same integer
+ */
+function sameQuantity(a, b) {
+  try {
+    return BigInt(a) === BigInt(b);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check whether an output pays a requested recipient
+ * @param {array} output [address, value] output of the raw transaction
+ * @param {object} recipient requested recipient {address, quantity, securityRoot, metadata}
+ * @param {object} params transfer parameters
+ * @param {string} method transfer method
+ * @returns {boolean} true if the output pays the recipient
+ */
+function paysRecipient([address, value], recipient, params, method) {
+  if (address !== recipient.address || !value || !sameQuantity(value.quantity, recipient.quantity)) return false;
+  if (method !== "createRawAssetTransfer") return value.type === "Simple";
+
+  return value.type === "Asset" &&
+    value.assetCode === params.assetCode &&
+    (value.securityRoot || txUtils.emptySecurityRoot) === (recipient.securityRoot || txUtils.emptySecurityRoot) &&
+    (value.metadata || null) === (recipient.metadata || null);
+}
+
+/**
+ * Describe the expected change outputs
+ * @param {string} method transfer method
+ * @param {object} params transfer parameters
+ * @returns {object[]} list of {name, address, type, assetCode}, the change in polys first
+ */
+function expectedChange(method, params) {
+  const change = [{name: "change", address: params.changeAddress, type: "Simple"}];
+  if (method === "createRawArbitTransfer") {
+    change.push({name: "consolidation", address: params.consolidationAddress, type: "Simple"});
+  }
+  if (method === "createRawAssetTransfer" && !params.minting) {
+    change.push({name: "consolidation", address: params.consolidationAddress, type: "Asset", assetCode: params.assetCode});
+  }
+  return change;
+}
+
+/**
+ * Check whether an output is the expected change output
+ * @param {array} output [address, value] output of the raw transaction
+ * @param {object} expected expected change {address, type, assetCode}
+ * @returns {boolean} true if the output pays the change
+ */
+function paysChange([address, value], expected) {
+  return address === expected.address && Boolean(value) && value.type === expected.type &&
+    (!expected.assetCode || value.assetCode === expected.assetCode);
+}
+
+/**
+ * Check whether a new box of the raw transaction holds the evidence, type and value of the expected one
+ * @param {object} expected expected box {evidence, type, value}
+ * @param {object} box new box of the raw transaction
+ * @returns {boolean} true if the box is the expected one
+ */
+function sameBox(expected, box) {
+  if (!box || !box.value) return false;
+  return expected.evidence === box.evidence && expected.type === box.type && expected.value.type === box.value.type &&
+    sameQuantity(expected.value.quantity, box.value.quantity) && expected.value.assetCode === box.value.assetCode &&
+    (expected.value.securityRoot || null) === (box.value.securityRoot || null) &&
+    (expected.value.metadata || null) === (box.value.metadata || null);
+}
+
+/**
+ * Sum the value of boxes by token
+ * @param {object[]} boxes boxes {type, value}
+ * @returns {Map} totals indexed by "PolyBox", "ArbitBox" or the asset code
+ */
+function totalsByToken(boxes) {
+  const totals = new Map();
+  boxes.forEach(({type, value}) => {
+    const token = type === "AssetBox" ? value.assetCode : type;
+    totals.set(token, (totals.get(token) || BigInt(0)) + BigInt(value.quantity));
+  });
+  return totals;
+}
+
+/**
+ * Verify that the opened boxes belong to the senders and that the transaction preserves value
+ * @param {object} rawTx raw transaction
+ * @param {object} params transfer parameters
+ * @param {object} balances result of `lookupBalancesByAddresses` for the senders
+ * @param {bigint} fee requested fee
+ * @param {string[]} mismatches differences found
+ * @returns {void}
+ */
+function verifyBalance(rawTx, params, balances, fee, mismatches) {
+  const result = balances.result || balances;
+  const known = new Map();
+  [].concat(params.sender).forEach((address) => {
+    const entry = result[address];
+    if (!entry || !entry.Boxes) return;
+    Object.values(entry.Boxes).forEach((boxes) => (boxes || []).forEach((box) => known.set(box.id, box)));
+  });
+
+  const inputs = [];
+  rawTx.boxesToRemove.forEach((id) => {
+    if (known.has(id)) inputs.push(known.get(id));
+    else mismatches.push(`opens box <${id}> which is not owned by the senders`);
+  });
+  if (inputs.length !== rawTx.boxesToRemove.length) return;
+
+  const spent = totalsByToken(inputs);
+  const created = totalsByToken(rawTx.newBoxes);
+  created.set("PolyBox", (created.get("PolyBox") || BigInt(0)) + fee);
+  new Set([...spent.keys(), ...created.keys()]).forEach((token) => {
+    // minted assets are created without input
+    if (rawTx.minting && token === params.assetCode) return;
+    const input = spent.get(token) || BigInt(0);
+    const output = created.get(token) || BigInt(0);
+    if (input !== output) mismatches.push(`does not preserve ${token} value: inputs <${input}> outputs and fee <${output}>`);
+  });
+}
+
+/**
+ * Verify a raw transaction built by the chain provider against the parameters of the request
+ * @param {string} method transfer method: "createRawPolyTransfer", "createRawArbitTransfer" or "createRawAssetTransfer"
+ * @param {object} params parameters of the request, recipients as [address, quantity, securityRoot, metadata]
+ * @param {object} result `result` of the request: {rawTx, messageToSign}
+ * @param {object} [balances] result of `lookupBalancesByAddresses` for the senders, enables the verification of the
+ * opened boxes and of the change amounts
+ * @returns {object} the verified result
+ * @throws {TransactionVerificationError} if the raw transaction does not match the request
+ */
+function verifyRawTx(method, params, result, balances) {
+  const transferType = transferTypes[method];
+  if (!transferType) {
+    throw new TransactionVerificationError(`Unable to verify transactions of method ${method}`, [`unknown method <${method}>`]);
+  }
+  const rawTx = result && result.rawTx;
+  if (!rawTx || !Array.isArray(rawTx.to) || !Array.isArray(rawTx.from) || !Array.isArray(rawTx.newBoxes) ||
+    !Array.isArray(rawTx.boxesToRemove) || typeof result.messageToSign !== "string") {
+    throw new TransactionVerificationError("Invalid raw transaction returned by the chain provider", ["malformed raw transaction"]);
+  }
+
+  const mismatches = [];
+  const fee = parseFee(params);
+
+  if (rawTx.txType !== transferType.txType) {
+    mismatches.push(`transaction type <${rawTx.txType}> instead of <${transferType.txType}>`);
+  }
+  if (!sameQuantity(rawTx.fee, fee)) {
+    mismatches.push(`fee <${rawTx.fee}> instead of <${fee}>`);
+  }
+  if ((rawTx.data || null) !== (params.data || null)) {
+    mismatches.push(`data <${rawTx.data}> instead of <${params.data}>`);
+  }
+  if (Boolean(rawTx.minting) !== (method === "createRawAssetTransfer" && params.minting === true)) {
+    mismatches.push(`minting flag <${rawTx.minting}> instead of <${Boolean(params.minting)}>`);
+  }
+  const senders = [].concat(params.sender);
+  rawTx.from.forEach(([address]) => {
+    if (!senders.includes(address)) mismatches.push(`spends boxes of <${address}> which is not a sender`);
+  });
+
+  // the change in polys is the first output, the consolidation and the recipients may follow in any order
+  const [feeChange, ...change] = expectedChange(method, params);
+  if (!rawTx.to.length || !paysChange(rawTx.to[0], feeChange)) {
+    mismatches.push(`change output <${(rawTx.to[0] || [])[0]}> instead of <${feeChange.address}>`);
+  }
+  const outputs = rawTx.to.slice(1);
+  const unpaid = params.recipients.map((recipient, i) => ({
+    address: recipient[0],
+    quantity: parseQuantity(recipient, `params.recipients[${i}][1]`, method === "createRawPolyTransfer"),
+    securityRoot: recipient[2],
+    metadata: recipient[3]
+  }));
+  const unexpected = outputs.filter((output) => {
+    const index = unpaid.findIndex((recipient) => paysRecipient(output, recipient, params, method));
+    if (index >= 0) unpaid.splice(index, 1);
+    return index < 0;
+  });
+  change.forEach((expected) => {
+    const index = unexpected.findIndex((output) => paysChange(output, expected));
+    if (index >= 0) unexpected.splice(index, 1);
+    else mismatches.push(`${expected.name} output missing for <${expected.address}>`);
+  });
+  unexpected.forEach((output) => mismatches.push(`unexpected output <${output[0]}> of <${output[1] && output[1].quantity}>`));
+  unpaid.forEach((recipient) => mismatches.push(`recipient <${recipient.address}> is not paid <${recipient.quantity}>`));
+
+  // the signed message holds the new boxes, which must be the ones of the verified outputs
+  try {
+    const expectedBoxes = txUtils.generateNewBoxes(rawTx);
+    const sameBoxes = expectedBoxes.length === rawTx.newBoxes.length &&
+      expectedBoxes.every((box, i) => sameBox(box, rawTx.newBoxes[i]));
+    if (!sameBoxes) mismatches.push("new boxes do not match the outputs");
+
+    if (Base58.encode(txUtils.generateMessageToSign(rawTx)) !== result.messageToSign) {
+      mismatches.push("messageToSign does not match the raw transaction");
+    }
+    if (balances) verifyBalance(rawTx, params, balances, fee, mismatches);
+  } catch (err) {
+    mismatches.push(`malformed raw transaction: ${err.message}`);
+  }
+
+  if (mismatches.length) {
+    throw new TransactionVerificationError(`Raw transaction does not match the request: ${mismatches.join(", ")}`, mismatches);
+  }
+  return result;
+}
+
+module.exports = {verifyRawTx};
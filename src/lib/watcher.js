@@ -0,0 +1,376 @@
+/**
+ * Watch a set of addresses and report the payments they send and receive.
+ *
+ * Notes:
+ * - the boxes of the watched addresses are read with `lookupBalancesByAddresses` whenever the best block changes,
+ *   boxes that appeared are received and boxes that disappeared are spent,
+ * - box changes are attributed to the transactions of the new blocks (read with `getBlockByHeight`, up to `maxBlocks` blocks)
+ *   and of the mempool, a change that cannot be attributed is reported without `txId`,
+ * - transactions of the mempool creating or spending boxes of the watched addresses are reported as pending payments,
+ * - the boxes received and spent by an address in a transaction are netted per token, so that change is not reported as a payment,
+ * - the first check only records the boxes of the addresses, payments are reported from the second check on.
+ *
+ * Events:
+ * - `incoming`: an address received a payment ({address, txId, token, assetCode, amount, boxes, pending, height})
+ * - `outgoing`: an address sent a payment (same fields), `amount` is the net amount that left the address
+ * - `error`: a check failed, the watcher carries on at the next interval (errors are ignored without listener)
+ *
+ * `token` is one of "Polys", "Arbits" or "Assets" (with the `assetCode` of the asset), `amount` is a decimal string.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports AddressWatcher
+ */
+
+"use strict";
+
+// Dependencies
+const EventEmitter = require("events");
+const Base58 = require("bs58");
+
+// Utilities
+const utils = require("../utils/address-utils.js");
+const txUtils = require("../utils/transaction-utils.js");
+const {getHeadHeight, getBlockTransactions} = require("../utils/block-utils.js");
+const {ValidationError, invalidAddressesError} = require("./errors.js");
+
+// Default watcher options
+const defaultOptions = {
+  interval: 3, // seconds between two checks
+  mempool: true, // report the payments of the transactions in the mempool
+  maxBlocks: 10 // new blocks read at every check to attribute box changes to their transactions
+};
+
+// Token held by every box type
+const boxTokens = {
+  PolyBox: "Polys",
+  ArbitBox: "Arbits",
+  AssetBox: "Assets"
+};
+
+/**
+ * Summarize a box
+ * @param {object} box box json, i.e. an entry of `newBoxes` or of the boxes returned by `lookupBalancesByAddresses`
+ * @returns {object} {id, token, assetCode, quantity, box}
+ */
+function readBox(box) {
+  const token = boxTokens[box.type] || box.type;
+  const value = box.value || {};
+  return {
+    id: box.id,
+    token,
+    assetCode: token === "Assets" ? value.assetCode : undefined,
+    quantity: BigInt(value.quantity || 0),
+    box
+  };
+}
+
+/**
+ * Read the boxes of an address from a `topl_balances` result
+ * @param {object} [entry] balances of the address
+ * @returns {Map<string, object>} boxes by id
+ */
+function readBoxes(entry) {
+  const boxes = new Map();
+  if (!entry || !entry.Boxes) return boxes;
+  Object.keys(entry.Boxes).forEach((type) => {
+    (entry.Boxes[type] || []).forEach((box) => boxes.set(box.id, readBox({type, ...box})));
+  });
+  return boxes;
+}
+
+/**
+ * @class AddressWatcher
+ * @classdesc Report the payments sent and received by a set of addresses
+ */
+class AddressWatcher extends EventEmitter {
+  #requests;
+  #options;
+  #addresses = new Map(); // address => {evidence, boxes}
+  #height; // best block height at the last check
+  #sources = new Map(); // box id => {txId, height} of the transactions that created or spent the box
+  #reported = new Set(); // ids of the mempool transactions already reported
+  #running = false;
+  #checking;
+  #timeoutID;
+
+  /**
+   * @constructor
+   * @param {object} requests Requests instance used to query the chain provider
+   * @param {object} [options] watcher options
+   * @param {string[]} [options.addresses] addresses to watch
+   * @param {number} [options.interval=3] seconds between two checks
+   * @param {boolean} [options.mempool=true] report the payments of the transactions in the mempool
+   * @param {number} [options.maxBlocks=10] new blocks read at every check to attribute box changes to their transactions
+   */
+  constructor(requests, options = {}) {
+    super();
+    this.#requests = requests;
+    this.#options = {...defaultOptions, ...options};
+    if (typeof this.#options.interval !== "number" || isNaN(this.#options.interval) || this.#options.interval < 0) {
+      throw new ValidationError("Invalid watcher options, interval must be a non-negative number", "options.interval");
+    }
+    if (!Number.isInteger(this.#options.maxBlocks) || this.#options.maxBlocks < 1) {
+      throw new ValidationError("Invalid watcher options, maxBlocks must be an Integer greater than 0", "options.maxBlocks");
+    }
+    this.addAddresses(this.#options.addresses || []);
+  }
+
+  /**
+   * Watched addresses
+   * @returns {string[]} addresses
+   */
+  get addresses() {
+    return [...this.#addresses.keys()];
+  }
+
+  /**
+   * Check whether the watcher is running
+   * @returns {boolean} true once started
+   */
+  get isRunning() {
+    return this.#running;
+  }
+
+  /**
+   * Start watching addresses, their boxes are recorded at the next check
+   * @param {string[]} addresses addresses to watch
+   * @returns {void}
+   */
+  addAddresses(addresses) {
+    this.#validateAddresses(addresses);
+    addresses.forEach((address) => {
+      if (this.#addresses.has(address)) return;
+      this.#addresses.set(address, {evidence: Base58.encode(txUtils.getEvidence(address)), boxes: undefined});
+    });
+  }
+
+  /**
+   * Stop watching addresses
+   * @param {string[]} addresses addresses to forget
+   * @returns {void}
+   */
+  removeAddresses(addresses) {
+    this.#validateAddresses(addresses);
+    addresses.forEach((address) => this.#addresses.delete(address));
+  }
+
+  /**
+   * Check that a list of addresses belongs to the network of the Requests instance
+   * @param {string[]} addresses addresses to add or remove
+   * @returns {void}
+   * @throws {ValidationError} if the list or any address is invalid
+   */
+  #validateAddresses(addresses) {
+    if (!Array.isArray(addresses)) throw new ValidationError("A list of addresses must be specified", "addresses");
+    const networkPrefix = this.#requests.networkPrefix;
+    const validationResult = utils.validateAddressesByNetwork(networkPrefix, addresses);
+    if (addresses.length && !validationResult.success) {
+      throw invalidAddressesError(networkPrefix, validationResult, {addresses});
+    }
+  }
+
+  /**
+   * Balances of a watched address as of the last check
+   * @param {string} address watched address
+   * @returns {object|undefined} {Polys, Arbits, Assets: {assetCode: quantity}} as decimal strings, undefined before the first check
+   */
+  getBalances(address) {
+    const watched = this.#addresses.get(address);
+    if (!watched || !watched.boxes) return undefined;
+    const totals = {Polys: BigInt(0), Arbits: BigInt(0), Assets: {}};
+    watched.boxes.forEach(({token, assetCode, quantity}) => {
+      if (token === "Assets") totals.Assets[assetCode] = (totals.Assets[assetCode] || BigInt(0)) + quantity;
+      else if (token in totals) totals[token] += quantity;
+    });
+    const assets = {};
+    Object.keys(totals.Assets).forEach((code) => assets[code] = totals.Assets[code].toString());
+    return {Polys: totals.Polys.toString(), Arbits: totals.Arbits.toString(), Assets: assets};
+  }
+
+  /**
+   * Record the boxes of the watched addresses and check them at every interval
+   * @returns {Promise<void>} resolved once the boxes were recorded
+   */
+  async start() {
+    if (this.#running) return;
+    this.#running = true;
+    try {
+      await this.poll();
+    } finally {
+      this.#schedule();
+    }
+  }
+
+  /**
+   * Stop checking the watched addresses
+   * @returns {void}
+   */
+  stop() {
+    this.#running = false;
+    clearTimeout(this.#timeoutID);
+  }
+
+  /**
+   * Check the watched addresses now
+   * @returns {Promise<void>} resolved once the check completed
+   * @throws {BramblError} if the chain provider could not be queried
+   */
+  async poll() {
+    if (!this.#checking) {
+      this.#checking = this.#check().finally(() => this.#checking = undefined);
+    }
+    return this.#checking;
+  }
+
+  /**
+   * Schedule the next check
+   * @returns {void}
+   */
+  #schedule() {
+    clearTimeout(this.#timeoutID);
+    if (!this.#running) return;
+    this.#timeoutID = setTimeout(() => {
+      this.poll()
+          .catch((err) => {
+            if (this.listenerCount("error")) this.emit("error", err);
+          })
+          .finally(() => this.#schedule());
+    }, this.#options.interval * 1000);
+  }
+
+  /**
+   * Compare the boxes of the watched addresses with the last check, then report the payments of the mempool
+   * @returns {Promise<void>} resolved once the check completed
+   */
+  async #check() {
+    if (!this.#addresses.size) return;
+    const height = getHeadHeight((await this.#requests.getLatestBlock()).result);
+    const unrecorded = [...this.#addresses.values()].some((watched) => !watched.boxes);
+    const mempool = this.#options.mempool ? (await this.#requests.getMempool()).result || [] : [];
+    mempool.forEach((tx) => this.#recordSources(tx, undefined));
+
+    if (height !== this.#height || unrecorded) {
+      if (this.#height !== undefined && height > this.#height) {
+        for (let h = Math.max(this.#height + 1, height - this.#options.maxBlocks + 1); h <= height; h++) {
+          const block = (await this.#requests.getBlockByHeight({height: h})).result;
+          getBlockTransactions(block).forEach((tx) => this.#recordSources(tx, h));
+        }
+      }
+      await this.#compareBoxes(height);
+      this.#height = height;
+    }
+
+    if (this.#options.mempool) this.#reportMempool(mempool);
+    this.#sources.clear();
+  }
+
+  /**
+   * Remember the transaction creating or spending boxes
+   * @param {object} tx transaction json
+   * @param {number} [height] height of the block including the transaction, undefined for the mempool
+   * @returns {void}
+   */
+  #recordSources(tx, height) {
+    const source = {txId: tx.txId, height};
+    (tx.newBoxes || []).forEach((box) => this.#sources.set(box.id, source));
+    (tx.boxesToRemove || []).forEach((id) => this.#sources.set(id, source));
+  }
+
+  /**
+   * Read the boxes of the watched addresses and report the differences with the last check
+   * @param {number} height best block height
+   * @returns {Promise<void>} resolved once reported
+   */
+  async #compareBoxes(height) {
+    const addresses = this.addresses;
+    const balances = (await this.#requests.lookupBalancesByAddresses({addresses})).result || {};
+
+    addresses.forEach((address) => {
+      const watched = this.#addresses.get(address);
+      if (!watched) return;
+      const boxes = readBoxes(balances[address]);
+      const previous = watched.boxes;
+      watched.boxes = boxes;
+      if (!previous) return;
+
+      const changes = [];
+      boxes.forEach((box, id) => {
+        if (!previous.has(id)) changes.push({box, sign: BigInt(1)});
+      });
+      previous.forEach((box, id) => {
+        if (!boxes.has(id)) changes.push({box, sign: BigInt(-1)});
+      });
+      this.#report(address, changes, false, height);
+    });
+  }
+
+  /**
+   * Report the payments of the mempool transactions involving the watched addresses
+   * @param {object[]} mempool transactions of the mempool
+   * @returns {void}
+   */
+  #reportMempool(mempool) {
+    const reported = new Set();
+    mempool.forEach((tx) => {
+      reported.add(tx.txId);
+      if (this.#reported.has(tx.txId)) return;
+
+      this.#addresses.forEach((watched, address) => {
+        const changes = [];
+        (tx.newBoxes || []).forEach((box) => {
+          if (box.evidence === watched.evidence) changes.push({box: readBox(box), sign: BigInt(1)});
+        });
+        (tx.boxesToRemove || []).forEach((id) => {
+          if (watched.boxes && watched.boxes.has(id)) changes.push({box: watched.boxes.get(id), sign: BigInt(-1)});
+        });
+        this.#report(address, changes, true, undefined);
+      });
+    });
+    // transactions leaving the mempool are reported again if they come back
+    this.#reported = reported;
+  }
+
+  /**
+   * Net box changes per transaction and token, then emit the payments
+   * @param {string} address watched address
+   * @param {object[]} changes {box, sign} box received (sign 1) or spent (sign -1)
+   * @param {boolean} pending true for mempool transactions
+   * @param {number} [height] best block height
+   * @returns {void}
+   */
+  #report(address, changes, pending, height) {
+    const payments = new Map();
+    changes.forEach(({box, sign}) => {
+      const source = this.#sources.get(box.id) || {};
+      const key = [source.txId, box.token, box.assetCode].join("|");
+      if (!payments.has(key)) {
+        payments.set(key, {
+          address,
+          txId: source.txId,
+          token: box.token,
+          assetCode: box.assetCode,
+          amount: BigInt(0),
+          boxes: [],
+          pending,
+          height: pending ? undefined : source.height || height
+        });
+      }
+      const payment = payments.get(key);
+      payment.amount += sign * box.quantity;
+      payment.boxes.push(box.box);
+    });
+
+    payments.forEach((payment) => {
+      if (payment.amount === BigInt(0)) return;
+      const incoming = payment.amount > BigInt(0);
+      this.emit(incoming ? "incoming" : "outgoing", {
+        ...payment,
+        amount: (incoming ? payment.amount : -payment.amount).toString()
+      });
+    });
+  }
+}
+
+module.exports = AddressWatcher;
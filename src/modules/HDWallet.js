@@ -0,0 +1,124 @@
+/**
+ * Hierarchical deterministic wallet backed by a BIP-39 mnemonic.
+ * A single mnemonic may be used to regenerate any number of KeyManager keys and addresses.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @namespace HDWallet
+ */
+
+"use strict";
+
+// Modules & utils
+const KeyManager = require("./KeyManager");
+const hdUtils = require("../utils/hd-utils.js");
+const {generateKeyPair} = require("../utils/key-utils.js");
+const utils = require("../utils/address-utils.js");
+const {ValidationError} = require("../lib/errors.js");
+
+/**
+ * @class HDWallet
+ * @memberof HDWallet
+ * @classdesc Derive many keys from one mnemonic backup
+ */
+class HDWallet {
+  // Private variables
+  #mnemonic;
+  #seed;
+
+  /**
+   * @constructor
+   * @param {object} [params] constructor object for the wallet
+   * @param {string} [params.mnemonic] existing mnemonic to import, a new one is generated otherwise
+   * @param {string} [params.passphrase=""] optional passphrase protecting the seed
+   * @param {number} [params.strength=128] entropy in bits when generating a new mnemonic
+   */
+  constructor(params = {}) {
+    this.#mnemonic = params.mnemonic ? params.mnemonic.trim() : hdUtils.generateMnemonic(params.strength);
+    this.#seed = hdUtils.mnemonicToSeed(this.#mnemonic, params.passphrase);
+  }
+
+  /**
+   * Static wrapper for importing a wallet from a mnemonic
+   * @static
+   * @param {string} mnemonic space separated mnemonic
+   * @param {string} [passphrase=""] optional passphrase protecting the seed
+   * @returns {object} new HDWallet instance
+   * @memberof HDWallet
+   */
+  static fromMnemonic(mnemonic, passphrase) {
+    return new HDWallet({mnemonic, passphrase});
+  }
+
+  /**
+   * Export the mnemonic so that it may be backed up
+   * @memberof HDWallet
+   * @returns {string} space separated mnemonic
+   */
+  exportMnemonic() {
+    return this.#mnemonic;
+  }
+
+  /**
+   * Derive the key pair at the given index
+   * @param {number} index index of the key
+   * @param {number} [account=0] account number
+   * @param {string} [keyType="Curve25519"] Key type, "Curve25519" or "Ed25519"
+   * @memberof HDWallet
+   * @returns {object} {path, seed, publicKey} where seed is the 32 byte key seed
+   */
+  deriveKeyPair(index, account = 0, keyType = "Curve25519") {
+    const path = hdUtils.getDerivationPath(index, account);
+    const seed = hdUtils.derivePath(this.#seed, path, keyType);
+    const {publicKey} = generateKeyPair(keyType, seed);
+    return {path, seed, publicKey};
+  }
+
+  /**
+   * Derive the address at the given index without creating a keyfile
+   * @param {number} index index of the key
+   * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
+   * @param {number} [account=0] account number
+   * @param {string} [keyType="Curve25519"] Key type, "Curve25519" or "Ed25519"
+   * @memberof HDWallet
+   * @returns {string} base58 encoded address
+   */
+  deriveAddress(index, networkPrefix = "private", account = 0, keyType = "Curve25519") {
+    const {publicKey} = this.deriveKeyPair(index, account, keyType);
+    const result = utils.generatePubKeyHashAddress(publicKey, networkPrefix, `PublicKey${keyType}`);
+    if (!result.success) throw new ValidationError(result.errorMsg, "networkPrefix");
+    return result.address;
+  }
+
+  /**
+   * Derive a KeyManager holding the key at the given index
+   * @param {number} index index of the key
+   * @param {object} params KeyManager constructor parameters
+   * @param {string} params.password password for encrypting (decrypting) the keyfile
+   * @param {string} [params.networkPrefix] Network Prefix, defaults to "private"
+   * @param {object} [params.constants] default encryption options for storing keyfiles
+   * @param {number} [params.account=0] account number
+   * @param {string} [params.keyType="Curve25519"] Key type, "Curve25519" or "Ed25519"
+   * @memberof HDWallet
+   * @returns {object} new KeyManager instance
+   */
+  deriveKeyManager(index, params) {
+    if (!params || !params.password) throw new ValidationError("A password must be provided at initialization", "params.password");
+    const {seed} = this.deriveKeyPair(index, params.account, params.keyType);
+
+    return new KeyManager({
+      password: params.password,
+      networkPrefix: params.networkPrefix,
+      constants: params.constants,
+      keyType: params.keyType,
+      seed
+    });
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+
+module.exports = HDWallet;
+
+/* -------------------------------------------------------------------------- */
@@ -14,12 +14,11 @@
 // Dependencies
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
-const curve25519 = require("curve25519-js");
-const {create, dump, recover, str2buf, generateKeystoreFilename} = require("../utils/key-utils.js");
+const {create, dump, recover, str2buf, generateKeystoreFilename, sign, verify, validKeyTypes} = require("../utils/key-utils.js");
 
 // utils
 const utils = require("../utils/address-utils.js");
+const {BramblError, ValidationError, KeyLockedError, FileError} = require("../lib/errors.js");
 
 // Default options for key generation as of 2021.02.04
 const defaultOptions = {
@@ -61,6 +60,7 @@ class KeyManager {
     #pk;
     #networkPrefix;
     #address;
+    #keyType;
 
     /* ------------------------------ Instance constructor ------------------------------ */
     /**
@@ -71,10 +71,12 @@ class KeyManager {
      * @param {object} [params.keyFile] encrypted keyFile javascript object.
      * @param {object} [params.constants] default encryption options for storing keyfiles
      * @param {string} [params.networkPrefix] Network Prefix, defaults to "private"
+     * @param {Buffer} [params.seed] 32 byte seed used to generate a deterministic key (see HDWallet)
+     * @param {string} [params.keyType] Key type of a new key, "Curve25519" (default) or "Ed25519"
      */
     constructor(params) {
       // enforce that a password must be provided
-      if (!params || (params.constructor !== String && !params.password)) throw new Error("A password must be provided at initialization");
+      if (!params || (params.constructor !== String && !params.password)) throw new ValidationError("A password must be provided at initialization", "password");
 
       /**
        * Initializes a key manager object with a key storage object
@@ -102,21 +104,28 @@ class KeyManager {
           if (prefixResult.success) {
             this.#networkPrefix = prefixResult.networkPrefix;
           } else {
-            throw new Error(prefixResult.error);
+            throw new ValidationError(prefixResult.error, "keyFile.address");
           }
 
+          // determine the key type from the proposition type of the address
+          const propositionType = utils.getAddressPropositionType(keyStorage.address);
+          if (!propositionType || !validKeyTypes.includes(propositionType.replace("PublicKey", ""))) {
+            throw new ValidationError("Unsupported proposition type found in address", "keyFile.address");
+          }
+          this.#keyType = propositionType.replace("PublicKey", "");
+
           // validate address
           const validationResult = utils.validateAddressesByNetwork(this.networkPrefix, keyStorage.address);
           if (!validationResult.success) {
-            throw new Error("Invalid Addresses::" +
+            throw new ValidationError("Invalid Addresses::" +
                   " Network Type: <" + this.networkPrefix + ">" +
                   " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-                  " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
+                  " Invalid Checksums: <" + validationResult.invalidChecksums + ">", "keyFile.address");
           }
 
           this.#setKeyStorage(keyStorage, password);
         } else {
-          throw new Error("No address found in key");
+          throw new ValidationError("No address found in key", "keyFile.address");
         }
       };
 
@@ -127,18 +136,24 @@ class KeyManager {
        * @returns {object} returns the keyStorage used in the KeyManager
        */
       const importFromFile = (filepath, password) => {
-        const keyStorage = JSON.parse(fs.readFileSync(filepath));
+        let keyStorage;
+        try {
+          keyStorage = JSON.parse(fs.readFileSync(filepath));
+        } catch (err) {
+          throw new FileError("Error importing keyfile", filepath, err);
+        }
         return importKeyFile(keyStorage, password);
       };
 
       /**
-       * Generates a new curve25519 key pair and dumps them to an encrypted format
+       * Generates a new key pair and dumps them to an encrypted format
        * @param {string} password password for encrypting (decrypting) the keyfile
+       * @param {Buffer} [seed] optional seed of the key pair, a random key is generated otherwise
        * @returns {undefined} no obj returned
        */
-      const generateKey = (password) => {
-        // this will create a new curve25519 key pair and dump to an encrypted format
-        initKeyStorage(dump(password, create(this.constants), this.constants), password);
+      const generateKey = (password, seed) => {
+        // this will create a new key pair of the selected type and dump to an encrypted format
+        initKeyStorage(dump(password, create(this.constants, seed, this.#keyType), this.constants), password);
       };
 
       // initialize variables
@@ -151,28 +166,37 @@ class KeyManager {
       this.constants.networkPrefix = this.#networkPrefix;
 
       if (this.#networkPrefix !== "private" && !utils.isValidNetwork(this.#networkPrefix)) {
-        throw new Error(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`);
+        throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "networkPrefix");
+      }
+
+      // set keyType and validate
+      this.#keyType = params.keyType || "Curve25519";
+      if (!validKeyTypes.includes(this.#keyType)) {
+        throw new ValidationError(`Invalid key type. Must be one of: ${validKeyTypes}`, "keyType");
       }
 
       initKeyStorage({address: "", crypto: {}}, "");
 
       // load in keyfile if a path or object was given, otherwise default to generating a new keyFile.
+      // errors of BramblJS are thrown unchanged, others are reported as errors of the keyfile
       if (params.keyPath) {
         try {
           importFromFile(params.keyPath, params.password);
         } catch (err) {
-          throw new Error("Error importing keyfile - " + err);
+          if (err instanceof BramblError) throw err;
+          throw new FileError("Error importing keyfile", params.keyPath, err);
         }
       } else if (params.keyFile) {
         try {
           importKeyFile(params.keyFile, params.password);
         } catch (err) {
-          throw new Error("Error importing keyFile - " + err);
+          if (err instanceof BramblError) throw err;
+          throw new ValidationError(`Error importing keyFile - ${err.message}`, "keyFile");
         }
       } else {
         // Will check if only a string was given and assume it is the password
         if (params.constructor === String) generateKey(params);
-        else generateKey(params.password);
+        else generateKey(params.password, params.seed);
       }
     }
 
@@ -187,15 +211,16 @@ class KeyManager {
      * @param {Buffer|string} publicKey A public key (if string, must be bs58 encoded)
      * @param {string} message Message to sign (utf-8 encoded)
      * @param {Buffer|string} signature Signature to verify (if string, must be bs58 encoded)
+     * @param {string} [keyType="Curve25519"] Key type of the public key, "Curve25519" or "Ed25519"
      * @returns {function} returns function Verify
      * @memberof KeyManager
      */
-    static verify(publicKey, message, signature) {
+    static verify(publicKey, message, signature, keyType = "Curve25519") {
       const pk = str2buf(publicKey);
       const msg = str2buf(message, "base58");
       const sig = str2buf(signature);
 
-      return curve25519.verify(pk, msg, sig);
+      return verify(keyType, pk, msg, sig);
     };
 
     /**
@@ -235,7 +260,7 @@ class KeyManager {
      * @returns {object};
      */
     #setKeyStorage(keyStorage, password) {
-      if (this.#isLocked) throw new Error("Key manager is currently locked. Please unlock and try again.");
+      if (this.#isLocked) throw new KeyLockedError();
       this.#address = keyStorage.address;
       this.#password = password;
       this.#keyStorage = keyStorage;
@@ -253,8 +278,8 @@ class KeyManager {
      * @returns {object} returns value of private var keyStorage
      */
     getKeyStorage() {
-      if (this.#isLocked) throw new Error("Key manager is currently locked. Please unlock and try again.");
-      if (!this.#pk) throw new Error("A key must be initialized before using this key manager");
+      if (this.#isLocked) throw new KeyLockedError();
+      if (!this.#pk) throw new KeyLockedError("A key must be initialized before using this key manager");
       return this.#keyStorage;
     }
 
@@ -283,7 +308,7 @@ class KeyManager {
      * @returns {void} Error is thrown to protect private variable
      */
     set isLocked(args) {
-      throw new Error("Invalid private variable access, use lockKey() instead.");
+      throw new ValidationError("Invalid private variable access, use lockKey() instead.", "isLocked");
     }
 
     /**
@@ -302,7 +327,7 @@ class KeyManager {
      * @returns {void} Error is thrown to protect private variable
      */
     set pk(args) {
-      throw new Error("Invalid private variable access, instantiate a new KeyManager instead.");
+      throw new ValidationError("Invalid private variable access, instantiate a new KeyManager instead.", "pk");
     }
 
     /**
@@ -322,7 +347,25 @@ class KeyManager {
      * @returns {void} Error is thrown to protect private variable
      */
     set address(args) {
-      throw new Error("Invalid private variable access, instantiate a new KeyManager instead.");
+      throw new ValidationError("Invalid private variable access, instantiate a new KeyManager instead.", "address");
+    }
+
+    /**
+     * Getter for private property #keyType
+     * @memberof KeyManager
+     * @returns {string} value of #keyType ("Curve25519" or "Ed25519")
+     */
+    get keyType() {
+      return this.#keyType;
+    }
+
+    /**
+     * Getter for the proposition type of the key
+     * @memberof KeyManager
+     * @returns {string} "PublicKeyCurve25519" or "PublicKeyEd25519"
+     */
+    get propositionType() {
+      return `PublicKey${this.#keyType}`;
     }
 
     /**
@@ -341,7 +384,7 @@ class KeyManager {
      * @returns {void} Error is thrown to protect private variable
      */
     set networkPrefix(args) {
-      throw new Error("Invalid private variable access.");
+      throw new ValidationError("Invalid private variable access.", "networkPrefix");
     }
 
     /**
@@ -351,8 +394,8 @@ class KeyManager {
      * @returns {void}
      */
     unlockKey(password) {
-      if (!this.#isLocked) throw new Error("The key is already unlocked");
-      if (password !== this.#password) throw new Error("Invalid password");
+      if (!this.#isLocked) throw new ValidationError("The key is already unlocked", "isLocked");
+      if (password !== this.#password) throw new ValidationError("Invalid password", "password");
       this.#isLocked = false;
     }
 
@@ -363,11 +406,11 @@ class KeyManager {
      * @returns {Uint8Array} signature
      */
     sign(message) {
-      if (this.#isLocked) throw new Error("The key is currently locked. Please unlock and try again.");
-      if (!this.#sk) throw new Error("A key must be initialized before using this key manager");
-      if (!message || message.constructor !== String) throw new Error("Invalid message provided as argument.");
+      if (this.#isLocked) throw new KeyLockedError("The key is currently locked. Please unlock and try again.");
+      if (!this.#sk) throw new KeyLockedError("A key must be initialized before using this key manager");
+      if (!message || message.constructor !== String) throw new ValidationError("Invalid message provided as argument.", "message");
 
-      return curve25519.sign(str2buf(this.#sk), str2buf(message, "base58"), crypto.randomBytes(64));
+      return sign(this.#keyType, str2buf(this.#sk), str2buf(message, "base58"));
     }
 
     /**
@@ -377,9 +420,9 @@ class KeyManager {
      * @memberof KeyManager
      */
     exportToFile(_keyPath) {
-      if (this.#isLocked) throw new Error("The key is currently locked. Please unlock and try again.");
-      if (!this.#pk) throw new Error("A key must be initialized before using this key manager");
-      if (_keyPath && _keyPath.constructor !== String) throw new Error("Invalid keypath provided as argument.");
+      if (this.#isLocked) throw new KeyLockedError("The key is currently locked. Please unlock and try again.");
+      if (!this.#pk) throw new KeyLockedError("A key must be initialized before using this key manager");
+      if (_keyPath && _keyPath.constructor !== String) throw new ValidationError("Invalid keypath provided as argument.", "keyPath");
 
       const keyPath = _keyPath || ".keyfiles";
       const outfile = generateKeystoreFilename(this.#pk);
@@ -395,7 +438,7 @@ class KeyManager {
         // write file
         fs.writeFileSync(outpath, json);
       } catch (error) {
-        throw new Error("Error exporting to file." + error);
+        throw new FileError("Error exporting the keyfile", outpath, error);
       }
 
       return outpath;
@@ -0,0 +1,246 @@
+/**
+ * Manage many KeyManager instances indexed by their address.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @namespace Keyring
+ */
+
+"use strict";
+
+// Dependencies
+const fs = require("fs");
+const path = require("path");
+
+// Modules & utils
+const KeyManager = require("./KeyManager");
+const utils = require("../utils/address-utils.js");
+const {BramblError, ValidationError, FileError} = require("../lib/errors.js");
+
+/**
+ * Resolve the password of a keyfile
+ * @param {string|object|function} passwords a single password, a map of address to password or a function of the address
+ * @param {string} address address of the keyfile
+ * @returns {string} password
+ */
+function resolvePassword(passwords, address) {
+  if (!passwords) return undefined;
+  if (passwords.constructor === String) return passwords;
+  if (typeof passwords === "function") return passwords(address);
+  return passwords[address];
+}
+
+/**
+ * @class Keyring
+ * @memberof Keyring
+ * @classdesc A collection of keys that can be locked, unlocked and used for signing together
+ */
+class Keyring {
+  // Private variables
+  #keys;
+  #networkPrefix;
+
+  /**
+   * @constructor
+   * @param {object} [params] constructor object for the keyring
+   * @param {string} [params.networkPrefix="private"] Network Prefix every key must belong to
+   * @param {object} [params.constants] encryption options used when importing keyfiles
+   */
+  constructor(params = {}) {
+    this.#networkPrefix = params.networkPrefix || "private";
+    if (!utils.isValidNetwork(this.#networkPrefix)) {
+      throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "params.networkPrefix");
+    }
+    this.constants = params.constants;
+    this.#keys = new Map();
+  }
+
+  /**
+   * Getter for private property #networkPrefix
+   * @memberof Keyring
+   * @returns {string} value of #networkPrefix
+   */
+  get networkPrefix() {
+    return this.#networkPrefix;
+  }
+
+  /**
+   * Getter for the addresses held in the keyring
+   * @memberof Keyring
+   * @returns {string[]} list of addresses
+   */
+  get addresses() {
+    return [...this.#keys.keys()];
+  }
+
+  /**
+   * Getter for the number of keys held in the keyring
+   * @memberof Keyring
+   * @returns {number} number of keys
+   */
+  get size() {
+    return this.#keys.size;
+  }
+
+  /**
+   * Add a KeyManager to the keyring
+   * @param {object} keyManager KeyManager instance
+   * @memberof Keyring
+   * @returns {string} address of the added key
+   */
+  add(keyManager) {
+    if (!(keyManager instanceof KeyManager)) {
+      throw new ValidationError("Only KeyManager instances may be added to the keyring", "keyManager");
+    }
+    if (keyManager.networkPrefix !== this.#networkPrefix) {
+      throw new ValidationError("Incompatible network prefixes set for Keyring and KeyManager Instances.", "keyManager.networkPrefix");
+    }
+    this.#keys.set(keyManager.address, keyManager);
+    return keyManager.address;
+  }
+
+  /**
+   * Import a keyfile object into the keyring
+   * @param {object} keyFile encrypted keyFile javascript object
+   * @param {string} password password for decrypting the keyfile
+   * @memberof Keyring
+   * @returns {string} address of the imported key
+   */
+  importKeyFile(keyFile, password) {
+    return this.add(new KeyManager({password, keyFile, constants: this.constants}));
+  }
+
+  /**
+   * Load every keyfile of a directory (as written by `KeyManager.exportToFile`)
+   * @param {string} [dirPath=".keyfiles"] directory holding the keyfiles
+   * @param {string|object|function} passwords a single password, a map of address to password or a function of the address
+   * @memberof Keyring
+   * @returns {string[]} addresses of the loaded keys
+   */
+  loadDirectory(dirPath = ".keyfiles", passwords) {
+    if (!fs.existsSync(dirPath)) {
+      throw new ValidationError(`Keyfile directory not found: ${dirPath}`, "dirPath");
+    }
+
+    return fs.readdirSync(dirPath)
+        .filter((file) => path.extname(file) === ".json")
+        .map((file) => {
+          const filePath = path.join(dirPath, file);
+          let keyFile;
+          try {
+            keyFile = JSON.parse(fs.readFileSync(filePath));
+          } catch (err) {
+            throw new FileError(`Error importing keyfile ${file}`, filePath, err);
+          }
+          const password = resolvePassword(passwords, keyFile.address);
+          if (!password) throw new ValidationError(`No password provided for keyfile: ${file}`, "passwords");
+          // errors of BramblJS are thrown unchanged, as by KeyManager
+          try {
+            return this.importKeyFile(keyFile, password);
+          } catch (err) {
+            if (err instanceof BramblError) throw err;
+            throw new FileError(`Error importing keyfile ${file}`, filePath, err);
+          }
+        });
+  }
+
+  /**
+   * Check whether a key is held for the given address
+   * @param {string} address address to look up
+   * @memberof Keyring
+   * @returns {boolean} true if the key is held
+   */
+  has(address) {
+    return this.#keys.has(address);
+  }
+
+  /**
+   * Retrieve the KeyManager of an address
+   * @param {string} address address to look up
+   * @memberof Keyring
+   * @returns {object} KeyManager instance
+   */
+  get(address) {
+    if (!this.#keys.has(address)) throw new ValidationError(`No key found for address: ${address}`, "address");
+    return this.#keys.get(address);
+  }
+
+  /**
+   * Remove the key of an address from the keyring
+   * @param {string} address address of the key to remove
+   * @memberof Keyring
+   * @returns {boolean} true if a key was removed
+   */
+  remove(address) {
+    return this.#keys.delete(address);
+  }
+
+  /**
+   * Lock the key of an address
+   * @param {string} address address of the key to lock
+   * @memberof Keyring
+   * @returns {void}
+   */
+  lock(address) {
+    this.get(address).lockKey();
+  }
+
+  /**
+   * Unlock the key of an address
+   * @param {string} address address of the key to unlock
+   * @param {string} password password of the keyfile
+   * @memberof Keyring
+   * @returns {void}
+   */
+  unlock(address, password) {
+    const keyManager = this.get(address);
+    if (keyManager.isLocked) keyManager.unlockKey(password);
+  }
+
+  /**
+   * Lock every key in the keyring
+   * @memberof Keyring
+   * @returns {void}
+   */
+  lockAll() {
+    this.#keys.forEach((keyManager) => keyManager.lockKey());
+  }
+
+  /**
+   * Unlock every key in the keyring
+   * @param {string|object|function} passwords a single password, a map of address to password or a function of the address
+   * @memberof Keyring
+   * @returns {void}
+   */
+  unlockAll(passwords) {
+    this.#keys.forEach((keyManager, address) => this.unlock(address, resolvePassword(passwords, address)));
+  }
+
+  /**
+   * Find the keys needed to sign a raw transaction (the owners of the boxes being opened)
+   * @param {object} rawTx unsigned transaction json object
+   * @memberof Keyring
+   * @returns {object[]} list of KeyManager instances
+   * @throws {ValidationError} listing the senders whose key is not held
+   */
+  getSigners(rawTx) {
+    if (!rawTx || !Array.isArray(rawTx.from)) {
+      throw new ValidationError("A raw transaction must be specified", "rawTx");
+    }
+    const senders = [...new Set(rawTx.from.map(([address]) => address))];
+    const missing = senders.filter((address) => !this.#keys.has(address));
+
+    // a transaction signed by a part of its senders would be refused by the node
+    if (missing.length > 0) {
+      throw new ValidationError(`No keys found for the senders of the transaction: <${missing}>`, "rawTx.from");
+    }
+    return senders.map((address) => this.#keys.get(address));
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+
+module.exports = Keyring;
+
+/* -------------------------------------------------------------------------- */
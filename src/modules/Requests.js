@@ -11,7 +11,10 @@
 
 "use strict";
 
-const fetch = require("node-fetch");
+const {HttpTransport, FailoverTransport} = require("../lib/transports.js");
+const {defaultPolicy, resolvePolicy, sendWithPolicy} = require("../lib/policies.js");
+const {ValidationError, JsonRpcError, toJsonRpcError, invalidAddressesError} = require("../lib/errors.js");
+const {parseFee, parseQuantity, normalizeBalances} = require("../lib/amounts.js");
 const utils = require("../utils/address-utils.js");
 const Base58 = require("bs58");
 
@@ -22,6 +25,7 @@ const Base58 = require("bs58");
  * @param {string} routeInfo.route - the route where the request will be sent
  * @param {string} routeInfo.method - the json-rpc method that will be triggered on the node
  * @param {string} routeInfo.id - an identifier for tracking requests sent to the node
+ * @param {boolean} [routeInfo.idempotent=true] - false if sending the request twice may have side effects
  * @param {object} params - method specific parameter object
  * @param {object} self - internal reference for accessing constructor data
  * @returns {object} JSON response from the node
@@ -37,23 +41,84 @@ async function bramblRequest(routeInfo, params, self) {
         {...params}
       ]
     };
-    const payload = {
-      url: self.url,
-      method: "POST",
-      headers: self.headers,
-      body: JSON.stringify(body)
-    };
-    const response = await (await fetch(self.url, payload)).json();
-    if (response.error) {
-      throw response;
-    } else {
-      return response;
+
+    // calls made on a batch are queued until the batch is sent
+    const batch = batches.get(self);
+    if (batch) {
+      return new Promise((resolve, reject) => batch.push({body, idempotent: routeInfo.idempotent, resolve, reject}));
     }
+
+    return await sendWithPolicy(self.transport, body, self.policy, routeInfo.idempotent !== false);
   } catch (err) {
     throw err;
   }
 };
 
+/**
+ * Create the default transport of a url, or of a list of urls
+ *
+ * @param {string|string[]} url - chain provider location, several locations are used with automatic failover
+ * @param {object} headers - headers sent with every request
+ * @returns {object} transport
+ */
+function createTransport(url, headers) {
+  if (Array.isArray(url)) {
+    return new FailoverTransport({endpoints: url, headers});
+  }
+  return new HttpTransport({url, headers});
+}
+
+/**
+ * Queued calls of every batch created with `Requests.batch()`, indexed by the batch instance
+ */
+const batches = new WeakMap();
+
+// constructor of the json-rpc methods of Requests, the methods wrapped by a batch
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+/**
+ * Send queued calls as a single json-rpc 2.0 batch and settle every call with its own response
+ *
+ * @param {object[]} calls - queued calls {body, idempotent, resolve, reject}
+ * @param {object} self - internal reference for accessing constructor data
+ * @returns {object[]} json-rpc responses in the order of the calls
+ */
+async function sendBatch(calls, self) {
+  if (calls.length < 1) return [];
+
+  // ids are rewritten so that every call of the batch can be correlated with its response
+  const body = calls.map((call, i) => ({...call.body, id: String(i + 1)}));
+
+  // a batch including a call with side effects is only retried when safe for that call
+  const idempotent = calls.every((call) => call.idempotent !== false);
+
+  let responses;
+  try {
+    responses = await sendWithPolicy(self.transport, body, self.policy, idempotent);
+  } catch (err) {
+    calls.forEach((call) => call.reject(err));
+    throw err;
+  }
+
+  if (!Array.isArray(responses)) {
+    const err = new JsonRpcError({jsonrpc: "2.0", id: null, error: {code: -32603, message: "Invalid batch response"}});
+    calls.forEach((call) => call.reject(err));
+    throw err;
+  }
+
+  const byId = new Map(responses.map((response) => [String(response.id), response]));
+  return calls.map((call, i) => {
+    const received = byId.get(String(i + 1));
+    const response = received ?
+      {...received, id: call.body.id} :
+      {jsonrpc: "2.0", id: call.body.id, error: {code: -32603, message: "No response received for this request"}};
+
+    if (response.error) call.reject(toJsonRpcError(response, call.body));
+    else call.resolve(response);
+    return response;
+  });
+}
+
 /**
  * @class Requests
  * @classdesc A class for sending requests to the Brambl layer interface of the given chain provider
@@ -62,19 +127,22 @@ class Requests {
   /**
    * @constructor
    * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
-   * @param {string} [url="http://localhost:9085/YOUR_PROJECT_ID"] Chain provider location, local and private default to http://localhost:9085/
+   * @param {string|string[]} [url] Chain provider location, defaults to the url registered for the network (see lib/networks.js), http://localhost:9085/ if none.
+   * A list of locations is used with automatic failover, see FailoverTransport in lib/transports.js for load balancing and health checks
    * @param {string} [apiKey="topl_the_world!"] Access key for authorizing requests to the client API ["x-api-key"], default to "topl_the_world!"
+   * @param {object} [transport] Transport delivering the json-rpc requests (see lib/transports.js), defaults to HTTP POSTs to the url
+   * @param {object} [policy] Timeout and retry policy overrides (see lib/policies.js)
    */
-  constructor(networkPrefix, url, apiKey) {
+  constructor(networkPrefix, url, apiKey, transport, policy) {
     // set networkPrefix and validate
     this.networkPrefix = networkPrefix || "private";
 
     if (this.networkPrefix !== "private" && !utils.isValidNetwork(this.networkPrefix)) {
-      throw new Error(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`);
+      throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "networkPrefix");
     }
 
-    // set url if provided or set default
-    this.url = url || "http://localhost:9085/";
+    // set url if provided or set the default of the network
+    this.url = url || utils.getUrlByNetwork(this.networkPrefix);
 
     // set apiKey or set default
     this.apiKey = apiKey || "topl_the_world!";
@@ -83,15 +151,64 @@ class Requests {
       "Content-Type": "application/json",
       "x-api-key": this.apiKey
     };
+
+    this.setTransport(transport || createTransport(this.url, this.headers));
+    this.setPolicy(policy);
+  }
+
+  /**
+   * Allows changing the timeout and retry policy of every request of this instance
+   * @param {object} [policy] policy overrides, i.e. {timeout: 10000, retries: 5}, defaults are restored if omitted
+   * @param {number} [policy.timeout=30000] milliseconds before a request is aborted, 0 disables the timeout
+   * @param {number} [policy.retries=3] number of retries of a failed request
+   * @param {number} [policy.initialDelay=250] milliseconds before the first retry
+   * @param {number} [policy.maxDelay=5000] upper bound of the delay between two attempts
+   * @param {number} [policy.factor=2] growth of the delay after every retry
+   * @param {boolean} [policy.jitter=true] randomize the delays between attempts
+   * @param {number[]} [policy.retryableCodes=[]] json-rpc error codes that are retried for reads
+   * @returns {void}
+   */
+  setPolicy(policy) {
+    this.policy = resolvePolicy(defaultPolicy, policy);
+  }
+
+  /**
+   * Create a view of this instance using a different policy, i.e. for a single call
+   * @example
+   * await requests.withPolicy({timeout: 2000, retries: 0}).getLatestBlock();
+   * @param {object} policy policy overrides applied on top of the policy of this instance
+   * @returns {object} view with the methods of Requests
+   * @memberof Requests
+   */
+  withPolicy(policy) {
+    return Object.create(this, {policy: {value: resolvePolicy(this.policy, policy)}});
+  }
+
+  /**
+   * Allows replacing the transport used to deliver requests, i.e. a WebSocket or an in-process mock
+   * @param {object} transport object implementing `send(body)` which resolves with the json-rpc response
+   * @returns {void}
+   */
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== "function") {
+      throw new ValidationError("A transport must implement send(body)", "transport");
+    }
+    this.transport = transport;
   }
 
   /**
    * Allows setting a different url than the default from which to create and accept RPC connections
-   * @param {string} url url string for instance
+   * @param {string|string[]} url url string for instance, or a list of urls used with automatic failover
    * @returns {void}
    */
   setUrl(url) {
     this.url = url;
+    if (Array.isArray(url) || this.transport instanceof FailoverTransport) {
+      if (typeof this.transport.close === "function") this.transport.close();
+      this.setTransport(createTransport(url, this.headers));
+    } else if (typeof this.transport.setUrl === "function") {
+      this.transport.setUrl(url);
+    }
   }
 
   /**
@@ -101,6 +218,50 @@ class Requests {
    */
   setApiKey(apiKey) {
     this.headers["x-api-key"] = apiKey;
+    if (typeof this.transport.setHeader === "function") this.transport.setHeader("x-api-key", apiKey);
+  }
+
+  /**
+   * Create a batch that collects calls into a single json-rpc 2.0 batch request.
+   * The batch exposes every method of this instance; each call returns a promise which is settled with
+   * its own response (or error) once `send()` is called.
+   * @example
+   * const batch = requests.batch();
+   * const blocks = [1, 2, 3].map((height) => batch.getBlockByHeight({height}));
+   * await batch.send();
+   * const first = await blocks[0];
+   * @returns {object} batch with the methods of Requests, `send()` and `size`
+   * @memberof Requests
+   */
+  batch() {
+    let calls = [];
+    const methods = {};
+    Object.getOwnPropertyNames(Requests.prototype)
+        .filter((name) => Requests.prototype[name] instanceof AsyncFunction)
+        .forEach((name) => {
+          methods[name] = {
+            value: (...args) => {
+              const call = Requests.prototype[name].apply(batch, args);
+              // a failed batch rejects send() as well, calls left unawaited must not raise an unhandled rejection
+              call.catch(() => {});
+              return call;
+            }
+          };
+        });
+    const batch = Object.create(this, {
+      ...methods,
+      size: {get: () => calls.length},
+      send: {
+        value: () => {
+          const queued = calls;
+          calls = [];
+          batches.set(batch, calls);
+          return sendBatch(queued, this);
+        }
+      }
+    });
+    batches.set(batch, calls);
+    return batch;
   }
 
   /* -------------------------------------------------------------------------- */
@@ -111,66 +272,55 @@ class Requests {
   /**
    * Create a new asset on chain
    * @param {object} params - body parameters passed to the specified json-rpc method
-   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519
+   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519 || PublicKeyEd25519
    * @param {string} params.recipients - 2-dimensional array (array of tuples) -> [["address of recipient", quantity, securityRoot, metadata]]
    * @param {string} params.recipients[i][0]: Required address of recipient
-   * @param {string} params.recipients[i][1]: Required number of tokens to send to recipient
+   * @param {bigint|string|number} params.recipients[i][1]: Required number of tokens to send to recipient
    * @param {string} params.recipients[i][2]: Optional security root which is a Base58 encoded 32 byte hash of the data to be stored in the AssetBox.
    * @param {string} params.recipients[i][3]: Optional metadata tag for asset, must be less than 128 Latin-1 characters.
    * @param {string} params.assetCode - Identifier of the asset
    * @param {string} params.sender - Public key of the asset issuer
    * @param {string} params.changeAddress - Public key of the change recipient
    * @param {boolean} params.minting - Minting boolean
-   * @param {number} params.fee - Fee to apply to the transaction
+   * @param {bigint|string|number|Amount} params.fee - Fee to apply to the transaction in nanopolys or as an Amount of utils/units.js, numbers must not exceed Number.MAX_SAFE_INTEGER
    * @param {string} params.consolidationAddress - Address for recipient of unspent Assets
    * @param {string} [id="1"] - identifying number for the json-rpc request
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
   async createRawAssetTransfer(params, id = "1") {
-    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519"];
+    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519", "PublicKeyEd25519"];
 
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.propositionType || !validPropositions.includes(params.propositionType)) {
-      throw new Error("A propositionTYpe must be specified: <PublicKeyCurve25519, ThresholdCurve25519>");
+      throw new ValidationError("A propositionTYpe must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>", "params.propositionType");
     }
     if (!params.sender) {
-      throw new Error("An asset sender must be specified");
+      throw new ValidationError("An asset sender must be specified", "params.sender");
     }
     if (!params.assetCode) {
-      throw new Error("An assetCode must be specified");
+      throw new ValidationError("An assetCode must be specified", "params.assetCode");
     } else if (!utils.isValidAssetCode(params.assetCode)) {
-      throw new Error("Invalid asset code");
+      throw new ValidationError("Invalid asset code", "params.assetCode");
     }
     if (!params.recipients || params.recipients.length < 1) {
-      throw new Error("At least one recipient must be specified");
+      throw new ValidationError("At least one recipient must be specified", "params.recipients");
     }
     if (!params.changeAddress) {
-      throw new Error("A changeAddress must be specified");
+      throw new ValidationError("A changeAddress must be specified", "params.changeAddress");
     }
     if (typeof params.minting !== "boolean") {
-      throw new Error("Minting boolean value must be specified");
-    }
-    // 0 fee value is accepted
-    if (!params.fee && params.fee !== 0) {
-      throw new Error("A fee must be specified");
-    }
-    // fee must be >= 0
-    if (params.fee < 0) {
-      throw new Error("Invalid fee, a fee must be greater or equal to zero");
+      throw new ValidationError("Minting boolean value must be specified", "params.minting");
     }
     // fee must be a string
-    params.fee = params.fee.toString();
+    params.fee = parseFee(params).toString();
 
     // validate all addresses
     const validationResult = utils.validateAddressesByNetwork(this.networkPrefix, params);
     if (!validationResult.success) {
-      throw new Error("Invalid Addresses::" +
-        " Network Type: <" + this.networkPrefix + ">" +
-        " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-        " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
+      throw invalidAddressesError(this.networkPrefix, validationResult, params);
     }
 
     // Include token value holder as tuple format
@@ -178,12 +328,8 @@ class Requests {
       // destructuring assingment syntax
       // basic: [address, quantity]
       // advance: [address, quantity, securityRoot, metadata]
-      const [address, quantity, securityRoot, metadata] = params.recipients[i];
-
-      // ensure quantitiy is part of the tuple ["address", 10]
-      if (!quantity || quantity < 1) {
-        throw new Error(`Invalid quantity in Recipient: ${params.recipients[i]}`);
-      }
+      const [address, , securityRoot, metadata] = params.recipients[i];
+      const quantity = parseQuantity(params.recipients[i], `params.recipients[${i}][1]`);
 
       // required fields
       const tokenValueHolder = {
@@ -195,7 +341,7 @@ class Requests {
       // advance option - securityRoot: base58 enconded string [32 bytes]
       if (securityRoot !== undefined) {
         if (Base58.decode(securityRoot).length !== 32) {
-          throw new Error(`Invalid securityRoot in Recipient: ${params.recipients[i]}`);
+          throw new ValidationError(`Invalid securityRoot in Recipient: ${params.recipients[i]}`, `params.recipients[${i}][2]`);
         }
         tokenValueHolder.securityRoot = securityRoot;
       }
@@ -203,7 +349,7 @@ class Requests {
       if (metadata !== undefined) {
         // advance option - metadata: up to 128 bytes
         if (!utils.isValidMetadata(metadata)) {
-          throw new Error(`Invalid metadata in Recipient: ${params.recipients[i]}`);
+          throw new ValidationError(`Invalid metadata in Recipient: ${params.recipients[i]}`, `params.recipients[${i}][3]`);
         }
         tokenValueHolder.metadata = metadata;
       }
@@ -219,61 +365,46 @@ class Requests {
   /**
    * Create a raw transaction for transferring polys between addresses
    * @param {object} params - body parameters passed to the specified json-rpc method
-   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519
+   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519 || PublicKeyEd25519
    * @param {string} params.recipients - 2-dimensional array (array of tuples) -> [["publicKey of asset recipient", quantity]]
    * @param {array} params.sender - List of senders addresses
    * @param {string} params.changeAddress - Address of the change recipient
-   * @param {number} params.fee - Fee to apply to the transaction
+   * @param {bigint|string|number|Amount} params.fee - Fee to apply to the transaction in nanopolys or as an Amount of utils/units.js, numbers must not exceed Number.MAX_SAFE_INTEGER
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
   async createRawPolyTransfer(params, id = "1") {
-    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519"];
+    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519", "PublicKeyEd25519"];
 
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.propositionType || !validPropositions.includes(params.propositionType)) {
-      throw new Error("A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519>");
+      throw new ValidationError("A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>", "params.propositionType");
     }
     if (!params.sender) {
-      throw new Error("An asset sender must be specified");
+      throw new ValidationError("An asset sender must be specified", "params.sender");
     }
     if (!params.recipients || params.recipients.length < 1) {
-      throw new Error("At least one recipient must be specified");
+      throw new ValidationError("At least one recipient must be specified", "params.recipients");
     }
     if (!params.changeAddress) {
-      throw new Error("A changeAddress must be specified");
-    }
-    // 0 fee value is accepted
-    if (!params.fee && params.fee !== 0) {
-      throw new Error("A fee must be specified");
-    }
-    // fee must be >= 0
-    if (params.fee < 0) {
-      throw new Error("Invalid fee, a fee must be greater or equal to zero");
+      throw new ValidationError("A changeAddress must be specified", "params.changeAddress");
     }
     // fee must be a string
-    params.fee = params.fee.toString();
+    params.fee = parseFee(params).toString();
 
     // validate all addresses
     const validationResult = utils.validateAddressesByNetwork(this.networkPrefix, params);
     if (!validationResult.success) {
-      throw new Error("Invalid Addresses::" +
-        " Network Type: <" + this.networkPrefix + ">" +
-        " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-        " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
+      throw invalidAddressesError(this.networkPrefix, validationResult, params);
     }
 
-    params.recipients.forEach((recipient) => {
-      // ensure quantitiy is part of the tuple ["address", 10]
-      if (!recipient[1]) {
-        throw new Error("Recipient quantity must be specified");
-      }
+    params.recipients.forEach((recipient, i) => {
       // quantity must be a string
-      recipient[1] = recipient[1].toString();
+      recipient[1] = parseQuantity(recipient, `params.recipients[${i}][1]`, true).toString();
     });
 
     const method = "topl_rawPolyTransfer";
@@ -284,65 +415,50 @@ class Requests {
   /**
    * Create a raw transaction for transferring arbits between addresses
    * @param {object} params - body parameters passed to the specified json-rpc method
-   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519
+   * @param {string} params.propositionType - Proposition Type -> PublicKeyCurve25519 || TheresholdCurve25519 || PublicKeyEd25519
    * @param {string} params.recipients - 2-dimensional array (array of tuples) -> [["publicKey of asset recipient", quantity]]
    * @param {array} params.sender - List of senders addresses
    * @param {string} params.changeAddress - Address of the change recipient
    * @param {string} params.consolidationAddress - Address of the change recipient
-   * @param {number} params.fee - Fee to apply to the transaction
+   * @param {bigint|string|number|Amount} params.fee - Fee to apply to the transaction in nanopolys or as an Amount of utils/units.js, numbers must not exceed Number.MAX_SAFE_INTEGER
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
   async createRawArbitTransfer(params, id = "1") {
-    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519"];
+    const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519", "PublicKeyEd25519"];
 
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.propositionType || !validPropositions.includes(params.propositionType)) {
-      throw new Error("A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519>");
+      throw new ValidationError("A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>", "params.propositionType");
     }
     if (!params.sender) {
-      throw new Error("An asset sender must be specified");
+      throw new ValidationError("An asset sender must be specified", "params.sender");
     }
     if (!params.recipients || params.recipients.length < 1) {
-      throw new Error("At least one recipient must be specified");
+      throw new ValidationError("At least one recipient must be specified", "params.recipients");
     }
     if (!params.changeAddress) {
-      throw new Error("A changeAddress must be specified");
+      throw new ValidationError("A changeAddress must be specified", "params.changeAddress");
     }
     if (!params.consolidationAddress) {
-      throw new Error("A consolidationAddress must be specified");
-    }
-    // 0 fee value is accepted
-    if (!params.fee && params.fee !== 0) {
-      throw new Error("A fee must be specified");
-    }
-    // fee must be >= 0
-    if (params.fee < 0) {
-      throw new Error("Invalid fee, a fee must be greater or equal to zero");
+      throw new ValidationError("A consolidationAddress must be specified", "params.consolidationAddress");
     }
     // fee must be a string
-    params.fee = params.fee.toString();
+    params.fee = parseFee(params).toString();
 
     // validate all addresses
     const validationResult = utils.validateAddressesByNetwork(this.networkPrefix, params);
     if (!validationResult.success) {
-      throw new Error("Invalid Addresses::" +
-        " Network Type: <" + this.networkPrefix + ">" +
-        " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-        " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
+      throw invalidAddressesError(this.networkPrefix, validationResult, params);
     }
 
-    params.recipients.forEach((recipient) => {
-      // ensure quantitiy is part of the tuple ["address", 10]
-      if (!recipient[1]) {
-        throw new Error("Recipient quantity must be specified");
-      }
+    params.recipients.forEach((recipient, i) => {
       // quantity must be a string
-      recipient[1] = recipient[1].toString();
+      recipient[1] = parseQuantity(recipient, `params.recipients[${i}][1]`).toString();
     });
 
     const method = "topl_rawArbitTransfer";
@@ -360,21 +476,22 @@ class Requests {
    */
   async broadcastTx(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.tx) {
-      throw new Error("A tx object must be specified");
+      throw new ValidationError("A tx object must be specified", "params.tx");
     }
     if (!params.tx.signatures || !Object.keys(params.tx.signatures)[0]) {
-      throw new Error("Tx must include signatures");
+      throw new ValidationError("Tx must include signatures", "params.tx.signatures");
     }
     // this is not valid since also a signature is being sent, not a full Tx ???
     if (Object.keys(params.tx).length < 10 && params.tx.constructor === Object) {
-      throw new Error("Invalid tx object, one or more tx keys not specified");
+      throw new ValidationError("Invalid tx object, one or more tx keys not specified", "params.tx");
     }
 
+    // broadcasting is only retried when the transaction provably never reached the node
     const method = "topl_broadcastTx";
-    return bramblRequest({id, method}, params, this);
+    return bramblRequest({id, method, idempotent: false}, params, this);
   }
 
   /* --------------------------------- Lookup Balances By Addresses --------------------------------------- */
@@ -383,26 +500,24 @@ class Requests {
    * @param {Object} params - body parameters passed to the specified json-rpc method
    * @param {string[]} params.addresses - An array of addresses to query the balance for
    * @param {string} [id="1"] - identifying number for the json-rpc request
-   * @returns {object} json-rpc response from the chain
+   * @returns {object} json-rpc response from the chain, balances and box quantities as decimal strings (read them with BigInt)
    * @memberof Requests
    */
   async lookupBalancesByAddresses(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.addresses || !Array.isArray(params.addresses)) {
-      throw new Error("A list of addresses must be specified");
+      throw new ValidationError("A list of addresses must be specified", "params.addresses");
     }
     // validate all addresses
     const validationResult = utils.validateAddressesByNetwork(this.networkPrefix, params.addresses);
     if (!validationResult.success) {
-      throw new Error("Invalid Addresses::" +
-        " Network Type: <" + this.networkPrefix + ">" +
-        " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-        " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
+      throw invalidAddressesError(this.networkPrefix, validationResult, params);
     }
     const method = "topl_balances";
-    return bramblRequest({id, method}, params, this);
+    return bramblRequest({id, method}, params, this)
+        .then((response) => response && response.result ? {...response, result: normalizeBalances(response.result)} : response);
   }
 
   /* ----------------------------- Get Mempool ------------------------------------ */
@@ -429,10 +544,10 @@ class Requests {
    */
   async getTransactionById(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.transactionId) {
-      throw new Error("A transactionId must be specified");
+      throw new ValidationError("A transactionId must be specified", "params.transactionId");
     }
     const method = "topl_transactionById";
     return bramblRequest({id, method}, params, this);
@@ -449,10 +564,10 @@ class Requests {
    */
   async getTransactionFromMempool(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.transactionId) {
-      throw new Error("A transactionId must be specified");
+      throw new ValidationError("A transactionId must be specified", "params.transactionId");
     }
     const method = "topl_transactionFromMempool";
     return bramblRequest({id, method}, params, this);
@@ -471,6 +586,19 @@ class Requests {
     return bramblRequest({id, method}, params, this);
   }
 
+  /* ----------------------------- Get Node Info ------------------------------------ */
+  /**
+   * Return the network, version and address of the node
+   * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @returns {object} json-rpc response from the chain, i.e. {network: "private", nodeAddress, version}
+   * @memberof Requests
+   */
+  async getNodeInfo(id = "1") {
+    const params = {};
+    const method = "topl_info";
+    return bramblRequest({id, method}, params, this);
+  }
+
   /* ----------------------------- Get Block By Id --------------------------------- */
   /**
    * Lookup a block from history by the provided id
@@ -482,10 +610,10 @@ class Requests {
    */
   async getBlockById(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.blockId) {
-      throw new Error("A blockId must be specified");
+      throw new ValidationError("A blockId must be specified", "params.blockId");
     }
     const method = "topl_blockById";
     return bramblRequest({id, method}, params, this);
@@ -502,13 +630,13 @@ class Requests {
    */
   async getBlockByHeight(params, id = "1") {
     if (!params) {
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", "params");
     }
     if (!params.height) {
-      throw new Error("A height must be specified");
+      throw new ValidationError("A height must be specified", "params.height");
     }
     if (isNaN(params.height) || !Number.isInteger(params.height) || params.height < 1) {
-      throw new Error("Height must be an Integer greater than 0");
+      throw new ValidationError("Height must be an Integer greater than 0", "params.height");
     }
 
     const method = "topl_blockByHeight";
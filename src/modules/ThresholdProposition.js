@@ -0,0 +1,191 @@
+/**
+ * Threshold (k-of-n) propositions over Curve25519 public keys.
+ *
+ * Serialization:
+ * - proposition bytes: threshold (Int) ++ number of keys (Int) ++ public keys (32 bytes each, sorted)
+ * - encoded proposition: base58(0x02 ++ proposition bytes), used as key in the transaction signatures
+ * - address evidence: 0x02 ++ Blake2b256(proposition bytes)
+ *
+ * Experimental: the serialization follows the layout above but has not been checked against a transaction accepted
+ * by a node yet.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @namespace ThresholdProposition
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+
+// utils
+const utils = require("../utils/address-utils.js");
+const {intToBytes} = require("../utils/transaction-utils.js");
+const {ValidationError} = require("../lib/errors.js");
+
+const propositionType = "ThresholdCurve25519";
+
+/**
+ * @class ThresholdProposition
+ * @memberof ThresholdProposition
+ * @classdesc A proposition satisfied by signatures from at least `threshold` of the given public keys
+ */
+class ThresholdProposition {
+  // Private variables
+  #threshold;
+  #publicKeys;
+  #networkPrefix;
+
+  /**
+   * @constructor
+   * @param {object} params constructor object
+   * @param {number} params.threshold minimum number of signatures required
+   * @param {string[]} params.publicKeys base58 encoded Curve25519 public keys (or KeyManager instances)
+   * @param {string} [params.networkPrefix="private"] Network Prefix, defaults to "private"
+   */
+  constructor(params) {
+    if (!params) {
+      throw new ValidationError("A parameter object must be specified", "params");
+    }
+    if (!Array.isArray(params.publicKeys) || params.publicKeys.length < 1) {
+      throw new ValidationError("A list of public keys must be specified", "params.publicKeys");
+    }
+
+    if (params.publicKeys.some((key) => key.keyType && key.keyType !== "Curve25519")) {
+      throw new ValidationError("Threshold propositions only support Curve25519 keys", "params.publicKeys");
+    }
+
+    const publicKeys = params.publicKeys.map((key) => key.constructor === String ? key : key.pk);
+    if (publicKeys.some((pk) => !pk || Base58.decode(pk).length !== 32)) {
+      throw new ValidationError("Invalid public key provided", "params.publicKeys");
+    }
+    if (new Set(publicKeys).size !== publicKeys.length) {
+      throw new ValidationError("Duplicate public keys provided", "params.publicKeys");
+    }
+    if (!Number.isInteger(params.threshold) || params.threshold < 1 || params.threshold > publicKeys.length) {
+      throw new ValidationError(`Threshold must be an Integer between 1 and ${publicKeys.length}`, "params.threshold");
+    }
+
+    this.#networkPrefix = params.networkPrefix || "private";
+    if (!utils.isValidNetwork(this.#networkPrefix)) {
+      throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "params.networkPrefix");
+    }
+
+    this.#threshold = params.threshold;
+    // keys are sorted so that the proposition (and address) does not depend on the input order
+    this.#publicKeys = publicKeys.sort((a, b) => Buffer.compare(Buffer.from(Base58.decode(a)), Buffer.from(Base58.decode(b))));
+  }
+
+  /**
+   * Decode a base58 encoded threshold proposition
+   * @static
+   * @param {string} proposition base58 encoded proposition (including the type prefix)
+   * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
+   * @returns {object} new ThresholdProposition instance
+   * @memberof ThresholdProposition
+   */
+  static decode(proposition, networkPrefix) {
+    const bytes = Buffer.from(Base58.decode(proposition));
+    if (bytes[0] !== utils.propositionTypes[propositionType] || bytes.length < 9) {
+      throw new ValidationError("Invalid threshold proposition", "proposition");
+    }
+
+    const threshold = bytes.readInt32BE(1);
+    const count = bytes.readInt32BE(5);
+    if (bytes.length !== 9 + count * 32) {
+      throw new ValidationError("Invalid threshold proposition", "proposition");
+    }
+
+    const publicKeys = [];
+    for (let i = 0; i < count; i++) {
+      publicKeys.push(Base58.encode(bytes.slice(9 + i * 32, 9 + (i + 1) * 32)));
+    }
+    return new ThresholdProposition({threshold, publicKeys, networkPrefix});
+  }
+
+  /**
+   * Getter for the proposition type
+   * @memberof ThresholdProposition
+   * @returns {string} ThresholdCurve25519
+   */
+  get propositionType() {
+    return propositionType;
+  }
+
+  /**
+   * Getter for private property #threshold
+   * @memberof ThresholdProposition
+   * @returns {number} value of #threshold
+   */
+  get threshold() {
+    return this.#threshold;
+  }
+
+  /**
+   * Getter for private property #publicKeys
+   * @memberof ThresholdProposition
+   * @returns {string[]} sorted copy of #publicKeys
+   */
+  get publicKeys() {
+    return [...this.#publicKeys];
+  }
+
+  /**
+   * Getter for private property #networkPrefix
+   * @memberof ThresholdProposition
+   * @returns {string} value of #networkPrefix
+   */
+  get networkPrefix() {
+    return this.#networkPrefix;
+  }
+
+  /**
+   * Serialize the proposition without the type prefix
+   * @memberof ThresholdProposition
+   * @returns {Buffer} proposition bytes
+   */
+  toBytes() {
+    return Buffer.concat([
+      intToBytes(this.#threshold),
+      intToBytes(this.#publicKeys.length),
+      ...this.#publicKeys.map((pk) => Buffer.from(Base58.decode(pk)))
+    ]);
+  }
+
+  /**
+   * Encode the proposition as used in the signatures of a transaction
+   * @memberof ThresholdProposition
+   * @returns {string} base58 encoded proposition including the type prefix
+   */
+  encode() {
+    return Base58.encode(Buffer.concat([Buffer.from([utils.propositionTypes[propositionType]]), this.toBytes()]));
+  }
+
+  /**
+   * Getter for the address of the proposition on its network
+   * @memberof ThresholdProposition
+   * @returns {string} base58 encoded address
+   */
+  get address() {
+    const result = utils.generatePropositionAddress(this.toBytes(), propositionType, this.#networkPrefix);
+    if (!result.success) throw new ValidationError(result.errorMsg, "networkPrefix");
+    return result.address;
+  }
+
+  /**
+   * Serialize the proposition so that it may be shared between signers
+   * @memberof ThresholdProposition
+   * @returns {object} {threshold, publicKeys, networkPrefix}
+   */
+  toJSON() {
+    return {threshold: this.#threshold, publicKeys: this.publicKeys, networkPrefix: this.#networkPrefix};
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+
+module.exports = ThresholdProposition;
+
+/* -------------------------------------------------------------------------- */
@@ -0,0 +1,218 @@
+/**
+ * Collect partial signatures for a threshold proposition and produce the threshold proof.
+ *
+ * The proof is encoded as base58(0x02 ++ number of signatures (Int) ++ signatures (64 bytes each)),
+ * with the signatures ordered by the public keys of the proposition.
+ *
+ * Experimental: as the propositions, the encoding of the proof has not been checked against a node yet.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @namespace ThresholdSignature
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+
+// Modules & utils
+const KeyManager = require("./KeyManager");
+const ThresholdProposition = require("./ThresholdProposition");
+const utils = require("../utils/address-utils.js");
+const {intToBytes} = require("../utils/transaction-utils.js");
+const {ValidationError} = require("../lib/errors.js");
+
+/**
+ * @class ThresholdSignature
+ * @memberof ThresholdSignature
+ * @classdesc Accumulates signatures over a single message until the threshold is reached
+ */
+class ThresholdSignature {
+  // Private variables
+  #proposition;
+  #messageToSign;
+  #signatures;
+
+  /**
+   * @constructor
+   * @param {object} proposition ThresholdProposition instance (or its JSON representation)
+   * @param {object|string} prototypeTx An unsigned transaction JSON object or its base58 encoded messageToSign
+   */
+  constructor(proposition, prototypeTx) {
+    if (!proposition) {
+      throw new ValidationError("A threshold proposition must be specified", "proposition");
+    }
+    this.#proposition = proposition instanceof ThresholdProposition ? proposition : new ThresholdProposition(proposition);
+
+    this.#messageToSign = prototypeTx && prototypeTx.constructor === String ? prototypeTx : (prototypeTx || {}).messageToSign;
+    if (!this.#messageToSign) {
+      throw new ValidationError("A messageToSign must be specified", "prototypeTx");
+    }
+
+    this.#signatures = new Map();
+  }
+
+  /**
+   * Restore a signature collection previously serialized with `toJSON`
+   * @static
+   * @param {object} json serialized signature collection
+   * @returns {object} new ThresholdSignature instance
+   * @memberof ThresholdSignature
+   */
+  static fromJSON(json) {
+    const thresholdSig = new ThresholdSignature(json.proposition, json.messageToSign);
+    Object.entries(json.signatures || {}).forEach(([pk, sig]) => thresholdSig.addSignature(pk, sig));
+    return thresholdSig;
+  }
+
+  /**
+   * Check whether a proof satisfies a threshold proposition for the given message
+   * @static
+   * @param {string} proposition base58 encoded threshold proposition (including the type prefix)
+   * @param {string} messageToSign base58 encoded message
+   * @param {string} proof base58 encoded threshold proof (including the type prefix)
+   * @returns {boolean} true if at least `threshold` distinct keys signed the message
+   * @memberof ThresholdSignature
+   */
+  static verify(proposition, messageToSign, proof) {
+    const prop = ThresholdProposition.decode(proposition);
+    const bytes = Buffer.from(Base58.decode(proof));
+    if (bytes[0] !== utils.propositionTypes[prop.propositionType] || bytes.length < 5) return false;
+
+    const count = bytes.readInt32BE(1);
+    if (bytes.length !== 5 + count * 64) return false;
+
+    const signers = new Set();
+    for (let i = 0; i < count; i++) {
+      const sig = bytes.slice(5 + i * 64, 5 + (i + 1) * 64);
+      const signer = prop.publicKeys.find((pk) => !signers.has(pk) && KeyManager.verify(pk, messageToSign, sig));
+      if (signer) signers.add(signer);
+    }
+    return signers.size >= prop.threshold;
+  }
+
+  /**
+   * Getter for the proposition type
+   * @memberof ThresholdSignature
+   * @returns {string} ThresholdCurve25519
+   */
+  get propositionType() {
+    return this.#proposition.propositionType;
+  }
+
+  /**
+   * Getter for the encoded proposition, used as key in the transaction signatures
+   * @memberof ThresholdSignature
+   * @returns {string} base58 encoded proposition
+   */
+  get proposition() {
+    return this.#proposition.encode();
+  }
+
+  /**
+   * Getter for the address of the threshold proposition
+   * @memberof ThresholdSignature
+   * @returns {string} base58 encoded address
+   */
+  get address() {
+    return this.#proposition.address;
+  }
+
+  /**
+   * Getter for private property #messageToSign
+   * @memberof ThresholdSignature
+   * @returns {string} base58 encoded message
+   */
+  get messageToSign() {
+    return this.#messageToSign;
+  }
+
+  /**
+   * Getter for the public keys that have signed so far
+   * @memberof ThresholdSignature
+   * @returns {string[]} base58 encoded public keys
+   */
+  get signers() {
+    return [...this.#signatures.keys()];
+  }
+
+  /**
+   * Getter for the completion status of the signature collection
+   * @memberof ThresholdSignature
+   * @returns {boolean} true once `threshold` signatures were collected
+   */
+  get isComplete() {
+    return this.#signatures.size >= this.#proposition.threshold;
+  }
+
+  /**
+   * Sign the message with an unlocked key manager that is part of the proposition
+   * @param {object} keyManager unlocked KeyManager instance
+   * @memberof ThresholdSignature
+   * @returns {object} this instance, allowing calls to be chained
+   */
+  sign(keyManager) {
+    return this.addSignature(keyManager.pk, keyManager.sign(this.#messageToSign));
+  }
+
+  /**
+   * Add a signature produced elsewhere (e.g. by another KeyManager at a later time)
+   * @param {string} publicKey base58 encoded public key of the signer
+   * @param {Uint8Array|string} signature signature over the message (if string, must be bs58 encoded)
+   * @memberof ThresholdSignature
+   * @returns {object} this instance, allowing calls to be chained
+   */
+  addSignature(publicKey, signature) {
+    if (!this.#proposition.publicKeys.includes(publicKey)) {
+      throw new ValidationError(`Public key is not part of the threshold proposition: ${publicKey}`, "publicKey");
+    }
+    const sig = signature.constructor === String ? Buffer.from(Base58.decode(signature)) : Buffer.from(signature);
+    if (sig.length !== 64 || !KeyManager.verify(publicKey, this.#messageToSign, sig)) {
+      throw new ValidationError(`Invalid signature for public key: ${publicKey}`, "signature");
+    }
+    this.#signatures.set(publicKey, Base58.encode(sig));
+    return this;
+  }
+
+  /**
+   * Getter for the threshold proof, may only be used once the threshold is reached
+   * @memberof ThresholdSignature
+   * @returns {string} base58 encoded proof including the type prefix
+   */
+  get proof() {
+    if (!this.isComplete) {
+      throw new ValidationError(`Insufficient signatures: ${this.#signatures.size} of ${this.#proposition.threshold} collected`,
+          "signatures");
+    }
+    const signatures = this.#proposition.publicKeys
+        .filter((pk) => this.#signatures.has(pk))
+        .map((pk) => Buffer.from(Base58.decode(this.#signatures.get(pk))));
+
+    return Base58.encode(Buffer.concat([
+      Buffer.from([utils.propositionTypes[this.propositionType]]),
+      intToBytes(signatures.length),
+      ...signatures
+    ]));
+  }
+
+  /**
+   * Serialize the collected signatures so that collection may continue elsewhere
+   * @memberof ThresholdSignature
+   * @returns {object} {proposition, messageToSign, signatures}
+   */
+  toJSON() {
+    return {
+      proposition: this.#proposition.toJSON(),
+      messageToSign: this.#messageToSign,
+      signatures: Object.fromEntries(this.#signatures)
+    };
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+
+module.exports = ThresholdSignature;
+
+/* -------------------------------------------------------------------------- */
@@ -0,0 +1,276 @@
+/**
+ * Build unsigned Poly, Arbit and Asset transfers locally, without asking a chain provider.
+ * The resulting `{rawTx, messageToSign}` object has the same shape as the `result` of the
+ * `topl_raw*Transfer` json-rpc methods and may be signed with `Brambl.addSigToTx`.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @namespace TransactionBuilder
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+
+// utils
+const utils = require("../utils/address-utils.js");
+const txUtils = require("../utils/transaction-utils.js");
+const {ValidationError, invalidAddressesError} = require("../lib/errors.js");
+const {validateSelection, selectBoxes} = require("../lib/selection.js");
+const {parseFee, parseQuantity} = require("../lib/amounts.js");
+
+const validPropositions = ["PublicKeyCurve25519", "ThresholdCurve25519", "PublicKeyEd25519"];
+
+/**
+ * Verify the parameters shared by all transfer types
+ * @param {object} params transfer parameters
+ * @param {string} networkPrefix network the addresses must belong to
+ * @returns {void} throws if the parameters are invalid
+ */
+function validateTransferParams(params, networkPrefix) {
+  if (!params) {
+    throw new ValidationError("A parameter object must be specified", "params");
+  }
+  if (!params.propositionType || !validPropositions.includes(params.propositionType)) {
+    throw new ValidationError("A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>", "params.propositionType");
+  }
+  if (!params.sender || params.sender.length < 1) {
+    throw new ValidationError("An asset sender must be specified", "params.sender");
+  }
+  if (!params.recipients || params.recipients.length < 1) {
+    throw new ValidationError("At least one recipient must be specified", "params.recipients");
+  }
+  if (!params.changeAddress) {
+    throw new ValidationError("A changeAddress must be specified", "params.changeAddress");
+  }
+  parseFee(params);
+
+  validateSelection(params);
+
+  // validate all addresses
+  const validationResult = utils.validateAddressesByNetwork(networkPrefix, params);
+  if (!validationResult.success) {
+    throw invalidAddressesError(networkPrefix, validationResult, params);
+  }
+}
+
+/**
+ * Collect the boxes of a given type owned by the senders
+ * @param {object} balances result of `lookupBalancesByAddresses` for the senders
+ * @param {string[]} senders list of sender addresses
+ * @param {string} boxType one of PolyBox, ArbitBox, AssetBox
+ * @param {function} [filter] optional predicate applied to each box
+ * @returns {object[]} list of {address, box}
+ */
+function collectBoxes(balances, senders, boxType, filter) {
+  const result = balances.result || balances;
+  const boxes = [];
+  senders.forEach((address) => {
+    const entry = result[address];
+    if (!entry || !entry.Boxes || !entry.Boxes[boxType]) return;
+    entry.Boxes[boxType]
+        .filter((box) => !filter || filter(box))
+        .forEach((box) => boxes.push({address, box}));
+  });
+  return boxes;
+}
+
+/**
+ * @class TransactionBuilder
+ * @memberof TransactionBuilder
+ * @classdesc Creates unsigned transactions from the box data of the senders
+ */
+class TransactionBuilder {
+  /**
+   * @constructor
+   * @param {string} [networkPrefix="private"] Network Prefix, defaults to "private"
+   */
+  constructor(networkPrefix) {
+    this.networkPrefix = networkPrefix || "private";
+
+    if (!utils.isValidNetwork(this.networkPrefix)) {
+      throw new ValidationError(`Invalid Network Prefix. Must be one of: ${utils.getValidNetworksList()}`, "networkPrefix");
+    }
+  }
+
+  /* ---------------------- Create Raw Poly Trasfer ------------------------ */
+  /**
+   * Create a raw transaction for transferring polys between addresses
+   * @param {object} params - same parameters as {@link Requests#createRawPolyTransfer}
+   * @param {object} balances - result of `lookupBalancesByAddresses` for the senders
+   * @param {number} [params.timestamp] - timestamp of the transaction, defaults to now
+   * @returns {object} {rawTx, messageToSign}
+   * @memberof TransactionBuilder
+   */
+  createRawPolyTransfer(params, balances) {
+    validateTransferParams(params, this.networkPrefix);
+    if (!balances) throw new ValidationError("Sender balances must be specified", "balances");
+
+    const fee = parseFee(params);
+    const recipients = params.recipients.map((recipient, i) => [recipient[0], parseQuantity(recipient, `params.recipients[${i}][1]`, true)]);
+    const amount = recipients.reduce((sum, [, quantity]) => sum + quantity, BigInt(0));
+
+    const polys = selectBoxes(collectBoxes(balances, params.sender, "PolyBox"), amount + fee, "Polys", params);
+
+    return this.#buildTransfer("PolyTransfer", params, {
+      inputs: polys.selected,
+      to: [
+        [params.changeAddress, {type: "Simple", quantity: (polys.total - amount - fee).toString()}],
+        ...recipients.map(([address, quantity]) => [address, {type: "Simple", quantity: quantity.toString()}])
+      ],
+      minting: false
+    });
+  }
+
+  /* ---------------------- Create Raw Arbit Trasfer ------------------------ */
+  /**
+   * Create a raw transaction for transferring arbits between addresses
+   * @param {object} params - same parameters as {@link Requests#createRawArbitTransfer}
+   * @param {object} balances - result of `lookupBalancesByAddresses` for the senders
+   * @param {number} [params.timestamp] - timestamp of the transaction, defaults to now
+   * @returns {object} {rawTx, messageToSign}
+   * @memberof TransactionBuilder
+   */
+  createRawArbitTransfer(params, balances) {
+    validateTransferParams(params, this.networkPrefix);
+    if (!params.consolidationAddress) {
+      throw new ValidationError("A consolidationAddress must be specified", "params.consolidationAddress");
+    }
+    if (!balances) throw new ValidationError("Sender balances must be specified", "balances");
+
+    const fee = parseFee(params);
+    const recipients = params.recipients.map((recipient, i) => [recipient[0], parseQuantity(recipient, `params.recipients[${i}][1]`)]);
+    const amount = recipients.reduce((sum, [, quantity]) => sum + quantity, BigInt(0));
+
+    const polys = selectBoxes(collectBoxes(balances, params.sender, "PolyBox"), fee, "Polys", params);
+    const arbits = selectBoxes(collectBoxes(balances, params.sender, "ArbitBox"), amount, "Arbits", params);
+
+    return this.#buildTransfer("ArbitTransfer", params, {
+      inputs: [...polys.selected, ...arbits.selected],
+      to: [
+        [params.changeAddress, {type: "Simple", quantity: (polys.total - fee).toString()}],
+        [params.consolidationAddress, {type: "Simple", quantity: (arbits.total - amount).toString()}],
+        ...recipients.map(([address, quantity]) => [address, {type: "Simple", quantity: quantity.toString()}])
+      ],
+      minting: false
+    });
+  }
+
+  /* ---------------------- Create Raw Asset Trasfer ------------------------ */
+  /**
+   * Create a raw transaction for minting or transferring assets
+   * @param {object} params - same parameters as {@link Requests#createRawAssetTransfer}
+   * @param {object} balances - result of `lookupBalancesByAddresses` for the senders
+   * @param {number} [params.timestamp] - timestamp of the transaction, defaults to now
+   * @returns {object} {rawTx, messageToSign}
+   * @memberof TransactionBuilder
+   */
+  createRawAssetTransfer(params, balances) {
+    validateTransferParams(params, this.networkPrefix);
+    if (!params.assetCode) {
+      throw new ValidationError("An assetCode must be specified", "params.assetCode");
+    } else if (!utils.isValidAssetCode(params.assetCode)) {
+      throw new ValidationError("Invalid asset code", "params.assetCode");
+    }
+    if (typeof params.minting !== "boolean") {
+      throw new ValidationError("Minting boolean value must be specified", "params.minting");
+    }
+    if (!params.minting && !params.consolidationAddress) {
+      throw new ValidationError("A consolidationAddress must be specified", "params.consolidationAddress");
+    }
+    if (!balances) throw new ValidationError("Sender balances must be specified", "balances");
+
+    const fee = parseFee(params);
+    const recipients = params.recipients.map((recipient, i) => {
+      const [address, , securityRoot, metadata] = recipient;
+      const quantity = parseQuantity(recipient, `params.recipients[${i}][1]`);
+
+      if (securityRoot !== undefined && Base58.decode(securityRoot).length !== 32) {
+        throw new ValidationError(`Invalid securityRoot in Recipient: ${recipient}`, `params.recipients[${i}][2]`);
+      }
+      if (metadata !== undefined && !utils.isValidMetadata(metadata)) {
+        throw new ValidationError(`Invalid metadata in Recipient: ${recipient}`, `params.recipients[${i}][3]`);
+      }
+
+      return [address, quantity, securityRoot || txUtils.emptySecurityRoot, metadata || null];
+    });
+    const amount = recipients.reduce((sum, [, quantity]) => sum + quantity, BigInt(0));
+
+    const assetValue = (quantity, securityRoot = txUtils.emptySecurityRoot, metadata = null) => ({
+      type: "Asset",
+      quantity: quantity.toString(),
+      assetCode: params.assetCode,
+      securityRoot,
+      metadata
+    });
+
+    const polys = selectBoxes(collectBoxes(balances, params.sender, "PolyBox"), fee, "Polys", params);
+    const inputs = [...polys.selected];
+    const to = [[params.changeAddress, {type: "Simple", quantity: (polys.total - fee).toString()}]];
+
+    // when transferring (not minting) existing asset boxes must be spent and the remainder consolidated
+    if (!params.minting) {
+      const assets = selectBoxes(
+          collectBoxes(balances, params.sender, "AssetBox", (box) => box.value.assetCode === params.assetCode),
+          amount,
+          params.assetCode,
+          params
+      );
+      inputs.push(...assets.selected);
+      to.push([params.consolidationAddress, assetValue(assets.total - amount)]);
+    }
+
+    recipients.forEach(([address, quantity, securityRoot, metadata]) => {
+      to.push([address, assetValue(quantity, securityRoot, metadata)]);
+    });
+
+    return this.#buildTransfer("AssetTransfer", params, {inputs, to, minting: params.minting});
+  }
+
+  /**
+   * Assemble the raw transaction and compute the message to sign and transaction id
+   * @param {string} txType one of PolyTransfer, ArbitTransfer, AssetTransfer
+   * @param {object} params transfer parameters
+   * @param {object} transfer computed inputs and outputs of the transfer
+   * @param {object[]} transfer.inputs selected {address, box} to be opened
+   * @param {array} transfer.to list of [address, value] outputs
+   * @param {boolean} transfer.minting minting flag
+   * @returns {object} {rawTx, messageToSign}
+   * @memberof TransactionBuilder
+   */
+  #buildTransfer(txType, params, transfer) {
+    const timestamp = params.timestamp || Date.now();
+    const fee = params.fee.toString();
+    const from = transfer.inputs.map(({address, box}) => [address, box.nonce]);
+    const boxesToRemove = transfer.inputs.map(({box}) => box.id);
+
+    const rawTx = {
+      txType,
+      timestamp,
+      signatures: {},
+      newBoxes: [],
+      data: params.data || null,
+      from,
+      minting: transfer.minting,
+      txId: "",
+      boxesToRemove,
+      fee,
+      to: transfer.to,
+      propositionType: params.propositionType
+    };
+
+    rawTx.newBoxes = txUtils.generateNewBoxes(rawTx);
+    const messageToSign = txUtils.generateMessageToSign(rawTx);
+    rawTx.txId = txUtils.generateTxId(messageToSign);
+
+    return {rawTx, messageToSign: Base58.encode(messageToSign)};
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+
+module.exports = TransactionBuilder;
+
+/* -------------------------------------------------------------------------- */
@@ -0,0 +1,283 @@
+/**
+ * @fileOverview Address codec: structured decoding and encoding of Topl addresses.
+ *
+ * An address is the base58 encoding of 38 bytes:
+ * network prefix (1) ++ proposition type (1) ++ evidence hash (32) ++ checksum (4)
+ * where the checksum is the first 4 bytes of the Blake2b-256 digest of the 34 preceding bytes.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports Address Address, propositionTypes
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+const blake = require("blake2");
+
+// Registry of the known networks
+const networks = require("../lib/networks.js");
+const {ValidationError} = require("../lib/errors.js");
+
+// proposition type byte included in the address after the network prefix
+const propositionTypes = {
+  "PublicKeyCurve25519": 1,
+  "ThresholdCurve25519": 2,
+  "PublicKeyEd25519": 3
+};
+
+const addressLength = 38;
+const payloadLength = 34;
+const evidenceHashLength = 32;
+
+/**
+ * Compute the checksum of the bytes of an address
+ * @param {Buffer} payload network prefix ++ proposition type ++ evidence hash
+ * @returns {Buffer} 4 byte checksum
+ */
+function checksumOf(payload) {
+  return blake.createHash("blake2b", {digestLength: 32}).update(payload).end().read().slice(0, 4);
+}
+
+/**
+ * Read the name of a proposition type byte
+ * @param {number} byte proposition type byte
+ * @returns {string|undefined} name of the proposition type, undefined if unknown
+ */
+function propositionTypeOf(byte) {
+  return Object.keys(propositionTypes).find((type) => propositionTypes[type] === byte);
+}
+
+/**
+ * @class Address
+ * @classdesc Decoded address: network, proposition type, evidence hash and checksum
+ */
+class Address {
+  #networkPrefix;
+  #propositionType;
+  #evidenceHash;
+
+  /**
+   * @constructor
+   * @param {object} params address components
+   * @param {string} params.networkPrefix name of a registered network
+   * @param {string} params.propositionType PublicKeyCurve25519, ThresholdCurve25519 or PublicKeyEd25519
+   * @param {Buffer} params.evidenceHash 32 byte Blake2b-256 hash of the proposition
+   */
+  constructor(params) {
+    if (!params || !networks.hasNetwork(params.networkPrefix)) {
+      throw new ValidationError(`Invalid Network Prefix. Must be one of: ${networks.getNetworkNames()}`, "params.networkPrefix");
+    }
+    if (!propositionTypes[params.propositionType]) {
+      throw new ValidationError(`Invalid proposition type. Must be one of: ${Object.keys(propositionTypes)}`, "params.propositionType");
+    }
+    if (!params.evidenceHash || params.evidenceHash.length !== evidenceHashLength) {
+      throw new ValidationError(`The evidence hash must be ${evidenceHashLength} bytes long`, "params.evidenceHash");
+    }
+    this.#networkPrefix = params.networkPrefix;
+    this.#propositionType = params.propositionType;
+    this.#evidenceHash = Buffer.from(params.evidenceHash);
+  }
+
+  /**
+   * Create the address of a proposition
+   * @param {Buffer} propositionBytes serialized proposition (the public key for PublicKeyCurve25519)
+   * @param {string} propositionType PublicKeyCurve25519, ThresholdCurve25519 or PublicKeyEd25519
+   * @param {string} networkPrefix name of a registered network
+   * @returns {Address} address
+   */
+  static fromProposition(propositionBytes, propositionType, networkPrefix) {
+    const evidenceHash = blake.createHash("blake2b", {digestLength: 32}).update(propositionBytes).digest();
+    return new Address({networkPrefix, propositionType, evidenceHash});
+  }
+
+  /**
+   * Check an address and report why it is invalid
+   * @param {string} address base58 encoded address
+   * @param {string} [networkPrefix] network the address must belong to
+   * @returns {object} {valid, code, reason, networkPrefix, propositionType}, `code` being one of "type", "base58",
+   * "length", "network", "wrongNetwork", "propositionType" or "checksum" for invalid addresses. The network and
+   * proposition type are reported as soon as they could be read.
+   */
+  static validate(address, networkPrefix) {
+    const invalid = (code, reason, details = {}) => ({valid: false, code, reason, ...details});
+
+    if (typeof address !== "string" || address.length === 0) {
+      return invalid("type", "an address must be a non-empty base58 string");
+    }
+    let bytes;
+    try {
+      bytes = Buffer.from(Base58.decode(address));
+    } catch (err) {
+      return invalid("base58", "the address contains characters outside of the base58 alphabet");
+    }
+    if (bytes.length !== addressLength) {
+      return invalid("length", `the address is ${bytes.length} bytes long instead of ${addressLength}`);
+    }
+
+    const network = networks.getNetwork(bytes[0]);
+    if (!network) {
+      return invalid("network", `the network prefix byte <${bytes[0]}> is not registered`);
+    }
+    const details = {networkPrefix: network.name, propositionType: propositionTypeOf(bytes[1])};
+    if (networkPrefix !== undefined && network.name !== networkPrefix) {
+      return invalid("wrongNetwork", `the address belongs to network <${network.name}> instead of <${networkPrefix}>`, details);
+    }
+    if (!details.propositionType) {
+      return invalid("propositionType", `the proposition type byte <${bytes[1]}> is unknown`, details);
+    }
+    if (!checksumOf(bytes.slice(0, payloadLength)).equals(bytes.slice(payloadLength))) {
+      return invalid("checksum", "the checksum does not match the address", details);
+    }
+    return {valid: true, ...details};
+  }
+
+  /**
+   * Decode a base58 address
+   * @param {string} address base58 encoded address
+   * @param {string} [networkPrefix] network the address must belong to
+   * @returns {Address} decoded address
+   * @throws {ValidationError} with the reason why the address is invalid
+   */
+  static parse(address, networkPrefix) {
+    const result = Address.validate(address, networkPrefix);
+    if (!result.valid) {
+      throw new ValidationError(`Invalid address <${address}>: ${result.reason}`, "address");
+    }
+    const bytes = Buffer.from(Base58.decode(address));
+    return new Address({
+      networkPrefix: result.networkPrefix,
+      propositionType: result.propositionType,
+      evidenceHash: bytes.slice(2, payloadLength)
+    });
+  }
+
+  /**
+   * Check whether a string is a valid address
+   * @param {string} address base58 encoded address
+   * @param {string} [networkPrefix] network the address must belong to
+   * @returns {boolean} true if valid
+   */
+  static isValid(address, networkPrefix) {
+    return Address.validate(address, networkPrefix).valid;
+  }
+
+  /**
+   * Name of the network of the address
+   * @returns {string} network prefix
+   */
+  get networkPrefix() {
+    return this.#networkPrefix;
+  }
+
+  /**
+   * Prefix byte of the network of the address
+   * @returns {number} network prefix byte
+   */
+  get networkPrefixByte() {
+    return networks.getNetwork(this.#networkPrefix).prefix;
+  }
+
+  /**
+   * Proposition type of the address
+   * @returns {string} PublicKeyCurve25519, ThresholdCurve25519 or PublicKeyEd25519
+   */
+  get propositionType() {
+    return this.#propositionType;
+  }
+
+  /**
+   * Proposition type byte of the address
+   * @returns {number} proposition type byte
+   */
+  get propositionTypeByte() {
+    return propositionTypes[this.#propositionType];
+  }
+
+  /**
+   * Blake2b-256 hash of the proposition
+   * @returns {Buffer} 32 bytes
+   */
+  get evidenceHash() {
+    return Buffer.from(this.#evidenceHash);
+  }
+
+  /**
+   * Evidence of the proposition as used in boxes: proposition type byte ++ evidence hash
+   * @returns {Buffer} 33 bytes
+   */
+  get evidence() {
+    return Buffer.concat([Buffer.from([this.propositionTypeByte]), this.#evidenceHash]);
+  }
+
+  /**
+   * Bytes covered by the checksum: network prefix byte ++ proposition type byte ++ evidence hash
+   * @returns {Buffer} 34 bytes
+   */
+  get payload() {
+    return Buffer.concat([Buffer.from([this.networkPrefixByte]), this.evidence]);
+  }
+
+  /**
+   * Checksum of the address
+   * @returns {Buffer} 4 bytes
+   */
+  get checksum() {
+    return checksumOf(this.payload);
+  }
+
+  /**
+   * Serialize the address
+   * @returns {Buffer} 38 bytes
+   */
+  toBytes() {
+    const payload = this.payload;
+    return Buffer.concat([payload, checksumOf(payload)]);
+  }
+
+  /**
+   * Encode the address in base58
+   * @returns {string} base58 encoded address
+   */
+  encode() {
+    return Base58.encode(this.toBytes());
+  }
+
+  /**
+   * Create the address of the same proposition on another network
+   * @param {string} networkPrefix name of a registered network
+   * @returns {Address} address on the given network
+   */
+  toNetwork(networkPrefix) {
+    return new Address({networkPrefix, propositionType: this.#propositionType, evidenceHash: this.#evidenceHash});
+  }
+
+  /**
+   * Compare with another address
+   * @param {Address|string} other address or base58 encoded address
+   * @returns {boolean} true if both encode the same address
+   */
+  equals(other) {
+    return (other instanceof Address ? other.encode() : other) === this.encode();
+  }
+
+  /**
+   * Base58 encoded address
+   * @returns {string} base58 encoded address
+   */
+  toString() {
+    return this.encode();
+  }
+
+  /**
+   * Base58 encoded address when serialized to JSON
+   * @returns {string} base58 encoded address
+   */
+  toJSON() {
+    return this.encode();
+  }
+}
+
+module.exports = {Address, propositionTypes};
@@ -0,0 +1,271 @@
+/**
+ * @fileOverview Asset code codec: structured decoding and encoding of the identifiers of assets.
+ *
+ * An asset code is the base58 encoding of 43 bytes:
+ * version (1) ++ issuer address without checksum (34: network prefix, proposition type, evidence hash) ++ short name (8)
+ * where the short name is latin-1 encoded and padded with trailing zeros.
+ *
+ * Only version 1 asset codes are valid, asset codes of other versions may be decoded with the same layout by
+ * `AssetCode.decode`, they are then reported as not supported (see `supported`).
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports AssetCode AssetCode
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+
+// Utilities
+const networks = require("../lib/networks.js");
+const {Address, propositionTypes} = require("./Address.js");
+const {ValidationError} = require("../lib/errors.js");
+
+// version of the asset codes created by BramblJS
+const assetCodeVersion = 1;
+
+const assetCodeLength = 43;
+const issuerLength = 34;
+const shortNameLength = 8;
+
+// key of the constructor parameters holding decoded bytes, only set by AssetCode.parse and AssetCode.decode
+const decodedBytes = Symbol("decodedBytes");
+
+/**
+ * Check the layout of an asset code, whatever its version
+ * @param {string} assetCode base58 encoded asset code
+ * @returns {object} {valid, code, reason} for malformed asset codes, {valid, version} otherwise
+ */
+function validateLayout(assetCode) {
+  const invalid = (code, reason) => ({valid: false, code, reason});
+
+  if (typeof assetCode !== "string" || assetCode.length === 0) {
+    return invalid("type", "an asset code must be a non-empty base58 string");
+  }
+  let bytes;
+  try {
+    bytes = Buffer.from(Base58.decode(assetCode));
+  } catch (err) {
+    return invalid("base58", "the asset code contains characters outside of the base58 alphabet");
+  }
+  if (bytes.length !== assetCodeLength) {
+    return invalid("length", `the asset code is ${bytes.length} bytes long instead of ${assetCodeLength}`);
+  }
+  return {valid: true, version: bytes[0]};
+}
+
+/**
+ * @class AssetCode
+ * @classdesc Decoded asset code: version, issuer and short name
+ */
+class AssetCode {
+  #version;
+  #issuer; // network prefix byte ++ proposition type byte ++ evidence hash
+  #shortName;
+
+  /**
+   * @constructor
+   * @param {object} params asset code components
+   * @param {Address|string} params.issuer address of the issuer of the asset
+   * @param {string} params.shortName name of the asset, up to 8 bytes long in latin-1 encoding
+   * @param {number} [params.version=1] version of the asset code
+   */
+  constructor(params) {
+    if (!params) {
+      throw new ValidationError("The issuer and shortName of the asset must be specified", "params");
+    }
+    if (params[decodedBytes]) {
+      // the issuer is kept as encoded, even when its network is not registered here
+      const bytes = params[decodedBytes];
+      this.#version = bytes[0];
+      this.#issuer = bytes.slice(1, 1 + issuerLength);
+      this.#shortName = bytes.slice(1 + issuerLength).toString("latin1").replace(/\0+$/, "");
+      return;
+    }
+    const issuer = params.issuer instanceof Address ? params.issuer : Address.parse(params.issuer);
+    const version = params.version === undefined ? assetCodeVersion : params.version;
+    if (!Number.isInteger(version) || version < 0 || version > 255) {
+      throw new ValidationError(`Invalid asset code version <${version}>, must be an Integer between 0 and 255`, "params.version");
+    }
+    if (!params.shortName || typeof params.shortName !== "string" || params.shortName.length > shortNameLength) {
+      throw new ValidationError("shortname must be defined with length up to 8 bytes in latin-1 encoding", "params.shortName");
+    }
+    if (Buffer.from(params.shortName, "latin1").toString("latin1") !== params.shortName) {
+      throw new ValidationError("shortname must be latin-1 encoding, other languages are currently not supported", "params.shortName");
+    }
+    this.#version = version;
+    this.#issuer = issuer.payload;
+    this.#shortName = params.shortName;
+  }
+
+  /**
+   * Check an asset code and report why it is invalid
+   * @param {string} assetCode base58 encoded asset code
+   * @returns {object} {valid, code, reason} for invalid asset codes, `code` being one of "type", "base58", "length" or
+   * "version". {valid, version} for valid ones
+   */
+  static validate(assetCode) {
+    const result = validateLayout(assetCode);
+    if (result.valid && result.version !== assetCodeVersion) {
+      return {valid: false, code: "version", reason: `the asset code version <${result.version}> is not supported`};
+    }
+    return result;
+  }
+
+  /**
+   * Decode a base58 asset code
+   * @param {string} assetCode base58 encoded asset code
+   * @returns {AssetCode} decoded asset code
+   * @throws {ValidationError} with the reason why the asset code is invalid
+   */
+  static parse(assetCode) {
+    const result = AssetCode.validate(assetCode);
+    if (!result.valid) {
+      throw new ValidationError(`Invalid asset code <${assetCode}>: ${result.reason}`, "assetCode");
+    }
+    return new AssetCode({[decodedBytes]: Buffer.from(Base58.decode(assetCode))});
+  }
+
+  /**
+   * Decode a base58 asset code of any version, i.e. to display the asset codes held by an address. Asset codes of
+   * versions other than 1 are not `supported` and cannot be transferred.
+   * @param {string} assetCode base58 encoded asset code
+   * @returns {AssetCode} decoded asset code
+   * @throws {ValidationError} with the reason why the asset code cannot be decoded
+   */
+  static decode(assetCode) {
+    const result = validateLayout(assetCode);
+    if (!result.valid) {
+      throw new ValidationError(`Invalid asset code <${assetCode}>: ${result.reason}`, "assetCode");
+    }
+    return new AssetCode({[decodedBytes]: Buffer.from(Base58.decode(assetCode))});
+  }
+
+  /**
+   * Check whether a string is a valid asset code
+   * @param {string} assetCode base58 encoded asset code
+   * @returns {boolean} true if valid
+   */
+  static isValid(assetCode) {
+    return AssetCode.validate(assetCode).valid;
+  }
+
+  /**
+   * Version of the asset code
+   * @returns {number} version
+   */
+  get version() {
+    return this.#version;
+  }
+
+  /**
+   * Whether the version of the asset code is the one created by BramblJS
+   * @returns {boolean} true for version 1
+   */
+  get supported() {
+    return this.#version === assetCodeVersion;
+  }
+
+  /**
+   * Name of the asset, without the zero padding
+   * @returns {string} short name
+   */
+  get shortName() {
+    return this.#shortName;
+  }
+
+  /**
+   * Name of the network of the issuer
+   * @returns {string|undefined} network prefix, undefined if the network is not registered
+   */
+  get networkPrefix() {
+    const network = networks.getNetwork(this.#issuer[0]);
+    return network ? network.name : undefined;
+  }
+
+  /**
+   * Evidence of the issuer: proposition type byte ++ evidence hash
+   * @returns {Buffer} 33 bytes
+   */
+  get issuerEvidence() {
+    return Buffer.from(this.#issuer.slice(1));
+  }
+
+  /**
+   * Address of the issuer
+   * @returns {Address|undefined} address, undefined if its network or proposition type is unknown
+   */
+  get issuer() {
+    const propositionType = Object.keys(propositionTypes).find((type) => propositionTypes[type] === this.#issuer[1]);
+    if (!this.networkPrefix || !propositionType) return undefined;
+    return new Address({networkPrefix: this.networkPrefix, propositionType, evidenceHash: this.#issuer.slice(2)});
+  }
+
+  /**
+   * Check whether an address is the issuer of the asset
+   * @param {Address|string} address address, i.e. `keyManager.address`
+   * @returns {boolean} true if the address issued the asset, false for other or invalid addresses
+   */
+  isIssuedBy(address) {
+    if (address instanceof Address) return address.payload.equals(this.#issuer);
+    return Address.isValid(address) && Address.parse(address).payload.equals(this.#issuer);
+  }
+
+  /**
+   * Human-readable description of the asset
+   * @returns {string} i.e. "GOLD issued by AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE"
+   */
+  get label() {
+    const issuer = this.issuer;
+    if (issuer) return `${this.#shortName} issued by ${issuer.encode()}`;
+    return `${this.#shortName} issued on the unregistered network 0x${this.#issuer[0].toString(16).padStart(2, "0")}`;
+  }
+
+  /**
+   * Serialize the asset code
+   * @returns {Buffer} 43 bytes
+   */
+  toBytes() {
+    const shortName = Buffer.alloc(shortNameLength);
+    shortName.write(this.#shortName, "latin1");
+    return Buffer.concat([Buffer.from([this.#version]), this.#issuer, shortName]);
+  }
+
+  /**
+   * Encode the asset code in base58
+   * @returns {string} base58 encoded asset code
+   */
+  encode() {
+    return Base58.encode(this.toBytes());
+  }
+
+  /**
+   * Compare with another asset code
+   * @param {AssetCode|string} other asset code or base58 encoded asset code
+   * @returns {boolean} true if both encode the same asset code
+   */
+  equals(other) {
+    return (other instanceof AssetCode ? other.encode() : other) === this.encode();
+  }
+
+  /**
+   * Base58 encoded asset code
+   * @returns {string} base58 encoded asset code
+   */
+  toString() {
+    return this.encode();
+  }
+
+  /**
+   * Base58 encoded asset code when serialized to JSON
+   * @returns {string} base58 encoded asset code
+   */
+  toJSON() {
+    return this.encode();
+  }
+}
+
+module.exports = {AssetCode};
@@ -3,41 +3,18 @@
  *
  * @author Raul Aragonez (r.aragonez@topl.me)
  *
- * @exports utils isValidNetwork, getUrlByNetwork, getHexByNetwork, getDecimalByNetwork, getValidNetworksList, validateAddressesByNetwork, generatePubKeyHashAddress
+ * @exports utils isValidNetwork, getUrlByNetwork, getHexByNetwork, getDecimalByNetwork, getValidNetworksList, validateAddressesByNetwork, generatePubKeyHashAddress, generatePropositionAddress, parseAddress, Address, parseAssetCode, AssetCode
  */
 
 "use strict";
 
-// Dependencies
-const Base58 = require("bs58");
-const blake = require("blake2");
-
-const validNetworks = ["local", "private", "toplnet", "valhalla", "hel"];
-
-// TODO: Feature - support custom define network
-// TODO: everything in UTILS should be part of BramblJS
-const networksDefaults = {
-  "local": {
-    hex: "0x30",
-    decimal: 48
-  },
-  "private": {
-    hex: "0x40",
-    decimal: 64
-  },
-  "toplnet": {
-    hex: "0x01",
-    decimal: 1
-  },
-  "valhalla": {
-    hex: "0x10",
-    decimal: 16
-  },
-  "hel": {
-    hex: "0x20",
-    decimal: 32
-  }
-};
+// Registry of the known networks
+const networks = require("../lib/networks.js");
+
+// Address and asset code codecs
+const {Address, propositionTypes} = require("./Address.js");
+const {AssetCode} = require("./AssetCode.js");
+const {ValidationError} = require("../lib/errors.js");
 
 /**
  * Check if addresses are valid by verifying:
@@ -47,7 +24,7 @@ const networksDefaults = {
  * 4. verify that hash matches the last 4 bytes
  * @param {String} networkPrefix prefix of network to validate against
  * @param {Array} addresses list of addresses to run validation against
- * @returns {object} result obj returned as json
+ * @returns {object} result obj returned as json, `reasons` holds why every invalid address was rejected
  */
 function validateAddressesByNetwork(networkPrefix, addresses) {
   // response upon the completion of validation
@@ -57,7 +34,8 @@ function validateAddressesByNetwork(networkPrefix, addresses) {
     networkPrefix: networkPrefix,
     addresses: [],
     invalidAddresses: [],
-    invalidChecksums: []
+    invalidChecksums: [],
+    reasons: {}
   };
 
   // check if network is valid
@@ -71,9 +49,6 @@ function validateAddressesByNetwork(networkPrefix, addresses) {
     return result;
   }
 
-  // get decimal of the network prefix
-  const networkDecimal = getDecimalByNetwork(networkPrefix);
-
   // addresses can be passed as an array or extracted from a json obj
   result.addresses = addresses.constructor === Array ? addresses : extractAddressesFromObj(addresses);
 
@@ -83,24 +58,15 @@ function validateAddressesByNetwork(networkPrefix, addresses) {
     return result;
   }
 
-  // run validation on addresses, if address is not valid then add it to invalidAddresses array
+  // run validation on addresses, addresses with an invalid checksum are reported apart from the other invalid addresses
   result.addresses.forEach((address) => {
-    const decodedAddress = Base58.decode(address);
-
-    // validation: base58 38 byte obj that matches networkPrefix decimal
-    if (decodedAddress.length !== 38 || decodedAddress[0] !== networkDecimal) {
-      result.invalidAddresses.push(address);
-    } else {
-      // address has correct length and matches the network, now validate the checksum
-      const checksumBuffer = Buffer.from(decodedAddress.slice(34));
-
-      // encrypt message (bytes 1-34)
-      const msgBuffer = Buffer.from(decodedAddress.slice(0, 34));
-      const hashChecksumBuffer = blake.createHash("blake2b", {digestLength: 32}).update(msgBuffer).end().read().slice(0, 4);
-
-      // verify checksum bytes match
-      if (!checksumBuffer.equals(hashChecksumBuffer)) {
+    const validation = Address.validate(address, networkPrefix);
+    if (!validation.valid) {
+      result.reasons[address] = validation.reason;
+      if (validation.code === "checksum") {
         result.invalidChecksums.push(address);
+      } else {
+        result.invalidAddresses.push(address);
       }
     }
   });
@@ -121,9 +87,31 @@ function validateAddressesByNetwork(networkPrefix, addresses) {
  * Generate Hash Address using the Public Key and Network Prefix
  * @param {Buffer} publicKey base58 buffer of public key
  * @param {String} networkPrefix prefix of network where address will be used
+ * @param {String} [propositionType="PublicKeyCurve25519"] PublicKeyCurve25519 or PublicKeyEd25519
  * @returns {object} result obj returned as json
  */
-function generatePubKeyHashAddress(publicKey, networkPrefix) {
+function generatePubKeyHashAddress(publicKey, networkPrefix, propositionType = "PublicKeyCurve25519") {
+  // validate public key
+  if (publicKey.length !== 32) {
+    return {
+      success: false,
+      errorMsg: "Invalid publicKey length",
+      networkPrefix: networkPrefix,
+      address: ""
+    };
+  }
+
+  return generatePropositionAddress(publicKey, propositionType, networkPrefix);
+}
+
+/**
+ * Generate Hash Address of any proposition using the proposition bytes and Network Prefix
+ * @param {Buffer} propositionBytes serialized proposition (the public key for PublicKeyCurve25519)
+ * @param {String} propositionType one of PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519
+ * @param {String} networkPrefix prefix of network where address will be used
+ * @returns {object} result obj returned as json
+ */
+function generatePropositionAddress(propositionBytes, propositionType, networkPrefix) {
   const result = {
     success: false,
     errorMsg: "",
@@ -137,31 +125,20 @@ function generatePubKeyHashAddress(publicKey, networkPrefix) {
     return result;
   }
 
-  // validate public key
-  if (publicKey.length !== 32) {
-    result.errorMsg = "Invalid publicKey length";
+  // validate proposition type
+  if (!propositionTypes[propositionType]) {
+    result.errorMsg = "Invalid proposition type provided";
     return result;
   }
 
-  // include evidence with network prefix and multisig
-  const networkHex = getHexByNetwork(networkPrefix);
-  const netSigBytes = new Uint8Array([networkHex, "0x01"]); // network decimal + multisig
-  const evidence = blake.createHash("blake2b", {digestLength: 32}).update(publicKey).digest(); // hash it
-
-  const concatEvidence = Buffer.concat([netSigBytes, evidence], 34); // insert the publicKey
-
-  // get the hash of these 2, add first 4 bytes to the end.
-  const hashChecksumBuffer = blake.createHash("blake2b", {digestLength: 32}).update(concatEvidence).end().read().slice(0, 4);
-  const address = Buffer.concat([concatEvidence, hashChecksumBuffer], 38);
-
-  result.address = Base58.encode(address);
+  result.address = Address.fromProposition(propositionBytes, propositionType, networkPrefix).encode();
   result.success = true;
   return result;
 }
 
 /**
  * Parse obj to retrieve addresses from the following keys:
- * ["recipients", "sender", "changeAddress", "consolidationAdddress", "addresses"]
+ * ["recipients", "sender", "changeAddress", "consolidationAddress", "addresses"]
  *
  * @param {object} obj json obj to retrieve addresses from
  * @returns {Array} list of addresses found in object
@@ -173,7 +150,7 @@ function extractAddressesFromObj(obj) {
     return [obj];
   }
 
-  const addKeys = ["recipients", "sender", "changeAddress", "consolidationAdddress", "addresses"];
+  const addKeys = ["recipients", "sender", "changeAddress", "consolidationAddress", "addresses"];
 
   addKeys.forEach((addKey) => {
     if (obj[addKey] && obj[addKey].length > 0) {
@@ -200,37 +177,11 @@ function extractAddressesFromObj(obj) {
  */
 function createAssetCode(networkPrefix, address, shortName) {
   if (!isValidNetwork(networkPrefix)) {
-    throw new Error("Invalid network provided");
-  }
-
-  const validationResult = validateAddressesByNetwork(networkPrefix, address);
-  if (!validationResult.success) {
-    throw new Error("Invalid Addresses::" +
-      " Network Type: <" + this.networkPrefix + ">" +
-      " Invalid Addresses: <" + validationResult.invalidAddresses + ">" +
-      " Invalid Checksums: <" + validationResult.invalidChecksums + ">");
-  }
-
-  const decodedAddress = Base58.decode(address);
-  const slicedAddress = Buffer.from(decodedAddress.slice(0, 34));
-
-  // validate shortName
-  if (!shortName || shortName.length > 8) {
-    throw new Error("shortname must be defined with length up to 8 bytes in latin-1 encoding");
-  }
-
-  // ensure shortName is latin1
-  const latin1ShortName = Buffer.from(shortName, "latin1");
-  if (latin1ShortName.toString() !== shortName) {
-    throw new Error("shortname must be latin-1 encoding, other languages are currenlty not supported");
+    throw new ValidationError("Invalid network provided", "networkPrefix");
   }
 
   // concat 01 [version] + 34 bytes [address] + ^8bytes [asset name]
-  const version = new Uint8Array(["0x01"]);
-  const concatValues = Buffer.concat([version, slicedAddress, latin1ShortName], 43); // add trailing zeros, shortname must be 8 bytes long
-  const encodedAssetCode = Base58.encode(concatValues);
-
-  return encodedAssetCode;
+  return new AssetCode({issuer: Address.parse(address, networkPrefix), shortName}).encode();
 }
 
 /**
@@ -239,12 +190,17 @@ function createAssetCode(networkPrefix, address, shortName) {
  * @returns {boolean} true if valid
  */
 function isValidAssetCode(assetCode) {
-  // concat 01 [version] + 34 bytes [address] + ^8bytes [asset name]
-  const decodedAssetCode = Base58.decode(assetCode);
-  if (decodedAssetCode.length !== 43 || decodedAssetCode[0] !== 1) {
-    return false;
-  }
-  return true;
+  return AssetCode.isValid(assetCode);
+}
+
+/**
+ * Decode an asset code into its version, issuer and short name
+ * @param {string} assetCode base58 encoded asset code
+ * @returns {AssetCode} decoded asset code
+ * @throws {ValidationError} with the reason why the asset code is invalid
+ */
+function parseAssetCode(assetCode) {
+  return AssetCode.parse(assetCode);
 }
 
 /**
@@ -267,10 +223,10 @@ function isValidMetadata(metadata) {
 
 /**
  * @param {String} networkPrefix prefix of network to validate against
- * @returns {boolean} true if network is valid and is included in the valid networks obj
+ * @returns {boolean} true if network is valid and is registered (see lib/networks.js)
  */
 function isValidNetwork(networkPrefix) {
-  return networkPrefix && validNetworks.includes(networkPrefix);
+  return Boolean(networkPrefix) && networks.hasNetwork(networkPrefix);
 }
 
 /**
@@ -278,23 +234,30 @@ function isValidNetwork(networkPrefix) {
  * @returns {hex} hexadecimal value of network
  */
 function getHexByNetwork(networkPrefix) {
-  return networksDefaults[networkPrefix].hex;
+  return networks.getNetwork(networkPrefix).hex;
 }
 
 /**
  * @param {String} networkPrefix prefix of network to validate against
- * @returns {String} hexadecimal value of network
+ * @returns {number} decimal value of network
  */
 function getDecimalByNetwork(networkPrefix) {
-  return networksDefaults[networkPrefix].decimal;
+  return networks.getNetwork(networkPrefix).prefix;
 }
 
 /**
  * @param {String} networkPrefix prefix of network to validate against
- * @returns {object} json obj of valid networks
+ * @returns {string} url of the default chain provider of the network
+ */
+function getUrlByNetwork(networkPrefix) {
+  return networks.getNetwork(networkPrefix).url;
+}
+
+/**
+ * @returns {string[]} names of the registered networks
  */
 function getValidNetworksList() {
-  return validNetworks;
+  return networks.getNetworkNames();
 }
 /**
  *
@@ -302,39 +265,61 @@ function getValidNetworksList() {
  * @returns {object} obj with {success: <boolean>, networkPrefix: "<prefix if found>", error: "<message>"}
  */
 function getAddressNetwork(address) {
-  const decodedAddress = Base58.decode(address);
+  const validation = Address.validate(address);
   const result = {
     success: false,
     networkPrefix: "",
     error: ""
   };
 
-  if (decodedAddress.length > 0) {
-    validNetworks.forEach((prefix) => {
-      if (networksDefaults[prefix].decimal === decodedAddress[0]) {
-        result.networkPrefix = prefix;
-      }
-    });
-    if (!isValidNetwork(result.networkPrefix)) {
-      result.success = false;
-      result.error = "invalid network prefix found";
-    } else {
-      result.success = true;
-    }
+  // the network is read even if the rest of the address is invalid
+  if (validation.networkPrefix) {
+    result.networkPrefix = validation.networkPrefix;
+    result.success = true;
+  } else {
+    result.error = validation.code === "network" ? "invalid network prefix found" : `invalid address, ${validation.reason}`;
   }
   return result;
 }
 
+/**
+ *
+ * @param {string} address valid address to retrieve the proposition type from
+ * @returns {string} name of the proposition type (i.e. PublicKeyCurve25519) or undefined if unknown
+ */
+function getAddressPropositionType(address) {
+  return Address.validate(address).propositionType;
+}
+
+/**
+ * Decode an address into its network, proposition type, evidence hash and checksum
+ * @param {string} address base58 encoded address
+ * @param {string} [networkPrefix] network the address must belong to
+ * @returns {Address} decoded address
+ * @throws {ValidationError} with the reason why the address is invalid
+ */
+function parseAddress(address, networkPrefix) {
+  return Address.parse(address, networkPrefix);
+}
+
 module.exports = {
   isValidNetwork,
   getHexByNetwork,
   getDecimalByNetwork,
+  getUrlByNetwork,
   getValidNetworksList,
   validateAddressesByNetwork,
   generatePubKeyHashAddress,
+  generatePropositionAddress,
+  propositionTypes,
   createAssetCode,
   isValidAssetCode,
+  parseAssetCode,
+  AssetCode,
   isValidMetadata,
   getAddressNetwork,
+  getAddressPropositionType,
+  parseAddress,
+  Address,
   extractAddressesFromObj
 };
@@ -0,0 +1,70 @@
+/**
+ * @fileOverview Utility functions reading the blocks and chain heads returned by a chain provider.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports utils getHeadHeight, getBlockId, getBlockHeight, getBlockSummary, getBlockTransactions
+ */
+
+"use strict";
+
+/**
+ * Read the height of the chain from a `topl_head` result
+ * @param {object} result result of `topl_head`
+ * @returns {number|undefined} best block height
+ */
+function getHeadHeight(result) {
+  if (!result) return undefined;
+  if (result.height !== undefined) return Number(result.height);
+  if (result.bestBlock && result.bestBlock.header) return Number(result.bestBlock.header.height);
+  return undefined;
+}
+
+/**
+ * Read the id of a block
+ * @param {object} block block json, i.e. the result of `topl_blockByHeight`
+ * @returns {string|undefined} block id
+ */
+function getBlockId(block) {
+  if (!block) return undefined;
+  return block.header ? block.header.id : block.id;
+}
+
+/**
+ * Read the height of a block
+ * @param {object} block block json, i.e. the result of `topl_blockById`
+ * @returns {number|undefined} block height
+ */
+function getBlockHeight(block) {
+  if (!block) return undefined;
+  const height = block.header ? block.header.height : block.height;
+  return height === undefined ? undefined : Number(height);
+}
+
+/**
+ * Summarize a block into the context attached to its transactions
+ * @param {object} block block json, i.e. the result of `topl_blockByHeight`
+ * @returns {object} {id, parentId, height, timestamp}
+ */
+function getBlockSummary(block) {
+  const header = block.header || block;
+  return {
+    id: getBlockId(block),
+    parentId: header.parentId,
+    height: getBlockHeight(block),
+    timestamp: header.timestamp
+  };
+}
+
+/**
+ * Read the transactions of a block
+ * @param {object} block block json, i.e. the result of `topl_blockByHeight`
+ * @returns {object[]} transactions of the block
+ */
+function getBlockTransactions(block) {
+  const body = block.body || block;
+  return body.txs || [];
+}
+
+module.exports = {getHeadHeight, getBlockId, getBlockHeight, getBlockSummary, getBlockTransactions};
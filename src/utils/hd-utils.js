@@ -0,0 +1,117 @@
+/**
+ * @fileOverview Utility functions for hierarchical deterministic (HD) key derivation.
+ *
+ * Mnemonics follow BIP-39. Child keys are derived with SLIP-0010 (hardened derivation only) along
+ * BIP-44 style paths using the Topl coin type: m/44'/7091'/account'/change'/index'.
+ * The master key is keyed by the SLIP-0010 secret of the curve ("curve25519 seed" or "ed25519 seed") and each derived
+ * 32 byte key is used as the seed of a Curve25519 or Ed25519 key pair.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports HDUtils generateMnemonic, validateMnemonic, mnemonicToSeed, getDerivationPath, derivePath
+ */
+
+"use strict";
+
+// Dependencies
+const bip39 = require("bip39");
+const crypto = require("crypto");
+
+// Utilities
+const {ValidationError} = require("../lib/errors.js");
+
+// Constants definitions
+const toplCoinType = 7091;
+const hardenedOffset = 0x80000000;
+// HMAC key of the master node per key type (SLIP-0010)
+const masterSecrets = {
+  Curve25519: Buffer.from("curve25519 seed", "utf8"),
+  Ed25519: Buffer.from("ed25519 seed", "utf8")
+};
+const validStrengths = [128, 160, 192, 224, 256];
+
+/**
+ * Generate a new random BIP-39 mnemonic
+ * @param {number} [strength=128] entropy in bits (128 bits = 12 words, 256 bits = 24 words)
+ * @returns {string} space separated mnemonic
+ */
+function generateMnemonic(strength = 128) {
+  if (!validStrengths.includes(strength)) {
+    throw new ValidationError(`Invalid mnemonic strength. Must be one of: ${validStrengths}`, "strength");
+  }
+  return bip39.generateMnemonic(strength);
+}
+
+/**
+ * Check a mnemonic against the BIP-39 english wordlist and checksum
+ * @param {string} mnemonic space separated mnemonic
+ * @returns {boolean} true if valid
+ */
+function validateMnemonic(mnemonic) {
+  return !!mnemonic && mnemonic.constructor === String && bip39.validateMnemonic(mnemonic.trim());
+}
+
+/**
+ * Derive the 64 byte BIP-39 seed of a mnemonic
+ * @param {string} mnemonic space separated mnemonic
+ * @param {string} [passphrase=""] optional passphrase protecting the seed
+ * @returns {Buffer} 64 byte seed
+ */
+function mnemonicToSeed(mnemonic, passphrase = "") {
+  if (!validateMnemonic(mnemonic)) {
+    throw new ValidationError("Invalid mnemonic provided", "mnemonic");
+  }
+  return bip39.mnemonicToSeedSync(mnemonic.trim(), passphrase);
+}
+
+/**
+ * Build the derivation path of a key
+ * @param {number} index index of the key
+ * @param {number} [account=0] account number
+ * @param {number} [change=0] 0 for external (receiving) keys, 1 for internal (change) keys
+ * @returns {string} derivation path, i.e. m/44'/7091'/0'/0'/index'
+ */
+function getDerivationPath(index, account = 0, change = 0) {
+  [index, account, change].forEach((value) => {
+    if (!Number.isInteger(value) || value < 0 || value >= hardenedOffset) {
+      throw new ValidationError("Derivation indexes must be Integers between 0 and 2^31 - 1", "index");
+    }
+  });
+  return `m/44'/${toplCoinType}'/${account}'/${change}'/${index}'`;
+}
+
+/**
+ * Derive the key at the given path from a seed (SLIP-0010, hardened only)
+ * @param {Buffer} seed BIP-39 seed
+ * @param {string} path derivation path, every segment must be hardened
+ * @param {string} [keyType="Curve25519"] Key type, "Curve25519" or "Ed25519"
+ * @returns {Buffer} 32 byte derived key
+ */
+function derivePath(seed, path, keyType = "Curve25519") {
+  if (!masterSecrets[keyType]) {
+    throw new ValidationError(`Invalid key type. Must be one of: ${Object.keys(masterSecrets)}`, "keyType");
+  }
+  const segments = path.split("/");
+  if (segments.shift() !== "m") {
+    throw new ValidationError(`Invalid derivation path: ${path}`, "path");
+  }
+
+  let node = crypto.createHmac("sha512", masterSecrets[keyType]).update(seed).digest();
+
+  segments.forEach((segment) => {
+    if (!/^\d+'$/.test(segment)) {
+      throw new ValidationError(`Invalid derivation path, only hardened indexes are supported: ${path}`, "path");
+    }
+    const index = Buffer.alloc(4);
+    index.writeUInt32BE(Number(segment.slice(0, -1)) + hardenedOffset);
+
+    // data = 0x00 ++ parent key ++ index, keyed by the parent chain code
+    const data = Buffer.concat([Buffer.alloc(1), node.slice(0, 32), index]);
+    node = crypto.createHmac("sha512", node.slice(32)).update(data).digest();
+  });
+
+  return node.slice(0, 32);
+}
+
+module.exports = {generateMnemonic, validateMnemonic, mnemonicToSeed, getDerivationPath, derivePath};
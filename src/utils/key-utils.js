@@ -4,7 +4,7 @@
  * @author James Aman (j.aman@topl.me)
  * @author Raul Aragonez (r.aragonez@topl.me)
  *
- * @exports KeyUtils create, dump, recover, str2buf, generateKeystoreFilename
+ * @exports KeyUtils create, dump, recover, str2buf, generateKeystoreFilename, generateKeyPair, sign, verify
  */
 
 "use strict";
@@ -16,6 +16,14 @@ const Base58 = require("bs58");
 const curve25519 = require("curve25519-js");
 
 const utils = require("../utils/address-utils.js");
+const {ValidationError} = require("../lib/errors.js");
+
+// supported key types
+const validKeyTypes = ["Curve25519", "Ed25519"];
+
+// DER prefixes for importing raw Ed25519 keys into the node crypto module
+const ed25519Pkcs8Prefix = Buffer.from("302e020100300506032b657004220420", "hex");
+const ed25519SpkiPrefix = Buffer.from("302a300506032b6570032100", "hex");
 
 /* ------------------------------ Generic key utils  ------------------------------ */
 
@@ -52,7 +60,7 @@ function isCipherAvailable(cipher) {
  * @returns {Buffer} Encrypted data.
  */
 function encrypt(plaintext, key, iv, algo) {
-  if (!isCipherAvailable(algo)) throw new Error(algo + " is not available");
+  if (!isCipherAvailable(algo)) throw new ValidationError(algo + " is not available", "constants.cipher");
   const cipher = crypto.createCipheriv(algo, str2buf(key), str2buf(iv));
   const ciphertext = cipher.update(str2buf(plaintext));
 
@@ -68,7 +76,7 @@ function encrypt(plaintext, key, iv, algo) {
  * @returns {Buffer} Decrypted data.
  */
 function decrypt(ciphertext, key, iv, algo) {
-  if (!isCipherAvailable(algo)) throw new Error(algo + " is not available");
+  if (!isCipherAvailable(algo)) throw new ValidationError(algo + " is not available", "constants.cipher");
   const decipher = crypto.createDecipheriv(algo, str2buf(key), str2buf(iv));
   const plaintext = decipher.update(str2buf(ciphertext));
   return Buffer.concat([plaintext, decipher.final()]);
@@ -93,15 +101,81 @@ function getMAC(derivedKey, ciphertext) {
   }
 }
 
+/**
+ * Check that the key type is supported
+ * @param {string} keyType key type to validate
+ * @returns {string} the key type if valid
+ */
+function validateKeyType(keyType) {
+  if (!validKeyTypes.includes(keyType)) {
+    throw new ValidationError(`Invalid key type. Must be one of: ${validKeyTypes}`, "keyType");
+  }
+  return keyType;
+}
+
+/**
+ * Generate a key pair from a 32 byte seed
+ * @param {string} keyType Curve25519 or Ed25519
+ * @param {Buffer} seed 32 byte seed
+ * @returns {Object} {publicKey, privateKey} as Buffers
+ */
+function generateKeyPair(keyType, seed) {
+  validateKeyType(keyType);
+  if (keyType === "Ed25519") {
+    // the Ed25519 private key is the seed itself
+    const privateKey = crypto.createPrivateKey({key: Buffer.concat([ed25519Pkcs8Prefix, seed]), format: "der", type: "pkcs8"});
+    const publicKey = crypto.createPublicKey(privateKey).export({format: "der", type: "spki"});
+    return {publicKey: publicKey.slice(ed25519SpkiPrefix.length), privateKey: Buffer.from(seed)};
+  }
+
+  const {public: pk, private: sk} = curve25519.generateKeyPair(seed);
+  return {publicKey: Buffer.from(pk), privateKey: Buffer.from(sk)};
+}
+
+/**
+ * Sign a message with the given private key
+ * @param {string} keyType Curve25519 or Ed25519
+ * @param {Buffer} privateKey 32 byte private key
+ * @param {Buffer} message message bytes
+ * @returns {Uint8Array} 64 byte signature
+ */
+function sign(keyType, privateKey, message) {
+  validateKeyType(keyType);
+  if (keyType === "Ed25519") {
+    const key = crypto.createPrivateKey({key: Buffer.concat([ed25519Pkcs8Prefix, privateKey]), format: "der", type: "pkcs8"});
+    return new Uint8Array(crypto.sign(null, message, key));
+  }
+  return curve25519.sign(privateKey, message, crypto.randomBytes(64));
+}
+
+/**
+ * Verify the signature of a message
+ * @param {string} keyType Curve25519 or Ed25519
+ * @param {Buffer} publicKey 32 byte public key
+ * @param {Buffer} message message bytes
+ * @param {Buffer} signature 64 byte signature
+ * @returns {boolean} true if the signature is valid
+ */
+function verify(keyType, publicKey, message, signature) {
+  validateKeyType(keyType);
+  if (keyType === "Ed25519") {
+    const key = crypto.createPublicKey({key: Buffer.concat([ed25519SpkiPrefix, publicKey]), format: "der", type: "spki"});
+    return crypto.verify(null, message, key, signature);
+  }
+  return curve25519.verify(publicKey, message, signature);
+}
+
 /**
  * Generate random numbers for private key, initialization vector,
  * and salt (for key derivation).
  * @param {Object} params Encryption options.
  * @param {string} params.keyBytes Private key size in bytes.
  * @param {string} params.ivBytes Initialization vector size in bytes.
+ * @param {Buffer} [seed] 32 byte seed for a deterministic key pair (e.g. derived from a mnemonic)
+ * @param {string} [keyType="Curve25519"] Curve25519 or Ed25519
  * @returns {Object} Keys, IV and salt.
  */
-function create(params) {
+function create(params, seed, keyType = "Curve25519") {
   const keyBytes = params.keyBytes;
   const ivBytes = params.ivBytes;
 
@@ -115,21 +189,27 @@ function create(params) {
   }
 
   /**
-   * Generate curve25519 Key
-   * @param {Object} randomBytes random bytes
-   * @returns {Object} curve25519 Key as obj
+   * Generate Key of the requested type
+   * @param {Object} keySeed 32 byte seed of the key pair
+   * @returns {Object} Key as obj
    */
-  function curve25519KeyGen(randomBytes) {
-    const {public: pk, private: sk} = curve25519.generateKeyPair(bifrostBlake2b(randomBytes));
+  function keyGen(keySeed) {
+    const {publicKey, privateKey} = generateKeyPair(keyType, keySeed);
     return {
-      publicKey: Buffer.from(pk),
-      privateKey: Buffer.from(sk),
+      keyType,
+      publicKey,
+      privateKey,
       iv: bifrostBlake2b(crypto.randomBytes(keyBytes + ivBytes + keyBytes)).slice(0, ivBytes),
       salt: bifrostBlake2b(crypto.randomBytes(keyBytes + ivBytes))
     };
   }
 
-  return curve25519KeyGen(crypto.randomBytes(keyBytes + ivBytes + keyBytes));
+  if (seed !== undefined) {
+    if (seed.length !== 32) throw new ValidationError("Invalid seed, a seed must be 32 bytes long", "seed");
+    return keyGen(Buffer.from(seed));
+  }
+
+  return keyGen(bifrostBlake2b(crypto.randomBytes(keyBytes + ivBytes + keyBytes)));
 }
 
 /**
@@ -141,7 +221,7 @@ function create(params) {
  */
 function deriveKey(password, salt, kdfParams) {
   if (typeof password === "undefined" || password === null || !salt) {
-    throw new Error("Must provide password and salt to derive a key");
+    throw new ValidationError("Must provide password and salt to derive a key", "password");
   }
 
   // convert strings to Buffers
@@ -166,9 +246,10 @@ function deriveKey(password, salt, kdfParams) {
  * @param {Buffer} iv Initialization vector.
  * @param {Buffer} algo encryption algorithm to be used
  * @param {String} network network prefix as string i.e local/private/toplnet
+ * @param {String} [keyType="Curve25519"] Curve25519 or Ed25519, determines the address proposition type
  * @returns {Object} key data object in secret-storage format
  */
-function marshal(derivedKey, keyObject, salt, iv, algo, network) {
+function marshal(derivedKey, keyObject, salt, iv, algo, network, keyType = "Curve25519") {
   // for cipherText: encryption of public + private key
   const concatKeys = Buffer.concat([keyObject.privateKey, keyObject.publicKey], 64);
 
@@ -176,9 +257,9 @@ function marshal(derivedKey, keyObject, salt, iv, algo, network) {
   const ciphertext = encrypt(concatKeys, derivedKey, iv, algo);
 
   // generate address
-  const createAddress = utils.generatePubKeyHashAddress(keyObject.publicKey, network);
+  const createAddress = utils.generatePubKeyHashAddress(keyObject.publicKey, network, `PublicKey${keyType}`);
   if (createAddress && !createAddress.success) {
-    throw new Error(createAddress.errorMsg);
+    throw new ValidationError(createAddress.errorMsg, "networkPrefix");
   }
 
   const keyStorage = {
@@ -210,7 +291,7 @@ function dump(password, keyObject, options) {
   const privateKey = str2buf(keyObject.privateKey);
   const publicKey = str2buf(keyObject.publicKey);
 
-  return marshal(deriveKey(password, salt, kdfParams), {privateKey, publicKey}, salt, iv, options.cipher, options.networkPrefix);
+  return marshal(deriveKey(password, salt, kdfParams), {privateKey, publicKey}, salt, iv, options.cipher, options.networkPrefix, keyObject.keyType);
 }
 
 /**
@@ -232,7 +313,7 @@ function recover(password, keyStorage, kdfParams) {
    */
   function verifyAndDecrypt(derivedKey, iv, ciphertext, mac, algo) {
     if (!getMAC(derivedKey, ciphertext).equals(mac)) {
-      throw new Error("message authentication code mismatch");
+      throw new ValidationError("message authentication code mismatch", "password");
     }
     return decrypt(ciphertext, derivedKey, iv, algo);
   }
@@ -253,7 +334,7 @@ function recover(password, keyStorage, kdfParams) {
  */
 function keysEncodedFormat(keysBuffer) {
   if (keysBuffer.length !== 64) {
-    throw new Error("Invalid keysBuffer.");
+    throw new ValidationError("Invalid keysBuffer.", "keyStorage");
   }
   return [Base58.encode(keysBuffer.slice(0, 32)), Base58.encode(keysBuffer.slice(32))];
 }
@@ -264,10 +345,10 @@ function keysEncodedFormat(keysBuffer) {
  * @returns {string} Keystore filename.
  */
 function generateKeystoreFilename(publicKey) {
-  if (typeof publicKey !== "string") throw new Error("PublicKey must be given as a string for the filename");
+  if (typeof publicKey !== "string") throw new ValidationError("PublicKey must be given as a string for the filename", "publicKey");
   const filename = new Date().toISOString() + "-" + publicKey + ".json";
 
   return filename.split(":").join("-");
 }
 
-module.exports = {create, dump, recover, str2buf, generateKeystoreFilename};
+module.exports = {create, dump, recover, str2buf, generateKeystoreFilename, generateKeyPair, sign, verify, validKeyTypes};
@@ -0,0 +1,291 @@
+/**
+ * @fileOverview Utility serialization functions used to build transactions locally.
+ *
+ * The byte layouts below follow the Bifrost (v1.3) serializers so that the `messageToSign` and `txId`
+ * computed here match the values returned by the `topl_raw*Transfer` json-rpc methods. The transaction id, the box id
+ * and the fields of the message to sign are checked against transactions and boxes served by a node (see
+ * test/ut/utils/transaction-utils.js). The new boxes are derived as in the Bifrost `boxParams`: the change in polys is
+ * the first output with the nonce of index 0, the other outputs without value are dropped and the remaining ones take
+ * the nonces of index 1, 2, ... The serialization of boxes within the message to sign and the derivation of their
+ * nonces are not covered by node data yet.
+ *
+ * @author James Aman (j.aman@topl.me)
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports utils int128Max, int128Min, int128ToBytes, longToBytes, intToBytes, getEvidence, generateBoxId, calculateBoxNonces, generateNewBoxes, boxToBytes, generateMessageToSign, generateTxId, txModifierTypeId
+ */
+
+"use strict";
+
+// Dependencies
+const Base58 = require("bs58");
+const blake = require("blake2");
+
+// Utilities
+const {ValidationError} = require("../lib/errors.js");
+
+// Transaction and box type prefixes as defined in Bifrost
+const txTypePrefixes = {
+  "ArbitTransfer": 1,
+  "PolyTransfer": 2,
+  "AssetTransfer": 3
+};
+
+// modifier type of transactions, first byte of their id
+const txModifierTypeId = 2;
+
+const boxTypePrefixes = {
+  "ArbitBox": 1,
+  "PolyBox": 2,
+  "AssetBox": 3
+};
+
+// type of the boxes created for the recipients of every transaction type, the change is always a PolyBox
+const txBoxTypes = {
+  "ArbitTransfer": "ArbitBox",
+  "PolyTransfer": "PolyBox",
+  "AssetTransfer": "AssetBox"
+};
+
+// Int128 bounds, quantities and fees are serialized as 16 byte signed integers
+const int128Max = (BigInt(1) << BigInt(127)) - BigInt(1);
+const int128Min = -(BigInt(1) << BigInt(127));
+
+// an empty security root is 32 zero bytes
+const emptySecurityRoot = Base58.encode(Buffer.alloc(32));
+
+/**
+ * Blake2b-256 digest of the given buffer
+ * @param {Buffer} msg buffer to hash
+ * @returns {Buffer} 32 byte digest
+ */
+function blake2b256(msg) {
+  return blake.createHash("blake2b", {digestLength: 32}).update(msg).digest();
+}
+
+/**
+ * Serialize a signed integer into a fixed size big-endian two's complement buffer
+ * @param {number|string|bigint} value integer value to serialize
+ * @param {number} size number of bytes in the output
+ * @returns {Buffer} big-endian representation of the value
+ */
+function toFixedBytes(value, size) {
+  const bits = BigInt(size * 8);
+  let num = BigInt(value);
+  if (num < BigInt(0)) num = (BigInt(1) << bits) + num;
+
+  const bytes = Buffer.alloc(size);
+  for (let i = size - 1; i >= 0; i--) {
+    bytes[i] = Number(num & BigInt(0xff));
+    num >>= BigInt(8);
+  }
+  return bytes;
+}
+
+/**
+ * Serialize a value as a Bifrost Int128 (16 bytes, big-endian)
+ * @param {number|string|bigint} value quantity or fee to serialize
+ * @returns {Buffer} 16 byte buffer
+ */
+function int128ToBytes(value) {
+  const num = BigInt(value);
+  if (num > int128Max || num < int128Min) {
+    throw new ValidationError(`Value out of Int128 range: ${value}`, "value");
+  }
+  return toFixedBytes(num, 16);
+}
+
+/**
+ * Serialize a value as a Java Long (8 bytes, big-endian)
+ * @param {number|string|bigint} value value to serialize
+ * @returns {Buffer} 8 byte buffer
+ */
+function longToBytes(value) {
+  return toFixedBytes(value, 8);
+}
+
+/**
+ * Serialize a value as a Java Int (4 bytes, big-endian)
+ * @param {number} value value to serialize
+ * @returns {Buffer} 4 byte buffer
+ */
+function intToBytes(value) {
+  return toFixedBytes(value, 4);
+}
+
+/**
+ * Retrieve the evidence (proposition type byte + 32 byte hash) of an address
+ * @param {string} address base58 encoded address
+ * @returns {Buffer} 33 byte evidence
+ */
+function getEvidence(address) {
+  const decodedAddress = Base58.decode(address);
+  if (decodedAddress.length !== 38) {
+    throw new ValidationError(`Invalid address: ${address}`, "address");
+  }
+  return Buffer.from(decodedAddress.slice(1, 34));
+}
+
+/**
+ * Generate the id of a box from its evidence and nonce
+ * @param {Buffer|string} evidence evidence bytes or the base58 encoded evidence
+ * @param {string|bigint} nonce box nonce
+ * @returns {string} base58 encoded box id
+ */
+function generateBoxId(evidence, nonce) {
+  const evidenceBytes = evidence.constructor === String ? Buffer.from(Base58.decode(evidence)) : evidence;
+  return Base58.encode(blake2b256(Buffer.concat([evidenceBytes, longToBytes(nonce)])));
+}
+
+/**
+ * Calculate the nonces of the boxes created by a transaction.
+ * The nonce of index `i` is the first 8 bytes of Blake2b256(txTypePrefix ++ boxIdsToOpen ++ timestamp ++ fee ++ i),
+ * see `generateNewBoxes` for the index of every output
+ *
+ * @param {string} txType one of PolyTransfer, ArbitTransfer, AssetTransfer
+ * @param {string[]} boxesToRemove base58 encoded ids of the boxes to be opened
+ * @param {number} timestamp transaction timestamp
+ * @param {string|bigint} fee transaction fee
+ * @param {number} count number of nonces to calculate
+ * @returns {string[]} nonces of index 0 to count - 1 as strings (signed Long)
+ */
+function calculateBoxNonces(txType, boxesToRemove, timestamp, fee, count) {
+  const inputBytes = Buffer.concat([
+    Buffer.from([txTypePrefixes[txType]]),
+    ...boxesToRemove.map((id) => Buffer.from(Base58.decode(id))),
+    longToBytes(timestamp),
+    int128ToBytes(fee)
+  ]);
+
+  const nonces = [];
+  for (let i = 0; i < count; i++) {
+    const digest = blake2b256(Buffer.concat([inputBytes, intToBytes(i)]));
+    nonces.push(digest.readBigInt64BE(0).toString());
+  }
+  return nonces;
+}
+
+/**
+ * Derive the boxes created by the outputs of a transaction, as in the Bifrost `boxParams`:
+ * - the first output is the change in polys, it takes the nonce of index 0 and creates no box when empty,
+ * - the other outputs without value are dropped, the remaining ones take the nonces of index 1, 2, ...
+ *
+ * @param {object} rawTx transaction json object {txType, boxesToRemove, timestamp, fee, to}
+ * @returns {object[]} new boxes {nonce, id, evidence, type, value}
+ */
+function generateNewBoxes(rawTx) {
+  if (!txBoxTypes[rawTx.txType]) {
+    throw new ValidationError(`Unsupported transaction type: ${rawTx.txType}`, "rawTx.txType");
+  }
+  const [change, ...outputs] = rawTx.to;
+  const funded = outputs.filter(([, value]) => BigInt(value.quantity) > BigInt(0));
+  const nonces = calculateBoxNonces(rawTx.txType, rawTx.boxesToRemove, rawTx.timestamp, rawTx.fee, funded.length + 1);
+
+  const box = ([address, value], type, nonce) => {
+    const evidence = getEvidence(address);
+    return {nonce, id: generateBoxId(evidence, nonce), evidence: Base58.encode(evidence), type, value};
+  };
+  const newBoxes = change && BigInt(change[1].quantity) > BigInt(0) ? [box(change, "PolyBox", nonces[0])] : [];
+  funded.forEach((output, i) => newBoxes.push(box(output, txBoxTypes[rawTx.txType], nonces[i + 1])));
+  return newBoxes;
+}
+
+/**
+ * Serialize the value held in a box
+ * @param {object} value token value holder, e.g. {type: "Simple", quantity: "10"}
+ * @returns {Buffer} serialized value
+ */
+function valueToBytes(value) {
+  if (value.type === "Simple") {
+    return int128ToBytes(value.quantity);
+  }
+
+  if (value.type === "Asset") {
+    const metadata = value.metadata ? Buffer.from(value.metadata, "latin1") : null;
+    return Buffer.concat([
+      int128ToBytes(value.quantity),
+      Buffer.from(Base58.decode(value.assetCode)),
+      Buffer.from(Base58.decode(value.securityRoot || emptySecurityRoot)),
+      metadata ? Buffer.concat([Buffer.from([1, metadata.length]), metadata]) : Buffer.from([0])
+    ]);
+  }
+
+  throw new ValidationError(`Unsupported token value type: ${value.type}`, "value.type");
+}
+
+/**
+ * Serialize a box as in the Bifrost BoxSerializer: typePrefix ++ evidence ++ nonce ++ value
+ * @param {object} box box json object {nonce, evidence, type, value}
+ * @returns {Buffer} serialized box
+ */
+function boxToBytes(box) {
+  if (!boxTypePrefixes[box.type]) {
+    throw new ValidationError(`Unsupported box type: ${box.type}`, "box.type");
+  }
+  return Buffer.concat([
+    Buffer.from([boxTypePrefixes[box.type]]),
+    Buffer.from(Base58.decode(box.evidence)),
+    longToBytes(box.nonce),
+    valueToBytes(box.value)
+  ]);
+}
+
+/**
+ * Serialize the optional data field of a transaction (latin-1 encoded)
+ * @param {string} [data] data associated with the transaction
+ * @returns {Buffer} serialized data
+ */
+function dataToBytes(data) {
+  return data ? Buffer.from(data, "latin1") : Buffer.from([0]);
+}
+
+/**
+ * Generate the bytes that must be signed by the owners of the boxes being opened:
+ * txTypePrefix ++ newBoxes ++ boxesToRemove ++ timestamp ++ fee ++ data ++ minting
+ *
+ * @param {object} rawTx unsigned transaction json object
+ * @returns {Buffer} message to sign
+ */
+function generateMessageToSign(rawTx) {
+  if (!txTypePrefixes[rawTx.txType]) {
+    throw new ValidationError(`Unsupported transaction type: ${rawTx.txType}`, "rawTx.txType");
+  }
+  return Buffer.concat([
+    Buffer.from([txTypePrefixes[rawTx.txType]]),
+    ...rawTx.newBoxes.map(boxToBytes),
+    ...rawTx.boxesToRemove.map((id) => Buffer.from(Base58.decode(id))),
+    longToBytes(rawTx.timestamp),
+    int128ToBytes(rawTx.fee),
+    dataToBytes(rawTx.data),
+    Buffer.from([rawTx.minting ? 1 : 0])
+  ]);
+}
+
+/**
+ * Generate the transaction id, a Bifrost ModifierId: txModifierTypeId ++ Blake2b256(messageToSign)
+ * @param {Buffer|string} messageToSign message bytes or the base58 encoded message
+ * @returns {string} base58 encoded 33 byte transaction id
+ */
+function generateTxId(messageToSign) {
+  const msg = messageToSign.constructor === String ? Buffer.from(Base58.decode(messageToSign)) : messageToSign;
+  return Base58.encode(Buffer.concat([Buffer.from([txModifierTypeId]), blake2b256(msg)]));
+}
+
+module.exports = {
+  txTypePrefixes,
+  txModifierTypeId,
+  boxTypePrefixes,
+  emptySecurityRoot,
+  int128Max,
+  int128Min,
+  int128ToBytes,
+  longToBytes,
+  intToBytes,
+  getEvidence,
+  generateBoxId,
+  calculateBoxNonces,
+  generateNewBoxes,
+  boxToBytes,
+  generateMessageToSign,
+  generateTxId
+};
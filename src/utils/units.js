@@ -0,0 +1,176 @@
+/**
+ * @fileOverview Denominations of polys: conversion, formatting and parsing of human-readable amounts.
+ *
+ * Notes:
+ * - the chain works in nanopolys (base units), 1 poly is 10^9 nanopolys,
+ * - amounts are handled as decimal strings and BigInt, never as floating point numbers,
+ * - JS numbers are read from their shortest decimal representation, `1e-7` being read as "0.0000001",
+ * - `Amount` instances (i.e. `Units.polys("1.5")`) are accepted by the `fee` field of the `createRaw*Transfer` methods
+ *   and by the recipient quantities of `createRawPolyTransfer`, arbits and assets are not denominated in polys.
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * @exports utils denominations, baseUnit, parseUnits, formatUnits, convert, Amount, polys, nanopolys
+ */
+
+"use strict";
+
+// Number of decimals of every denomination, relative to the base unit
+const denominations = {
+  nanopoly: 0,
+  poly: 9
+};
+
+const baseUnit = "nanopoly";
+
+// Utilities
+const {ValidationError} = require("../lib/errors.js");
+
+/**
+ * Read the number of decimals of a denomination
+ * @param {string} unit name of the denomination, the plural form is accepted (i.e. "polys")
+ * @returns {number} decimals
+ */
+function getDecimals(unit) {
+  const name = typeof unit === "string" && unit.endsWith("s") ? unit.slice(0, -1) : unit;
+  if (!Object.prototype.hasOwnProperty.call(denominations, name)) {
+    throw new ValidationError(`Invalid unit <${unit}>. Must be one of: ${Object.keys(denominations)}`, "unit");
+  }
+  return denominations[name];
+}
+
+/**
+ * Write a finite number as a decimal string, without exponent notation
+ * @param {number} value finite number, i.e. 1e-7
+ * @returns {string} decimal string, i.e. "0.0000001"
+ */
+function numberToDecimal(value) {
+  const [mantissa, exponent] = String(value).split("e");
+  if (exponent === undefined) return mantissa;
+  const sign = mantissa.startsWith("-") ? "-" : "";
+  const [whole, fraction = ""] = mantissa.replace("-", "").split(".");
+  const digits = whole + fraction;
+  const point = whole.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${"0".repeat(-point)}${digits}`;
+  if (point >= digits.length) return sign + digits + "0".repeat(point - digits.length);
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Parse a human-readable amount into base units
+ * @param {string|number|bigint} value amount in the given unit, i.e. "1.5" or "-0.000000001"
+ * @param {string} [unit="poly"] denomination of the value
+ * @returns {bigint} amount in base units
+ */
+function parseUnits(value, unit = "poly") {
+  const decimals = getDecimals(unit);
+  if (typeof value === "bigint") return value * BigInt(10) ** BigInt(decimals);
+
+  const text = typeof value === "number" && Number.isFinite(value) ? numberToDecimal(value) : value;
+  const match = typeof text === "string" ? /^(-?)([0-9]*)(?:\.([0-9]*))?$/.exec(text.trim()) : null;
+  if (!match || (!match[2] && !match[3])) {
+    throw new ValidationError(`Invalid amount <${value}>, must be a decimal number`, "value");
+  }
+  const [, sign, whole, fraction = ""] = match;
+  if (fraction.replace(/0+$/, "").length > decimals) {
+    throw new ValidationError(`Invalid amount <${value}>, a ${unit} amount has at most ${decimals} decimals`, "value");
+  }
+  const amount = BigInt((whole || "0") + fraction.padEnd(decimals, "0").slice(0, decimals));
+  return sign ? -amount : amount;
+}
+
+/**
+ * Format an amount in base units as a human-readable amount
+ * @param {string|number|bigint} value amount in base units
+ * @param {string} [unit="poly"] denomination of the result
+ * @returns {string} decimal string without trailing zeros, i.e. "1.5"
+ */
+function formatUnits(value, unit = "poly") {
+  const decimals = getDecimals(unit);
+  const amount = BigInt(value);
+  const digits = (amount < 0 ? -amount : amount).toString().padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, "");
+  return `${amount < 0 ? "-" : ""}${whole}${fraction ? `.${fraction}` : ""}`;
+}
+
+/**
+ * Convert an amount between denominations
+ * @param {string|number|bigint} value amount in the `from` unit
+ * @param {string} from denomination of the value
+ * @param {string} to denomination of the result
+ * @returns {string} human-readable amount in the `to` unit
+ */
+function convert(value, from, to) {
+  return formatUnits(parseUnits(value, from), to);
+}
+
+/**
+ * @class Amount
+ * @classdesc Amount of polys in a given denomination, held in base units
+ */
+class Amount {
+  /**
+   * @constructor
+   * @param {string|number|bigint} value amount in the given unit
+   * @param {string} [unit="poly"] denomination of the value
+   */
+  constructor(value, unit = "poly") {
+    this.baseUnits = parseUnits(value, unit);
+    this.unit = unit;
+  }
+
+  /**
+   * Format the amount in a denomination
+   * @param {string} [unit] denomination, defaults to the one of the amount
+   * @returns {string} human-readable amount
+   */
+  format(unit = this.unit) {
+    return formatUnits(this.baseUnits, unit);
+  }
+
+  /**
+   * Amount in base units, as sent to the chain provider
+   * @returns {string} decimal string
+   */
+  toString() {
+    return this.baseUnits.toString();
+  }
+
+  /**
+   * Amount in base units when serialized to JSON
+   * @returns {string} decimal string
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Create an amount of polys
+ * @param {string|number|bigint} value amount in polys, i.e. "1.5"
+ * @returns {Amount} amount
+ */
+function polys(value) {
+  return new Amount(value, "poly");
+}
+
+/**
+ * Create an amount of nanopolys
+ * @param {string|number|bigint} value amount in nanopolys
+ * @returns {Amount} amount
+ */
+function nanopolys(value) {
+  return new Amount(value, "nanopoly");
+}
+
+module.exports = {
+  denominations,
+  baseUnit,
+  parseUnits,
+  formatUnits,
+  convert,
+  Amount,
+  polys,
+  nanopolys
+};
@@ -0,0 +1,76 @@
+/**
+ * @fileOverview Unit testing for token quantities and fees
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const {toAmount, parseFee, parseQuantity, normalizeBalances} = require("../../../src/lib/amounts");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                            Amounts unit tests                              */
+/* -------------------------------------------------------------------------- */
+describe("Amounts", () => {
+  const int128Max = "170141183460469231731687303715884105727";
+
+  describe("toAmount()", () => {
+    it("should accept BigInt, decimal strings and safe integers", () => {
+      assert.strictEqual(toAmount(BigInt(int128Max)), BigInt(int128Max));
+      assert.strictEqual(toAmount(int128Max), BigInt(int128Max));
+      assert.strictEqual(toAmount("-12"), BigInt(-12));
+      assert.strictEqual(toAmount(Number.MAX_SAFE_INTEGER), BigInt(Number.MAX_SAFE_INTEGER));
+    });
+    it("should refuse numbers that may have lost precision", () => {
+      assert.throws(() => toAmount(2 ** 64), /lose precision, use a BigInt or a decimal string/);
+    });
+    it("should refuse values which are not integers", () => {
+      ["1.5", 1.5, "0x10", " 1", "", null, undefined, {}].forEach((value) => assert.throws(() => toAmount(value), TypeError));
+    });
+    it("should refuse values out of the Int128 range", () => {
+      assert.throws(() => toAmount(BigInt(int128Max) + BigInt(1)), /out of the Int128 range/);
+      assert.throws(() => toAmount(`-${int128Max}0`), RangeError);
+    });
+  });
+
+  describe("parseFee()", () => {
+    it("should accept a zero fee", () => {
+      assert.strictEqual(parseFee({fee: 0}), BigInt(0));
+      assert.strictEqual(parseFee({fee: BigInt(0)}), BigInt(0));
+    });
+    it("should refuse missing, negative and invalid fees", () => {
+      assert.throws(() => parseFee({}), /A fee must be specified/);
+      assert.throws(() => parseFee({fee: "-1"}), /a fee must be greater or equal to zero/);
+      assert.throws(() => parseFee({fee: "1e3"}), (err) => err instanceof ValidationError && err.field === "params.fee");
+    });
+  });
+
+  describe("parseQuantity()", () => {
+    it("should keep 128 bit quantities exact", () => {
+      assert.strictEqual(parseQuantity(["address", int128Max], "field").toString(), int128Max);
+    });
+    it("should refuse quantities lower than 1", () => {
+      assert.throws(() => parseQuantity(["address", 0], "params.recipients[0][1]"),
+          (err) => err instanceof ValidationError && err.field === "params.recipients[0][1]" && /must be at least 1/.test(err.message));
+      assert.throws(() => parseQuantity(["address"], "field"), /Recipient quantity must be specified/);
+    });
+  });
+
+  describe("normalizeBalances()", () => {
+    it("should represent every quantity as a decimal string", () => {
+      const result = normalizeBalances({
+        address: {
+          Balances: {Polys: 1e21, Arbits: "5"},
+          Boxes: {PolyBox: [{id: "box", value: {type: "Simple", quantity: 10}}], ArbitBox: []}
+        }
+      });
+      assert.deepStrictEqual(result, {
+        address: {
+          Balances: {Polys: "1000000000000000000000", Arbits: "5"},
+          Boxes: {PolyBox: [{id: "box", value: {type: "Simple", quantity: "10"}}], ArbitBox: []}
+        }
+      });
+    });
+  });
+});
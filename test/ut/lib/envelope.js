@@ -0,0 +1,117 @@
+/**
+ * @fileOverview Unit testing for the offline signing envelope
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const BramblJS = require("../../../src/Brambl");
+const KeyManager = require("../../../src/modules/KeyManager");
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const envelope = require("../../../src/lib/envelope");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {FileError} = require("../../../src/lib/errors");
+
+/* -------------------------------------------------------------------------- */
+/*                          Envelope unit tests                               */
+/* -------------------------------------------------------------------------- */
+describe("Envelope", () => {
+  const recipient = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+  let keyMan;
+  let otherKeyMan;
+  let brambl;
+  let prototypeTx;
+  let txEnvelope;
+
+  // run this before all tests
+  before(() => {
+    const constants = {
+      cipher: "aes-256-ctr",
+      ivBytes: 16,
+      keyBytes: 32,
+      scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}
+    };
+    keyMan = new KeyManager({password: "topl_the_world", constants});
+    otherKeyMan = new KeyManager({password: "topl_the_world", constants});
+    brambl = new BramblJS({KeyManager: keyMan});
+  });
+
+  // run this before every test
+  beforeEach(() => {
+    const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+    const balances = {
+      [keyMan.address]: {
+        Boxes: {
+          PolyBox: [{nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}}]
+        }
+      }
+    };
+    prototypeTx = new TransactionBuilder().createRawPolyTransfer({
+      propositionType: "PublicKeyCurve25519",
+      recipients: [[recipient, 10]],
+      sender: [keyMan.address],
+      changeAddress: keyMan.address,
+      fee: 1
+    }, balances);
+    txEnvelope = envelope.createEnvelope(prototypeTx, "private");
+  });
+
+  it("should list the owners of the opened boxes as signers", () => {
+    assert.deepStrictEqual(txEnvelope.signers, [keyMan.address]);
+    assert.strictEqual(txEnvelope.networkPrefix, "private");
+  });
+  it("should round trip through a file", () => {
+    const filePath = path.join(os.tmpdir(), `envelope-${Date.now()}.json`);
+    brambl.exportUnsignedTx(prototypeTx, filePath);
+    try {
+      assert.deepStrictEqual(envelope.readEnvelope(filePath), txEnvelope);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+  it("should report files that cannot be written or read", () => {
+    const missing = path.join(os.tmpdir(), `missing-${Date.now()}`, "envelope.json");
+    assert.throws(() => envelope.writeEnvelope(txEnvelope, missing), (err) => err instanceof FileError && err.path === missing);
+    assert.throws(() => envelope.readEnvelope(missing), (err) => err instanceof FileError && err.cause.code === "ENOENT");
+  });
+  it("should fail if the envelope was altered", () => {
+    txEnvelope.rawTx.to[1][0] = keyMan.address;
+    assert.throws(() => envelope.validateEnvelope(txEnvelope), /checksum mismatch/);
+  });
+  it("should fail if the message to sign is not the one of the raw transaction", () => {
+    const rawTx = {...prototypeTx.rawTx, fee: "0"};
+    assert.throws(() => envelope.createEnvelope({...prototypeTx, rawTx}, "private"),
+        (err) => err.field === "envelope.messageToSign");
+  });
+  it("should refuse to sign an altered envelope", async () => {
+    txEnvelope.rawTx.fee = "0";
+    await assert.rejects(brambl.addSigToTx(txEnvelope, keyMan), /checksum mismatch/);
+  });
+  it("should refuse to sign an envelope without checksum", async () => {
+    delete txEnvelope.checksum;
+    await assert.rejects(brambl.addSigToTx(txEnvelope, keyMan), (err) => err.field === "envelope.checksum");
+    await assert.rejects(brambl.addSigToTx({...txEnvelope, version: undefined}, keyMan), (err) => err.field === "envelope.version");
+  });
+  it("should sign prototype transactions which are not envelopes", async () => {
+    const signedTx = await brambl.addSigToTx(prototypeTx, keyMan);
+    assert.strictEqual(Object.keys(signedTx.signatures).length, 1);
+  });
+  it("should import a transaction signed by the expected signer", async () => {
+    const signedTx = await brambl.addSigToTx(txEnvelope, keyMan);
+    assert.strictEqual(envelope.importSignedTx(txEnvelope, signedTx), signedTx);
+  });
+  it("should fail if an expected signer is missing", async () => {
+    const signedTx = await brambl.addSigToTx(txEnvelope, otherKeyMan);
+    assert.throws(() => envelope.importSignedTx(txEnvelope, signedTx), /Missing signatures/);
+  });
+  it("should fail if the signed transaction body was changed", async () => {
+    const signedTx = await brambl.addSigToTx(txEnvelope, keyMan);
+    signedTx.fee = "0";
+    assert.throws(() => envelope.importSignedTx(txEnvelope, signedTx), /does not match/);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileOverview Unit testing for the error classes thrown by BramblJS
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const KeyManager = require("../../../src/modules/KeyManager");
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const errors = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                            Errors unit tests                               */
+/* -------------------------------------------------------------------------- */
+describe("Errors", () => {
+  const address = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const invalidAddress = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoF";
+  const constants = {
+    cipher: "aes-256-ctr",
+    ivBytes: 16,
+    keyBytes: 32,
+    scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}
+  };
+
+  it("should name errors after their class and share a base class", () => {
+    const err = new errors.ValidationError("A fee must be specified", "params.fee");
+    assert.ok(err instanceof errors.BramblError);
+    assert.ok(err instanceof Error);
+    assert.strictEqual(String(err), "ValidationError: A fee must be specified");
+    assert.strictEqual(err.field, "params.fee");
+    assert.ok(new errors.TransactionRejectedError({error: {code: 1, message: "rejected"}}) instanceof errors.JsonRpcError);
+  });
+
+  it("should wrap transport errors into network errors", () => {
+    const cause = Object.assign(new Error("connect ECONNREFUSED"), {code: "ECONNREFUSED"});
+    const err = errors.NetworkError.from(cause);
+    assert.ok(err instanceof errors.NetworkError);
+    assert.strictEqual(err.code, "ECONNREFUSED");
+    assert.strictEqual(err.cause, cause);
+    assert.strictEqual(errors.NetworkError.from(err), err);
+  });
+
+  describe("ValidationError", () => {
+    it("should point at the invalid request parameter", async () => {
+      const params = {
+        propositionType: "PublicKeyCurve25519",
+        recipients: [[address, 10], [address, -1]],
+        sender: [address],
+        changeAddress: address,
+        fee: 1
+      };
+      await assert.rejects(new Requests().createRawPolyTransfer({...params, fee: undefined}),
+          (err) => err instanceof errors.ValidationError && err.field === "params.fee");
+      await assert.rejects(new Requests().createRawPolyTransfer({...params, changeAddress: invalidAddress}),
+          (err) => err instanceof errors.ValidationError && err.field === "params.changeAddress");
+      await assert.rejects(new Requests().createRawPolyTransfer({...params, recipients: [[address, 10], [address]]}),
+          (err) => err instanceof errors.ValidationError && err.field === "params.recipients[1][1]");
+    });
+    it("should point at the invalid transaction builder parameter", () => {
+      const params = {
+        propositionType: "PublicKeyCurve25519",
+        recipients: [[address, 10], [address, -1]],
+        sender: [address],
+        changeAddress: address,
+        fee: 1
+      };
+      assert.throws(() => new TransactionBuilder("private").createRawPolyTransfer(params, {}),
+          (err) => err instanceof errors.ValidationError && err.field === "params.recipients[1][1]");
+    });
+  });
+
+  describe("JsonRpcError", () => {
+    it("should expose the code and data of the node error", async () => {
+      const transport = new InProcessTransport({topl_head: () => {
+        throw Object.assign(new Error("Node is syncing"), {code: -32000, data: {height: 10}});
+      }});
+      await assert.rejects(new Requests("private", undefined, undefined, transport).getLatestBlock(), (err) =>
+        err instanceof errors.JsonRpcError && err.code === -32000 && err.data.height === 10 && err.message === "Node is syncing");
+    });
+    it("should report transactions rejected by the node", async () => {
+      const transport = new InProcessTransport({topl_broadcastTx: () => {
+        throw Object.assign(new Error("Double spend"), {code: -32602});
+      }});
+      const tx = {
+        txType: "PolyTransfer", timestamp: 1, signatures: {a: "b"}, newBoxes: [], data: "", to: [],
+        propositionType: "PublicKeyCurve25519", from: [], minting: false, txId: "tx_id", boxesToRemove: [], fee: "1"
+      };
+      await assert.rejects(new Requests("private", undefined, undefined, transport).broadcastTx({tx}), (err) =>
+        err instanceof errors.TransactionRejectedError && err.txId === "tx_id" && err.message === "Double spend");
+    });
+  });
+
+  describe("KeyLockedError", () => {
+    it("should be thrown when signing with a locked key", () => {
+      const keyManager = new KeyManager({password: "topl_the_world", constants});
+      keyManager.lockKey();
+      assert.throws(() => keyManager.sign("3mJr7AoUXx2Wqd"), errors.KeyLockedError);
+      assert.throws(() => keyManager.getKeyStorage(), errors.KeyLockedError);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileOverview Unit testing for the fee estimator
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const {FeeEstimator, getTxSize} = require("../../../src/lib/fees");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {ValidationError} = require("../../../src/lib/errors");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                          Fee estimator unit tests                          */
+/* -------------------------------------------------------------------------- */
+describe("FeeEstimator", () => {
+  const address = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const evidence = Base58.encode(txUtils.getEvidence(address));
+  const tx = (fee) => ({
+    txType: "PolyTransfer",
+    from: [[address, "1"]],
+    newBoxes: [{nonce: "1", evidence, type: "PolyBox", value: {type: "Simple", quantity: "10"}}],
+    boxesToRemove: [],
+    timestamp: 1000,
+    fee: fee.toString(),
+    signatures: {}
+  });
+
+  let chain;
+  let requests;
+
+  beforeEach(() => {
+    chain = {height: 2, blocks: {1: [tx(10), tx(40)], 2: [tx(20), {txType: "CodeCreation", fee: "1000"}]}, mempool: [tx(30)]};
+    const transport = new InProcessTransport({
+      topl_head: () => ({height: chain.height}),
+      topl_blockByHeight: (params) => ({header: {id: `block_${params.height}`, height: params.height}, body: {txs: chain.blocks[params.height] || []}}),
+      topl_mempool: () => chain.mempool
+    });
+    requests = new Requests("private", undefined, undefined, transport);
+  });
+
+  it("should size a transaction from its message to sign and signatures", () => {
+    const size = txUtils.generateMessageToSign(tx(0)).length;
+    assert.strictEqual(getTxSize(tx(0)), size + 98);
+    assert.strictEqual(getTxSize(tx(0), 3), size + 3 * 98);
+  });
+
+  it("should suggest fees from the fee rates of recent blocks and the mempool", async () => {
+    const fees = await new FeeEstimator(requests).estimate(tx(0));
+    assert.deepStrictEqual(fees, {size: getTxSize(tx(0)), low: "20", medium: "30", high: "40"});
+  });
+
+  it("should scale the suggestions with the size of the transaction", async () => {
+    const size = getTxSize(tx(0));
+    const fees = await new FeeEstimator(requests).estimate(size * 2);
+    assert.deepStrictEqual([fees.low, fees.medium, fees.high], ["40", "60", "80"]);
+  });
+
+  it("should never suggest less than the minimum fee", async () => {
+    chain.blocks = {};
+    chain.mempool = [];
+    const fees = await new FeeEstimator(requests, {minFee: 5}).estimate(tx(0));
+    assert.deepStrictEqual([fees.low, fees.medium, fees.high], ["5", "5", "5"]);
+  });
+
+  it("should reuse the sampled fee rates until the cache expires", async () => {
+    const estimator = new FeeEstimator(requests);
+    await estimator.estimate(tx(0));
+    chain.mempool = [tx(1000), tx(1000), tx(1000), tx(1000)];
+    assert.strictEqual((await estimator.estimate(tx(0))).medium, "30");
+    estimator.clearCache();
+    assert.strictEqual((await estimator.estimate(tx(0))).medium, "1000");
+  });
+
+  it("should validate its options", () => {
+    assert.throws(() => new FeeEstimator(requests, {blocks: -1}), ValidationError);
+    assert.throws(() => new FeeEstimator(requests, {minFee: "1.5"}), (err) => err.field === "options.minFee");
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @fileOverview Unit testing for the issuance of assets
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const BramblJS = require("../../../src/Brambl");
+const KeyManager = require("../../../src/modules/KeyManager");
+const Requests = require("../../../src/modules/Requests");
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {SupplyLedger} = require("../../../src/lib/issuance");
+const {AssetCode} = require("../../../src/utils/AssetCode");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                          Asset issuance unit tests                         */
+/* -------------------------------------------------------------------------- */
+describe("Asset issuance", () => {
+  const bob = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+  const carol = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  let keyMan;
+
+  before(() => {
+    keyMan = new KeyManager({
+      password: "topl_the_world",
+      // decrease n to 2^3 to speed up the tests
+      constants: {cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}}
+    });
+  });
+
+  /**
+   * Create a Brambl instance whose chain provider builds the minting transactions it is asked for. Like a node, it selects
+   * the boxes of its state, refuses transactions opening boxes already spent in its mempool and forges the transactions of
+   * its mempool in a block when they are looked up.
+   * @param {boolean} [forging=true] forge the transactions of the mempool, otherwise they stay pending
+   * @returns {object} {brambl, minted, forged} minted holding the parameters of every raw transaction request and forged
+   * the ids of the transactions included in a block
+   */
+  const issuerNode = (forging = true) => {
+    const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+    const funds = {nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}};
+    const state = new Map([[funds.id, funds]]);
+    const mempool = new Map();
+    const balances = () => ({[keyMan.address]: {Boxes: {
+      PolyBox: [...state.values()].filter((box) => box.evidence === evidence && box.type === "PolyBox")
+    }}});
+    const builder = new TransactionBuilder("private");
+    const minted = [];
+    const forged = [];
+    let broadcasts = 0;
+    const transport = new InProcessTransport({
+      topl_balances: balances,
+      topl_rawAssetTransfer: (body) => {
+        // recipients are sent as [address, value]
+        const recipients = body.recipients.map(([address, value]) => [address, value.quantity, value.securityRoot, value.metadata]);
+        minted.push({...body, recipients});
+        return builder.createRawAssetTransfer({...body, recipients, timestamp: 1000 + minted.length}, balances());
+      },
+      topl_broadcastTx: ({tx}) => {
+        const spent = [...mempool.values()].flatMap((pending) => pending.boxesToRemove);
+        if (tx.boxesToRemove.some((id) => spent.includes(id) || !state.has(id))) throw new Error("Double spend of a box");
+        const txId = `tx${++broadcasts}`;
+        mempool.set(txId, tx);
+        return {txId};
+      },
+      topl_transactionById: ({transactionId}) => {
+        const tx = mempool.get(transactionId);
+        if (tx && forging) {
+          tx.boxesToRemove.forEach((id) => state.delete(id));
+          tx.newBoxes.forEach((box) => state.set(box.id, box));
+          mempool.delete(transactionId);
+          forged.push(transactionId);
+        }
+        if (!forged.includes(transactionId)) throw new Error("Transaction not found");
+        return {txId: transactionId};
+      },
+      topl_transactionFromMempool: ({transactionId}) => {
+        if (!mempool.has(transactionId)) throw new Error("Transaction not found");
+        return {txId: transactionId};
+      }
+    });
+    const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+    return {brambl, minted, forged};
+  };
+
+  describe("SupplyLedger", () => {
+    const assetCode = "5onz7S7TMZbRt7YN5Q3NfaZLiXtYTgpaPCBmGRQYn8Xt6DgMyf4aTGgPuJ";
+
+    it("should track the issued supply per asset code", () => {
+      const ledger = new SupplyLedger();
+      ledger.record(assetCode, {txId: "a", quantity: 10, recipients: [[bob, "10"]]});
+      ledger.record(assetCode, {txId: "b", quantity: "170141183460469231731687303715884105727"});
+
+      assert.strictEqual(ledger.getIssued(assetCode), "170141183460469231731687303715884105737");
+      assert.strictEqual(ledger.getIssued("unknown"), "0");
+      assert.deepStrictEqual(ledger.getBatches(assetCode).map((batch) => batch.txId), ["a", "b"]);
+      assert.deepStrictEqual(ledger.list(), [{assetCode, issued: "170141183460469231731687303715884105737", batches: 2}]);
+    });
+
+    it("should restore the records of a previous ledger", () => {
+      const ledger = new SupplyLedger();
+      ledger.record(assetCode, {txId: "a", quantity: 10, recipients: [[bob, "10"]], timestamp: 5});
+      const restored = BramblJS.SupplyLedger(JSON.parse(JSON.stringify(ledger)));
+
+      assert.deepStrictEqual(restored.getBatches(assetCode), [{txId: "a", quantity: "10", recipients: [[bob, "10"]], timestamp: 5}]);
+      assert.strictEqual(restored.getIssued(assetCode), "10");
+    });
+
+    it("should refuse invalid records", () => {
+      const ledger = new SupplyLedger();
+      assert.throws(() => ledger.record("invalid", {quantity: 1}), (err) => err.field === "assetCode");
+      assert.throws(() => ledger.record(assetCode, {quantity: 1.5}), (err) => err.field === "batch.quantity");
+    });
+  });
+
+  describe("brambl.issueAsset()", () => {
+    it("should mint the distribution of a new asset and record its supply", async () => {
+      const {brambl, minted} = issuerNode();
+      const asset = await brambl.issueAsset({shortName: "gold", metadata: "first issue"},
+          [[bob, 10], {address: carol, quantity: "5", metadata: "to carol"}], {fee: 1});
+
+      assert.strictEqual(asset.assetCode, brambl.createAssetCode("gold"));
+      assert.strictEqual(AssetCode.parse(asset.assetCode).isIssuedBy(keyMan.address), true);
+      assert.strictEqual(minted.length, 1);
+      assert.strictEqual(minted[0].minting, true);
+      assert.deepStrictEqual(minted[0].sender, [keyMan.address]);
+      assert.deepStrictEqual(minted[0].recipients.map(([address, quantity, , metadata]) => [address, quantity, metadata]),
+          [[bob, "10", "first issue"], [carol, "5", "to carol"]]);
+
+      assert.strictEqual(asset.issued, "15");
+      assert.strictEqual(brambl.supply.getIssued(asset.assetCode), "15");
+      assert.deepStrictEqual(asset.batches.map((batch) => [batch.txId, batch.quantity]), [["tx1", "15"]]);
+    });
+
+    it("should mint large distributions in several batches", async () => {
+      const {brambl, minted} = issuerNode();
+      const asset = brambl.defineAsset({shortName: "silver"});
+      const batches = await asset.mint({[bob]: 1, [carol]: 2, [keyMan.address]: 3}, {fee: 1, batchSize: 2, poll: {interval: 0}});
+
+      assert.deepStrictEqual(minted.map((params) => params.recipients.length), [2, 1]);
+      assert.deepStrictEqual(batches.map((batch) => [batch.txId, batch.quantity]), [["tx1", "3"], ["tx2", "3"]]);
+      assert.deepStrictEqual(batches[0].result, {txId: "tx1"});
+
+      await asset.mint([[bob, 4]], {fee: 1, poll: {interval: 0}});
+      assert.strictEqual(asset.issued, "10");
+      assert.strictEqual(asset.batches.length, 3);
+    });
+
+    it("should confirm every batch before building the next one", async () => {
+      const {brambl, forged} = issuerNode();
+      const asset = brambl.defineAsset({shortName: "bronze"});
+      const batches = await asset.mint([[bob, 1], [carol, 2], [bob, 3], [carol, 4]], {fee: 1, batchSize: 1, poll: {interval: 0}});
+
+      // every batch spends the change of the previous one, the last one is confirmed before the next mint
+      assert.deepStrictEqual(batches.map((batch) => batch.txId), ["tx1", "tx2", "tx3", "tx4"]);
+      assert.deepStrictEqual(forged, ["tx1", "tx2", "tx3"]);
+      await asset.mint([[bob, 5]], {fee: 1, poll: {interval: 0}});
+      assert.deepStrictEqual(forged, ["tx1", "tx2", "tx3", "tx4"]);
+      assert.strictEqual(asset.issued, "15");
+    });
+
+    it("should stop minting when a batch is not confirmed", async () => {
+      const {brambl, minted} = issuerNode(false);
+      const asset = brambl.defineAsset({shortName: "lead"});
+      await assert.rejects(asset.mint([[bob, 1], [carol, 2]], {fee: 1, batchSize: 1, poll: {interval: 0, timeout: 0}}),
+          (err) => err.status === "timedOut" && err.txId === "tx1");
+
+      // the broadcast batch stays recorded
+      assert.strictEqual(minted.length, 1);
+      assert.deepStrictEqual(asset.batches.map((batch) => [batch.txId, batch.quantity]), [["tx1", "1"]]);
+    });
+
+    it("should refuse mints above the maximum supply", async () => {
+      const {brambl, minted} = issuerNode();
+      const asset = brambl.defineAsset({shortName: "capped", maxSupply: 10});
+      await asset.mint([[bob, 6]], {fee: 1});
+
+      assert.strictEqual(asset.remaining, "4");
+      await assert.rejects(asset.mint([[bob, 5]], {fee: 1}), /exceeds the maximum supply, 4 left/);
+      assert.strictEqual(minted.length, 1);
+    });
+
+    it("should refuse invalid definitions and distributions", async () => {
+      const {brambl} = issuerNode();
+      assert.throws(() => brambl.defineAsset({shortName: "toolongname"}), /up to 8 bytes/);
+      assert.throws(() => brambl.defineAsset({shortName: "gold", maxSupply: "many"}), (err) => err.field === "definition.maxSupply");
+
+      const asset = brambl.defineAsset({shortName: "gold"});
+      await assert.rejects(asset.mint([]), (err) => err.field === "distribution");
+      await assert.rejects(asset.mint([[bob, 0]]), (err) => err.field === "distribution[0].quantity");
+      await assert.rejects(asset.mint([[bob, 1]], {batchSize: 0}), (err) => err.field === "options.batchSize");
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileOverview Unit testing for the network registry
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const networks = require("../../../src/lib/networks");
+const utils = require("../../../src/utils/address-utils");
+const Requests = require("../../../src/modules/Requests");
+const HDWallet = require("../../../src/modules/HDWallet");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                        Network registry unit tests                         */
+/* -------------------------------------------------------------------------- */
+describe("Networks", () => {
+  const testnet = {name: "testnet", prefix: 0x77, url: "http://testnet.local:9085/"};
+
+  afterEach(() => networks.unregisterNetwork("testnet"));
+
+  it("should register the Topl networks", () => {
+    assert.deepStrictEqual(networks.getNetworkNames(), ["local", "private", "toplnet", "valhalla", "hel"]);
+    assert.deepStrictEqual(networks.getNetwork("private"), {name: "private", prefix: 64, hex: "0x40", url: "http://localhost:9085/", builtin: true});
+    assert.strictEqual(networks.getNetwork(0x01).name, "toplnet");
+    assert.strictEqual(networks.getNetwork("mainnet"), undefined);
+  });
+
+  it("should register, look up and remove custom networks", () => {
+    assert.deepStrictEqual(networks.registerNetwork(testnet), {...testnet, hex: "0x77", builtin: false});
+    assert.strictEqual(networks.getNetwork(0x77).name, "testnet");
+    assert.deepStrictEqual(networks.listNetworks().map((network) => network.name), ["local", "private", "toplnet", "valhalla", "hel", "testnet"]);
+    assert.strictEqual(networks.unregisterNetwork("testnet"), true);
+    assert.strictEqual(networks.hasNetwork("testnet"), false);
+  });
+
+  it("should refuse invalid or conflicting networks", () => {
+    assert.throws(() => networks.registerNetwork({name: "test net", prefix: 1}), (err) => err instanceof ValidationError && err.field === "network.name");
+    assert.throws(() => networks.registerNetwork({name: "testnet", prefix: 256}), (err) => err.field === "network.prefix");
+    assert.throws(() => networks.registerNetwork({name: "private", prefix: 0x78}), /already registered/);
+    assert.throws(() => networks.registerNetwork({name: "testnet", prefix: 0x40}), /already used by network <private>/);
+    assert.throws(() => networks.unregisterNetwork("private"), /can not be removed/);
+  });
+
+  it("should be consulted by the address utilities and Requests", () => {
+    networks.registerNetwork(testnet);
+    const address = new HDWallet().deriveAddress(0, "testnet");
+
+    assert.strictEqual(utils.getAddressNetwork(address).networkPrefix, "testnet");
+    assert.strictEqual(utils.validateAddressesByNetwork("testnet", [address]).success, true);
+    assert.strictEqual(utils.validateAddressesByNetwork("private", [address]).success, false);
+    assert.strictEqual(new Requests("testnet").url, testnet.url);
+    assert.strictEqual(new Requests("toplnet").url, "http://localhost:9085/");
+
+    networks.unregisterNetwork("testnet");
+    assert.strictEqual(utils.getAddressNetwork(address).success, false);
+    assert.throws(() => new Requests("testnet"), /Invalid Network Prefix/);
+  });
+});
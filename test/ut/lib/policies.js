@@ -0,0 +1,181 @@
+/**
+ * @fileOverview Unit testing for the timeout and retry policies of Requests
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const policies = require("../../../src/lib/policies");
+const {NetworkError, JsonRpcError, TransactionRejectedError, ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/**
+ * Transport failing a given number of times before answering
+ * @param {object[]} failures errors (or json-rpc error responses) returned by the first attempts, "hang" never answers
+ * @returns {object} transport
+ */
+function flakyTransport(failures) {
+  return {
+    attempts: 0,
+    signals: [],
+    send(body, options) {
+      this.signals.push(options.signal);
+      const failure = failures[this.attempts++];
+      if (failure === "hang") return new Promise(() => {});
+      if (failure instanceof Error) return Promise.reject(failure);
+      if (failure) return Promise.resolve({jsonrpc: "2.0", id: body.id, error: failure});
+      return Promise.resolve({jsonrpc: "2.0", id: body.id, result: "ok"});
+    }
+  };
+}
+
+/**
+ * Build a network error as raised by node-fetch
+ * @param {string} code system error code
+ * @returns {Error} error
+ */
+function networkError(code) {
+  return Object.assign(new Error(`request failed, reason: ${code}`), {code, type: "system"});
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Policies unit tests                               */
+/* -------------------------------------------------------------------------- */
+describe("Policies", () => {
+  const fast = {initialDelay: 1, maxDelay: 2, timeout: 50};
+  const signedTx = {
+    txType: "PolyTransfer", timestamp: 1, signatures: {a: "b"}, newBoxes: [], data: "", to: [],
+    propositionType: "PublicKeyCurve25519", from: [], minting: false, txId: "id", boxesToRemove: [], fee: "1"
+  };
+
+  /* ---------------------------- resolvePolicy -------------------------------- */
+  describe("resolvePolicy()", () => {
+    it("should merge overrides into the defaults", () => {
+      const policy = policies.resolvePolicy(undefined, {retries: 5});
+      assert.strictEqual(policy.retries, 5);
+      assert.strictEqual(policy.timeout, policies.defaultPolicy.timeout);
+    });
+    it("should reject invalid values", () => {
+      assert.throws(() => policies.resolvePolicy(undefined, {timeout: -1}), /timeout must be a non-negative number/);
+      assert.throws(() => policies.resolvePolicy(undefined, {retries: 1.5}), /retries must be an Integer/);
+      assert.throws(() => policies.resolvePolicy(undefined, {retryableCodes: -32603}), /retryableCodes must be a list/);
+    });
+  });
+
+  /* ---------------------------- backoff -------------------------------- */
+  describe("getBackoffDelay()", () => {
+    it("should grow exponentially up to the maximum delay", () => {
+      const policy = policies.resolvePolicy(undefined, {initialDelay: 100, maxDelay: 1000, jitter: false});
+      assert.deepStrictEqual([0, 1, 2, 3, 4].map((attempt) => policies.getBackoffDelay(policy, attempt)), [100, 200, 400, 800, 1000]);
+    });
+    it("should randomize delays within the upper half", () => {
+      const policy = policies.resolvePolicy(undefined, {initialDelay: 100});
+      for (let i = 0; i < 20; i++) {
+        const delay = policies.getBackoffDelay(policy, 1);
+        assert.ok(delay >= 100 && delay <= 200);
+      }
+    });
+  });
+
+  /* ---------------------------- retries -------------------------------- */
+  describe("Requests", () => {
+    it("should retry reads after network errors", async () => {
+      const transport = flakyTransport([networkError("ECONNRESET"), networkError("ECONNREFUSED")]);
+      const response = await new Requests("private", undefined, undefined, transport, fast).getLatestBlock();
+      assert.strictEqual(response.result, "ok");
+      assert.strictEqual(transport.attempts, 3);
+    });
+    it("should give up after the configured number of retries", async () => {
+      const transport = flakyTransport([networkError("ECONNRESET"), networkError("ECONNRESET"), networkError("ECONNRESET")]);
+      const requests = new Requests("private", undefined, undefined, transport, {...fast, retries: 2});
+      await assert.rejects(requests.getLatestBlock(), (err) => err instanceof NetworkError && err.code === "ECONNRESET" &&
+          err.message === "Unable to reach the chain provider - request failed, reason: ECONNRESET");
+      assert.strictEqual(transport.attempts, 3);
+    });
+    it("should abort attempts after the timeout", async () => {
+      const transport = flakyTransport(["hang"]);
+      const response = await new Requests("private", undefined, undefined, transport, fast).getMempool();
+      assert.strictEqual(response.result, "ok");
+      assert.strictEqual(transport.attempts, 2);
+      assert.deepStrictEqual(transport.signals.map((signal) => signal.aborted), [true, false]);
+
+      const hanging = flakyTransport(["hang"]);
+      await assert.rejects(new Requests("private", undefined, undefined, hanging, {...fast, retries: 0}).getMempool(),
+          (err) => err instanceof NetworkError && err.code === "ETIMEDOUT" && err.message === "Request timed out after 50ms");
+    });
+    it("should only retry the configured json-rpc error codes", async () => {
+      const busy = {code: -32603, message: "Internal error"};
+      const notFound = {code: -32602, message: "Not found"};
+
+      const transport = flakyTransport([busy]);
+      await assert.rejects(new Requests("private", undefined, undefined, transport, fast).getMempool(),
+          (err) => err instanceof JsonRpcError && err.code === busy.code);
+      assert.strictEqual(transport.attempts, 1);
+
+      const retrying = flakyTransport([busy, notFound]);
+      const requests = new Requests("private", undefined, undefined, retrying, {...fast, retryableCodes: [-32603]});
+      await assert.rejects(requests.getMempool(), (err) => err.code === notFound.code && err.message === notFound.message);
+      assert.strictEqual(retrying.attempts, 2);
+    });
+    it("should not retry errors which are not network errors", async () => {
+      const invalid = flakyTransport([new SyntaxError("Unexpected token < in JSON")]);
+      await assert.rejects(new Requests("private", undefined, undefined, invalid, fast).getMempool(),
+          (err) => err instanceof NetworkError && err.cause instanceof SyntaxError);
+      assert.strictEqual(invalid.attempts, 1);
+
+      const refused = flakyTransport([new ValidationError("A url must be specified", "params.url")]);
+      await assert.rejects(new Requests("private", undefined, undefined, refused, fast).getMempool(), ValidationError);
+      assert.strictEqual(refused.attempts, 1);
+
+      const dropped = flakyTransport([new NetworkError("WebSocket connection closed")]);
+      const response = await new Requests("private", undefined, undefined, dropped, fast).getMempool();
+      assert.strictEqual(response.result, "ok");
+      assert.strictEqual(dropped.attempts, 2);
+    });
+    it("should retry broadcastTx only when the request never reached the node", async () => {
+      const refused = flakyTransport([networkError("ECONNREFUSED")]);
+      const response = await new Requests("private", undefined, undefined, refused, fast).broadcastTx({tx: signedTx});
+      assert.strictEqual(response.result, "ok");
+      assert.strictEqual(refused.attempts, 2);
+
+      const reset = flakyTransport([networkError("ECONNRESET")]);
+      await assert.rejects(new Requests("private", undefined, undefined, reset, fast).broadcastTx({tx: signedTx}), /ECONNRESET/);
+      assert.strictEqual(reset.attempts, 1);
+
+      const hanging = flakyTransport(["hang"]);
+      await assert.rejects(new Requests("private", undefined, undefined, hanging, fast).broadcastTx({tx: signedTx}), /timed out/);
+      assert.strictEqual(hanging.attempts, 1);
+
+      const rejected = flakyTransport([{code: -32603, message: "Internal error"}]);
+      const requests = new Requests("private", undefined, undefined, rejected, {...fast, retryableCodes: [-32603]});
+      await assert.rejects(requests.broadcastTx({tx: signedTx}), (err) => err instanceof TransactionRejectedError && err.code === -32603 && err.txId === "id");
+      assert.strictEqual(rejected.attempts, 1);
+    });
+    it("should apply per-call policies without changing the instance", async () => {
+      const transport = flakyTransport([networkError("ECONNRESET"), networkError("ECONNRESET")]);
+      const requests = new Requests("private", undefined, undefined, transport, fast);
+
+      await assert.rejects(requests.withPolicy({retries: 0}).getLatestBlock(), /ECONNRESET/);
+      assert.strictEqual(transport.attempts, 1);
+      assert.strictEqual(requests.policy.retries, 3);
+
+      const response = await requests.getLatestBlock();
+      assert.strictEqual(response.result, "ok");
+    });
+    it("should retry batches", async () => {
+      const transport = {
+        attempts: 0,
+        send(body) {
+          if (this.attempts++ === 0) return Promise.reject(networkError("ECONNRESET"));
+          return Promise.resolve(body.map((request) => ({jsonrpc: "2.0", id: request.id, result: request.method})));
+        }
+      };
+      const batch = new Requests("private", undefined, undefined, transport, fast).batch();
+      const head = batch.getLatestBlock();
+      await batch.send();
+      assert.strictEqual((await head).result, "topl_head");
+      assert.strictEqual(transport.attempts, 2);
+    });
+  });
+});
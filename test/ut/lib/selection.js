@@ -0,0 +1,49 @@
+/**
+ * @fileOverview Unit testing for the coin selection strategies
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const selection = require("../../../src/lib/selection");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                        Coin selection unit tests                           */
+/* -------------------------------------------------------------------------- */
+describe("Coin selection", () => {
+  const address = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const boxes = ["50", "5", "120", "30", "2", "60"].map((quantity, i) => ({address, box: {id: `box_${i}`, value: {quantity}}}));
+  const select = (amount, options) => {
+    const {selected, total} = selection.selectBoxes(boxes, BigInt(amount), "Polys", options);
+    return [selected.map((item) => item.box.value.quantity), total.toString()];
+  };
+
+  it("should open the largest boxes first by default", () => {
+    assert.deepStrictEqual(select(150), [["120", "60"], "180"]);
+  });
+  it("should open the smallest boxes first", () => {
+    assert.deepStrictEqual(select(80, {selectionStrategy: "smallest-first"}), [["2", "5", "30", "50"], "87"]);
+  });
+  it("should minimize the change", () => {
+    assert.deepStrictEqual(select(60, {selectionStrategy: "minimize-change"}), [["60"], "60"]);
+    assert.deepStrictEqual(select(55, {selectionStrategy: "minimize-change"}), [["60"], "60"]);
+    assert.deepStrictEqual(select(175, {selectionStrategy: "minimize-change"}), [["120", "60"], "180"]);
+    assert.deepStrictEqual(select(130, {selectionStrategy: "minimize-change"}), [["120", "30"], "150"]);
+  });
+  it("should consolidate dust into the change", () => {
+    assert.deepStrictEqual(select(100, {selectionStrategy: "consolidate-dust", dustThreshold: 10}), [["120", "5", "2"], "127"]);
+    assert.deepStrictEqual(select(100, {selectionStrategy: "consolidate-dust"}), [["120", "50", "5", "30", "2", "60"], "267"]);
+  });
+  it("should fail if the boxes do not cover the amount", () => {
+    assert.throws(() => select(1000, {selectionStrategy: "smallest-first"}),
+        (err) => err instanceof ValidationError && err.message === "Insufficient funds: Polys required <1000> available <267>");
+  });
+  it("should validate the selection parameters", () => {
+    assert.throws(() => selection.validateSelection({selectionStrategy: "random"}), (err) => err.field === "params.selectionStrategy");
+    assert.throws(() => selection.validateSelection({dustThreshold: -1}), (err) => err.field === "params.dustThreshold");
+    assert.throws(() => selection.validateSelection({dustThreshold: 1.5}), (err) => err.field === "params.dustThreshold");
+    selection.validateSelection({selectionStrategy: "minimize-change", dustThreshold: "10"});
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * @fileOverview Unit testing for the block stream
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const BlockStream = require("../../../src/lib/stream");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {BramblError, ChainReorganizationError, ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/**
+ * In-process chain provider serving a mutable best chain
+ * @param {number} height height of the initial chain
+ * @returns {object} {chain, transport}, `chain.extend(prefix, count)` appends blocks and `chain.fork(height, prefix, count)`
+ * replaces every block from the given height
+ */
+function fakeChain(height) {
+  const chain = {blocks: []};
+  chain.extend = (prefix, count) => {
+    for (let i = 0; i < count; i++) {
+      const parent = chain.blocks[chain.blocks.length - 1];
+      const blockHeight = chain.blocks.length + 1;
+      const id = `${prefix}_${blockHeight}`;
+      chain.blocks.push({
+        header: {id, parentId: parent ? parent.header.id : "genesis", height: blockHeight, timestamp: blockHeight * 1000},
+        body: {id, txs: [{txId: `${id}_tx`}]}
+      });
+    }
+  };
+  chain.fork = (fromHeight, prefix, count) => {
+    chain.blocks.length = fromHeight - 1;
+    chain.extend(prefix, count);
+  };
+  chain.extend("block", height);
+
+  const transport = new InProcessTransport({
+    topl_head: () => ({height: chain.blocks.length}),
+    topl_blockByHeight: (params) => {
+      if (params.height > chain.blocks.length) throw Object.assign(new Error("Block not found"), {code: -32602});
+      return chain.blocks[params.height - 1];
+    }
+  });
+  return {chain, transport};
+}
+
+/**
+ * Consume a stream until the predicate matches an event
+ * @param {object} stream block stream
+ * @param {Function} [until] predicate on events, defaults to the first "synced" event
+ * @param {Function} [onEvent] called with every event before the predicate
+ * @returns {Promise<object[]>} events handled
+ */
+async function collect(stream, until = (event) => event.type === "synced", onEvent = () => {}) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+    onEvent(event);
+    if (until(event)) break;
+  }
+  return events;
+}
+
+/**
+ * Describe events in a compact form
+ * @param {object[]} events stream events
+ * @returns {string[]} descriptions
+ */
+function describeEvents(events) {
+  return events.map((event) => event.type === "transaction" ? `tx ${event.tx.txId}` : `${event.type} ${event.id || event.height}`);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                          Block stream unit tests                           */
+/* -------------------------------------------------------------------------- */
+describe("BlockStream", () => {
+  let chain;
+  let requests;
+
+  beforeEach(() => {
+    let transport;
+    ({chain, transport} = fakeChain(3));
+    requests = new Requests("private", undefined, undefined, transport);
+  });
+
+  it("should stream blocks and transactions from the start height to the tip", async () => {
+    const stream = new BlockStream(requests, {from: 2});
+    const events = await collect(stream);
+    assert.deepStrictEqual(describeEvents(events), ["block block_2", "tx block_2_tx", "block block_3", "tx block_3_tx", "synced 3"]);
+    assert.deepStrictEqual(events[1].block, {id: "block_2", parentId: "block_1", height: 2, timestamp: 2000});
+    assert.strictEqual(stream.isRunning, false);
+  });
+
+  it("should follow new blocks", async () => {
+    const stream = new BlockStream(requests, {from: "latest", interval: 0.01, transactions: false});
+    const events = await collect(stream, (event) => event.type === "block" && event.height === 5, (event) => {
+      if (event.type === "synced") chain.extend("block", 2);
+    });
+    assert.deepStrictEqual(describeEvents(events), ["synced 3", "block block_4", "block block_5"]);
+  });
+
+  it("should emit events until stopped", async () => {
+    const stream = new BlockStream(requests, {interval: 0.01});
+    const blocks = [];
+    stream.on("block", (event) => blocks.push(event.height));
+    stream.on("synced", () => stream.stop());
+    await stream.start();
+    assert.deepStrictEqual(blocks, [1, 2, 3]);
+  });
+
+  it("should roll back blocks replaced by a reorganization", async () => {
+    const stream = new BlockStream(requests, {interval: 0.01, transactions: false});
+    const events = await collect(stream, (event) => event.type === "synced" && event.height === 4, (event) => {
+      if (event.type === "synced" && event.height === 3) chain.fork(2, "fork", 3);
+    });
+    assert.deepStrictEqual(describeEvents(events), [
+      "block block_1", "block block_2", "block block_3", "synced 3",
+      "rollback block_3", "rollback block_2", "block fork_2", "block fork_3", "block fork_4", "synced 4"
+    ]);
+    assert.deepStrictEqual(stream.checkpoint.history.map((block) => block.id), ["block_1", "fork_2", "fork_3", "fork_4"]);
+  });
+
+  it("should detect reorganizations while catching up", async () => {
+    const stream = new BlockStream(requests, {transactions: false});
+    const events = await collect(stream, undefined, (event) => {
+      if (event.id === "block_2") chain.fork(2, "fork", 2);
+    });
+    assert.deepStrictEqual(describeEvents(events), ["block block_1", "block block_2", "rollback block_2", "block fork_2", "block fork_3", "synced 3"]);
+  });
+
+  it("should resume from a checkpoint", async () => {
+    const first = new BlockStream(requests, {transactions: false});
+    await collect(first, (event) => event.height === 2);
+    // the last block was not handled completely, the checkpoint stays at the previous block
+    assert.strictEqual(first.checkpoint.height, 1);
+
+    const checkpoint = JSON.parse(JSON.stringify(first.checkpoint));
+    chain.extend("block", 1);
+    const events = await collect(new BlockStream(requests, {checkpoint, transactions: false}));
+    assert.deepStrictEqual(describeEvents(events), ["block block_2", "block block_3", "block block_4", "synced 4"]);
+  });
+
+  it("should roll back the checkpoint when it left the best chain", async () => {
+    const first = new BlockStream(requests, {transactions: false});
+    await collect(first);
+    chain.fork(3, "fork", 2);
+
+    const events = await collect(new BlockStream(requests, {checkpoint: first.checkpoint, transactions: false}));
+    assert.deepStrictEqual(describeEvents(events), ["rollback block_3", "block fork_3", "block fork_4", "synced 4"]);
+  });
+
+  it("should fail on reorganizations deeper than the known blocks", async () => {
+    const stream = new BlockStream(requests, {interval: 0.01, maxReorgDepth: 1, transactions: false});
+    await assert.rejects(collect(stream, () => false, (event) => {
+      if (event.type === "synced") chain.fork(2, "fork", 3);
+    }), (err) => err instanceof ChainReorganizationError && err.height === 3);
+    assert.strictEqual(stream.isRunning, false);
+  });
+
+  it("should wait for the blocks announced but not served yet", async () => {
+    let fetches = 0;
+    const transport = new InProcessTransport({
+      topl_head: () => ({height: chain.blocks.length + 1}),
+      topl_blockByHeight: (params) => {
+        fetches++;
+        if (params.height > chain.blocks.length) throw Object.assign(new Error("Block not found"), {code: -32602});
+        return chain.blocks[params.height - 1];
+      }
+    });
+    const stream = new BlockStream(new Requests("private", undefined, undefined, transport), {from: 3, interval: 0.02, transactions: false});
+    setTimeout(() => chain.extend("block", 1), 100);
+    const events = await collect(stream, (event) => event.height === 4);
+
+    assert.deepStrictEqual(describeEvents(events), ["block block_3", "block block_4"]);
+    // the missing block is read at every interval instead of in a busy loop
+    assert.ok(fetches < 15, `${fetches} reads of the blocks`);
+  });
+
+  it("should stream blocks which do not state their height at the requested height", async () => {
+    chain.blocks.forEach((block) => delete block.header.height);
+    const stream = new BlockStream(requests, {from: 2, transactions: false});
+    const events = await collect(stream);
+    assert.deepStrictEqual(events.map(({type, height}) => `${type} ${height}`), ["block 2", "block 3", "synced 3"]);
+    assert.strictEqual(stream.checkpoint.height, 3);
+  });
+
+  it("should fail when the height of the best block is unknown", async () => {
+    const transport = new InProcessTransport({topl_head: () => ({}), topl_blockByHeight: () => chain.blocks[0]});
+    const stream = new BlockStream(new Requests("private", undefined, undefined, transport), {interval: 0.01});
+    await assert.rejects(collect(stream), (err) => err instanceof BramblError && /height of the best block/.test(err.message));
+    assert.strictEqual(stream.isRunning, false);
+  });
+
+  it("should validate its options", () => {
+    assert.throws(() => new BlockStream(requests, {from: 0}), ValidationError);
+    assert.throws(() => new BlockStream(requests, {checkpoint: {id: "block_1"}}), /checkpoint must be the checkpoint of a block stream/);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @fileOverview Unit testing for the transaction tracker
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const TransactionTracker = require("../../../src/lib/tracker");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {TransactionTrackingError, ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/**
+ * In-process chain provider holding a mutable chain and mempool.
+ * Transactions are included in the block `block_<height>` unless the best chain was forked at that height.
+ * @returns {object} {chain, transport}
+ */
+function fakeChain() {
+  const chain = {height: 10, blocks: {}, forks: {}, mempool: {}};
+  const notFound = (message) => Object.assign(new Error(message), {code: -32602});
+  const transport = new InProcessTransport({
+    topl_head: () => ({height: chain.height}),
+    topl_blockByHeight: (params) => {
+      if (params.height > chain.height) throw notFound("Block not found");
+      return {header: {id: chain.forks[params.height] || `block_${params.height}`, height: params.height}};
+    },
+    topl_blockById: (params) => ({header: {id: params.blockId, height: Number(params.blockId.split("_")[1])}}),
+    topl_transactionById: (params) => {
+      if (!(params.transactionId in chain.blocks)) throw notFound("Transaction not found");
+      const height = chain.blocks[params.transactionId];
+      return {txId: params.transactionId, blockNumber: height, blockId: `block_${height}`};
+    },
+    topl_transactionFromMempool: (params) => {
+      if (!chain.mempool[params.transactionId]) throw notFound("Transaction not found");
+      return {txId: params.transactionId};
+    }
+  });
+  return {chain, transport};
+}
+
+/* -------------------------------------------------------------------------- */
+/*                      Transaction tracker unit tests                        */
+/* -------------------------------------------------------------------------- */
+describe("TransactionTracker", () => {
+  const fast = {interval: 0.01, timeout: 1, maxFailedQueries: 3};
+  let chain;
+  let transport;
+  let tracker;
+
+  beforeEach(() => {
+    ({chain, transport} = fakeChain());
+    tracker = new TransactionTracker(new Requests("private", undefined, undefined, transport), fast);
+  });
+
+  afterEach(() => tracker.stop());
+
+  it("should emit pending then confirmed", async () => {
+    chain.mempool.tx_1 = true;
+    const events = [];
+    tracker.on("pending", (event) => {
+      events.push(["pending", event.txId]);
+      chain.blocks.tx_1 = 10;
+    });
+    tracker.on("confirmed", (event) => events.push(["confirmed", event.txId, event.confirmations]));
+
+    const result = await tracker.track("tx_1");
+    assert.deepStrictEqual(events, [["pending", "tx_1"], ["confirmed", "tx_1", 1]]);
+    assert.strictEqual(result.tx.txId, "tx_1");
+    assert.strictEqual(tracker.size, 0);
+  });
+
+  it("should wait for the requested number of confirmations", async () => {
+    chain.blocks.tx_1 = 9;
+    const depths = [];
+    tracker.on("confirmation", (event) => {
+      depths.push(event.confirmations);
+      chain.height++;
+    });
+
+    const result = await tracker.track("tx_1", {confirmations: 4});
+    assert.deepStrictEqual(depths, [2, 3]);
+    assert.strictEqual(result.confirmations, 4);
+  });
+
+  it("should only count blocks on the best chain", async () => {
+    chain.blocks.tx_1 = 10;
+    chain.forks[10] = "fork_10";
+    const events = [];
+    tracker.on("pending", () => {
+      events.push("pending");
+      delete chain.forks[10];
+    });
+    tracker.on("confirmed", () => events.push("confirmed"));
+    chain.mempool.tx_1 = true;
+
+    const result = await tracker.track("tx_1");
+    assert.deepStrictEqual(events, ["pending", "confirmed"]);
+    assert.deepStrictEqual(result.block, {id: "block_10", height: 10});
+  });
+
+  it("should find the height of blocks by their id", async () => {
+    transport.on("topl_transactionById", (params) => ({txId: params.transactionId, blockId: "block_9"}));
+    const result = await tracker.track("tx_1", {confirmations: 2});
+    assert.deepStrictEqual(result.block, {id: "block_9", height: 9});
+    assert.strictEqual(result.confirmations, 2);
+  });
+
+  it("should report transactions orphaned back into the mempool", async () => {
+    chain.blocks.tx_1 = 10;
+    const orphaned = [];
+    tracker.on("confirmation", () => {
+      // a reorganization replaces the block of the transaction, which returns to the mempool
+      chain.forks[10] = "fork_10";
+      chain.mempool.tx_1 = true;
+    });
+    tracker.on("orphaned", (event) => {
+      orphaned.push(event);
+      delete chain.forks[10];
+      chain.blocks.tx_1 = 11;
+      chain.height = 13;
+    });
+
+    const result = await tracker.track("tx_1", {confirmations: 2});
+    assert.strictEqual(orphaned.length, 1);
+    assert.deepStrictEqual(orphaned[0].block, {id: "block_10", height: 10});
+    assert.strictEqual(orphaned[0].status, "pending");
+    assert.deepStrictEqual(result.block, {id: "block_11", height: 11});
+    assert.strictEqual(result.confirmations, 3);
+  });
+
+  it("should report transactions that disappeared after a reorganization", async () => {
+    chain.blocks.tx_1 = 10;
+    tracker.on("confirmation", () => chain.forks[10] = "fork_10");
+    const orphaned = new Promise((resolve) => tracker.on("orphaned", resolve));
+
+    await assert.rejects(tracker.track("tx_1", {confirmations: 3}), (err) => err instanceof TransactionTrackingError &&
+        err.status === "dropped" && err.message === "Transaction was orphaned by a chain reorganization and is no longer in the mempool");
+    assert.strictEqual((await orphaned).status, "missing");
+  });
+
+  it("should give up orphaned transactions when requested", async () => {
+    chain.blocks.tx_1 = 10;
+    tracker.on("confirmation", () => chain.forks[10] = "fork_10");
+    await assert.rejects(tracker.track("tx_1", {confirmations: 3, rejectOrphaned: true}),
+        (err) => err instanceof TransactionTrackingError && err.status === "orphaned");
+  });
+
+  it("should share a single poll loop between transactions", async () => {
+    chain.blocks.tx_1 = 10;
+    chain.blocks.tx_2 = 10;
+    chain.mempool.tx_3 = true;
+    const pending = tracker.track("tx_3");
+    const results = await Promise.all([tracker.track("tx_1"), tracker.track("tx_2")]);
+    assert.deepStrictEqual(results.map((result) => result.txId), ["tx_1", "tx_2"]);
+
+    // both transactions were confirmed by the same check, which fetched the chain head once
+    assert.strictEqual(transport.requests.filter((request) => request.method === "topl_head").length, 1);
+    assert.ok(tracker.isTracking("tx_3"));
+    assert.strictEqual(tracker.track("tx_3"), pending);
+  });
+
+  it("should report dropped transactions", async () => {
+    let dropped;
+    tracker.on("dropped", (event) => dropped = event.txId);
+    await assert.rejects(tracker.track("tx_1"), (err) =>
+      err instanceof TransactionTrackingError && err.status === "dropped" && err.message === "Unable to find the transaction in the mempool");
+    assert.strictEqual(dropped, "tx_1");
+    assert.strictEqual(transport.requests.filter((request) => request.method === "topl_transactionFromMempool").length, 3);
+  });
+
+  it("should report timed out transactions", async () => {
+    chain.mempool.tx_1 = true;
+    let timedOut;
+    tracker.on("timedOut", (event) => timedOut = event.txId);
+    await assert.rejects(tracker.track("tx_1", {timeout: 0.05}), (err) => err instanceof TransactionTrackingError && err.status === "timedOut");
+    assert.strictEqual(timedOut, "tx_1");
+  });
+
+  it("should keep tracking while the chain provider is unreachable", async () => {
+    let failures = 5;
+    const flaky = {
+      send(body) {
+        if (failures-- > 0) return Promise.reject(Object.assign(new Error("socket hang up"), {code: "ECONNRESET"}));
+        return transport.send(body);
+      }
+    };
+    chain.blocks.tx_1 = 10;
+    tracker = new TransactionTracker(new Requests("private", undefined, undefined, flaky, {retries: 0}), fast);
+    const result = await tracker.track("tx_1");
+    assert.strictEqual(result.txId, "tx_1");
+  });
+
+  it("should reject the promise of untracked transactions", async () => {
+    const tracked = tracker.track("tx_1");
+    assert.strictEqual(tracker.untrack("tx_1"), true);
+    assert.strictEqual(tracker.untrack("tx_1"), false);
+    await assert.rejects(tracked, (err) => err.status === "untracked");
+  });
+
+  it("should validate its arguments", () => {
+    assert.throws(() => tracker.track(), ValidationError);
+    assert.throws(() => tracker.track("tx_1", {confirmations: 0}), /confirmations must be an Integer greater than 0/);
+  });
+});
@@ -0,0 +1,345 @@
+/**
+ * @fileOverview Unit testing for the Requests transports
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const {HttpTransport, WebSocketTransport, InProcessTransport, FailoverTransport} = require("../../../src/lib/transports");
+const assert = require("assert");
+const sinon = require("sinon");
+const nodeFetch = require("node-fetch");
+
+/**
+ * Minimal WebSocket double answering every request with its method name
+ */
+class FakeWebSocket {
+  constructor(url, protocols, options) {
+    FakeWebSocket.instances.push(this);
+    this.url = url;
+    this.options = options;
+    this.readyState = 0;
+    this.sent = [];
+    setImmediate(() => {
+      this.readyState = 1;
+      this.onopen();
+    });
+  }
+
+  send(data) {
+    const body = JSON.parse(data);
+    this.sent.push(body);
+    if (FakeWebSocket.silent) return;
+
+    const answer = (request) => ({jsonrpc: "2.0", id: request.id, result: request.method});
+    const response = Array.isArray(body) ? body.map(answer).reverse() : answer(body);
+    // answer out of order to check that responses are matched by id
+    setTimeout(() => this.onmessage({data: JSON.stringify(response)}), 10 - this.sent.length);
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose();
+  }
+}
+FakeWebSocket.instances = [];
+
+/**
+ * Endpoint answering with its name and head height, failing while `down` is set
+ * @param {string} name name of the endpoint
+ * @param {number} height best block height of the endpoint
+ * @returns {object} transport
+ */
+function fakeEndpoint(name, height) {
+  const endpoint = new InProcessTransport({
+    topl_head: () => ({height: endpoint.height}),
+    topl_mempool: () => name,
+    topl_broadcastTx: () => name
+  });
+  const send = endpoint.send.bind(endpoint);
+  endpoint.url = name;
+  endpoint.height = height;
+  endpoint.down = false;
+  endpoint.send = (body) => {
+    if (endpoint.down) {
+      endpoint.requests.push(body);
+      return Promise.reject(Object.assign(new Error(`${name} is down`), {code: endpoint.down}));
+    }
+    return send(body);
+  };
+  return endpoint;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                         Transports unit tests                              */
+/* -------------------------------------------------------------------------- */
+describe("Transports", () => {
+  afterEach(() => {
+    sinon.restore();
+    FakeWebSocket.instances = [];
+    FakeWebSocket.silent = false;
+  });
+
+  /* ---------------------------- http -------------------------------- */
+  describe("HttpTransport", () => {
+    it("should be used by default and follow url and api key changes", async () => {
+      const requests = new Requests("private", "http://localhost:9085/", "topl_the_world!");
+      assert.ok(requests.transport instanceof HttpTransport);
+
+      requests.setUrl("http://localhost:9086/");
+      requests.setApiKey("new_key");
+      assert.strictEqual(requests.transport.url, "http://localhost:9086/");
+      assert.strictEqual(requests.transport.headers["x-api-key"], "new_key");
+    });
+    it("should POST the json-rpc body", async () => {
+      const response = {jsonrpc: "2.0", id: "1", result: {height: 1}};
+      const stub = sinon.stub(nodeFetch, "Promise").returns(Promise.resolve({json: () => response}));
+
+      const result = await new Requests().getLatestBlock();
+      assert.deepStrictEqual(result, response);
+      assert.strictEqual(stub.callCount, 1);
+    });
+  });
+
+  /* ---------------------------- in-process -------------------------------- */
+  describe("InProcessTransport", () => {
+    it("should answer requests from method handlers", async () => {
+      const transport = new InProcessTransport({topl_head: () => ({height: 42})});
+      const requests = new Requests("private", undefined, undefined, transport);
+
+      const response = await requests.getLatestBlock();
+      assert.deepStrictEqual(response, {jsonrpc: "2.0", id: "1", result: {height: 42}});
+      assert.strictEqual(transport.requests[0].method, "topl_head");
+    });
+    it("should pass the request params to the handler", async () => {
+      const transport = new InProcessTransport({});
+      transport.on("topl_blockByHeight", (params) => ({height: params.height}));
+
+      const response = await new Requests("private", undefined, undefined, transport).getBlockByHeight({height: 7});
+      assert.strictEqual(response.result.height, 7);
+    });
+    it("should reject with the json-rpc error of a failing handler", async () => {
+      const transport = new InProcessTransport({topl_head: () => {
+        throw new Error("node unavailable");
+      }});
+
+      await assert.rejects(new Requests("private", undefined, undefined, transport).getLatestBlock(),
+          (err) => err.code === -32603 && err.message === "node unavailable");
+    });
+    it("should reject unknown methods", async () => {
+      const requests = new Requests("private", undefined, undefined, new InProcessTransport({}));
+      await assert.rejects(requests.getMempool(), (err) => err.code === -32601);
+    });
+    it("should accept a single handler function", async () => {
+      const transport = new InProcessTransport((body) => ({jsonrpc: "2.0", id: body.id, result: body.method}));
+      const response = await new Requests("private", undefined, undefined, transport).getMempool();
+      assert.strictEqual(response.result, "topl_mempool");
+    });
+    it("should fail without handlers", () => {
+      assert.throws(() => new InProcessTransport(), /A handler function or a map of method handlers must be specified/);
+    });
+  });
+
+  /* ---------------------------- websocket -------------------------------- */
+  describe("WebSocketTransport", () => {
+    it("should fail without a WebSocket implementation", () => {
+      assert.throws(() => new WebSocketTransport({url: "ws://localhost:9085/"}), /A WebSocket implementation must be provided/);
+    });
+    it("should send concurrent requests over a single connection", async () => {
+      const transport = new WebSocketTransport({url: "ws://localhost:9085/", WebSocket: FakeWebSocket});
+      const requests = new Requests("private", undefined, "topl_the_world!", transport);
+
+      const [head, mempool] = await Promise.all([requests.getLatestBlock(), requests.getMempool()]);
+      assert.deepStrictEqual(head, {jsonrpc: "2.0", id: "1", result: "topl_head"});
+      assert.deepStrictEqual(mempool, {jsonrpc: "2.0", id: "1", result: "topl_mempool"});
+      assert.strictEqual(FakeWebSocket.instances.length, 1);
+      assert.strictEqual(transport.isConnected, true);
+      transport.close();
+    });
+    it("should send a batch as a single message", async () => {
+      const transport = new WebSocketTransport({url: "ws://localhost:9085/", WebSocket: FakeWebSocket});
+      const batch = new Requests("private", undefined, undefined, transport).batch();
+      const head = batch.getLatestBlock("head");
+      const mempool = batch.getMempool("mempool");
+
+      const responses = await batch.send();
+      assert.deepStrictEqual(responses.map((response) => response.id), ["head", "mempool"]);
+      assert.strictEqual((await head).result, "topl_head");
+      assert.strictEqual((await mempool).result, "topl_mempool");
+      assert.strictEqual(FakeWebSocket.instances[0].sent.length, 1);
+      transport.close();
+    });
+    it("should reconnect after the api key changes", async () => {
+      const transport = new WebSocketTransport({url: "ws://localhost:9085/", WebSocket: FakeWebSocket});
+      const requests = new Requests("private", undefined, undefined, transport);
+
+      await requests.getLatestBlock();
+      requests.setApiKey("new_key");
+      assert.strictEqual(transport.isConnected, false);
+
+      await requests.getLatestBlock();
+      assert.strictEqual(FakeWebSocket.instances.length, 2);
+      assert.strictEqual(FakeWebSocket.instances[1].options.headers["x-api-key"], "new_key");
+      transport.close();
+    });
+    it("should reject pending requests when the connection closes", async () => {
+      FakeWebSocket.silent = true;
+      const transport = new WebSocketTransport({url: "ws://localhost:9085/", WebSocket: FakeWebSocket});
+      const pending = transport.send({jsonrpc: "2.0", id: "1", method: "topl_head", params: [{}]});
+
+      await transport.connect();
+      transport.close();
+      await assert.rejects(pending, /WebSocket connection closed/);
+    });
+    it("should stop awaiting the response of a request that timed out", async () => {
+      FakeWebSocket.silent = true;
+      const transport = new WebSocketTransport({url: "ws://localhost:9085/", WebSocket: FakeWebSocket});
+      const requests = new Requests("private", undefined, undefined, transport, {timeout: 20, retries: 0});
+
+      await assert.rejects(requests.getLatestBlock(), /timed out/);
+      assert.strictEqual(transport.pendingRequests, 0);
+      transport.close();
+    });
+  });
+
+  /* ---------------------------- failover -------------------------------- */
+  describe("FailoverTransport", () => {
+    const signedTx = {
+      txType: "PolyTransfer", timestamp: 1, signatures: {a: "b"}, newBoxes: [], data: "", to: [],
+      propositionType: "PublicKeyCurve25519", from: [], minting: false, txId: "id", boxesToRemove: [], fee: "1"
+    };
+    let nodes;
+    beforeEach(() => {
+      nodes = [fakeEndpoint("node_a", 100), fakeEndpoint("node_b", 100), fakeEndpoint("node_c", 100)];
+    });
+
+    it("should fail with invalid parameters", () => {
+      assert.throws(() => new FailoverTransport({endpoints: []}), /A list of endpoints must be specified/);
+      assert.throws(() => new FailoverTransport({endpoints: nodes, strategy: "random"}), /Invalid strategy/);
+      assert.throws(() => new FailoverTransport({endpoints: [{}]}), /Endpoints must be urls or transports/);
+    });
+    it("should be created by Requests for a list of urls", () => {
+      const requests = new Requests("private", ["http://localhost:9085/", "http://localhost:9086/"]);
+      assert.ok(requests.transport instanceof FailoverTransport);
+      assert.deepStrictEqual(requests.transport.endpoints.map((endpoint) => endpoint.name), ["http://localhost:9085/", "http://localhost:9086/"]);
+
+      requests.setUrl("http://localhost:9087/");
+      assert.ok(requests.transport instanceof HttpTransport);
+    });
+    it("should fail over to the next endpoint by priority", async () => {
+      const requests = new Requests("private", undefined, undefined, new FailoverTransport({endpoints: nodes}), {retries: 0});
+      assert.strictEqual((await requests.getMempool()).result, "node_a");
+
+      nodes[0].down = "ECONNRESET";
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+      // the failed endpoint is skipped during its cooldown
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+      assert.strictEqual(nodes[0].requests.length, 2);
+      assert.strictEqual(requests.transport.endpoints[0].available, false);
+    });
+    it("should retry failed endpoints after their cooldown", async () => {
+      const transport = new FailoverTransport({endpoints: nodes.slice(0, 2), cooldown: 0});
+      const requests = new Requests("private", undefined, undefined, transport, {retries: 0});
+      nodes[0].down = "ECONNRESET";
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+
+      nodes[0].down = false;
+      assert.strictEqual((await requests.getMempool()).result, "node_a");
+    });
+    it("should spread reads with round-robin", async () => {
+      const transport = new FailoverTransport({endpoints: nodes, strategy: "round-robin"});
+      const requests = new Requests("private", undefined, undefined, transport);
+      const results = [];
+      for (let i = 0; i < 4; i++) {
+        results.push((await requests.getMempool()).result);
+      }
+      assert.deepStrictEqual(results, ["node_a", "node_b", "node_c", "node_a"]);
+    });
+    it("should prefer the endpoint with the lowest latency", async () => {
+      const slow = nodes[0].send;
+      nodes[0].send = (body) => new Promise((resolve) => setTimeout(() => resolve(slow(body)), 20));
+      const transport = new FailoverTransport({endpoints: nodes.slice(0, 2), strategy: "lowest-latency"});
+      await transport.checkHealth();
+
+      const requests = new Requests("private", undefined, undefined, transport);
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+      assert.ok(transport.endpoints[0].latency > transport.endpoints[1].latency);
+    });
+    it("should avoid endpoints that fell behind the best chain height", async () => {
+      nodes[0].height = 90;
+      const transport = new FailoverTransport({endpoints: nodes, maxLag: 5});
+      const status = await transport.checkHealth();
+      assert.deepStrictEqual(status.map((endpoint) => endpoint.lagging), [true, false, false]);
+      assert.deepStrictEqual(status.map((endpoint) => endpoint.height), [90, 100, 100]);
+
+      const requests = new Requests("private", undefined, undefined, transport);
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+
+      nodes[0].height = 100;
+      await transport.checkHealth();
+      assert.strictEqual((await requests.getMempool()).result, "node_a");
+    });
+    it("should run periodic health checks until closed", async () => {
+      const transport = new FailoverTransport({endpoints: nodes, healthCheckInterval: 5});
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      transport.close();
+
+      const checks = nodes[0].requests.length;
+      assert.ok(checks > 0);
+      assert.strictEqual(transport.endpoints[0].height, 100);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.strictEqual(nodes[0].requests.length, checks);
+    });
+    it("should flag endpoints failing their health check", async () => {
+      nodes[1].down = "ECONNREFUSED";
+      const status = await new FailoverTransport({endpoints: nodes}).checkHealth();
+      assert.deepStrictEqual(status.map((endpoint) => endpoint.available), [true, false, true]);
+    });
+    it("should only fail over broadcasts that never reached the endpoint", async () => {
+      const requests = new Requests("private", undefined, undefined, new FailoverTransport({endpoints: nodes}), {retries: 0});
+
+      nodes[0].down = "ECONNREFUSED";
+      assert.strictEqual((await requests.broadcastTx({tx: signedTx})).result, "node_b");
+
+      nodes[1].down = "ECONNRESET";
+      await assert.rejects(requests.broadcastTx({tx: signedTx}), /node_b is down/);
+      assert.strictEqual(nodes[2].requests.length, 0);
+    });
+    it("should throw the last error when every endpoint fails", async () => {
+      nodes.forEach((node) => node.down = "ECONNRESET");
+      const requests = new Requests("private", undefined, undefined, new FailoverTransport({endpoints: nodes}), {retries: 0});
+      await assert.rejects(requests.getMempool(), /node_c is down/);
+    });
+    it("should time out hanging endpoints", async () => {
+      let signal;
+      nodes[0].send = (body, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      };
+      const transport = new FailoverTransport({endpoints: nodes.slice(0, 2), timeout: 20});
+      const requests = new Requests("private", undefined, undefined, transport, {retries: 0});
+      assert.strictEqual((await requests.getMempool()).result, "node_b");
+      // the request to the hanging endpoint is aborted
+      assert.strictEqual(signal.aborted, true);
+    });
+    it("should abort the pending endpoint request when the request is aborted", async () => {
+      let signal;
+      nodes[0].send = (body, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      };
+      const transport = new FailoverTransport({endpoints: nodes, timeout: 0});
+      const requests = new Requests("private", undefined, undefined, transport, {retries: 0, timeout: 20});
+      await assert.rejects(requests.getMempool(), /Request timed out after 20ms/);
+      assert.strictEqual(signal.aborted, true);
+    });
+  });
+
+  /* ---------------------------- requests -------------------------------- */
+  describe("Requests.setTransport()", () => {
+    it("should reject objects that can not send", () => {
+      assert.throws(() => new Requests().setTransport({}), /A transport must implement send\(body\)/);
+    });
+  });
+});
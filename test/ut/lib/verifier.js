@@ -0,0 +1,147 @@
+/**
+ * @fileOverview Unit testing for the verification of node-built raw transactions
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const {verifyRawTx} = require("../../../src/lib/verifier");
+const {TransactionVerificationError} = require("../../../src/lib/errors");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                         Raw tx verifier unit tests                         */
+/* -------------------------------------------------------------------------- */
+describe("verifyRawTx()", () => {
+  const alice = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const bob = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+  const assetCode = "5onz7S7TMZbRt7YN5Q3NfaZLiXtYTgpaPCBmGRQYn8Xt6DgMyf4aTGgPuJ";
+  const evidence = Base58.encode(txUtils.getEvidence(alice));
+  const box = (nonce, type, value) => ({nonce, id: txUtils.generateBoxId(evidence, nonce), evidence, type, value});
+  const balances = {[alice]: {Boxes: {
+    PolyBox: [box("1", "PolyBox", {type: "Simple", quantity: "100"})],
+    ArbitBox: [box("2", "ArbitBox", {type: "Simple", quantity: "50"})],
+    AssetBox: [box("3", "AssetBox", {type: "Asset", quantity: "20", assetCode, securityRoot: txUtils.emptySecurityRoot, metadata: null})]
+  }}};
+  const builder = new TransactionBuilder("private");
+  const polyParams = () => ({
+    propositionType: "PublicKeyCurve25519",
+    recipients: [[bob, "10"]],
+    sender: [alice],
+    changeAddress: alice,
+    fee: "1",
+    timestamp: 1000
+  });
+
+  /**
+   * Tamper with a raw transaction then sign its message again, as a malicious chain provider would
+   * @param {object} result {rawTx, messageToSign}
+   * @param {Function} change modification of the raw transaction
+   * @returns {object} tampered result
+   */
+  function tamper(result, change) {
+    const rawTx = JSON.parse(JSON.stringify(result.rawTx));
+    change(rawTx);
+    return {rawTx, messageToSign: Base58.encode(txUtils.generateMessageToSign(rawTx))};
+  }
+
+  /**
+   * Assert that verification fails with the given mismatch
+   * @param {Function} verify verification call
+   * @param {RegExp} mismatch expected mismatch
+   * @returns {void}
+   */
+  function assertMismatch(verify, mismatch) {
+    assert.throws(verify, (err) => err instanceof TransactionVerificationError && err.mismatches.some((m) => mismatch.test(m)));
+  }
+
+  it("should accept raw transactions matching the request", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    assert.strictEqual(verifyRawTx("createRawPolyTransfer", polyParams(), result, balances), result);
+
+    const arbitParams = {...polyParams(), consolidationAddress: alice};
+    verifyRawTx("createRawArbitTransfer", arbitParams, builder.createRawArbitTransfer(arbitParams, balances), balances);
+
+    const assetParams = {...polyParams(), consolidationAddress: alice, assetCode, minting: false, recipients: [[bob, "5", undefined, "label"]]};
+    verifyRawTx("createRawAssetTransfer", assetParams, builder.createRawAssetTransfer(assetParams, balances), balances);
+
+    const mintParams = {...assetParams, minting: true};
+    verifyRawTx("createRawAssetTransfer", mintParams, builder.createRawAssetTransfer(mintParams, balances), balances);
+  });
+
+  it("should refuse a message to sign which is not the one of the raw transaction", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    const other = builder.createRawPolyTransfer({...polyParams(), recipients: [[alice, "90"]]}, balances);
+    const swapped = {...result, messageToSign: other.messageToSign};
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), swapped), /messageToSign does not match/);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), swapped, balances), /messageToSign does not match/);
+  });
+
+  it("should match the consolidation and the recipients by address whatever their order", () => {
+    const arbitParams = {...polyParams(), recipients: [[bob, "10"], [alice, "5"]], consolidationAddress: bob};
+    const result = builder.createRawArbitTransfer(arbitParams, balances);
+    const reordered = tamper(result, (rawTx) => {
+      rawTx.to = [rawTx.to[0], ...rawTx.to.slice(2), rawTx.to[1]];
+      rawTx.newBoxes = txUtils.generateNewBoxes(rawTx);
+    });
+    verifyRawTx("createRawArbitTransfer", arbitParams, reordered, balances);
+
+    // the change in polys must remain the first output
+    const misplaced = tamper(result, (rawTx) => {
+      rawTx.to = [...rawTx.to.slice(1), rawTx.to[0]];
+      rawTx.newBoxes = txUtils.generateNewBoxes(rawTx);
+    });
+    assertMismatch(() => verifyRawTx("createRawArbitTransfer", arbitParams, misplaced), /change output/);
+    assertMismatch(() => verifyRawTx("createRawArbitTransfer", {...arbitParams, consolidationAddress: alice}, result),
+        /consolidation output missing for/);
+  });
+
+  it("should refuse payments to other recipients or of other quantities", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), tamper(result, (rawTx) => {
+      rawTx.to[1][0] = alice;
+    })), /unexpected output/);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", {...polyParams(), recipients: [[bob, "11"]]}, result),
+        /recipient <.*> is not paid <11>/);
+  });
+
+  it("should refuse new boxes which are not the ones of the outputs", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    const misdirected = tamper(result, (rawTx) => {
+      rawTx.newBoxes[1].evidence = rawTx.newBoxes[0].evidence;
+    });
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), misdirected), /new boxes do not match the outputs/);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), tamper(result, (rawTx) => {
+      rawTx.newBoxes[1].value.quantity = "9";
+    })), /new boxes do not match the outputs/);
+  });
+
+  it("should refuse another fee, change address or asset code", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", {...polyParams(), fee: 2}, result), /fee <1> instead of <2>/);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", {...polyParams(), changeAddress: bob}, result), /change output/);
+
+    const assetParams = {...polyParams(), assetCode, minting: true};
+    const minted = builder.createRawAssetTransfer(assetParams, balances);
+    assertMismatch(() => verifyRawTx("createRawAssetTransfer", assetParams, tamper(minted, (rawTx) => {
+      rawTx.to[1][1].assetCode = "5onz7S7TMZbRt7YN5Q3NfaZLiXtYTgpaPCBmGRQYn8Xt6DgMyf4aTGgPuK";
+    })), /unexpected output/);
+  });
+
+  it("should refuse change amounts which do not preserve value", () => {
+    const result = builder.createRawPolyTransfer(polyParams(), balances);
+    const skimmed = tamper(result, (rawTx) => {
+      rawTx.to[0][1].quantity = "80";
+      rawTx.newBoxes[0].value.quantity = "80";
+    });
+    verifyRawTx("createRawPolyTransfer", polyParams(), skimmed);
+    assertMismatch(() => verifyRawTx("createRawPolyTransfer", polyParams(), skimmed, balances), /does not preserve PolyBox value/);
+  });
+
+  it("should refuse malformed raw transactions", () => {
+    assert.throws(() => verifyRawTx("createRawPolyTransfer", polyParams(), {rawTx: {}}), TransactionVerificationError);
+  });
+});
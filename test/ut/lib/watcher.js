@@ -0,0 +1,142 @@
+/**
+ * @fileOverview Unit testing for the address watcher
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const AddressWatcher = require("../../../src/lib/watcher");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {ValidationError} = require("../../../src/lib/errors");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/**
+ * In-process chain provider holding mutable balances, blocks and mempool
+ * @returns {object} {chain, transport}
+ */
+function fakeChain() {
+  const chain = {height: 10, blocks: {}, boxes: {}, mempool: []};
+  const transport = new InProcessTransport({
+    topl_head: () => ({height: chain.height}),
+    topl_blockByHeight: (params) => ({header: {id: `block_${params.height}`, height: params.height}, body: {txs: chain.blocks[params.height] || []}}),
+    topl_mempool: () => chain.mempool,
+    topl_balances: (params) => {
+      const result = {};
+      params.addresses.forEach((address) => {
+        const boxes = chain.boxes[address] || [];
+        result[address] = {Boxes: {
+          PolyBox: boxes.filter((box) => box.type === "PolyBox"),
+          AssetBox: boxes.filter((box) => box.type === "AssetBox")
+        }};
+      });
+      return result;
+    }
+  });
+  return {chain, transport};
+}
+
+/* -------------------------------------------------------------------------- */
+/*                        Address watcher unit tests                          */
+/* -------------------------------------------------------------------------- */
+describe("AddressWatcher", () => {
+  const alice = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const bob = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+  const assetCode = "5onz7S7TMZbRt7YN5Q3NfaZLiXtYTgpaPCBmGRQYn8Xt6DgMyf4aTGgPuJ";
+  const evidence = (address) => Base58.encode(txUtils.getEvidence(address));
+  const poly = (id, address, quantity) => ({id, type: "PolyBox", evidence: evidence(address), value: {type: "Simple", quantity}});
+  const asset = (id, address, quantity) => ({id, type: "AssetBox", evidence: evidence(address), value: {type: "Asset", quantity, assetCode}});
+
+  let chain;
+  let watcher;
+  let events;
+
+  beforeEach(async () => {
+    let transport;
+    ({chain, transport} = fakeChain());
+    chain.boxes[alice] = [poly("box_1", alice, "100")];
+    watcher = new AddressWatcher(new Requests("private", undefined, undefined, transport), {addresses: [alice, bob], interval: 60});
+    events = [];
+    watcher.on("incoming", (event) => events.push(["incoming", event.address, event.txId, event.token, event.amount, event.pending]));
+    watcher.on("outgoing", (event) => events.push(["outgoing", event.address, event.txId, event.token, event.amount, event.pending]));
+    await watcher.start();
+  });
+
+  afterEach(() => watcher.stop());
+
+  it("should only record the boxes at the first check", () => {
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(watcher.getBalances(alice), {Polys: "100", Arbits: "0", Assets: {}});
+    assert.ok(watcher.isRunning);
+  });
+
+  it("should report payments confirmed by new blocks without the change", async () => {
+    const tx = {txId: "tx_1", boxesToRemove: ["box_1"], newBoxes: [poly("box_2", alice, "69"), poly("box_3", bob, "30")]};
+    chain.blocks[11] = [tx];
+    chain.height = 11;
+    chain.boxes[alice] = [tx.newBoxes[0]];
+    chain.boxes[bob] = [tx.newBoxes[1]];
+
+    await watcher.poll();
+    assert.deepStrictEqual(events, [
+      ["outgoing", alice, "tx_1", "Polys", "31", false],
+      ["incoming", bob, "tx_1", "Polys", "30", false]
+    ]);
+    assert.deepStrictEqual(watcher.getBalances(alice), {Polys: "69", Arbits: "0", Assets: {}});
+  });
+
+  it("should report pending payments from the mempool once", async () => {
+    const tx = {txId: "tx_2", boxesToRemove: ["box_1"], newBoxes: [poly("box_4", alice, "99"), asset("box_5", alice, "5")]};
+    chain.mempool = [tx];
+    await watcher.poll();
+    await watcher.poll();
+    assert.deepStrictEqual(events, [
+      ["outgoing", alice, "tx_2", "Polys", "1", true],
+      ["incoming", alice, "tx_2", "Assets", "5", true]
+    ]);
+
+    // the transaction is then confirmed
+    chain.mempool = [];
+    chain.blocks[11] = [tx];
+    chain.height = 11;
+    chain.boxes[alice] = tx.newBoxes;
+    await watcher.poll();
+    assert.deepStrictEqual(events.slice(2), [
+      ["outgoing", alice, "tx_2", "Polys", "1", false],
+      ["incoming", alice, "tx_2", "Assets", "5", false]
+    ]);
+    assert.deepStrictEqual(watcher.getBalances(alice).Assets, {[assetCode]: "5"});
+  });
+
+  it("should report changes that could not be attributed to a transaction", async () => {
+    chain.height = 30;
+    chain.boxes[bob] = [poly("box_6", bob, "7")];
+    await watcher.poll();
+    assert.deepStrictEqual(events, [["incoming", bob, undefined, "Polys", "7", false]]);
+  });
+
+  it("should check the addresses at every interval", async () => {
+    watcher.stop();
+    watcher = new AddressWatcher(new Requests("private", undefined, undefined, fakeChain().transport), {interval: 0.01});
+    const errors = [];
+    watcher.on("error", (err) => errors.push(err));
+    watcher.addAddresses([alice]);
+    await watcher.start();
+    watcher.removeAddresses([alice]);
+    watcher.addAddresses([bob]);
+    assert.deepStrictEqual(watcher.addresses, [bob]);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(watcher.getBalances(bob), {Polys: "0", Arbits: "0", Assets: {}});
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it("should reject invalid addresses", () => {
+    assert.throws(() => watcher.addAddresses(["AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoF"]),
+        (err) => err instanceof ValidationError && err.field === "params.addresses[0]");
+    assert.throws(() => watcher.removeAddresses(alice), (err) => err instanceof ValidationError && err.field === "addresses");
+    assert.throws(() => watcher.removeAddresses(["AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoF"]),
+        (err) => err instanceof ValidationError && err.field === "params.addresses[0]");
+  });
+});
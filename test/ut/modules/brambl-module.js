@@ -9,6 +9,14 @@
 const BramblJS = require("../../../src/Brambl");
 const KeyManager = require("../../../src/modules/KeyManager");
 const Requests = require("../../../src/modules/Requests");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {Address} = require("../../../src/utils/Address");
+const {AssetCode} = require("../../../src/utils/AssetCode");
+const {FeeEstimator} = require("../../../src/lib/fees");
+const {TransactionVerificationError, NetworkMismatchError} = require("../../../src/lib/errors");
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
 
 const assert = require("assert");
 
@@ -68,6 +76,13 @@ describe("Brambl", () => {
       });
       assert.strictEqual(brambl.networkPrefix, "valhalla", "network prefix is valhalla");
     });
+    it("should expose the Address and AssetCode classes under their own names", () => {
+      const brambl = new BramblJS({KeyManager: keyMan});
+      assert.strictEqual(brambl.utils.AddressCodec, Address);
+      assert.strictEqual(brambl.utils.AssetCode, AssetCode);
+      assert.strictEqual(require("../../../index").Address, Address);
+      assert.strictEqual(require("../../../index").AssetCode, AssetCode);
+    });
     it("should default empty network prefix to private", async () => {
       const brambl = new BramblJS({
         KeyManager: keyMan // use instance in before block due to faster scrypt alg
@@ -157,4 +172,226 @@ describe("Brambl", () => {
     // test adding keymanager module details
     // test adding requests module details
   });
+  /* ---------------------------- transactions -------------------------------- */
+  describe("transaction()", function() {
+    const recipient = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+    const params = {propositionType: "PublicKeyCurve25519", recipients: [[recipient, 10]], fee: 1};
+
+    it("should default the sender and change addresses to the KeyManager", async () => {
+      const received = [];
+      const transport = new InProcessTransport({
+        topl_balances: () => ({}),
+        topl_rawPolyTransfer: (body) => {
+          received.push(body);
+          throw new Error("stop here");
+        }
+      });
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", params), /stop here/);
+      assert.deepStrictEqual(received[0].sender, [keyMan.address]);
+      assert.strictEqual(received[0].changeAddress, keyMan.address);
+    });
+    it("should select boxes locally with a selection strategy", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = (nonce, quantity) => ({nonce, id: txUtils.generateBoxId(evidence, nonce), evidence, type: "PolyBox", value: {type: "Simple", quantity}});
+      const balances = {[keyMan.address]: {Boxes: {PolyBox: [box("1", "100"), box("2", "11"), box("3", "5")]}}};
+
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, new InProcessTransport({}))});
+      const {rawTx} = await brambl.buildTransaction("createRawPolyTransfer", {...params, selectionStrategy: "minimize-change"}, balances);
+      assert.deepStrictEqual(rawTx.from, [[keyMan.address, "2"]]);
+      assert.deepStrictEqual(rawTx.to[1], [recipient, {type: "Simple", quantity: "10"}]);
+    });
+    it("should refuse to sign raw transactions which do not match the request", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = {nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}};
+      const builder = new TransactionBuilder("private");
+      const broadcasts = [];
+      const transport = new InProcessTransport({
+        topl_balances: () => ({[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+        // the chain provider pays itself instead of the recipient
+        topl_rawPolyTransfer: (body) => builder.createRawPolyTransfer({...body, recipients: [[keyMan.address, "10"]]},
+            {[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+        topl_broadcastTx: (body) => broadcasts.push(body)
+      });
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", params),
+          (err) => err instanceof TransactionVerificationError && err.mismatches.includes(`recipient <${recipient}> is not paid <10>`));
+      assert.deepStrictEqual(broadcasts, []);
+    });
+    it("should refuse to sign a message which is not the one of the raw transaction", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = {nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}};
+      const builder = new TransactionBuilder("private");
+      const broadcasts = [];
+      const transport = new InProcessTransport({
+        topl_balances: () => ({[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+        // the raw transaction matches the request but the message to sign pays the chain provider
+        topl_rawPolyTransfer: (body) => ({
+          ...builder.createRawPolyTransfer(body, {[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+          messageToSign: builder.createRawPolyTransfer({...body, recipients: [[keyMan.address, "10"]]},
+              {[keyMan.address]: {Boxes: {PolyBox: [box]}}}).messageToSign
+        }),
+        topl_broadcastTx: (body) => broadcasts.push(body)
+      });
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", params),
+          (err) => err instanceof TransactionVerificationError && err.mismatches.includes("messageToSign does not match the raw transaction"));
+      assert.deepStrictEqual(broadcasts, []);
+    });
+    it("should verify the change against the box data of the senders when a fee is given", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = {nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}};
+      const builder = new TransactionBuilder("private");
+      const transport = new InProcessTransport({
+        topl_balances: () => ({[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+        // the chain provider keeps part of the change
+        topl_rawPolyTransfer: (body) => {
+          const result = builder.createRawPolyTransfer(body, {[keyMan.address]: {Boxes: {PolyBox: [box]}}});
+          result.rawTx.to[0][1].quantity = "80";
+          result.rawTx.newBoxes[0].value.quantity = "80";
+          return result;
+        }
+      });
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", params),
+          (err) => err instanceof TransactionVerificationError && err.mismatches.some((m) => /does not preserve PolyBox value/.test(m)));
+    });
+    it("should apply the suggested fee when the fee is omitted", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = {nonce: "1", id: txUtils.generateBoxId(evidence, "1"), evidence, type: "PolyBox", value: {type: "Simple", quantity: "100"}};
+      const received = [];
+      const transport = new InProcessTransport({
+        topl_balances: () => ({[keyMan.address]: {Boxes: {PolyBox: [box]}}}),
+        topl_head: () => ({height: 0}),
+        topl_mempool: () => [],
+        topl_rawPolyTransfer: (body) => {
+          received.push(body);
+          throw new Error("stop here");
+        }
+      });
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+      brambl.fees = new FeeEstimator(brambl.requests, {minFee: 7});
+      const rest = {...params, fee: undefined};
+
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", {...rest, feeLevel: "high"}), /stop here/);
+      assert.strictEqual(received[0].fee, "7");
+      assert.strictEqual(received[0].feeLevel, undefined);
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", {...rest, feeLevel: "urgent"}),
+          (err) => err.field === "params.feeLevel");
+    });
+  });
+
+  /* ---------------------------- Fee estimation -------------------------------- */
+  describe("estimateFee()", function() {
+    it("should count the poly box paying the fee of an arbit transfer", async () => {
+      const evidence = Base58.encode(txUtils.getEvidence(keyMan.address));
+      const box = (nonce, type) => ({nonce, id: txUtils.generateBoxId(evidence, nonce), evidence, type, value: {type: "Simple", quantity: "100"}});
+      const polyBox = box("1", "PolyBox");
+      const balances = {[keyMan.address]: {Boxes: {PolyBox: [polyBox], ArbitBox: [box("2", "ArbitBox")]}}};
+      const transport = new InProcessTransport({topl_head: () => ({height: 0}), topl_mempool: () => []});
+      const brambl = new BramblJS({KeyManager: keyMan, Requests: new Requests("private", undefined, undefined, transport)});
+      brambl.fees = new FeeEstimator(brambl.requests, {minFee: 7});
+      const drafts = [];
+      const estimate = brambl.fees.estimate.bind(brambl.fees);
+      brambl.fees.estimate = (rawTx) => {
+        drafts.push(rawTx);
+        return estimate(rawTx);
+      };
+
+      const params = {propositionType: "PublicKeyCurve25519", recipients: [["AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh", 10]]};
+      const fees = await brambl.estimateFee("createRawArbitTransfer", params, balances);
+      const sized = drafts[drafts.length - 1];
+      assert.ok(sized.boxesToRemove.includes(polyBox.id));
+      assert.strictEqual(sized.fee, "7");
+      assert.strictEqual(fees.high, "7");
+
+      // a draft without fee opens no poly box and is smaller
+      const {rawTx} = await brambl.buildTransaction("createRawArbitTransfer", {...params, fee: 0}, balances);
+      assert.ok(!rawTx.boxesToRemove.includes(polyBox.id));
+      assert.ok(fees.size > (await estimate(rawTx)).size);
+    });
+  });
+
+  /* ---------------------------- Network handshake -------------------------------- */
+  describe("connect()", function() {
+    const nodeOn = (network, handlers = {}) => new InProcessTransport({topl_info: () => ({network, version: "1.3.4"}), ...handlers});
+
+    it("should adopt the network of the chain provider when none was chosen", async () => {
+      const brambl = new BramblJS({handshake: true, Requests: {transport: nodeOn("valhalla")}, KeyManager: {password: "topl_the_world", constants: defaultTestOptions}});
+      const pk = brambl.keyManager.pk;
+      const requests = brambl.requests;
+
+      const result = await brambl.connect();
+      assert.strictEqual(result.networkPrefix, "valhalla");
+      assert.strictEqual(result.verified, true);
+      assert.strictEqual(brambl.networkPrefix, "valhalla");
+      assert.strictEqual(brambl.requests.networkPrefix, "valhalla");
+      assert.strictEqual(brambl.keyManager.pk, pk);
+      assert.strictEqual(brambl.keyManager.networkPrefix, "valhalla");
+      assert.strictEqual(Base58.decode(brambl.keyManager.address)[0], 0x10);
+      // the Requests instance is replaced rather than changed
+      assert.strictEqual(requests.networkPrefix, "private");
+      assert.strictEqual(brambl.requests.transport, requests.transport);
+    });
+
+    it("should rebuild the tracker and fee estimator on the Requests instance of the adopted network", async () => {
+      const transport = nodeOn("valhalla", {topl_head: () => ({height: 0}), topl_mempool: () => []});
+      const brambl = new BramblJS({handshake: true, Requests: {transport}, KeyManager: {password: "topl_the_world", constants: defaultTestOptions}});
+      const {tracker, fees} = brambl;
+
+      await brambl.connect();
+      assert.notStrictEqual(brambl.tracker, tracker);
+      assert.notStrictEqual(brambl.fees, fees);
+
+      // both read the chain through the new Requests instance
+      const calls = [];
+      ["getLatestBlock", "getTransactionById"].forEach((method) => {
+        brambl.requests[method] = async () => {
+          calls.push(method);
+          return {result: method === "getTransactionById" ? {txId: "tx"} : {height: 0}};
+        };
+      });
+      await brambl.fees.getFeeRates();
+      brambl.tracker.track("tx").catch(() => {});
+      await brambl.tracker.poll();
+      brambl.tracker.stop();
+      assert.deepStrictEqual(calls, ["getLatestBlock", "getTransactionById", "getLatestBlock"]);
+    });
+
+    it("should not run the handshake unless enabled", async () => {
+      const transport = nodeOn("valhalla");
+      const brambl = new BramblJS({Requests: {transport}, KeyManager: {password: "topl_the_world", constants: defaultTestOptions}});
+      assert.deepStrictEqual(await brambl.connect(), {networkPrefix: "private", verified: false});
+      assert.strictEqual(brambl.networkPrefix, "private");
+      assert.deepStrictEqual(transport.requests, []);
+    });
+
+    it("should fail fast when the chain provider is on another network", async () => {
+      const requested = [];
+      const transport = nodeOn("toplnet", {topl_rawPolyTransfer: (body) => requested.push(body)});
+      const brambl = new BramblJS({networkPrefix: "private", handshake: true, Requests: {transport}, KeyManager: keyMan});
+
+      await assert.rejects(brambl.transaction("createRawPolyTransfer", {
+        propositionType: "PublicKeyCurve25519",
+        recipients: [[keyMan.address, 10]],
+        fee: 1
+      }), (err) => err instanceof NetworkMismatchError && err.expected === "private" && err.detected === "toplnet");
+      assert.deepStrictEqual(requested, []);
+      assert.strictEqual(transport.requests.filter((body) => body.method === "topl_info").length, 1);
+    });
+
+    it("should refuse networks missing from the registry", async () => {
+      const brambl = new BramblJS({handshake: true, Requests: {transport: nodeOn("mainnet2")}, KeyManager: keyMan});
+      await assert.rejects(brambl.connect(), /unknown network <mainnet2>/);
+    });
+
+    it("should not verify chain providers without node info", async () => {
+      const brambl = new BramblJS({handshake: true, Requests: {transport: new InProcessTransport({})}, KeyManager: keyMan});
+      assert.deepStrictEqual(await brambl.connect(), {networkPrefix: "private", verified: false});
+      assert.strictEqual(brambl.networkPrefix, "private");
+    });
+  });
 });
@@ -0,0 +1,107 @@
+/**
+ * @fileOverview Unit testing for HDWallet Module
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const HDWallet = require("../../../src/modules/HDWallet");
+const hdUtils = require("../../../src/utils/hd-utils");
+const utils = require("../../../src/utils/address-utils");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                          HDWallet unit tests                               */
+/* -------------------------------------------------------------------------- */
+describe("HDWallet", () => {
+  const mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+  const constants = {
+    cipher: "aes-256-ctr",
+    ivBytes: 16,
+    keyBytes: 32,
+    scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}
+  };
+
+  /* ---------------------------- mnemonic -------------------------------- */
+  describe("mnemonic", () => {
+    it("should generate a new 12 word mnemonic by default", () => {
+      const words = new HDWallet().exportMnemonic().split(" ");
+      assert.strictEqual(words.length, 12);
+    });
+    it("should generate a 24 word mnemonic with 256 bits of entropy", () => {
+      assert.strictEqual(new HDWallet({strength: 256}).exportMnemonic().split(" ").length, 24);
+    });
+    it("should export the imported mnemonic", () => {
+      assert.strictEqual(HDWallet.fromMnemonic(mnemonic).exportMnemonic(), mnemonic);
+    });
+    it("should fail with an invalid mnemonic", () => {
+      assert.throws(() => HDWallet.fromMnemonic("abandon abandon abandon"),
+          (err) => err instanceof ValidationError && err.field === "mnemonic" && /Invalid mnemonic provided/.test(err.message));
+    });
+    it("should fail with an invalid strength", () => {
+      assert.throws(() => new HDWallet({strength: 100}), /Invalid mnemonic strength/);
+    });
+  });
+
+  /* ---------------------------- derivation -------------------------------- */
+  describe("derivation", () => {
+    it("should build BIP-44 style paths with the Topl coin type", () => {
+      assert.strictEqual(hdUtils.getDerivationPath(5), "m/44'/7091'/0'/0'/5'");
+      assert.strictEqual(hdUtils.getDerivationPath(5, 2, 1), "m/44'/7091'/2'/1'/5'");
+    });
+    it("should reject non hardened paths", () => {
+      assert.throws(() => hdUtils.derivePath(Buffer.alloc(64), "m/44'/7091'/0"),
+          (err) => err instanceof ValidationError && /only hardened indexes/.test(err.message));
+      assert.throws(() => hdUtils.getDerivationPath(-1), ValidationError);
+    });
+    it("should derive the SLIP-0010 test vector 1 keys of both curves", () => {
+      const seed = Buffer.from("000102030405060708090a0b0c0d0e0f", "hex");
+      const vectors = [
+        ["Curve25519", "m", "d70a59c2e68b836cc4bbe8bcae425169b9e2384f3905091e3d60b890e90cd92c"],
+        ["Curve25519", "m/0'", "cd7630d7513cbe80515f7317cdb9a47ad4a56b63c3f1dc29583ab8d4cc25a9b2"],
+        ["Ed25519", "m", "2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7"],
+        ["Ed25519", "m/0'", "68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3"],
+        ["Ed25519", "m/0'/1'", "b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2"]
+      ];
+      vectors.forEach(([keyType, path, key]) => {
+        assert.strictEqual(hdUtils.derivePath(seed, path, keyType).toString("hex"), key, `${keyType} ${path}`);
+      });
+    });
+    it("should derive the same addresses from the same mnemonic", () => {
+      const first = HDWallet.fromMnemonic(mnemonic);
+      const second = HDWallet.fromMnemonic(mnemonic);
+      assert.strictEqual(first.deriveAddress(3), second.deriveAddress(3));
+    });
+    it("should derive different addresses for different indexes and passphrases", () => {
+      const wallet = HDWallet.fromMnemonic(mnemonic);
+      assert.notStrictEqual(wallet.deriveAddress(0), wallet.deriveAddress(1));
+      assert.notStrictEqual(wallet.deriveAddress(0), HDWallet.fromMnemonic(mnemonic, "secret").deriveAddress(0));
+    });
+    it("should derive addresses for any valid network", () => {
+      const wallet = HDWallet.fromMnemonic(mnemonic);
+      utils.getValidNetworksList().forEach((network) => {
+        const address = wallet.deriveAddress(0, network);
+        assert.strictEqual(utils.getAddressNetwork(address).networkPrefix, network);
+      });
+    });
+    it("should derive a KeyManager matching the derived address", () => {
+      const wallet = HDWallet.fromMnemonic(mnemonic);
+      const keyManager = wallet.deriveKeyManager(2, {password: "topl_the_world", networkPrefix: "valhalla", constants});
+      assert.strictEqual(keyManager.address, wallet.deriveAddress(2, "valhalla"));
+      assert.strictEqual(keyManager.networkPrefix, "valhalla");
+    });
+    it("should derive Ed25519 keys matching the derived address", () => {
+      const wallet = HDWallet.fromMnemonic(mnemonic);
+      const address = wallet.deriveAddress(0, "private", 0, "Ed25519");
+      assert.notStrictEqual(address, wallet.deriveAddress(0));
+      assert.strictEqual(utils.getAddressPropositionType(address), "PublicKeyEd25519");
+
+      const keyManager = wallet.deriveKeyManager(0, {password: "topl_the_world", constants, keyType: "Ed25519"});
+      assert.strictEqual(keyManager.address, address);
+    });
+    it("should fail to derive a KeyManager without a password", () => {
+      assert.throws(() => HDWallet.fromMnemonic(mnemonic).deriveKeyManager(0), /A password must be provided/);
+    });
+  });
+});
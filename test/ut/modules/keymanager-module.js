@@ -13,6 +13,7 @@ const assert = require("assert");
 const chai = require("chai");
 const expect = chai.expect;
 const fs = require("fs");
+const {ValidationError, FileError} = require("../../../src/lib/errors");
 
 /* -------------------------------------------------------------------------- */
 /*                          KeyManager unit tests                             */
@@ -313,6 +314,45 @@ describe("KeyManager", () => {
     });
   });
 
+  /* ---------------------------- Ed25519 keys -------------------------------- */
+  describe("Ed25519 keys", function() {
+    let edKeyMan;
+    before(() => {
+      edKeyMan = new KeyManager({
+        "password": "password_test",
+        "keyType": "Ed25519",
+        "constants": defaultTestOptions
+      });
+    });
+
+    it("should fail with an invalid key type", async () => {
+      assert.throws(function() {
+        new KeyManager({"password": "password_test", "keyType": "Secp256k1", "constants": defaultTestOptions});
+      }, Error, "Invalid key type. Must be one of: Curve25519,Ed25519");
+    });
+    it("should generate an Ed25519 address", async () => {
+      assert.strictEqual(edKeyMan.keyType, "Ed25519");
+      assert.strictEqual(edKeyMan.propositionType, "PublicKeyEd25519");
+      assert.strictEqual(Base58.decode(edKeyMan.address)[1], 3);
+    });
+    it("should sign and verify a message", async () => {
+      const msg = Base58.encode(Buffer.from("test"));
+      const signature = edKeyMan.sign(msg);
+      assert.strictEqual(signature.length, 64);
+      assert.strictEqual(KeyManager.verify(edKeyMan.pk, msg, signature, "Ed25519"), true);
+      assert.strictEqual(KeyManager.verify(edKeyMan.pk, Base58.encode(Buffer.from("other")), signature, "Ed25519"), false);
+    });
+    it("should infer the key type when importing a keyfile", async () => {
+      const keyManTest = new KeyManager({
+        "keyFile": edKeyMan.getKeyStorage(),
+        "password": "password_test",
+        "constants": defaultTestOptions
+      });
+      assert.strictEqual(keyManTest.keyType, "Ed25519");
+      assert.strictEqual(keyManTest.pk, edKeyMan.pk);
+    });
+  });
+
   /* ---------------------------- getters -------------------------------- */
   describe("setters()", function() {
     it("should fail set isLocked()", async () => {
@@ -506,6 +546,16 @@ describe("KeyManager", () => {
         KeyManager.importKeyFile(keyStorage, "password_test");
       }, Error, "Invalid network provided");
     });
+
+    it("should throw the typed errors of a failed import unchanged", () => {
+      const keyStorage = {...keyMan.getKeyStorage()};
+      assert.throws(() => KeyManager.importKeyFile(keyStorage, "wrong_password"),
+          (err) => err instanceof ValidationError && err.field === "password" && !/importing/.test(err.message));
+      assert.throws(() => KeyManager.importKeyFile({...keyStorage, address: undefined}, "password_test"),
+          (err) => err instanceof ValidationError && err.field === "keyFile.address");
+      assert.throws(() => KeyManager.importKeyFileFromDisk("./missing-keyfile.json", "password_test"),
+          (err) => err instanceof FileError && err.path === "./missing-keyfile.json" && err.cause.code === "ENOENT");
+    });
   });
 
   function fileSetup(test) {
@@ -0,0 +1,115 @@
+/**
+ * @fileOverview Unit testing for Keyring Module
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const BramblJS = require("../../../src/Brambl");
+const KeyManager = require("../../../src/modules/KeyManager");
+const Keyring = require("../../../src/modules/Keyring");
+const {ValidationError, FileError} = require("../../../src/lib/errors");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/* -------------------------------------------------------------------------- */
+/*                          Keyring unit tests                                */
+/* -------------------------------------------------------------------------- */
+describe("Keyring", () => {
+  const constants = {
+    cipher: "aes-256-ctr",
+    ivBytes: 16,
+    keyBytes: 32,
+    scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}
+  };
+
+  // run this before all tests
+  before(() => {
+    keys = ["pass_a", "pass_b"].map((password) => new KeyManager({password, constants}));
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "keyring-"));
+    keys.forEach((key) => key.exportToFile(keyDir));
+  });
+
+  // run this after all tests
+  after(() => {
+    fs.readdirSync(keyDir).forEach((file) => fs.unlinkSync(path.join(keyDir, file)));
+    fs.rmdirSync(keyDir);
+  });
+
+  // run this before every test
+  beforeEach(() => {
+    keyring = new Keyring({constants});
+    keys.forEach((key) => keyring.add(key));
+  });
+
+  // run this after every test
+  afterEach(() => {
+    keyring.unlockAll({[keys[0].address]: "pass_a", [keys[1].address]: "pass_b"});
+  });
+
+  it("should index keys by address", () => {
+    assert.deepStrictEqual(keyring.addresses, keys.map((key) => key.address));
+    assert.strictEqual(keyring.get(keys[1].address), keys[1]);
+    assert.strictEqual(keyring.size, 2);
+  });
+  it("should load a directory of keyfiles", () => {
+    const loaded = new Keyring({constants});
+    const passwords = {[keys[0].address]: "pass_a", [keys[1].address]: "pass_b"};
+    const addresses = loaded.loadDirectory(keyDir, passwords);
+    assert.deepStrictEqual(addresses.sort(), keyring.addresses.sort());
+  });
+  it("should fail to load a keyfile with the wrong password", () => {
+    assert.throws(() => new Keyring({constants}).loadDirectory(keyDir, "pass_a"),
+        (err) => err instanceof ValidationError && err.field === "password" && /message authentication code mismatch/.test(err.message));
+  });
+  it("should fail to load an unreadable keyfile", () => {
+    const brokenDir = fs.mkdtempSync(path.join(os.tmpdir(), "keyring-"));
+    fs.writeFileSync(path.join(brokenDir, "broken.json"), "{");
+    try {
+      assert.throws(() => new Keyring({constants}).loadDirectory(brokenDir, "pass_a"),
+          (err) => err instanceof FileError && err.path === path.join(brokenDir, "broken.json") && /Error importing keyfile broken.json/.test(err.message));
+    } finally {
+      fs.rmdirSync(brokenDir, {recursive: true});
+    }
+  });
+  it("should fail to add a key from another network", () => {
+    const valhallaKey = new KeyManager({password: "pass_c", constants: {...constants}, networkPrefix: "valhalla"});
+    assert.throws(() => keyring.add(valhallaKey), /Incompatible network prefixes/);
+  });
+  it("should lock and unlock keys individually", () => {
+    keyring.lock(keys[0].address);
+    assert.strictEqual(keys[0].isLocked, true);
+    assert.strictEqual(keys[1].isLocked, false);
+    keyring.unlock(keys[0].address, "pass_a");
+    assert.strictEqual(keys[0].isLocked, false);
+  });
+  it("should lock and unlock all keys together", () => {
+    keyring.lockAll();
+    assert.ok(keys.every((key) => key.isLocked));
+    keyring.unlockAll((address) => address === keys[0].address ? "pass_a" : "pass_b");
+    assert.ok(keys.every((key) => !key.isLocked));
+  });
+  it("should select the keys of the transaction senders", () => {
+    const rawTx = {from: [[keys[1].address, "1"], [keys[1].address, "2"]]};
+    assert.deepStrictEqual(keyring.getSigners(rawTx), [keys[1]]);
+  });
+  it("should fail if no sender key is held", () => {
+    const rawTx = {from: [["AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh", "1"]]};
+    assert.throws(() => keyring.getSigners(rawTx), /No keys found/);
+  });
+  it("should fail if the key of a sender is missing", () => {
+    const unknown = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+    const rawTx = {from: [[keys[0].address, "1"], [unknown, "1"]]};
+    assert.throws(() => keyring.getSigners(rawTx),
+        (err) => err instanceof ValidationError && err.field === "rawTx.from" && err.message.includes(`<${unknown}>`));
+  });
+  it("should be used by addSigToTx to sign for every sender", async () => {
+    const brambl = new BramblJS({Keyring: keyring});
+    const rawTx = {from: [[keys[0].address, "1"], [keys[1].address, "2"]]};
+    const tx = await brambl.addSigToTx({rawTx, messageToSign: "3mJr7AoUXx2Wqd"}, keyring);
+    assert.strictEqual(Object.keys(tx.signatures).length, 2);
+    assert.strictEqual(brambl.keyManager, undefined);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileOverview Unit testing for ThresholdProposition and ThresholdSignature Modules
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const BramblJS = require("../../../src/Brambl");
+const KeyManager = require("../../../src/modules/KeyManager");
+const ThresholdProposition = require("../../../src/modules/ThresholdProposition");
+const ThresholdSignature = require("../../../src/modules/ThresholdSignature");
+const utils = require("../../../src/utils/address-utils");
+const {ValidationError} = require("../../../src/lib/errors");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                          Threshold unit tests                              */
+/* -------------------------------------------------------------------------- */
+describe("Threshold", () => {
+  const messageToSign = Base58.encode(Buffer.from("threshold test message"));
+
+  // run this before all tests
+  before(() => {
+    const constants = {
+      cipher: "aes-256-ctr",
+      ivBytes: 16,
+      keyBytes: 32,
+      scrypt: {dkLen: 32, n: Math.pow(2, 3), r: 8, p: 1}
+    };
+    keys = [1, 2, 3].map(() => new KeyManager({password: "topl_the_world", constants}));
+    brambl = new BramblJS({KeyManager: keys[0]});
+  });
+
+  // run this before every test
+  beforeEach(() => {
+    proposition = new ThresholdProposition({threshold: 2, publicKeys: keys.map((key) => key.pk)});
+  });
+
+  /* ---------------------------- ThresholdProposition -------------------------------- */
+  describe("ThresholdProposition", () => {
+    it("should derive a threshold address on the network", () => {
+      const decoded = Base58.decode(proposition.address);
+      assert.strictEqual(decoded[0], utils.getDecimalByNetwork("private"));
+      assert.strictEqual(decoded[1], utils.propositionTypes.ThresholdCurve25519);
+      assert.strictEqual(utils.validateAddressesByNetwork("private", [proposition.address]).success, true);
+    });
+    it("should not depend on the order of the public keys", () => {
+      const reversed = new ThresholdProposition({threshold: 2, publicKeys: keys.map((key) => key.pk).reverse()});
+      assert.strictEqual(reversed.address, proposition.address);
+    });
+    it("should accept KeyManager instances as public keys", () => {
+      assert.strictEqual(new ThresholdProposition({threshold: 2, publicKeys: keys}).address, proposition.address);
+    });
+    it("should decode an encoded proposition", () => {
+      const decoded = ThresholdProposition.decode(proposition.encode());
+      assert.deepStrictEqual(decoded.toJSON(), proposition.toJSON());
+    });
+    it("should fail if the threshold exceeds the number of keys", () => {
+      assert.throws(() => new ThresholdProposition({threshold: 4, publicKeys: keys.map((key) => key.pk)}), /Threshold must be an Integer/);
+    });
+    it("should fail with duplicate public keys", () => {
+      assert.throws(() => new ThresholdProposition({threshold: 1, publicKeys: [keys[0].pk, keys[0].pk]}), /Duplicate public keys/);
+    });
+  });
+
+  /* ---------------------------- ThresholdSignature -------------------------------- */
+  describe("ThresholdSignature", () => {
+    it("should not produce a proof before the threshold is reached", () => {
+      const thresholdSig = new ThresholdSignature(proposition, messageToSign).sign(keys[0]);
+      assert.strictEqual(thresholdSig.isComplete, false);
+      assert.throws(() => thresholdSig.proof, (err) => err instanceof ValidationError && err.field === "signatures" &&
+          /Insufficient signatures: 1 of 2/.test(err.message));
+    });
+    it("should collect signatures over time and produce a valid proof", () => {
+      const first = new ThresholdSignature(proposition, {messageToSign}).sign(keys[0]);
+      const restored = ThresholdSignature.fromJSON(JSON.parse(JSON.stringify(first))).sign(keys[2]);
+
+      assert.strictEqual(restored.isComplete, true);
+      assert.strictEqual(ThresholdSignature.verify(restored.proposition, messageToSign, restored.proof), true);
+    });
+    it("should reject a signature from a key outside the proposition", () => {
+      const outsider = new KeyManager({password: "topl_the_world", constants: keys[0].constants});
+      const thresholdSig = new ThresholdSignature(proposition, messageToSign);
+      assert.throws(() => thresholdSig.sign(outsider), /not part of the threshold proposition/);
+    });
+    it("should reject an invalid signature", () => {
+      const thresholdSig = new ThresholdSignature(proposition, messageToSign);
+      assert.throws(() => thresholdSig.addSignature(keys[1].pk, Buffer.alloc(64)), /Invalid signature/);
+    });
+    it("should be emitted by addSigToTx with the threshold prefix", async () => {
+      const thresholdSig = new ThresholdSignature(proposition, messageToSign).sign(keys[0]).sign(keys[1]);
+      const tx = await brambl.addSigToTx({rawTx: {}, messageToSign}, [thresholdSig, keys[2]]);
+
+      assert.strictEqual(tx.signatures[proposition.encode()], thresholdSig.proof);
+      assert.strictEqual(Object.keys(tx.signatures).length, 2);
+    });
+  });
+});
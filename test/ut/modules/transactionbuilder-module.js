@@ -0,0 +1,164 @@
+/**
+ * @fileOverview Unit testing for TransactionBuilder Module
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const TransactionBuilder = require("../../../src/modules/TransactionBuilder");
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                       TransactionBuilder unit tests                        */
+/* -------------------------------------------------------------------------- */
+describe("TransactionBuilder", () => {
+  const sender = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  const recipient = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+  const assetCode = "6LmGjTkSGsgybGM5ZmjzjDv147p2yuKVAyE9npdDTGwVG5FeparzU965Vq";
+  const evidence = Base58.encode(txUtils.getEvidence(sender));
+  let builder;
+  let balances;
+  let parameters;
+
+  function box(type, nonce, value) {
+    return {nonce, id: txUtils.generateBoxId(evidence, nonce), evidence, type, value};
+  }
+
+  // run this before every test
+  beforeEach(() => {
+    builder = new TransactionBuilder("private");
+    balances = {
+      [sender]: {
+        Balances: {Polys: "150", Arbits: "50"},
+        Boxes: {
+          PolyBox: [box("PolyBox", "1", {type: "Simple", quantity: "100"}), box("PolyBox", "2", {type: "Simple", quantity: "50"})],
+          ArbitBox: [box("ArbitBox", "3", {type: "Simple", quantity: "50"})],
+          AssetBox: [box("AssetBox", "4", {type: "Asset", quantity: "20", assetCode, securityRoot: txUtils.emptySecurityRoot, metadata: null})]
+        }
+      }
+    };
+    parameters = {
+      propositionType: "PublicKeyCurve25519",
+      recipients: [[recipient, 60]],
+      sender: [sender],
+      changeAddress: sender,
+      consolidationAddress: sender,
+      fee: 10,
+      timestamp: 1614870913077
+    };
+  });
+
+  /* ---------------------------- constructor -------------------------------- */
+  describe("new TransactionBuilder()", () => {
+    it("should default to the private network", () => {
+      assert.strictEqual(new TransactionBuilder().networkPrefix, "private");
+    });
+    it("should fail with invalid network prefix", () => {
+      assert.throws(() => new TransactionBuilder("local-test"), /Invalid Network Prefix/);
+    });
+  });
+
+  /* ---------------------------- poly transfer -------------------------------- */
+  describe("createRawPolyTransfer()", () => {
+    it("should select boxes and return change to the change address", () => {
+      const {rawTx, messageToSign} = builder.createRawPolyTransfer(parameters, balances);
+
+      assert.strictEqual(rawTx.txType, "PolyTransfer");
+      assert.deepStrictEqual(rawTx.from, [[sender, "1"]]);
+      assert.deepStrictEqual(rawTx.to, [
+        [sender, {type: "Simple", quantity: "30"}],
+        [recipient, {type: "Simple", quantity: "60"}]
+      ]);
+      assert.strictEqual(rawTx.newBoxes.length, 2);
+      assert.strictEqual(rawTx.fee, "10");
+      assert.strictEqual(rawTx.txId, txUtils.generateTxId(messageToSign));
+    });
+    it("should be deterministic for the same inputs", () => {
+      const first = builder.createRawPolyTransfer(parameters, balances);
+      const second = builder.createRawPolyTransfer(parameters, {result: balances});
+      assert.strictEqual(first.messageToSign, second.messageToSign);
+    });
+    it("should match the recomputed message to sign", () => {
+      const {rawTx, messageToSign} = builder.createRawPolyTransfer(parameters, balances);
+      assert.strictEqual(Base58.encode(txUtils.generateMessageToSign(rawTx)), messageToSign);
+    });
+    it("should not create a box for empty change", () => {
+      parameters.recipients = [[recipient, 140]];
+      const {rawTx} = builder.createRawPolyTransfer(parameters, balances);
+      assert.strictEqual(rawTx.from.length, 2);
+      assert.strictEqual(rawTx.newBoxes.length, 1);
+    });
+    it("should select boxes with the requested strategy", () => {
+      const {rawTx} = builder.createRawPolyTransfer({...parameters, recipients: [[recipient, 40]], selectionStrategy: "minimize-change"}, balances);
+      assert.deepStrictEqual(rawTx.from, [[sender, "2"]]);
+      assert.deepStrictEqual(rawTx.to[0], [sender, {type: "Simple", quantity: "0"}]);
+      assert.strictEqual(rawTx.newBoxes.length, 1);
+    });
+    it("should fail with an unknown selection strategy", () => {
+      assert.throws(() => builder.createRawPolyTransfer({...parameters, selectionStrategy: "random"}, balances), /Invalid selection strategy/);
+    });
+    it("should fail if funds are insufficient", () => {
+      parameters.recipients = [[recipient, 141]];
+      assert.throws(() => builder.createRawPolyTransfer(parameters, balances), /Insufficient funds/);
+    });
+    it("should fail if no balances are provided", () => {
+      assert.throws(() => builder.createRawPolyTransfer(parameters), /Sender balances must be specified/);
+    });
+    it("should fail if addresses are invalid", () => {
+      parameters.changeAddress = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLo";
+      assert.throws(() => builder.createRawPolyTransfer(parameters, balances), /Invalid Addresses/);
+    });
+  });
+
+  /* ---------------------------- arbit transfer -------------------------------- */
+  describe("createRawArbitTransfer()", () => {
+    it("should pay the fee in polys and consolidate arbits", () => {
+      parameters.recipients = [[recipient, 20]];
+      const {rawTx} = builder.createRawArbitTransfer(parameters, balances);
+
+      assert.strictEqual(rawTx.txType, "ArbitTransfer");
+      assert.deepStrictEqual(rawTx.to.map(([, value]) => value.quantity), ["90", "30", "20"]);
+      assert.deepStrictEqual(rawTx.newBoxes.map((b) => b.type), ["PolyBox", "ArbitBox", "ArbitBox"]);
+    });
+    it("should fail if no consolidationAddress provided", () => {
+      delete parameters.consolidationAddress;
+      assert.throws(() => builder.createRawArbitTransfer(parameters, balances), /consolidationAddress/);
+    });
+    it("should fail if the consolidationAddress belongs to another network", () => {
+      // same key on valhalla
+      parameters.consolidationAddress = "3NLQSfaQHC9cxf2dPCAM6eXHpDecC9Cjg8fgo9w2MqCxHdJaqnrv";
+      assert.throws(() => builder.createRawArbitTransfer(parameters, balances), (err) =>
+        /Invalid Addresses/.test(err.message) && err.message.includes(parameters.consolidationAddress));
+    });
+  });
+
+  /* ---------------------------- asset transfer -------------------------------- */
+  describe("createRawAssetTransfer()", () => {
+    it("should mint assets without spending asset boxes", () => {
+      parameters.recipients = [[recipient, 1000]];
+      parameters.assetCode = assetCode;
+      parameters.minting = true;
+      const {rawTx} = builder.createRawAssetTransfer(parameters, balances);
+
+      assert.strictEqual(rawTx.minting, true);
+      assert.deepStrictEqual(rawTx.from, [[sender, "1"]]);
+      assert.strictEqual(rawTx.to[1][1].quantity, "1000");
+      assert.strictEqual(rawTx.to[1][1].assetCode, assetCode);
+    });
+    it("should transfer existing assets and consolidate the remainder", () => {
+      parameters.recipients = [[recipient, 15]];
+      parameters.assetCode = assetCode;
+      parameters.minting = false;
+      const {rawTx} = builder.createRawAssetTransfer(parameters, balances);
+
+      assert.deepStrictEqual(rawTx.from, [[sender, "1"], [sender, "4"]]);
+      assert.deepStrictEqual(rawTx.to.map(([, value]) => value.quantity), ["90", "5", "15"]);
+    });
+    it("should fail if minting is not specified", () => {
+      parameters.assetCode = assetCode;
+      assert.throws(() => builder.createRawAssetTransfer(parameters, balances), /Minting boolean value must be specified/);
+    });
+  });
+});
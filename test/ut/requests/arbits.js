@@ -124,7 +124,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -138,7 +138,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519>');
+                expect(String(error)).to.equal('ValidationError: A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>');
                 done();
             });
         });
@@ -152,7 +152,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: At least one recipient must be specified');
+                expect(String(error)).to.equal('ValidationError: At least one recipient must be specified');
                 done();
             });
         });
@@ -166,7 +166,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A changeAddress must be specified');
+                expect(String(error)).to.equal('ValidationError: A changeAddress must be specified');
                 done();
             });
         });
@@ -180,7 +180,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A consolidationAddress must be specified');
+                expect(String(error)).to.equal('ValidationError: A consolidationAddress must be specified');
                 done();
             });
         });
@@ -194,7 +194,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: An asset sender must be specified');
+                expect(String(error)).to.equal('ValidationError: An asset sender must be specified');
                 done();
             });
         });
@@ -208,7 +208,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A fee must be specified');
+                expect(String(error)).to.equal('ValidationError: A fee must be specified');
                 done();
             });
         });
@@ -222,7 +222,7 @@ describe("Arbits", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Invalid fee, a fee must be greater or equal to zero');
+                expect(String(error)).to.equal('ValidationError: Invalid fee, a fee must be greater or equal to zero');
                 done();
             });
         });
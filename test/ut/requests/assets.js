@@ -14,6 +14,7 @@ const sinon = require('sinon');
 const chai = require('chai');
 const expect = chai.expect;
 const nodeFetch = require('node-fetch');
+const Base58 = require('bs58');
 
 /* -------------------------------------------------------------------------- */
 /*                       Assets type unit tests                          */
@@ -147,7 +148,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -161,7 +162,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A propositionTYpe must be specified: <PublicKeyCurve25519, ThresholdCurve25519>');
+                expect(String(error)).to.equal('ValidationError: A propositionTYpe must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>');
                 done();
             });
         });
@@ -175,7 +176,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: An asset sender must be specified');
+                expect(String(error)).to.equal('ValidationError: An asset sender must be specified');
                 done();
             });
         });
@@ -189,7 +190,23 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: An assetCode must be specified');
+                expect(String(error)).to.equal('ValidationError: An assetCode must be specified');
+                done();
+            });
+        });
+        it('should fail if the assetCode version is not supported', function(done) {
+            // same asset code with version 7 instead of 1
+            const bytes = Buffer.from(Base58.decode(parameters.assetCode));
+            bytes[0] = 7;
+            parameters.assetCode = Base58.encode(bytes);
+
+            requests
+            .createRawAssetTransfer(parameters)
+            .then((response) => {
+                done(new Error("should not succeded"));
+            })
+            .catch((error) => {
+                expect(String(error)).to.equal('ValidationError: Invalid asset code');
                 done();
             });
         });
@@ -203,7 +220,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: At least one recipient must be specified');
+                expect(String(error)).to.equal('ValidationError: At least one recipient must be specified');
                 done();
             });
         });
@@ -217,7 +234,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A changeAddress must be specified');
+                expect(String(error)).to.equal('ValidationError: A changeAddress must be specified');
                 done();
             });
         });
@@ -231,7 +248,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Minting boolean value must be specified');
+                expect(String(error)).to.equal('ValidationError: Minting boolean value must be specified');
                 done();
             });
         });
@@ -245,7 +262,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A fee must be specified');
+                expect(String(error)).to.equal('ValidationError: A fee must be specified');
                 done();
             });
         });
@@ -259,7 +276,7 @@ describe("Assets", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Invalid fee, a fee must be greater or equal to zero');
+                expect(String(error)).to.equal('ValidationError: Invalid fee, a fee must be greater or equal to zero');
                 done();
             });
         });
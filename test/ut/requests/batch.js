@@ -0,0 +1,132 @@
+/** Unit testing for json-rpc batch requests
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ * This test suite uses Mocha(https://mochajs.org/) with an in-process transport
+ * so that no call leaves the local environment.
+ */
+
+const Requests = require("../../../src/modules/Requests");
+const {InProcessTransport} = require("../../../src/lib/transports");
+const {JsonRpcError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                          Batch requests unit tests                         */
+/* -------------------------------------------------------------------------- */
+describe("Batch", () => {
+  const address = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+  let transport;
+  let requests;
+
+  beforeEach(() => {
+    transport = new InProcessTransport({
+      topl_blockByHeight: (params) => {
+        if (params.height > 100) throw Object.assign(new Error("Block not found"), {code: -32600});
+        return {height: params.height};
+      },
+      topl_balances: (params) => ({[params.addresses[0]]: {Balances: {Polys: "10", Arbits: "0"}}}),
+      topl_transactionById: (params) => ({txId: params.transactionId})
+    });
+    requests = new Requests("private", undefined, undefined, transport);
+  });
+
+  it("should send every call in a single json-rpc batch", async () => {
+    const batch = requests.batch();
+    const blocks = [1, 2, 3].map((height) => batch.getBlockByHeight({height}));
+    const balances = batch.lookupBalancesByAddresses({addresses: [address]});
+    const tx = batch.getTransactionById({transactionId: "tx_1"});
+    assert.strictEqual(batch.size, 5);
+
+    const responses = await batch.send();
+    assert.strictEqual(transport.requests.length, 1);
+    assert.strictEqual(transport.requests[0].length, 5);
+    assert.strictEqual(responses.length, 5);
+
+    assert.deepStrictEqual((await Promise.all(blocks)).map((block) => block.result.height), [1, 2, 3]);
+    assert.strictEqual((await balances).result[address].Balances.Polys, "10");
+    assert.strictEqual((await tx).result.txId, "tx_1");
+  });
+
+  it("should correlate responses by id and restore the ids of the calls", async () => {
+    transport = new InProcessTransport(async (body) => body.reverse().map((request) =>
+      ({jsonrpc: "2.0", id: request.id, result: request.params[0].height})));
+    const batch = new Requests("private", undefined, undefined, transport).batch();
+    const first = batch.getBlockByHeight({height: 1}, "first");
+    const second = batch.getBlockByHeight({height: 2}, "second");
+
+    const responses = await batch.send();
+    assert.deepStrictEqual(responses.map((response) => response.id), ["first", "second"]);
+    assert.deepStrictEqual(await first, {jsonrpc: "2.0", id: "first", result: 1});
+    assert.deepStrictEqual(await second, {jsonrpc: "2.0", id: "second", result: 2});
+  });
+
+  it("should reject only the calls that failed", async () => {
+    const batch = requests.batch();
+    const found = batch.getBlockByHeight({height: 1});
+    const missing = batch.getBlockByHeight({height: 101});
+    await batch.send();
+
+    assert.strictEqual((await found).result.height, 1);
+    await assert.rejects(missing, (err) => err instanceof JsonRpcError && err.message === "Block not found" && err.code === -32600);
+  });
+
+  it("should reject invalid calls without queueing them", async () => {
+    const batch = requests.batch();
+    await assert.rejects(batch.getBlockByHeight({height: -1}), /Height must be an Integer greater than 0/);
+    assert.strictEqual(batch.size, 0);
+  });
+
+  it("should reject calls without a response", async () => {
+    transport = new InProcessTransport(async (body) => [{jsonrpc: "2.0", id: body[0].id, result: "ok"}]);
+    const batch = new Requests("private", undefined, undefined, transport).batch();
+    const answered = batch.getLatestBlock();
+    const unanswered = batch.getMempool();
+    await batch.send();
+
+    assert.strictEqual((await answered).result, "ok");
+    await assert.rejects(unanswered, (err) => err instanceof JsonRpcError && err.message === "No response received for this request");
+  });
+
+  it("should reject every call when the whole batch is rejected", async () => {
+    const error = {jsonrpc: "2.0", id: null, error: {code: -32600, message: "Invalid Request"}};
+    transport = new InProcessTransport(async () => error);
+    const batch = new Requests("private", undefined, undefined, transport).batch();
+    const calls = [batch.getLatestBlock(), batch.getMempool()];
+
+    await assert.rejects(batch.send(), (err) => err instanceof JsonRpcError && err.response === error);
+    for (const call of calls) {
+      await assert.rejects(call, (err) => err.message === "Invalid Request" && err.code === -32600);
+    }
+  });
+
+  it("should not raise unhandled rejections for the calls of a failed batch", async () => {
+    // run with --unhandled-rejections=strict, an unhandled rejection fails the test run
+    transport = new InProcessTransport(async () => {
+      throw new Error("connection refused");
+    });
+    const batch = new Requests("private", undefined, undefined, transport).batch();
+    batch.getLatestBlock();
+    batch.getMempool();
+
+    await assert.rejects(batch.send(), /connection refused/);
+    await new Promise((resolve) => setImmediate(resolve));
+  });
+
+  it("should start a new batch once sent", async () => {
+    const batch = requests.batch();
+    assert.deepStrictEqual(await batch.send(), []);
+
+    const block = batch.getBlockByHeight({height: 4});
+    await batch.send();
+    assert.strictEqual((await block).result.height, 4);
+    assert.strictEqual(batch.size, 0);
+    assert.strictEqual(transport.requests.length, 1);
+  });
+
+  it("should not affect calls made directly on the instance", async () => {
+    requests.batch();
+    const response = await requests.getBlockByHeight({height: 5});
+    assert.strictEqual(response.result.height, 5);
+  });
+});
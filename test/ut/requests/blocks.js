@@ -170,7 +170,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -184,7 +184,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A blockId must be specified');
+                expect(String(error)).to.equal('ValidationError: A blockId must be specified');
                 done();
             });
         });
@@ -309,7 +309,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -322,7 +322,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A height must be specified');
+                expect(String(error)).to.equal('ValidationError: A height must be specified');
                 done();
             });
         });
@@ -335,7 +335,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Height must be an Integer greater than 0');
+                expect(String(error)).to.equal('ValidationError: Height must be an Integer greater than 0');
                 done();
             });
         });
@@ -348,7 +348,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Height must be an Integer greater than 0');
+                expect(String(error)).to.equal('ValidationError: Height must be an Integer greater than 0');
                 done();
             });
         });
@@ -361,7 +361,7 @@ describe("Blocks", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Height must be an Integer greater than 0');
+                expect(String(error)).to.equal('ValidationError: Height must be an Integer greater than 0');
                 done();
             });
         });
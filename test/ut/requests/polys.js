@@ -9,6 +9,7 @@
  */
 
 const Requests = require("../../../src/modules/Requests");
+const Units = require("../../../src/utils/units");
 const assert = require("assert");
 const sinon = require('sinon');
 const chai = require('chai');
@@ -123,7 +124,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -137,7 +138,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519>');
+                expect(String(error)).to.equal('ValidationError: A propositionType must be specified: <PublicKeyCurve25519, ThresholdCurve25519, PublicKeyEd25519>');
                 done();
             });
         });
@@ -151,7 +152,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: At least one recipient must be specified');
+                expect(String(error)).to.equal('ValidationError: At least one recipient must be specified');
                 done();
             });
         });
@@ -165,7 +166,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A changeAddress must be specified');
+                expect(String(error)).to.equal('ValidationError: A changeAddress must be specified');
                 done();
             });
         });
@@ -179,7 +180,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: An asset sender must be specified');
+                expect(String(error)).to.equal('ValidationError: An asset sender must be specified');
                 done();
             });
         });
@@ -193,7 +194,37 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A fee must be specified');
+                expect(String(error)).to.equal('ValidationError: A fee must be specified');
+                done();
+            });
+        });
+        it('should send BigInt and decimal string amounts as exact decimal strings', async () => {
+            parameters.fee = BigInt("170141183460469231731687303715884105727");
+            parameters.recipients = [["AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE", "18446744073709551617"]];
+
+            await requests.createRawPolyTransfer(parameters);
+            assert.strictEqual(parameters.fee, "170141183460469231731687303715884105727");
+            assert.strictEqual(parameters.recipients[0][1], "18446744073709551617");
+        });
+        it('should accept amounts in poly denominations', async () => {
+            parameters.fee = Units.polys("0.001");
+            parameters.recipients = [["AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE", Units.polys("2.5")]];
+
+            await requests.createRawPolyTransfer(parameters);
+            assert.strictEqual(parameters.fee, "1000000");
+            assert.strictEqual(parameters.recipients[0][1], "2500000000");
+        });
+        it('should fail if a quantity exceeds Number.MAX_SAFE_INTEGER', function(done) {
+            parameters.recipients = [["AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE", 2 ** 64]];
+
+            requests
+            .createRawPolyTransfer(parameters)
+            .then((response) => {
+                done(new Error("should not succeded"));
+            })
+            .catch((error) => {
+                expect(error.field).to.equal('params.recipients[0][1]');
+                expect(String(error)).to.contain('lose precision, use a BigInt or a decimal string');
                 done();
             });
         });
@@ -207,7 +238,7 @@ describe("Polys", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Invalid fee, a fee must be greater or equal to zero');
+                expect(String(error)).to.equal('ValidationError: Invalid fee, a fee must be greater or equal to zero');
                 done();
             });
         });
@@ -132,7 +132,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -146,7 +146,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A tx object must be specified');
+                expect(String(error)).to.equal('ValidationError: A tx object must be specified');
                 done();
             });
         });
@@ -160,7 +160,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Tx must include signatures');
+                expect(String(error)).to.equal('ValidationError: Tx must include signatures');
                 done();
             });
         });
@@ -178,7 +178,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Invalid tx object, one or more tx keys not specified');
+                expect(String(error)).to.equal('ValidationError: Invalid tx object, one or more tx keys not specified');
                 done();
             });
         });
@@ -245,7 +245,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -259,7 +259,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A transactionId must be specified');
+                expect(String(error)).to.equal('ValidationError: A transactionId must be specified');
                 done();
             });
         });
@@ -324,7 +324,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -338,7 +338,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A transactionId must be specified');
+                expect(String(error)).to.equal('ValidationError: A transactionId must be specified');
                 done();
             });
         });
@@ -433,6 +433,26 @@ describe("Transactions", () => {
             assert.strictEqual(typeof response.result, "object");
             expect(response.result).to.contain.keys('AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh');
         });
+        it('should return balances as decimal strings', async () => {
+            let jsonObject = {
+                "jsonrpc": "2.0",
+                "id": "1",
+                "result": {
+                    "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh": {
+                        "Balances": {"Polys": 100, "Arbits": "170141183460469231731687303715884105727"},
+                        "Boxes": {"PolyBox": [{"id": "box", "value": {"type": "Simple", "quantity": 100}}]}
+                    }
+                }
+            }
+            var responseObject = {"status":'200',json: () => { return jsonObject }};
+            sinon.restore();
+            sinon.stub(nodeFetch, 'Promise').returns(Promise.resolve(responseObject));
+
+            var response = await requests.lookupBalancesByAddresses(parameters);
+            const balances = response.result["AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh"];
+            assert.deepStrictEqual(balances.Balances, {"Polys": "100", "Arbits": "170141183460469231731687303715884105727"});
+            assert.strictEqual(balances.Boxes.PolyBox[0].value.quantity, "100");
+        });
         it('should fail if no parameters present', function(done) {
             // make call without parameters
             requests
@@ -441,7 +461,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A parameter object must be specified');
+                expect(String(error)).to.equal('ValidationError: A parameter object must be specified');
                 done();
             });
         });
@@ -455,7 +475,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A list of addresses must be specified');
+                expect(String(error)).to.equal('ValidationError: A list of addresses must be specified');
                 done();
             });
         });
@@ -469,7 +489,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: A list of addresses must be specified');
+                expect(String(error)).to.equal('ValidationError: A list of addresses must be specified');
                 done();
             });
         });
@@ -485,7 +505,7 @@ describe("Transactions", () => {
                 done(new Error("should not succeded"));
             })
             .catch((error) => {
-                expect(String(error)).to.equal('Error: Invalid Addresses:: Network Type: <private> Invalid Addresses: <AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeV> Invalid Checksums: <>');
+                expect(String(error)).to.equal('ValidationError: Invalid Addresses:: Network Type: <private> Invalid Addresses: <AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeV> Invalid Checksums: <>');
                 done();
             });
         });
@@ -0,0 +1,125 @@
+/**
+ * @fileOverview Unit testing for the Address codec
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Base58 = require("bs58");
+const {Address} = require("../../../src/utils/Address");
+const utils = require("../../../src/utils/address-utils");
+const networks = require("../../../src/lib/networks");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+const privateAddress = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+const badChecksum = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoF";
+
+/* -------------------------------------------------------------------------- */
+/*                            Address unit tests                              */
+/* -------------------------------------------------------------------------- */
+describe("Address", () => {
+  it("should decode the parts of an address", () => {
+    const address = Address.parse(privateAddress);
+    const bytes = Buffer.from(Base58.decode(privateAddress));
+
+    assert.strictEqual(address.networkPrefix, "private");
+    assert.strictEqual(address.networkPrefixByte, 0x40);
+    assert.strictEqual(address.propositionType, "PublicKeyCurve25519");
+    assert.strictEqual(address.propositionTypeByte, 1);
+    assert.ok(address.evidenceHash.equals(bytes.slice(2, 34)));
+    assert.ok(address.evidence.equals(bytes.slice(1, 34)));
+    assert.ok(address.checksum.equals(bytes.slice(34)));
+    assert.ok(address.toBytes().equals(bytes));
+  });
+
+  it("should re-encode a decoded address", () => {
+    const address = Address.parse(privateAddress, "private");
+    assert.strictEqual(address.encode(), privateAddress);
+    assert.strictEqual(String(address), privateAddress);
+    assert.strictEqual(JSON.stringify({address}), `{"address":"${privateAddress}"}`);
+    assert.ok(address.equals(privateAddress));
+    assert.ok(address.equals(Address.parse(privateAddress)));
+  });
+
+  it("should convert an address between networks", () => {
+    const address = Address.parse(privateAddress);
+    const valhalla = address.toNetwork("valhalla");
+
+    assert.strictEqual(valhalla.networkPrefix, "valhalla");
+    assert.ok(valhalla.evidence.equals(address.evidence));
+    assert.strictEqual(Address.validate(valhalla.encode(), "valhalla").valid, true);
+    assert.strictEqual(valhalla.toNetwork("private").encode(), privateAddress);
+    assert.throws(() => address.toNetwork("unknown"), ValidationError);
+  });
+
+  it("should create the same address as generatePropositionAddress", () => {
+    const publicKey = Buffer.alloc(32, 7);
+    const expected = utils.generatePubKeyHashAddress(publicKey, "toplnet").address;
+    assert.strictEqual(Address.fromProposition(publicKey, "PublicKeyCurve25519", "toplnet").encode(), expected);
+  });
+
+  it("should report why a string is not a valid address", () => {
+    const bytes = Buffer.from(Base58.decode(privateAddress));
+    const withByte = (index, value) => {
+      const copy = Buffer.from(bytes);
+      copy[index] = value;
+      return Base58.encode(copy);
+    };
+
+    assert.strictEqual(Address.validate(undefined).code, "type");
+    assert.strictEqual(Address.validate("").code, "type");
+    assert.strictEqual(Address.validate("AUA0OIl").code, "base58");
+    assert.strictEqual(Address.validate(Base58.encode(bytes.slice(0, 37))).code, "length");
+    assert.strictEqual(Address.validate(withByte(0, 0x99)).code, "network");
+    assert.strictEqual(Address.validate(withByte(1, 9)).code, "propositionType");
+
+    const wrongNetwork = Address.validate(privateAddress, "toplnet");
+    assert.strictEqual(wrongNetwork.code, "wrongNetwork");
+    assert.strictEqual(wrongNetwork.reason, "the address belongs to network <private> instead of <toplnet>");
+
+    const checksum = Address.validate(badChecksum);
+    assert.deepStrictEqual(checksum, {
+      valid: false,
+      code: "checksum",
+      reason: "the checksum does not match the address",
+      networkPrefix: "private",
+      propositionType: "PublicKeyCurve25519"
+    });
+    assert.strictEqual(Address.isValid(privateAddress), true);
+    assert.strictEqual(Address.isValid(badChecksum), false);
+  });
+
+  it("should throw the reason when parsing an invalid address", () => {
+    assert.throws(() => Address.parse(badChecksum), (err) => err instanceof ValidationError &&
+      err.message === `Invalid address <${badChecksum}>: the checksum does not match the address`);
+    assert.throws(() => utils.parseAddress(privateAddress, "hel"), /belongs to network <private> instead of <hel>/);
+  });
+
+  it("should decode addresses of custom networks", () => {
+    networks.registerNetwork({name: "address-test", prefix: 0x7b});
+    try {
+      const custom = Address.parse(privateAddress).toNetwork("address-test").encode();
+      assert.strictEqual(Address.parse(custom).networkPrefix, "address-test");
+      assert.strictEqual(utils.getAddressNetwork(custom).networkPrefix, "address-test");
+    } finally {
+      networks.unregisterNetwork("address-test");
+    }
+  });
+
+  it("should report invalid addresses and checksums apart in validateAddressesByNetwork", () => {
+    const result = utils.validateAddressesByNetwork("private", [privateAddress, badChecksum, "not-base58!"]);
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.invalidAddresses, ["not-base58!"]);
+    assert.deepStrictEqual(result.invalidChecksums, [badChecksum]);
+    assert.strictEqual(result.reasons[badChecksum], "the checksum does not match the address");
+    assert.strictEqual(result.reasons[privateAddress], undefined);
+  });
+
+  it("should create asset codes from the decoded issuer", () => {
+    const assetCode = utils.createAssetCode("private", privateAddress, "test");
+    const bytes = Buffer.from(Base58.decode(assetCode));
+    assert.ok(bytes.slice(1, 35).equals(Address.parse(privateAddress).payload));
+    assert.throws(() => utils.createAssetCode("private", badChecksum, "test"), /checksum does not match/);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @fileOverview Unit testing for the AssetCode codec
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Base58 = require("bs58");
+const {AssetCode} = require("../../../src/utils/AssetCode");
+const {Address} = require("../../../src/utils/Address");
+const utils = require("../../../src/utils/address-utils");
+const networks = require("../../../src/lib/networks");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+const issuer = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLoE";
+const otherAddress = "AUA1XJxBn5M6rUz1EfSAXYvbcgys7noXxBei1Kp8iTykkxyAJeVh";
+
+/* -------------------------------------------------------------------------- */
+/*                           AssetCode unit tests                             */
+/* -------------------------------------------------------------------------- */
+describe("AssetCode", () => {
+  it("should decode the version, issuer and short name of an asset code", () => {
+    const assetCode = AssetCode.parse(utils.createAssetCode("private", issuer, "gold"));
+
+    assert.strictEqual(assetCode.version, 1);
+    assert.strictEqual(assetCode.shortName, "gold");
+    assert.strictEqual(assetCode.networkPrefix, "private");
+    assert.strictEqual(assetCode.issuer.encode(), issuer);
+    assert.ok(assetCode.issuerEvidence.equals(Address.parse(issuer).evidence));
+  });
+
+  it("should encode the same asset code as createAssetCode", () => {
+    const expected = utils.createAssetCode("private", issuer, "name1234");
+    const assetCode = new AssetCode({issuer, shortName: "name1234"});
+
+    assert.strictEqual(assetCode.encode(), expected);
+    assert.strictEqual(AssetCode.parse(expected).encode(), expected);
+    assert.strictEqual(JSON.stringify([assetCode]), `["${expected}"]`);
+    assert.ok(assetCode.equals(expected));
+    assert.ok(assetCode.equals(new AssetCode({issuer: Address.parse(issuer), shortName: "name1234"})));
+  });
+
+  it("should verify the issuer of an asset", () => {
+    const assetCode = AssetCode.parse(utils.createAssetCode("private", issuer, "gold"));
+
+    assert.strictEqual(assetCode.isIssuedBy(issuer), true);
+    assert.strictEqual(assetCode.isIssuedBy(Address.parse(issuer)), true);
+    assert.strictEqual(assetCode.isIssuedBy(otherAddress), false);
+    // same key on another network
+    assert.strictEqual(assetCode.isIssuedBy(Address.parse(issuer).toNetwork("valhalla")), false);
+    assert.strictEqual(assetCode.isIssuedBy("invalid"), false);
+  });
+
+  it("should render a human-readable label", () => {
+    const assetCode = AssetCode.parse(utils.createAssetCode("private", issuer, "gold"));
+    assert.strictEqual(assetCode.label, `gold issued by ${issuer}`);
+
+    networks.registerNetwork({name: "asset-code-test", prefix: 0x7c});
+    const custom = new AssetCode({issuer: Address.parse(issuer).toNetwork("asset-code-test"), shortName: "gold"}).encode();
+    networks.unregisterNetwork("asset-code-test");
+
+    const unknown = AssetCode.parse(custom);
+    assert.strictEqual(unknown.networkPrefix, undefined);
+    assert.strictEqual(unknown.issuer, undefined);
+    assert.strictEqual(unknown.label, "gold issued on the unregistered network 0x7c");
+    assert.strictEqual(unknown.encode(), custom);
+  });
+
+  it("should report why a string is not a valid asset code", () => {
+    const bytes = Buffer.from(Base58.decode(utils.createAssetCode("private", issuer, "gold")));
+
+    assert.strictEqual(AssetCode.validate(undefined).code, "type");
+    assert.strictEqual(AssetCode.validate("0OIl").code, "base58");
+    assert.strictEqual(AssetCode.validate(Base58.encode(bytes.slice(0, 42))).code, "length");
+    assert.strictEqual(utils.isValidAssetCode("0OIl"), false);
+    assert.throws(() => AssetCode.parse(Base58.encode(bytes.slice(0, 42))), (err) => err instanceof ValidationError &&
+      err.message.endsWith("the asset code is 42 bytes long instead of 43"));
+  });
+
+  it("should refuse asset codes of unknown versions unless decoded explicitly", () => {
+    const bytes = Buffer.from(Base58.decode(utils.createAssetCode("private", issuer, "gold")));
+    const version7 = Buffer.from(bytes);
+    version7[0] = 7;
+
+    assert.deepStrictEqual(AssetCode.validate(Base58.encode(bytes)), {valid: true, version: 1});
+    assert.deepStrictEqual(AssetCode.validate(Base58.encode(version7)),
+        {valid: false, code: "version", reason: "the asset code version <7> is not supported"});
+    assert.strictEqual(utils.isValidAssetCode(Base58.encode(version7)), false);
+    assert.throws(() => AssetCode.parse(Base58.encode(version7)), (err) => err instanceof ValidationError &&
+      err.message.endsWith("the asset code version <7> is not supported"));
+
+    const assetCode = AssetCode.decode(Base58.encode(version7));
+    assert.strictEqual(assetCode.version, 7);
+    assert.strictEqual(assetCode.supported, false);
+    assert.strictEqual(assetCode.shortName, "gold");
+    assert.strictEqual(assetCode.isIssuedBy(issuer), true);
+    assert.strictEqual(assetCode.encode(), Base58.encode(version7));
+    assert.strictEqual(new AssetCode({issuer, shortName: "gold", version: 7}).encode(), Base58.encode(version7));
+    assert.strictEqual(AssetCode.decode(Base58.encode(bytes)).supported, true);
+    assert.throws(() => AssetCode.decode(Base58.encode(bytes.slice(0, 42))), /42 bytes long instead of 43/);
+  });
+
+  it("should accept latin-1 short names outside of ascii", () => {
+    const assetCode = new AssetCode({issuer, shortName: "café"});
+    assert.strictEqual(AssetCode.parse(assetCode.encode()).shortName, "café");
+  });
+
+  it("should refuse invalid issuers and short names", () => {
+    assert.throws(() => new AssetCode({issuer: "invalid", shortName: "gold"}), ValidationError);
+    assert.throws(() => new AssetCode({issuer, shortName: "toolongname"}), /up to 8 bytes/);
+    assert.throws(() => new AssetCode({issuer, shortName: "金"}), /latin-1/);
+    assert.throws(() => new AssetCode({issuer, shortName: "gold", version: 256}), /Invalid asset code version/);
+    assert.throws(() => utils.createAssetCode("valhalla", issuer, "gold"), /belongs to network <private>/);
+  });
+});
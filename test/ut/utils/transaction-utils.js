@@ -0,0 +1,128 @@
+/**
+ * @fileOverview Known-answer tests of the transaction serializers
+ *
+ * The vectors are taken from the blocks served by a Bifrost v1.3 node (see test/ut/requests/blocks.js): the ids and
+ * signatures of the block reward transactions and the ids of the generator boxes.
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const txUtils = require("../../../src/utils/transaction-utils");
+const Base58 = require("bs58");
+const curve25519 = require("curve25519-js");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+// block reward transactions: {txType, timestamp, data, txId} and the Curve25519 signature of the forger
+const rewardTxs = [
+  {
+    txType: "ArbitTransfer", timestamp: 1614870913077, data: "ziho65Xc5GqHqhgeBEFiS6redsZfcgGdXcAFWbUNxzdV_",
+    txId: "bwwYcvfconQVaqdJsGPmX2nH9Qg3DEVSqzaQFH267xbu",
+    publicKey: "bDpCdRHS5YzVndGmSrmXgjR4Q31AQqM9VkVAjBz9nzRE",
+    signature: "7iGAPS2bthwXLnMsbsDDuNAkKxaygbcSPv2bfGg5pgwUCXXQtA7CgYYg2CTqchmRRvHtixrVy5QiMEhcgyYdQcLM"
+  },
+  {
+    txType: "PolyTransfer", timestamp: 1614870913077, data: "ziho65Xc5GqHqhgeBEFiS6redsZfcgGdXcAFWbUNxzdV_",
+    txId: "bvEJk2bQG9QmnEXGErjJdJgkJ1GvfeKzMzXAP7bivUXB",
+    publicKey: "bDpCdRHS5YzVndGmSrmXgjR4Q31AQqM9VkVAjBz9nzRE",
+    signature: "6yXjsELAC5FHnHJw6zgCtf81XJ7AZgKjAwFtBBCQ7aDHAD8LcfdXuJEYBeMtGGcD5jitjkyqnuB9CcudMTjeRbG3"
+  },
+  {
+    txType: "ArbitTransfer", timestamp: 1614870125215, data: "y2Xktmv6erDjjyykchKbffFBJ78yfMBTZfL5QHNPeD2k_",
+    txId: "fNGtFy3AvyFNm4jhiKkvfB6x9agYpEdt6X2zVcMDLKJn",
+    publicKey: "aansHqDUHRhD7kztDfQXXZkcGLL4KD8VcEDzQB9fjBPM",
+    signature: "985C2DU1CCyP1V4rsNakn1XEQTwjwVsFfc1aTgKysvkNn1rAPwgkRC7Y6MKA4qdYpiXBbVH3RGgziEPP7nJxN6D6"
+  },
+  {
+    txType: "PolyTransfer", timestamp: 1614870125215, data: "y2Xktmv6erDjjyykchKbffFBJ78yfMBTZfL5QHNPeD2k_",
+    txId: "n5RUHRn8wjWL6UagecnUpNjvvzBRMU9Z4CLEhREhowoV",
+    publicKey: "aansHqDUHRhD7kztDfQXXZkcGLL4KD8VcEDzQB9fjBPM",
+    signature: "7fPCwtJYYAv2RcUUoRafB4hn3SmC5Jiy5EB9thukjvtcnQRc6uUPqu5VnUo7EH65EZ3MxtDyTBDEmM2cdXJGvCmn"
+  },
+  {
+    txType: "ArbitTransfer", timestamp: 1614871235474, data: "xZvaaLKrFzznZ2t9ieMSihfgmstjB6xYM5EgZpgRnUnx_",
+    txId: "t6dpKT3o2jPQLgb2e2snEw4rGNqCdJiZ5KE1L57d5juE",
+    publicKey: "XYD8eeqVNVbxW7KgPj9vWMzEph76vg7xNCRYQFWfneGd",
+    signature: "9ZTNcebwgkxUn1sAipYcKFmTxAuTPAZngWdSkNZEoRc4mZCtpEBCU7bZMRZBjtjTQRC98hWxFCJ3wsEWxM4JqQL7"
+  },
+  {
+    txType: "PolyTransfer", timestamp: 1614871235474, data: "xZvaaLKrFzznZ2t9ieMSihfgmstjB6xYM5EgZpgRnUnx_",
+    txId: "frYhd49QqGAkWrVywsyWTyb37eAa8wq798gw4Ad7BGXe",
+    publicKey: "XYD8eeqVNVbxW7KgPj9vWMzEph76vg7xNCRYQFWfneGd",
+    signature: "AGKWbeTpS7JRT3jkfBJxaBUjvkfBQRRqntJGHh7gUPFBD1TJDyHkxkYkpUqTUNfkJncMFvNfhVybLoRiAEqqdWTv"
+  }
+];
+
+// generator boxes: {nonce, id, evidence}
+const generatorBoxes = [
+  {nonce: "6192622283292330446", id: "5Wq9cayFkbA2WzMVugWtm4kpLoYn5QTMkvpyNh9jCDBY", evidence: "PGdnCwZkNwzL9JgMMThi1Qv3mc5SHCG9Zu4k7qb5TdvT"},
+  {nonce: "-2738345987285926199", id: "EkQrVxwgAmHJrzgY5kJyAvqH36DjkBFa4cPGGE31tY6y", evidence: "YbEfzvNJ9YeaejXvhV1G4TdBrdYg1mBgzZNAwQ5TYssm"},
+  {nonce: "632651921866009156", id: "HAkHigK5gLyf7h6sXrr6TXeN2e2kGuWn5eLe53muGBrD", evidence: "MCeJ37GRGfqgzLwjn2G9yk5aN9ch91nVGgAmzWrvMMAq"}
+];
+
+/**
+ * Raw transaction of a block reward, which opens and creates no box
+ * @param {object} tx reward transaction vector
+ * @returns {object} raw transaction
+ */
+function rewardRawTx(tx) {
+  return {txType: tx.txType, timestamp: tx.timestamp, data: tx.data, newBoxes: [], boxesToRemove: [], fee: "0", minting: true};
+}
+
+/* -------------------------------------------------------------------------- */
+/*                     Transaction serializers unit tests                     */
+/* -------------------------------------------------------------------------- */
+describe("Transaction serializers", () => {
+  it("should compute the ids of the transactions served by the node", () => {
+    rewardTxs.forEach((tx) => {
+      const txId = txUtils.generateTxId(txUtils.generateMessageToSign(rewardRawTx(tx)));
+      assert.strictEqual(txId, tx.txId);
+      // ModifierId: modifier type ++ Blake2b256
+      assert.strictEqual(Base58.decode(txId)[0], txUtils.txModifierTypeId);
+    });
+  });
+
+  it("should compute the message signed by the forgers", () => {
+    rewardTxs.forEach((tx) => {
+      const message = txUtils.generateMessageToSign(rewardRawTx(tx));
+      // keys and signatures are prefixed with their proposition type
+      const publicKey = Buffer.from(Base58.decode(tx.publicKey)).slice(1);
+      const signature = Buffer.from(Base58.decode(tx.signature)).slice(1);
+      assert.ok(curve25519.verify(publicKey, message, signature), `signature of ${tx.txId}`);
+    });
+  });
+
+  it("should compute the ids of the boxes served by the node", () => {
+    generatorBoxes.forEach((box) => assert.strictEqual(txUtils.generateBoxId(box.evidence, box.nonce), box.id));
+  });
+
+  it("should index the nonces of the new boxes as the node", () => {
+    const address = "AUAftQsaga8DjVfVvq7DK14fm5HvGEDdVLZwexZZvoP7oWkWCLo";
+    const rawTx = {
+      txType: "ArbitTransfer", timestamp: 1614871235474, fee: "10", boxesToRemove: [generatorBoxes[0].id],
+      to: [[address, {type: "Simple", quantity: "0"}], [address, {type: "Simple", quantity: "0"}], [address, {type: "Simple", quantity: "5"}]]
+    };
+    const nonces = txUtils.calculateBoxNonces(rawTx.txType, rawTx.boxesToRemove, rawTx.timestamp, rawTx.fee, 3);
+
+    // no change and no consolidation: the recipient takes the first nonce after the change
+    const [recipient, ...others] = txUtils.generateNewBoxes(rawTx);
+    assert.deepStrictEqual(others, []);
+    assert.strictEqual(recipient.type, "ArbitBox");
+    assert.strictEqual(recipient.nonce, nonces[1]);
+    assert.strictEqual(recipient.id, txUtils.generateBoxId(recipient.evidence, nonces[1]));
+
+    // the change is a PolyBox of nonce 0, the outputs without value do not consume a nonce
+    rawTx.to[0][1] = {type: "Simple", quantity: "3"};
+    rawTx.to.push([address, {type: "Simple", quantity: "4"}]);
+    const boxes = txUtils.generateNewBoxes(rawTx);
+    assert.deepStrictEqual(boxes.map(({type, nonce}) => [type, nonce]), [["PolyBox", nonces[0]], ["ArbitBox", nonces[1]], ["ArbitBox", nonces[2]]]);
+  });
+
+  it("should serialize quantities as Int128 and nonces as Long", () => {
+    assert.strictEqual(txUtils.int128ToBytes("1").toString("hex"), "00000000000000000000000000000001");
+    assert.strictEqual(txUtils.int128ToBytes(-1).toString("hex"), "ffffffffffffffffffffffffffffffff");
+    assert.strictEqual(txUtils.longToBytes("-2738345987285926199").toString("hex"), "d9ff70d53bb4bec9");
+    assert.throws(() => txUtils.int128ToBytes(txUtils.int128Max + BigInt(1)), (err) => err instanceof ValidationError && err.field === "value");
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * @fileOverview Unit testing for the poly denominations
+ *
+ * @author Raul Aragonez (r.aragonez@topl.me)
+ *
+ */
+
+const Units = require("../../../src/utils/units");
+const {parseFee, parseQuantity, toAmount} = require("../../../src/lib/amounts");
+const {ValidationError} = require("../../../src/lib/errors");
+const assert = require("assert");
+
+/* -------------------------------------------------------------------------- */
+/*                             Units unit tests                               */
+/* -------------------------------------------------------------------------- */
+describe("Units", () => {
+  it("should parse human-readable amounts without floating point error", () => {
+    assert.strictEqual(Units.parseUnits("1.5"), BigInt(1500000000));
+    assert.strictEqual(Units.parseUnits(0.3, "polys"), BigInt(300000000));
+    assert.strictEqual(Units.parseUnits("-.000000001"), BigInt(-1));
+    assert.strictEqual(Units.parseUnits(BigInt(2), "poly"), BigInt(2000000000));
+    assert.strictEqual(Units.parseUnits("170141183460469231731.687303715"), BigInt("170141183460469231731687303715"));
+  });
+
+  it("should parse numbers written in exponent notation", () => {
+    assert.strictEqual(Units.parseUnits(1e-7), BigInt(100));
+    assert.strictEqual(Units.parseUnits(-2.5e-8, "poly"), BigInt(-25));
+    assert.strictEqual(Units.parseUnits(1e21, "nanopoly"), BigInt("1000000000000000000000"));
+    assert.throws(() => Units.parseUnits(1e-10), /at most 9 decimals/);
+  });
+
+  it("should refuse amounts with too many decimals or invalid characters", () => {
+    assert.throws(() => Units.parseUnits("0.0000000001"), /at most 9 decimals/);
+    assert.throws(() => Units.parseUnits("1.5", "nanopoly"), /at most 0 decimals/);
+    ["", ".", "1e3", "1,5", "abc"].forEach((value) => assert.throws(() => Units.parseUnits(value), /must be a decimal number/));
+    assert.throws(() => Units.parseUnits("1", "arbit"), (err) => err instanceof ValidationError && err.field === "unit");
+    assert.throws(() => Units.parseUnits("abc"), (err) => err instanceof ValidationError && err.field === "value");
+  });
+
+  it("should format base units in a denomination", () => {
+    assert.strictEqual(Units.formatUnits("1500000000"), "1.5");
+    assert.strictEqual(Units.formatUnits(BigInt(-1)), "-0.000000001");
+    assert.strictEqual(Units.formatUnits("2000000000", "poly"), "2");
+    assert.strictEqual(Units.formatUnits("42", "nanopolys"), "42");
+  });
+
+  it("should convert between denominations", () => {
+    assert.strictEqual(Units.convert("0.25", "poly", "nanopoly"), "250000000");
+    assert.strictEqual(Units.convert("250000000", "nanopoly", "poly"), "0.25");
+  });
+
+  it("should be accepted as fees and quantities in base units", () => {
+    const amount = Units.polys("1.25");
+    assert.strictEqual(amount.toString(), "1250000000");
+    assert.strictEqual(amount.format(), "1.25");
+    assert.strictEqual(amount.format("nanopoly"), "1250000000");
+    assert.strictEqual(JSON.stringify({fee: Units.nanopolys(7)}), "{\"fee\":\"7\"}");
+    assert.strictEqual(parseFee({fee: Units.nanopolys(100)}), BigInt(100));
+    assert.strictEqual(parseQuantity(["address", amount], "field", true), BigInt(1250000000));
+    assert.throws(() => parseQuantity(["address", Units.polys(0)], "field", true), /must be at least 1/);
+  });
+
+  it("should only be accepted as amounts of polys", () => {
+    assert.strictEqual(parseQuantity(["address", Units.polys("1.25")], "field", true), BigInt(1250000000));
+    assert.throws(() => parseQuantity(["address", Units.polys("1.25")], "field"), /only accepted for fees and poly quantities/);
+    assert.throws(() => toAmount(Units.polys(1)), TypeError);
+  });
+});